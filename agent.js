@@ -1,106 +1,755 @@
 /**
  * OpenManager AI - 자동 장애 감지 에이전트
  * 주기적으로 서버 데이터를 확인하여 장애를 감지하고, AI 기반 보고서를 생성합니다.
+ * DOM에 의존하지 않으므로 Node에서도 AIProcessor와 데이터 소스만 주면 동작합니다 (headless.js 참고).
+ *
+ * 실행 상태 (config.js의 AGENT):
+ *   - stopped: 자동 점검 없음 (checkServersAndReport/runCheck를 직접 호출, 스트림 변경 점검은 동작)
+ *   - running: start() 이후 intervalSeconds마다, triggerOnDataUpdate면 서버 데이터가 갱신될 때마다 점검
+ *   - paused: pause() 이후 주기 점검, 데이터 갱신 점검, 스트림 변경 점검을 모두 멈춤 (start()로 재개)
+ * 점검은 한 번에 하나만 실행되며, 이전 점검이 끝나기 전에 온 점검 요청은 건너뜁니다.
+ *
+ * 장애 상태 (INCIDENT_STATES):
+ *   - open: 감지됨 → acknowledged: 운영자가 확인 (acknowledgeIncident) → resolved: 해결
+ *   - 장애 조건이 모두 사라진 점검이 autoResolveAfter회 이어지면 자동 해결, 운영자가 직접 해결할 수도 있음 (resolveIncident)
+ *     자동 해결 횟수는 전체 점검(checkServersAndReport)만 세며, 스트림 변경 점검(handleServerEvent)은 조건 해소만 반영합니다
+ *     (변경이 잦은 스트림에서 몇 초 만에 자동 해결되지 않도록 - 조건이 다시 생기면 횟수는 처음부터).
+ *   - 점검한 서버 데이터에 더는 없는 서버(스트림에서 제거, 가져오기로 교체 등)의 진행 중인 장애는 조건을 확인할 수 없으므로
+ *     'removed'로 해결 처리합니다 (반복 알림이 멈추고, 서버가 다시 나타나 조건이 있으면 새 장애로 보고).
+ *   - 해결된 장애는 resolvedRetentionHours 동안 '최근 해결' 목록에 남고, 같은 장애가 다시 생기면 새 장애로 보고합니다.
+ *
+ * 장애 지문과 알림:
+ *   - 장애 조건마다 지문(서버 + 조건 ID, incidentFingerprint)을 매기고, 서버에 진행 중인 장애가 있으면 새 조건을 그 장애에 합칩니다
+ *     (예: CPU 과부하 장애에 메모리 부족이 더해져도 새 장애가 아니라 같은 장애의 조건 추가).
+ *   - 조건 추가/해소와 심각도 상승/하강은 장애의 timeline에 기록합니다.
+ *   - 알림(onNotify)은 새 장애와 심각도 상승 때 바로, 그 밖에는 repeatMinutes 일정에 따라 반복합니다.
+ *     알림 기록(notifications, lastNotifiedAt)은 onNotify가 돌려준 전송 결과(Notifier.notify)를 보고 남기므로,
+ *     모든 채널에서 실패하거나 전송 제한에 걸린 알림은 기록되지 않고 다음 점검에서 다시 보냅니다.
+ *
+ * 영구 저장소(storage.js)를 연결하면(attachStore) 진행 중이거나 최근 해결된 장애를 불러오고,
+ * 점검과 확인/해결 처리 뒤마다 장애와 확인/해결 기록을 저장합니다.
  */
 
-class Agent {
-    constructor(aiProcessor) {
+import { CONFIG } from './config.js';
+import { getDefaultRulesEngine, formatFindingValue } from './rules_engine.js';
+import { formatExpectedRange } from './anomaly_detector.js';
+import { correlateIncidents } from './incident_correlation.js';
+import { formatImpact } from './topology.js';
+import { isInMaintenance, getStatusWeight, getStatusLabel, escapeHtml } from './server_status.js';
+import { formatStaleness, buildStaleFinding } from './staleness.js';
+import { DELIVERY_STATUSES } from './notifier.js';
+
+// 실행 상태
+export const AGENT_STATES = {
+    STOPPED: 'stopped',
+    RUNNING: 'running',
+    PAUSED: 'paused'
+};
+
+// 장애 상태
+export const INCIDENT_STATES = {
+    OPEN: 'open',
+    ACKNOWLEDGED: 'acknowledged',
+    RESOLVED: 'resolved'
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    autoStart: false,
+    intervalSeconds: 60,
+    triggerOnDataUpdate: false,
+    autoResolveAfter: 3,
+    resolvedRetentionHours: 24,
+    repeatMinutes: [60],
+    repeatWhileAcknowledged: false,
+    notifyOnEscalation: true
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+// 진행 중인 장애 (열림 또는 확인됨)
+const isActive = incident => incident.state !== INCIDENT_STATES.RESOLVED;
+
+// 해결 방식별 장애 기록 문구 ('manual'은 해결한 사람으로 기록)
+const RESOLUTION_MESSAGES = {
+    auto: '장애 조건 해소로 자동 해결',
+    removed: '서버가 점검 데이터에서 사라져 종료'
+};
+
+/**
+ * 장애 조건의 지문 (같은 서버의 같은 조건은 진행 중인 장애 하나로 합침)
+ * @param {string} hostname 서버 호스트명
+ * @param {string} conditionId 장애 조건 ID (규칙 ID, 'anomaly_cpu_usage', 'no_data' 등)
+ * @returns {string} 예: 'web-001/critical_cpu'
+ */
+export function incidentFingerprint(hostname, conditionId) {
+    return `${hostname}/${conditionId}`;
+}
+
+// 장애 조건을 장애에 기록할 조건 상태로 변환
+function toConditionState(condition, now) {
+    return {
+        fingerprint: condition.fingerprint,
+        id: condition.id,
+        name: condition.name,
+        value: condition.value,
+        severity: condition.severity,
+        active: true,
+        firstSeenAt: now,
+        lastSeenAt: now,
+        clearedAt: null
+    };
+}
+
+// 장애 기록 추가 (type: 'opened' | 'condition_added' | 'condition_cleared' | 'escalated' | 'deescalated' | 'acknowledged' | 'resolved')
+function addTimeline(incident, at, type, message, detail = {}) {
+    incident.timeline.push({ at, type, message, ...detail });
+}
+
+/**
+ * 장애 알림이 전해졌는지: 전송 기록이 없거나(onNotify가 결과를 돌려주지 않음, 맞는 라우팅 규칙 없음)
+ * 실패/전송 제한이 아닌 전송(sent, 꺼진 채널 등 skipped)이 하나라도 있으면 전해진 것으로 봅니다.
+ * @param {Object} incident 장애
+ * @param {Array<Object>} [deliveries] onNotify 결과 (Notifier.notify의 전송 기록 { incidentId, status, ... })
+ * @returns {boolean}
+ */
+function isNotificationDelivered(incident, deliveries) {
+    if (!Array.isArray(deliveries)) return true;
+    const attempts = deliveries.filter(delivery => delivery.incidentId === incident.id);
+    return attempts.length === 0 ||
+        attempts.some(delivery => delivery.status !== DELIVERY_STATUSES.FAILED && delivery.status !== DELIVERY_STATUSES.THROTTLED);
+}
+
+/**
+ * 다음 반복 알림 시각: 알림을 n번 보냈으면 repeatMinutes의 n번째 간격 뒤 (간격이 다 떨어지면 마지막 간격을 반복)
+ * @param {Object} incident 장애 (notifications, lastNotifiedAt)
+ * @param {number[]} repeatMinutes 반복 간격 (분, 예: [15, 30, 60] → 15분, 30분 뒤, 이후 60분마다)
+ * @returns {Date|null} 반복 알림이 없으면 null
+ */
+export function getNextNotificationTime(incident, repeatMinutes) {
+    if (!repeatMinutes || repeatMinutes.length === 0 || !incident.lastNotifiedAt) return null;
+    const index = Math.min(incident.notifications.length, repeatMinutes.length) - 1;
+    return new Date(incident.lastNotifiedAt.getTime() + repeatMinutes[index] * MINUTE_MS);
+}
+
+export class Agent {
+    /**
+     * @param {AIProcessor} aiProcessor ai_processor.js의 인스턴스
+     * @param {Object} [options]
+     * @param {DataSource} [options.dataSource] 서버 데이터를 구독할 데이터 소스 (data_source.js)
+     * @param {Function} [options.onIncidents] 스트림 변경이나 자동 점검(runCheck)으로 새 장애가 감지되면 호출 (newIncidents) => void
+     * @param {RulesEngine} [options.rulesEngine] 장애 판단 규칙 엔진 (기본: aiProcessor의 규칙 엔진)
+     * @param {Object} [options.settings] 자동 점검과 장애 처리 설정 (AGENT 형식, 기본: config.js)
+     * @param {Function} [options.onStatusChange] 실행 상태나 점검 결과가 바뀌면 호출 (getStatus() 결과) => void
+     * @param {Function} [options.onIncidentChange] 장애가 확인되거나 해결되거나 알림 전송 결과가 반영되면 호출 (incident) => void
+     * @param {Function} [options.onNotify] 알림을 보낼 장애가 있으면 호출 ([{ incident, reason }]) => 전송 기록 배열이나 그 Promise (dispatchNotifications)
+     * @param {Object} [options.logger] 진행 로그와 오류를 남길 로거 (console과 같은 log/warn/error, 기본: console)
+     */
+    constructor(aiProcessor, options = {}) {
         this.aiProcessor = aiProcessor; // ai_processor.js의 인스턴스를 받아 사용
+        this.logger = options.logger || console;
+        this.latestServerData = []; // 데이터 소스에서 마지막으로 받은 서버 데이터
+        this.unsubscribeDataSource = null;
+        this.unsubscribeServerEvents = [];
+        this.onIncidents = options.onIncidents || null;
         this.lastCheckTimestamp = null;
-        this.detectedIncidents = []; // 감지된 장애 보고서 저장
+        this.detectedIncidents = []; // 진행 중이거나 최근 해결된 장애
         this.incidentHistory = []; // 장애 이력 (간단히 최신 몇 개만 유지)
+        this.incidentGroups = []; // 진행 중인 장애를 상관 분석으로 묶은 그룹 (incident_correlation.js)
+        this.onIncidentChange = options.onIncidentChange || null;
+        this.onNotify = options.onNotify || null;
+        this.pendingNotifications = new Set(); // 전송 결과를 기다리는 알림의 장애 ID
         this.maxHistory = 10;
+        this.store = null; // 장애를 저장할 영구 저장소 (storage.js, attachStore)
 
-        // 장애 감지 조건 정의
-        this.failureConditions = [
-            { id: 'high_cpu', name: '높은 CPU 사용률', condition: server => server.cpu_usage > 90, serverMetric: s => s.cpu_usage, unit: '%' },
-            { id: 'high_memory', name: '높은 메모리 사용률', condition: server => server.memory_usage_percent > 85, serverMetric: s => s.memory_usage_percent, unit: '%' },
-            { id: 'high_disk', name: '높은 디스크 사용률', condition: server => server.disk && server.disk[0] && server.disk[0].disk_usage_percent > 80, serverMetric: s => (s.disk && s.disk[0] ? s.disk[0].disk_usage_percent : 0), unit: '%' },
-            { id: 'network_errors', name: '네트워크 오류', condition: server => (server.net && (server.net.rx_errors > 0 || server.net.tx_errors > 0)), serverMetric: s => (s.net ? s.net.rx_errors + s.net.tx_errors : 0), unit: '개' },
-            { id: 'zombie_processes', name: '좀비 프로세스 발생', condition: server => server.zombie_count > 0, serverMetric: s => s.zombie_count, unit: '개' },
-            { 
-                id: 'service_stopped', 
-                name: '주요 서비스 중단', 
-                condition: server => server.services && (server.services.mysql === 'stopped' || server.services.nginx === 'stopped' || server.services.rabbitmq === 'stopped'),
-                getStoppedServices: server => {
-                    if (!server.services) return [];
-                    return Object.entries(server.services)
-                                 .filter(([service, status]) => ['mysql', 'nginx', 'rabbitmq'].includes(service) && status === 'stopped')
-                                 .map(([service]) => service);
-                }
+        // 자동 점검 실행 상태
+        this.settings = { ...DEFAULT_OPTIONS, ...CONFIG.AGENT, ...options.settings };
+        this.onStatusChange = options.onStatusChange || null;
+        this.state = AGENT_STATES.STOPPED;
+        this.timer = null;
+        this.nextRunAt = null;
+        this.currentRun = null; // 진행 중인 점검 (겹쳐 실행 방지)
+        this.lastRun = null;    // { trigger, startedAt, finishedAt, durationMs, incidentsFound, error }
+        this.runCount = 0;
+        this.skippedRuns = 0;
+        this.totalIncidentsFound = 0;
+        this.removeUpdateListener = null;
+
+        // 장애 감지 기준은 AIProcessor와 같은 규칙 엔진 (critical 규칙에 일치하면 장애)
+        this.rulesEngine = options.rulesEngine || (aiProcessor && aiProcessor.rulesEngine) || getDefaultRulesEngine();
+
+        if (options.dataSource) {
+            this.attachDataSource(options.dataSource);
+            // 대시보드에서 데이터 소스를 바꾸면(파일 가져오기 등) 새 소스의 데이터로 점검
+            if (typeof window !== 'undefined') {
+                window.addEventListener('dataSourceChanged', event => this.attachDataSource(event.detail));
             }
-        ];
+        }
+    }
+
+    /**
+     * 데이터 소스를 구독하여 최신 서버 데이터를 유지합니다.
+     * @param {DataSource} dataSource data_source.js의 데이터 소스 인스턴스
+     */
+    attachDataSource(dataSource) {
+        if (this.unsubscribeDataSource) {
+            this.unsubscribeDataSource();
+        }
+        this.unsubscribeServerEvents.forEach(unsubscribe => unsubscribe());
+        this.unsubscribeDataSource = dataSource.subscribe(data => {
+            this.latestServerData = data;
+            this.handleDataUpdate();
+        });
+        // 변경분을 밀어주는 스트림 소스는 주기 점검을 기다리지 않고 바뀐 서버만 바로 점검 (제거된 서버의 장애는 종료)
+        this.unsubscribeServerEvents = dataSource.pushBased
+            ? ['serverAdded', 'serverChanged'].map(eventName =>
+                dataSource.on(eventName, ({ server }) => this.handleServerEvent(server)))
+                .concat(dataSource.on('serverRemoved', ({ hostname }) => this.handleServerRemoved(hostname)))
+            : [];
+        dataSource.connect().catch(error => this.logger.error('[Agent] 데이터 소스 연결 실패:', error));
+    }
+
+    /**
+     * 영구 저장소를 연결하고 진행 중이거나 최근 해결된 장애를 불러옵니다 (이미 있는 장애와 같은 서버의 진행 중인 장애는 제외).
+     * 점검을 시작하기 전에 연결해야 새로고침 전의 장애가 새 장애로 다시 보고되지 않습니다.
+     * @param {PersistentStore} store storage.js의 저장소 (열린 상태)
+     * @returns {Promise<Array<Object>>} 불러온 장애
+     */
+    async attachStore(store) {
+        this.store = store;
+        const since = new Date(Date.now() - this.settings.resolvedRetentionHours * HOUR_MS);
+        const restored = (await store.queryIncidents())
+            .filter(incident => isActive(incident) || incident.resolvedAt >= since)
+            .filter(incident => !this.findIncident(incident.id) && !(isActive(incident) && this.findOngoingIncident(incident.serverName)));
+        if (restored.length === 0) return restored;
+
+        this.detectedIncidents = this.detectedIncidents.concat(restored);
+        this.incidentHistory = this.incidentHistory.concat(restored)
+            .sort((a, b) => b.timestamp - a.timestamp)
+            .slice(0, this.maxHistory);
+        this.incidentGroups = correlateIncidents(this.getOpenIncidents());
+        this.logger.log(`[Agent] 저장된 장애 ${restored.length}건을 불러왔습니다.`);
+        return restored;
+    }
+
+    // 장애를 영구 저장소에 저장 (저장소가 없으면 무시, 실패는 로그만)
+    persistIncidents(incidents = this.detectedIncidents) {
+        if (!this.store || incidents.length === 0) return;
+        this.store.saveIncidents(incidents).catch(error => this.logger.error('[Agent] 장애 저장 실패:', error));
+    }
+
+    // 운영자의 확인/해결 처리를 영구 저장소에 기록
+    persistAcknowledgement(incident, action, by, at) {
+        if (!this.store) return;
+        this.store.recordAcknowledgement({ incidentId: incident.id, hostname: incident.serverName, action, by, at })
+            .catch(error => this.logger.error('[Agent] 확인/해결 기록 저장 실패:', error));
+    }
+
+    // 서버 데이터가 갱신되면 점검 (triggerOnDataUpdate)
+    // 같은 갱신을 구독하는 AIProcessor가 이력과 현재 데이터를 먼저 반영하도록 다음 마이크로태스크에서 실행
+    handleDataUpdate() {
+        if (this.state !== AGENT_STATES.RUNNING || !this.settings.triggerOnDataUpdate) return;
+        Promise.resolve().then(() => this.runCheck('data'));
+    }
+
+    // 스트림으로 추가/변경된 서버 한 대를 점검 (일시 정지 중에는 건너뜀, 자동 해결 횟수는 세지 않음)
+    async handleServerEvent(server) {
+        if (this.state === AGENT_STATES.PAUSED) return;
+        const incidents = this.recordIncidents(await this.checkServer(server, { fullCheck: false }));
+        this.dispatchNotifications();
+        this.persistIncidents(this.detectedIncidents.filter(incident => incident.serverName === server.hostname));
+        if (incidents.length > 0 && this.onIncidents) {
+            this.onIncidents(incidents);
+        }
+    }
+
+    // 스트림에서 제거된 서버의 진행 중인 장애를 종료 (일시 정지 중에는 건너뛰고 다음 점검에서 정리)
+    handleServerRemoved(hostname) {
+        if (this.state === AGENT_STATES.PAUSED) return;
+        const incident = this.findOngoingIncident(hostname);
+        if (incident) this.closeIncident(incident, 'Agent', 'removed');
+    }
+
+    /**
+     * 자동 점검을 시작합니다 (일시 정지 상태면 재개). 바로 한 번 점검한 뒤 intervalSeconds마다 점검합니다.
+     * @param {Object} [settings] 바꿀 설정 (AGENT 형식의 intervalSeconds, triggerOnDataUpdate)
+     * @returns {Promise<Array|null>} 첫 점검 결과 (runCheck)
+     */
+    start(settings = {}) {
+        this.settings = { ...this.settings, ...settings };
+        if (this.state === AGENT_STATES.RUNNING) return Promise.resolve(null);
+
+        this.state = AGENT_STATES.RUNNING;
+        const intervalMs = this.settings.intervalSeconds * 1000;
+        this.nextRunAt = new Date(Date.now() + intervalMs);
+        this.timer = setInterval(() => {
+            this.nextRunAt = new Date(Date.now() + intervalMs);
+            this.runCheck('interval');
+        }, intervalMs);
+        // 데이터 소스 없이 브라우저에서 실행하면 serverDataUpdated 이벤트로 최신 데이터를 받음
+        if (!this.unsubscribeDataSource && !this.removeUpdateListener && typeof window !== 'undefined') {
+            const listener = event => {
+                this.latestServerData = event.detail || [];
+                this.handleDataUpdate();
+            };
+            window.addEventListener('serverDataUpdated', listener);
+            this.removeUpdateListener = () => window.removeEventListener('serverDataUpdated', listener);
+        }
+        this.logger.log(`[Agent] 자동 점검 시작 (간격 ${this.settings.intervalSeconds}초)`);
+        this.notifyStatus();
+        return this.runCheck('start');
+    }
+
+    // 자동 점검을 일시 정지합니다 (설정과 점검 기록은 유지, start()로 재개)
+    pause() {
+        if (this.state !== AGENT_STATES.RUNNING) return;
+        this.clearTimer();
+        this.state = AGENT_STATES.PAUSED;
+        this.logger.log('[Agent] 자동 점검 일시 정지');
+        this.notifyStatus();
+    }
+
+    // 자동 점검을 중지하고 이벤트 리스너를 해제합니다 (진행 중인 점검은 끝까지 실행)
+    stop() {
+        if (this.state === AGENT_STATES.STOPPED) return;
+        this.clearTimer();
+        if (this.removeUpdateListener) {
+            this.removeUpdateListener();
+            this.removeUpdateListener = null;
+        }
+        this.state = AGENT_STATES.STOPPED;
+        this.logger.log('[Agent] 자동 점검 중지');
+        this.notifyStatus();
+    }
+
+    clearTimer() {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.nextRunAt = null;
+    }
+
+    /**
+     * 최신 서버 데이터를 한 번 점검하고 실행 기록을 남깁니다. 이전 점검이 아직 진행 중이면 건너뜁니다.
+     * @param {string} [trigger] 점검 계기 ('start' | 'interval' | 'data' | 'manual')
+     * @returns {Promise<Array|null>} 새로 감지된 장애 (건너뛰면 null)
+     */
+    async runCheck(trigger = 'manual') {
+        if (this.currentRun) {
+            this.skippedRuns++;
+            this.logger.warn(`[Agent] 이전 점검이 진행 중이라 이번 점검(${trigger})을 건너뜁니다.`);
+            return null;
+        }
+        const startedAt = new Date();
+        this.currentRun = this.checkServersAndReport();
+        this.notifyStatus();
+
+        let incidents = [];
+        let error = null;
+        try {
+            incidents = (await this.currentRun) || [];
+        } catch (e) {
+            error = e;
+            this.logger.error('[Agent] 점검 중 오류 발생:', e);
+        }
+        const finishedAt = new Date();
+        this.currentRun = null;
+        this.runCount++;
+        this.totalIncidentsFound += incidents.length;
+        this.lastRun = {
+            trigger,
+            startedAt,
+            finishedAt,
+            durationMs: finishedAt - startedAt,
+            incidentsFound: incidents.length,
+            error: error ? error.message : null
+        };
+        this.notifyStatus();
+        if (incidents.length > 0 && this.onIncidents) {
+            this.onIncidents(incidents);
+        }
+        return incidents;
+    }
+
+    /**
+     * 자동 점검 실행 상태
+     * @returns {{state: string, checking: boolean, intervalSeconds: number, triggerOnDataUpdate: boolean, nextRunAt: Date|null,
+     *   lastRun: Object|null, runCount: number, skippedRuns: number, totalIncidentsFound: number}}
+     */
+    getStatus() {
+        return {
+            state: this.state,
+            checking: Boolean(this.currentRun),
+            intervalSeconds: this.settings.intervalSeconds,
+            triggerOnDataUpdate: this.settings.triggerOnDataUpdate,
+            nextRunAt: this.nextRunAt,
+            lastRun: this.lastRun,
+            runCount: this.runCount,
+            skippedRuns: this.skippedRuns,
+            totalIncidentsFound: this.totalIncidentsFound
+        };
+    }
+
+    notifyStatus() {
+        if (this.onStatusChange) {
+            this.onStatusChange(this.getStatus());
+        }
     }
 
     /**
      * 주기적으로 서버 데이터를 확인하고 장애를 감지합니다.
-     * @param {Array} currentServerData 현재 서버 데이터 배열
+     * @param {Array} [currentServerData] 현재 서버 데이터 배열 (생략 시 데이터 소스의 최신 데이터 사용)
      */
-    async checkServersAndReport(currentServerData) {
+    async checkServersAndReport(currentServerData = this.latestServerData) {
         if (!currentServerData || currentServerData.length === 0) {
-            console.warn("[Agent] 확인할 서버 데이터가 없습니다.");
+            this.logger.warn("[Agent] 확인할 서버 데이터가 없습니다.");
             return null; // 감지된 장애 없음
         }
         this.lastCheckTimestamp = new Date();
-        console.log(`[Agent] 서버 데이터 확인 시작: ${this.lastCheckTimestamp.toLocaleString()}`);
+        this.logger.log(`[Agent] 서버 데이터 확인 시작: ${this.lastCheckTimestamp.toLocaleString()}`);
 
         const newIncidents = [];
-
         for (const server of currentServerData) {
-            if (!server || !server.hostname) continue;
-
-            const failedConditions = [];
-            for (const fc of this.failureConditions) {
-                if (fc.condition(server)) {
-                    failedConditions.push({
-                        id: fc.id,
-                        name: fc.name,
-                        value: fc.serverMetric ? fc.serverMetric(server).toFixed(fc.unit === '%' ? 1: 0) + fc.unit : (fc.getStoppedServices ? fc.getStoppedServices(server).join(', ') : '발생'),
-                        serverHostname: server.hostname
-                    });
+            const incident = await this.checkServer(server);
+            if (incident) newIncidents.push(incident);
+        }
+
+        const recorded = this.recordIncidents(newIncidents);
+        this.closeRemovedServerIncidents(currentServerData);
+        this.dispatchNotifications();
+        this.clearOldIncidents();
+        this.persistIncidents();
+        if (recorded.length > 0) {
+            return recorded; // 새로 감지된 장애 보고서 반환
+        }
+        
+        this.logger.log("[Agent] 신규 감지된 장애 없음.");
+        return null;
+    }
+
+    /**
+     * 점검한 서버 데이터에 없는 서버의 진행 중인 장애를 'removed'로 해결합니다.
+     * 사라진 서버는 조건이 해소됐는지 알 수 없어 자동 해결(autoResolveAfter)에 이르지 못하고 반복 알림만 계속되므로 바로 종료합니다.
+     * @param {Array} servers 이번 점검의 서버 데이터 전체
+     * @returns {Array<Object>} 종료한 장애
+     */
+    closeRemovedServerIncidents(servers) {
+        const hostnames = new Set(servers.map(server => server && server.hostname));
+        return this.detectedIncidents
+            .filter(incident => isActive(incident) && !hostnames.has(incident.serverName))
+            .map(incident => this.closeIncident(incident, 'Agent', 'removed'));
+    }
+
+    /**
+     * 서버 한 대의 장애 조건(심각 규칙, 이상 징후, 데이터 수신 없음)을 확인합니다.
+     * 진행 중인 장애가 있으면 조건 추가/해소와 심각도 변화를 그 장애에 반영하고(자동 해결 포함), 없으면 새 장애 보고서를 생성합니다.
+     * 점검 중인 서버(server_status.js의 isInMaintenance)는 확인하지 않습니다.
+     * @param {Object} server 서버 데이터
+     * @param {Object} [options]
+     * @param {boolean} [options.fullCheck=true] 전체 점검의 일부인지 (false면 스트림 변경 점검 - 자동 해결 횟수를 세지 않음)
+     * @returns {Promise<Object|null>} 새 장애 (없으면 null)
+     */
+    async checkServer(server, { fullCheck = true } = {}) {
+        const failedConditions = this.getFailedConditions(server);
+        if (!failedConditions) return null;
+        const ongoing = this.findOngoingIncident(server.hostname);
+        if (ongoing) {
+            await this.updateIncident(ongoing, server, failedConditions, { fullCheck });
+            return null;
+        }
+        if (failedConditions.length === 0) return null;
+        return this.buildIncident(server, failedConditions);
+    }
+
+    /**
+     * 서버 한 대의 현재 장애 조건
+     * @param {Object} server 서버 데이터
+     * @returns {Array<Object>|null} 장애 조건 { id, fingerprint, name, value, severity, serverHostname } (없으면 빈 배열),
+     *   확인하지 않는 서버(점검 중)는 null
+     */
+    getFailedConditions(server) {
+        if (!server || !server.hostname || isInMaintenance(server)) return null;
+
+        // 데이터 수신이 끊긴 서버는 마지막 지표가 현재 값이 아니므로 '데이터 수신 없음' 조건 하나로 보고
+        const stale = this.aiProcessor && typeof this.aiProcessor.getStaleness === 'function'
+            ? this.aiProcessor.getStaleness(server)
+            : null;
+        if (stale) {
+            const finding = buildStaleFinding(server, stale);
+            return [{
+                id: finding.ruleId,
+                fingerprint: incidentFingerprint(server.hostname, finding.ruleId),
+                name: finding.name,
+                value: formatStaleness(stale),
+                severity: finding.severity,
+                serverHostname: server.hostname
+            }];
+        }
+
+        // 심각(critical) 규칙 일치 결과를 규칙별 장애 조건으로 묶음 (예: 디스크 규칙에 마운트 두 개가 일치하면 한 조건)
+        const failedConditions = [];
+        // 지속 시간/복구 조건이 반영되도록 AIProcessor의 이력을 함께 넘김 (순간 급증은 장애로 보고하지 않음)
+        const history = this.aiProcessor && typeof this.aiProcessor.getRuleHistory === 'function'
+            ? this.aiProcessor.getRuleHistory(server)
+            : [];
+        // 이상 징후는 심각도와 관계없이 장애 조건 (관측 값과 예상 범위를 함께 보고)
+        const anomalies = this.aiProcessor && typeof this.aiProcessor.detectAnomalies === 'function'
+            ? this.aiProcessor.detectAnomalies(server)
+            : [];
+        [...this.rulesEngine.evaluate(server, { history }).filter(finding => finding.severity === 'critical'), ...anomalies]
+            .forEach(finding => {
+                const value = finding.expected
+                    ? `${formatFindingValue(finding)} (예상 ${formatExpectedRange(finding.expected)})`
+                    : formatFindingValue(finding);
+                const existing = failedConditions.find(fc => fc.id === finding.ruleId);
+                if (existing) {
+                    existing.value += `, ${value}`;
+                    return;
                 }
+                failedConditions.push({
+                    id: finding.ruleId,
+                    fingerprint: incidentFingerprint(server.hostname, finding.ruleId),
+                    name: finding.name,
+                    value,
+                    severity: finding.severity,
+                    serverHostname: server.hostname
+                });
+            });
+        return failedConditions;
+    }
+
+    // 서버의 진행 중인 장애 (서버마다 하나, 새 조건은 이 장애에 합쳐짐)
+    findOngoingIncident(hostname) {
+        return this.detectedIncidents.find(incident => incident.serverName === hostname && isActive(incident)) || null;
+    }
+
+    /**
+     * 진행 중인 장애에 이번 점검 결과를 반영합니다.
+     * 새 장애 조건(지문)은 장애에 합치고, 사라진 조건은 해소로 기록하며, 심각도가 바뀌면 상승/하강을 기록합니다.
+     * 조건 요약(conditions, conditionIds)과 상관 분석 그룹은 두 경우 모두 진행 중인 조건으로 다시 계산하며,
+     * 조건이 모두 사라진 전체 점검이 autoResolveAfter회 이어지면 자동 해결합니다 (스트림 변경 점검은 횟수를 세지 않음).
+     * @param {Object} incident 진행 중인 장애
+     * @param {Object} server 서버 데이터
+     * @param {Array<Object>} failedConditions 이번 점검의 장애 조건 (getFailedConditions)
+     * @param {Object} [options]
+     * @param {boolean} [options.fullCheck=true] 전체 점검의 일부인지 (checkServer 참고)
+     */
+    async updateIncident(incident, server, failedConditions, { fullCheck = true } = {}) {
+        const now = new Date();
+        const failing = new Set(failedConditions.map(fc => fc.fingerprint));
+        const cleared = incident.conditionStates.filter(condition => condition.active && !failing.has(condition.fingerprint));
+        cleared.forEach(condition => {
+            condition.active = false;
+            condition.clearedAt = now;
+            addTimeline(incident, now, 'condition_cleared', `${condition.name} 해소`);
+        });
+
+        if (failedConditions.length === 0) {
+            // 해소된 조건이 목록/알림/상관 분석에 남지 않도록 조건 요약과 그룹을 다시 계산
+            this.applyServerSnapshot(incident, server);
+            if (cleared.length > 0) {
+                this.incidentGroups = correlateIncidents(this.getOpenIncidents());
             }
+            if (fullCheck && ++incident.cleanChecks >= this.settings.autoResolveAfter) {
+                this.closeIncident(incident, 'Agent', 'auto');
+            }
+            return;
+        }
 
-            if (failedConditions.length > 0) {
-                const incidentId = `${server.hostname}-${failedConditions.map(fc => fc.id).join('-')}`;
-                if (!this.detectedIncidents.find(inc => inc.id === incidentId && (new Date() - inc.timestamp < 60 * 60 * 1000))) { // 1시간 내 중복 방지
-                    const incidentReport = await this.generateIncidentReport(server, failedConditions);
-                    newIncidents.push({
-                        id: incidentId,
-                        report: incidentReport,
-                        serverName: server.hostname,
-                        timestamp: new Date(),
-                        conditions: failedConditions.map(fc => fc.name)
-                    });
-                }
+        incident.cleanChecks = 0;
+        incident.lastSeenAt = now;
+        const added = [];
+        failedConditions.forEach(fc => {
+            const condition = incident.conditionStates.find(item => item.fingerprint === fc.fingerprint);
+            if (!condition) {
+                incident.conditionStates.push(toConditionState(fc, now));
+                added.push(fc);
+                addTimeline(incident, now, 'condition_added', `${fc.name} 추가 (${fc.value})`);
+                return;
             }
+            if (!condition.active) {
+                added.push(fc);
+                addTimeline(incident, now, 'condition_added', `${fc.name} 재발 (${fc.value})`);
+            }
+            Object.assign(condition, { value: fc.value, severity: fc.severity, lastSeenAt: now, active: true, clearedAt: null });
+        });
+        this.applyServerSnapshot(incident, server);
+        this.updateIncidentSeverity(incident, now);
+        if (added.length > 0 || cleared.length > 0) {
+            this.incidentGroups = correlateIncidents(this.getOpenIncidents()); // 조건이 바뀌면 상관 분석도 다시
         }
 
-        if (newIncidents.length > 0) {
-            this.detectedIncidents = this.detectedIncidents.concat(newIncidents);
-            this.incidentHistory = newIncidents.concat(this.incidentHistory).slice(0, this.maxHistory); // 최신 이력 관리
-            console.log(`[Agent] ${newIncidents.length}개의 신규 장애 감지됨.`, newIncidents);
-            return newIncidents; // 새로 감지된 장애 보고서 반환
+        // 새 조건이 합쳐지면 현재 조건 전체로 보고서를 다시 작성
+        if (added.length > 0) {
+            incident.report = await this.generateIncidentReport(server, failedConditions, incident.impact);
         }
-        
-        console.log("[Agent] 신규 감지된 장애 없음.");
+    }
+
+    /**
+     * 진행 중인 조건 중 가장 높은 심각도로 장애 심각도를 갱신하고, 바뀌면 상승/하강을 기록합니다.
+     * 조건이 모두 해소돼 자동 해결을 기다리는 동안에는 마지막 심각도를 유지합니다.
+     */
+    updateIncidentSeverity(incident, now) {
+        const active = incident.conditionStates.filter(condition => condition.active);
+        if (active.length === 0) return;
+        const severity = active.reduce((worst, condition) =>
+            (getStatusWeight(condition.severity) > getStatusWeight(worst) ? condition.severity : worst), active[0].severity);
+        if (severity === incident.severity) return;
+
+        const escalated = getStatusWeight(severity) > getStatusWeight(incident.severity);
+        addTimeline(incident, now, escalated ? 'escalated' : 'deescalated',
+            `심각도 ${escalated ? '상승' : '하강'}: ${getStatusLabel(incident.severity)} → ${getStatusLabel(severity)}`,
+            { from: incident.severity, to: severity });
+        incident.severity = severity;
+        if (escalated && this.settings.notifyOnEscalation) {
+            incident.escalationPending = true; // 반복 간격과 관계없이 다음 알림에 포함
+        }
+    }
+
+    // 장애 목록/상관 분석에 쓰는 조건 요약과 서버 정보를 현재 값으로 갱신
+    applyServerSnapshot(incident, server) {
+        const active = incident.conditionStates.filter(condition => condition.active);
+        incident.conditions = active.map(condition => condition.name);
+        incident.conditionIds = active.map(condition => condition.id);
+        incident.fingerprints = active.map(condition => condition.fingerprint);
+        incident.stoppedServices = Object.entries(server.services || {})
+            .filter(([, state]) => state === 'stopped')
+            .map(([name]) => name);
+        incident.errors = (server.errors || []).filter(error => typeof error === 'string');
+        // 서비스 의존 관계상 이 서버의 장애(중단된 서비스, 심각 상태)에 영향 받는 구성 요소 (topology.js)
+        const impact = this.aiProcessor && typeof this.aiProcessor.getServerImpact === 'function'
+            ? this.aiProcessor.getServerImpact(server)
+            : { impacted: [], hosts: [] };
+        incident.impactedHosts = impact.hosts;
+        incident.impact = impact.hosts.length > 0 ? formatImpact(impact.impacted, [server.hostname]) : '';
+    }
+
+    /**
+     * 장애 조건으로 새 장애와 장애 보고서를 만듭니다. 서버에 진행 중인 장애가 있으면 null을 반환합니다 (updateIncident로 합침).
+     * @param {Object} server 서버 데이터
+     * @param {Array<Object>} failedConditions 장애 조건 (getFailedConditions)
+     * @returns {Promise<Object|null>}
+     */
+    async buildIncident(server, failedConditions) {
+        if (this.findOngoingIncident(server.hostname)) {
+            return null;
+        }
+        const detectedAt = new Date();
+        const incident = {
+            id: `${server.hostname}-${detectedAt.getTime()}`,
+            serverName: server.hostname,
+            timestamp: detectedAt,
+            serverType: server.server_type || null, // 상관 분석과 알림 라우팅에 사용하는 서버 정보
+            environment: server.environment || null,
+            // 장애 조건별 상태 (지문 = 서버 + 조건, 진행 중인 조건은 active)
+            conditionStates: failedConditions.map(fc => toConditionState(fc, detectedAt)),
+            severity: null,
+            escalationPending: false,
+            timeline: [],           // 열림, 조건 추가/해소, 심각도 상승/하강, 확인, 해결 기록
+            // 처리 상태
+            state: INCIDENT_STATES.OPEN,
+            lastSeenAt: detectedAt,
+            cleanChecks: 0,         // 장애 조건이 모두 사라진 연속 점검 횟수 (자동 해결 판단)
+            acknowledgedAt: null,
+            acknowledgedBy: null,
+            resolvedAt: null,
+            resolvedBy: null,
+            resolution: null,       // 'auto' | 'manual' | 'removed' (서버가 데이터에서 사라짐)
+            // 알림 (dispatchNotifications)
+            notifications: [],      // { at, reason, severity }
+            lastNotifiedAt: null,
+            nextNotificationAt: null
+        };
+        this.applyServerSnapshot(incident, server);
+        incident.severity = failedConditions.reduce((worst, fc) =>
+            (getStatusWeight(fc.severity) > getStatusWeight(worst) ? fc.severity : worst), failedConditions[0].severity);
+        addTimeline(incident, detectedAt, 'opened', `장애 감지: ${incident.conditions.join(', ')}`);
+        incident.report = await this.generateIncidentReport(server, failedConditions, incident.impact);
+        return incident;
+    }
+
+    // 새 장애를 감지 목록과 최신 이력에 추가
+    recordIncidents(newIncidents) {
+        const incidents = (Array.isArray(newIncidents) ? newIncidents : [newIncidents]).filter(Boolean)
+            // 보고서를 만드는 동안 같은 서버의 장애가 먼저 기록됐으면 제외 (스트림 변경이 연달아 올 때, 다음 점검에서 합쳐짐)
+            .filter(incident => !this.findOngoingIncident(incident.serverName));
+        if (incidents.length === 0) return incidents;
+
+        this.detectedIncidents = this.detectedIncidents.concat(incidents);
+        this.incidentHistory = incidents.concat(this.incidentHistory).slice(0, this.maxHistory); // 최신 이력 관리
+        this.incidentGroups = correlateIncidents(this.getOpenIncidents());
+        this.logger.log(`[Agent] ${incidents.length}개의 신규 장애 감지됨.`, incidents);
+        return incidents;
+    }
+
+    /**
+     * 알림을 보낼 장애를 골라 onNotify로 전달하고, 전송 결과를 보고 알림 기록을 남깁니다.
+     * 새 장애는 바로, 심각도가 올라간 장애는 notifyOnEscalation이면 바로, 그 밖에는 repeatMinutes 일정에 따라 반복 알림합니다.
+     * onNotify가 전송 기록(Notifier.notify 결과)을 돌려주면 그 장애의 전송이 모두 실패하거나 전송 제한에 걸린 경우 기록하지 않으므로
+     * 다음 점검에서 같은 이유로 다시 보냅니다 (반복 간격은 실제로 전해진 알림부터). 결과를 기다리는 동안에는 같은 장애를 다시 고르지 않습니다.
+     * @returns {Array<{incident: Object, reason: string}>} 보낸 알림 (reason: 'opened' | 'escalated' | 'repeat')
+     */
+    dispatchNotifications() {
+        const now = new Date();
+        const due = this.getOpenIncidents()
+            .filter(incident => !this.pendingNotifications.has(incident.id))
+            .map(incident => ({ incident, reason: this.getNotificationReason(incident, now) }))
+            .filter(notification => notification.reason);
+        if (due.length === 0) return due;
+        if (!this.onNotify) {
+            due.forEach(notification => this.recordNotification(notification, now));
+            return due;
+        }
+
+        due.forEach(({ incident }) => this.pendingNotifications.add(incident.id));
+        Promise.resolve()
+            .then(() => this.onNotify(due))
+            .then(deliveries => {
+                const delivered = due.filter(({ incident }) => isNotificationDelivered(incident, deliveries));
+                delivered.forEach(notification => this.recordNotification(notification, now));
+                this.persistIncidents(delivered.map(({ incident }) => incident));
+                if (this.onIncidentChange) due.forEach(({ incident }) => this.onIncidentChange(incident));
+            })
+            .catch(error => this.logger.error('[Agent] 장애 알림 전송 실패:', error))
+            .finally(() => due.forEach(({ incident }) => this.pendingNotifications.delete(incident.id)));
+        return due;
+    }
+
+    // 전해진 알림을 장애에 기록하고 다음 반복 알림 시각을 정함
+    recordNotification({ incident, reason }, at) {
+        incident.notifications.push({ at, reason, severity: incident.severity });
+        incident.lastNotifiedAt = at;
+        incident.escalationPending = false;
+        incident.nextNotificationAt = getNextNotificationTime(incident, this.settings.repeatMinutes);
+    }
+
+    // 지금 알림을 보낼 이유 (없으면 null)
+    getNotificationReason(incident, now) {
+        if (incident.notifications.length === 0) return 'opened';
+        if (incident.escalationPending) return 'escalated';
+        if (incident.state === INCIDENT_STATES.ACKNOWLEDGED && !this.settings.repeatWhileAcknowledged) return null;
+        if (incident.nextNotificationAt && now >= incident.nextNotificationAt) return 'repeat';
         return null;
     }
 
     /**
-     * AI를 사용하여 장애 보고서를 생성합니다.
+     * AI를 사용하여 장애 보고서(HTML)를 생성합니다. 서버 데이터와 AI 응답은 이스케이프해서 넣습니다.
      * @param {Object} server 장애가 발생한 서버 데이터
      * @param {Array} failedConditions 감지된 장애 조건들
+     * @param {string} [impactSummary] 의존 관계상 영향 받는 구성 요소 (formatImpact() 결과)
      */
-    async generateIncidentReport(server, failedConditions) {
+    async generateIncidentReport(server, failedConditions, impactSummary = '') {
         if (!this.aiProcessor) {
-            console.error("[Agent] AI Processor가 설정되지 않아 보고서를 생성할 수 없습니다.");
+            this.logger.error("[Agent] AI Processor가 설정되지 않아 보고서를 생성할 수 없습니다.");
             return "AI Processor가 설정되지 않아 상세 보고서를 생성할 수 없습니다.";
         }
 
         let query = `서버 ${server.hostname}에서 ${failedConditions.map(fc => fc.name).join(', ')} 문제가 동시 감지되었습니다. `;
         query += `각 문제의 현재 값은 다음과 같습니다: `;
         query += failedConditions.map(fc => `${fc.name} (${fc.value})`).join(', ');
+        if (impactSummary) {
+            query += `. 의존 관계상 영향 받는 구성 요소: ${impactSummary}`;
+        }
         query += `. 이 상황에 대한 종합적인 분석과 긴급 조치 방안을 포함한 상세 보고서를 작성해주세요.`;
 
         try {
@@ -109,15 +758,16 @@ class Agent {
             let htmlReport = `
                 <div class="incident-report-card card mb-3">
                     <div class="card-header bg-danger text-white">
-                        <h5 class="mb-0"><i class="fas fa-triangle-exclamation me-2"></i>장애 발생: ${server.hostname}</h5>
+                        <h5 class="mb-0"><i class="fas fa-triangle-exclamation me-2"></i>장애 발생: ${escapeHtml(server.hostname)}</h5>
                     </div>
                     <div class="card-body">
                         <p class="card-text"><strong>감지 시각:</strong> ${new Date().toLocaleString()}</p>
                         <p class="card-text"><strong>문제 요약:</strong></p>
-                        <ul>${failedConditions.map(fc => `<li>${fc.name}: ${fc.value}</li>`).join('')}</ul>
+                        <ul>${failedConditions.map(fc => `<li>${escapeHtml(fc.name)}: ${escapeHtml(fc.value)}</li>`).join('')}</ul>
+                        ${impactSummary ? `<p class="card-text"><strong>영향 범위:</strong> ${escapeHtml(impactSummary)}</p>` : ''}
                         <hr>
                         <h6 class="card-subtitle mb-2 text-muted">AI 분석 및 권고:</h6>
-                        <div class="ai-generated-content">${reportContent.replace(/\n/g, '<br>')}</div>
+                        <div class="ai-generated-content">${escapeHtml(reportContent).replace(/\n/g, '<br>')}</div>
                     </div>
                     <div class="card-footer text-muted">
                         본 보고서는 시스템에 의해 자동 생성되었습니다.
@@ -126,8 +776,8 @@ class Agent {
             `;
             return htmlReport;
         } catch (error) {
-            console.error(`[Agent] AI 보고서 생성 중 오류 발생 (${server.hostname}):`, error);
-            return `AI 보고서 생성 중 오류 발생: ${error.message}`;
+            this.logger.error(`[Agent] AI 보고서 생성 중 오류 발생 (${server.hostname}):`, error);
+            return `AI 보고서 생성 중 오류 발생: ${escapeHtml(error.message)}`;
         }
     }
 
@@ -135,13 +785,102 @@ class Agent {
         return this.incidentHistory;
     }
 
+    /**
+     * 장애 목록 (최근에 감지된 순)
+     * @param {Object} [filter]
+     * @param {string} [filter.state] INCIDENT_STATES 값 (생략하면 진행 중이거나 최근 해결된 장애 전체)
+     * @returns {Array<Object>}
+     */
+    getIncidents({ state } = {}) {
+        return this.detectedIncidents
+            .filter(incident => !state || incident.state === state)
+            .sort((a, b) => b.timestamp - a.timestamp);
+    }
+
+    // 진행 중인 장애 (열림 + 확인됨, 최근에 감지된 순)
+    getOpenIncidents() {
+        return this.getIncidents().filter(isActive);
+    }
+
+    // 최근 해결된 장애 (resolvedRetentionHours 이내, 최근에 해결된 순)
+    getResolvedIncidents() {
+        return this.getIncidents({ state: INCIDENT_STATES.RESOLVED }).sort((a, b) => b.resolvedAt - a.resolvedAt);
+    }
+
+    findIncident(incidentId) {
+        return this.detectedIncidents.find(incident => incident.id === incidentId) || null;
+    }
+
+    /**
+     * 장애를 확인 처리합니다 (담당자가 대응 중임을 표시, 장애 조건이 사라지면 자동 해결은 그대로 동작).
+     * @param {string} incidentId 장애 ID
+     * @param {string} [by] 확인한 사람
+     * @returns {Object|null} 확인된 장애 (없거나 열린 장애가 아니면 null)
+     */
+    acknowledgeIncident(incidentId, by = '운영자') {
+        const incident = this.findIncident(incidentId);
+        if (!incident || incident.state !== INCIDENT_STATES.OPEN) return null;
+        incident.state = INCIDENT_STATES.ACKNOWLEDGED;
+        incident.acknowledgedAt = new Date();
+        incident.acknowledgedBy = by;
+        addTimeline(incident, incident.acknowledgedAt, 'acknowledged', `${by}님이 확인`);
+        this.persistAcknowledgement(incident, INCIDENT_STATES.ACKNOWLEDGED, by, incident.acknowledgedAt);
+        this.logger.log(`[Agent] 장애 확인: ${incident.id} (${by})`);
+        this.notifyIncidentChange(incident);
+        return incident;
+    }
+
+    /**
+     * 장애를 직접 해결 처리합니다.
+     * @param {string} incidentId 장애 ID
+     * @param {string} [by] 해결한 사람
+     * @returns {Object|null} 해결된 장애 (없거나 이미 해결됐으면 null)
+     */
+    resolveIncident(incidentId, by = '운영자') {
+        const incident = this.findIncident(incidentId);
+        if (!incident || !isActive(incident)) return null;
+        return this.closeIncident(incident, by, 'manual');
+    }
+
+    // 장애를 해결 상태로 바꿈 (resolution: 'auto' 장애 조건이 사라져 자동 해결, 'manual' 운영자가 해결, 'removed' 서버가 데이터에서 사라짐)
+    closeIncident(incident, by, resolution) {
+        incident.state = INCIDENT_STATES.RESOLVED;
+        incident.resolvedAt = new Date();
+        incident.resolvedBy = by;
+        incident.resolution = resolution;
+        addTimeline(incident, incident.resolvedAt, 'resolved', RESOLUTION_MESSAGES[resolution] || `${by}님이 해결`);
+        if (resolution === 'manual') this.persistAcknowledgement(incident, INCIDENT_STATES.RESOLVED, by, incident.resolvedAt);
+        this.incidentGroups = correlateIncidents(this.getOpenIncidents());
+        this.logger.log(`[Agent] 장애 해결 (${resolution}): ${incident.id} (${by})`);
+        this.notifyIncidentChange(incident);
+        return incident;
+    }
+
+    notifyIncidentChange(incident) {
+        this.persistIncidents([incident]);
+        if (this.onIncidentChange) {
+            this.onIncidentChange(incident);
+        }
+    }
+
+    /**
+     * 진행 중인 장애를 상관 관계로 묶은 그룹 (그룹마다 추정 근원 서버와 영향 받은 호스트 목록)
+     * @param {Array<Object>} [incidents] 묶을 장애 (생략하면 진행 중인 장애)
+     * @returns {Array<Object>} correlateIncidents() 결과
+     */
+    getIncidentGroups(incidents) {
+        return incidents ? correlateIncidents(incidents) : this.incidentGroups;
+    }
+
+    // 해결된 지 resolvedRetentionHours가 지난 장애를 정리합니다 (진행 중인 장애는 오래돼도 유지)
     clearOldIncidents() {
         const now = new Date();
-        this.detectedIncidents = this.detectedIncidents.filter(
-            inc => (now - inc.timestamp) < 24 * 60 * 60 * 1000 // 24시간 이내 내용만 유지
-        );
+        const retentionMs = this.settings.resolvedRetentionHours * HOUR_MS;
+        this.detectedIncidents = this.detectedIncidents.filter(inc => isActive(inc) || now - inc.resolvedAt < retentionMs);
     }
 }
 
-// Agent 클래스를 전역으로 노출 (server_dashboard.html에서 사용하기 위함)
-window.Agent = Agent; // 또는 모듈 시스템 사용 시 export 
\ No newline at end of file
+// Agent 클래스를 전역으로도 노출 (server_dashboard.html에서 사용하기 위함)
+if (typeof window !== 'undefined') {
+    window.Agent = Agent;
+} 
\ No newline at end of file
@@ -2,23 +2,53 @@
  * OpenManager AI - AI 질의 프로세서
  * 서버 모니터링 데이터를 분석하여 자연어 질의에 응답하고
  * 자동 문제 분석 및 해결 방법을 제공합니다.
+ * DOM에 의존하지 않으므로 Node에서도 데이터 소스만 연결하면 동작합니다 (headless.js 참고).
  */
 
 import { CONFIG } from './config.js';
+import { getDefaultDataSource } from './data_source.js';
+import {
+    normalizeServerRecords,
+    getDisks,
+    getMaxDiskUsage,
+    getDiskThreshold,
+    getNetInterfaces,
+    getNetErrorCount
+} from './server_schema.js';
+import { getDefaultRulesEngine, describeRuleCondition } from './rules_engine.js';
+import { SERVER_STATUSES, STATUS_INFO, countServersByStatus, getStatusOverride, getStatusWeight, isInMaintenance } from './server_status.js';
+import { AnomalyDetector } from './anomaly_detector.js';
+import { ResourceForecaster, formatDuration } from './forecast.js';
+import { estimateInterval, getBatchReferenceTime, getStaleness, buildStaleFinding } from './staleness.js';
+import { buildTopology, findFailedNodes, getBlastRadius, analyzeBlastRadius, describeNode, formatImpact } from './topology.js';
 
 export class AIProcessor {
-    constructor() {
+    /**
+     * @param {Object} options
+     * @param {DataSource} [options.dataSource] 서버 데이터를 받을 데이터 소스 (없으면 브라우저에서는 serverDataUpdated 이벤트 사용)
+     * @param {RulesEngine} [options.rulesEngine] 상태 판단/문제 감지 규칙 엔진 (기본: rules_engine.js의 공유 규칙 엔진)
+     * @param {AnomalyDetector} [options.anomalyDetector] 기준선 대비 이상 징후 탐지기 (기본: config.js의 ANOMALY_DETECTION 설정)
+     * @param {ResourceForecaster} [options.forecaster] 디스크/메모리 고갈 예측기 (기본: config.js의 FORECAST 설정)
+     * @param {Object} [options.logger] 경고와 오류를 남길 로거 (console과 같은 log/warn/error, 기본: console)
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || console;
         this.serverData = null;
+        this.dataSource = null;
+        this.lastReceivedData = null; // 같은 데이터가 중복 전달될 때 이력이 두 번 쌓이지 않도록 기록
         this.historicalData = {};  // 10분 단위 데이터 저장
         this.maxHistoryPoints = 144;  // 24시간 (10분 단위)
-        this.problemPatterns = this.initProblemPatterns();
-        this.initializeData();
-        this.setupDataListener();
-        this.statusEmoji = {
-            normal: '✅',
-            warning: '⚠️',
-            critical: '🔴'
-        };
+        this.store = null;  // 이력 포인트를 저장할 영구 저장소 (storage.js, attachStore)
+        this.rulesEngine = options.rulesEngine || getDefaultRulesEngine(); // 상태 판단과 문제 감지의 유일한 기준
+        this.anomalyDetector = options.anomalyDetector || new AnomalyDetector(); // 서버별 이력 기준선 대비 이상 징후
+        this.forecaster = options.forecaster || new ResourceForecaster(); // 디스크/메모리 추세로 100% 도달 시각 예측
+        if (options.dataSource) {
+            this.setDataSource(options.dataSource);
+        } else if (typeof window !== 'undefined') {
+            this.initializeData();
+            this.setupDataListener();
+        }
+        this.statusEmoji = Object.fromEntries(SERVER_STATUSES.map(status => [status, STATUS_INFO[status].emoji]));
     }
 
     setupDataListener() {
@@ -27,22 +57,54 @@ export class AIProcessor {
         });
     }
 
+    /**
+     * 데이터 소스를 연결합니다. 기존 소스 구독은 해제됩니다.
+     * @param {DataSource} dataSource data_source.js의 데이터 소스 인스턴스
+     * @returns {Promise<void>} 연결과 과거 이력 적재가 끝나면 완료 (연결 실패는 로그만 남김)
+     */
+    setDataSource(dataSource) {
+        if (this.unsubscribeDataSource) {
+            this.unsubscribeDataSource();
+        }
+        // 다른 소스로 바꾸면(파일 가져오기 등) 이전 소스의 이력과 섞이지 않도록 비움
+        if (this.dataSource && this.dataSource !== dataSource) {
+            this.historicalData = {};
+            this.lastReceivedData = null;
+        }
+        this.dataSource = dataSource;
+        this.unsubscribeDataSource = dataSource.subscribe((data, changes) => this.updateData(data, changes));
+        return dataSource.connect()
+            .then(() => dataSource.fetchHistory())
+            .then(history => this.importHistory(history)) // 시작하자마자 24시간 추세 분석이 가능하도록 과거 이력 적재
+            .catch(error => {
+                this.logger.error('[AIProcessor] 데이터 소스 연결 실패:', error);
+            });
+    }
+
     async initializeData() {
-        this.serverData = window.serverData || [];
+        this.serverData = normalizeServerRecords(window.serverData || []);
         if (this.serverData.length > 0) {
             // 초기 데이터를 이력 데이터에 추가
             this.addDataToHistory(this.serverData);
         }
     }
 
-    updateData(newData) {
-        this.serverData = newData;
-        // 새 데이터를 이력 데이터에 추가
-        this.addDataToHistory(newData);
+    updateData(newData, changes) {
+        if (newData === this.lastReceivedData) return;
+        this.lastReceivedData = newData;
+        this.serverData = normalizeServerRecords(newData); // 표준 스키마로 변환
+        // 새 데이터를 이력 데이터에 추가 (스트림 변경분이면 값이 바뀐 서버만 추가해 이력이 중복되지 않도록 함)
+        if (changes && changes.delta) {
+            const touched = new Set([...changes.added, ...changes.changed]);
+            this.addDataToHistory(this.serverData.filter(server => touched.has(server.hostname)));
+        } else {
+            this.addDataToHistory(this.serverData);
+        }
     }
 
     addDataToHistory(data) {
         const currentTimestamp = new Date().toISOString();
+        const added = {};
         
         // 각 서버별로 데이터 저장
         data.forEach(server => {
@@ -51,160 +113,208 @@ export class AIProcessor {
                 this.historicalData[hostname] = [];
             }
             
-            // 새 데이터 포인트 추가
-            this.historicalData[hostname].push({
-                timestamp: currentTimestamp,
-                cpu_usage: server.cpu_usage,
-                memory_usage_percent: server.memory_usage_percent,
-                disk_usage_percent: server.disk[0].disk_usage_percent,
-                network_rx: server.net.rx_bytes,
-                network_tx: server.net.tx_bytes,
-                services: {...server.services},
-                errors: [...(server.errors || [])],
-                status: this.calculateServerStatus(server)
-            });
+            // 새 데이터 포인트 추가 (수집 시각 기준 - 과거 이력으로 이미 적재된 같은 시각의 샘플은 덮어써 중복되지 않도록 함)
+            const points = this.historicalData[hostname];
+            const point = this.toHistoryPoint(server, server.timestamp || currentTimestamp);
+            if (points.length > 0 && points[points.length - 1].timestamp === point.timestamp) {
+                points[points.length - 1] = point;
+            } else {
+                points.push(point);
+            }
+            added[hostname] = [point];
             
             // 최대 데이터 포인트 수 유지
             if (this.historicalData[hostname].length > this.maxHistoryPoints) {
                 this.historicalData[hostname].shift();
             }
         });
-    }
-
-    calculateServerStatus(server) {
-        // CPU, 메모리, 디스크 사용률에 따른 서버 상태 결정
-        // 이 함수는 이제 getEffectiveServerStatus로 대체될 수 있으나, 
-        // 기존 historicalData 추가 로직 등에서 사용될 수 있으므로 유지하거나 점검 필요.
         
-        // getEffectiveServerStatus 메서드가 존재하는지 확인하고 호출
-        if (typeof this.getEffectiveServerStatus === 'function') {
-            return this.getEffectiveServerStatus(server);
+        if (this.store) {
+            this.store.saveHistoryPoints(added).catch(error => this.logger.error('[AIProcessor] 이력 저장 실패:', error));
         }
+    }
 
-        // Fallback or original simple logic if getEffectiveServerStatus is not yet defined or during setup
-        if (server.cpu_usage >= 90 || 
-            server.memory_usage_percent >= 90 || 
-            (server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= 90)) {
-            return 'critical';
-        } else if (server.cpu_usage >= 70 || 
-                  server.memory_usage_percent >= 70 || 
-                  (server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= 70)) {
-            return 'warning';
-        } else {
-            return 'normal';
-        }
+    /**
+     * 데이터 소스의 과거 이력을 이력 데이터에 병합합니다 (같은 시각의 포인트는 덮어씀).
+     * @param {Object<string, Array>} history DataSource.fetchHistory() 결과
+     */
+    importHistory(history) {
+        this.mergeHistoryPoints(Object.fromEntries(Object.entries(history || {}).map(([hostname, records]) => [
+            hostname,
+            normalizeServerRecords(records).map(server => this.toHistoryPoint(server, server.timestamp || new Date().toISOString()))
+        ])));
     }
 
-    initProblemPatterns() {
-        // 일반적인 서버 문제 패턴 정의
-        // 순서 중요: Critical 패턴 우선, 그 다음 Warning 패턴
-        return [
-            // --- CRITICAL Patterns ---
-            {
-                id: 'critical_cpu',
-                condition: server => server.cpu_usage >= 90,
-                description: 'CPU 사용률이 90% 이상으로 매우 높음',
-                severity: 'critical',
-                causes: ['과도한 프로세스 실행', '백그라운드 작업 과부하', '리소스 집약적 애플리케이션', '악성 프로세스'],
-                solutions: ['불필요한 프로세스 종료 (top, htop)', '애플리케이션 최적화', '서버 스케일업', '로드 밸런싱']
-            },
-            {
-                id: 'critical_memory',
-                condition: server => server.memory_usage_percent >= 90,
-                description: '메모리 사용률이 90% 이상으로 매우 높음',
-                severity: 'critical',
-                causes: ['애플리케이션 메모리 누수', '캐시 설정 오류', '불필요한 서비스 과다 실행'],
-                solutions: ['OOM 로그 분석 (dmesg)', '메모리 사용량 높은 프로세스 확인 (ps aux --sort=-%mem)', '애플리케이션 재시작/디버깅', 'swap 공간 확인/추가']
-            },
-            {
-                id: 'critical_disk',
-                condition: server => server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= 90,
-                description: '주요 디스크 파티션 사용률 90% 이상',
-                severity: 'critical',
-                causes: ['로그 파일 누적', '임시 파일 미삭제', '데이터베이스 파일 급증', '백업 파일 과다'],
-                solutions: ['대용량 파일/디렉토리 찾기 (ncdu, du)', '오래된 로그/임시파일 삭제', '로그 로테이션 설정', '디스크 확장/정리']
-            },
-            {
-                id: 'service_down',
-                condition: server => server.services && Object.values(server.services).includes('stopped'),
-                description: '하나 이상의 주요 서비스가 중지됨',
-                severity: 'critical',
-                causes: ['서비스 충돌', '리소스 부족', '의존성 문제', '구성 오류'],
-                solutions: ['서비스 로그 확인 (journalctl -u <service_name>)', '서비스 재시작 (systemctl restart <service_name>)', '의존성 패키지 확인/설치', '서비스 설정 파일 검토']
-            },
-            {
-                id: 'critical_error_message',
-                condition: server => server.errors && server.errors.some(err => typeof err === 'string' && err.toLowerCase().includes('critical')),
-                description: '시스템 로그에 "Critical" 수준 오류 메시지 발생',
-                severity: 'critical',
-                causes: ['하드웨어 장애 임박', '커널 패닉', '중요 시스템 설정 오류'],
-                solutions: ['즉시 시스템 로그 상세 분석 (journalctl, /var/log/syslog)', '하드웨어 진단', '전문가 지원 요청']
-            },
-            // --- WARNING Patterns (Critical 조건에 해당하지 않을 때 검사) ---
-            {
-                id: 'warning_cpu',
-                condition: server => server.cpu_usage >= 70, // will only trigger if not >=90
-                description: 'CPU 사용률이 70% 이상으로 경고 수준',
-                severity: 'warning',
-                causes: ['일시적 부하 증가', '최적화되지 않은 쿼리/작업', '리소스 부족 경계'],
-                solutions: ['CPU 사용량 추이 모니터링', '최근 배포/변경 사항 확인', '자원 사용량 많은 프로세스 분석']
-            },
-            {
-                id: 'warning_memory',
-                condition: server => server.memory_usage_percent >= 70, // will only trigger if not >=90
-                description: '메모리 사용률이 70% 이상으로 경고 수준',
-                severity: 'warning',
-                causes: ['캐시 사용량 증가', '장시간 실행된 애플리케이션', '가용 메모리 부족 임박'],
-                solutions: ['메모리 사용 패턴 분석', '캐시 정책 검토', '불필요한 프로세스 정리 주기적 실행 고려']
-            },
-            {
-                id: 'warning_disk',
-                condition: server => server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= 70, // will only trigger if not >=90
-                description: '주요 디스크 파티션 사용률 70% 이상',
-                severity: 'warning',
-                causes: ['데이터 증가 추세', '정리되지 않은 파일들', '디스크 공간 부족 예측'],
-                solutions: ['정기적인 디스크 정리 스크립트 실행', '파일 시스템 점검', '사용량 알림 설정 강화']
-            },
-            {
-                id: 'warning_error_message',
-                condition: server => server.errors && 
-                                   server.errors.some(err => typeof err === 'string' && (err.toLowerCase().includes('warning') || err.toLowerCase().includes('error'))),
-                                // Critical 에러 메시지 패턴이 이미 위에서 Critical로 처리했을 것이므로, 여기서는 별도 중복 체크 안해도 됨.
-                description: '"Warning" 또는 "Error" 수준의 오류 메시지 발생',
-                severity: 'warning',
-                causes: ['경미한 설정 오류', '예상된 예외 상황', '잠재적 문제 징후'],
-                solutions: ['관련 로그 확인하여 원인 분석', '애플리케이션/시스템 설정 검토', '주기적인 시스템 상태 점검']
-            },
-            {
-                id: 'network_errors',
-                condition: server => server.net && (server.net.rx_errors > 50 || server.net.tx_errors > 50),
-                description: '네트워크 수신/송신 오류 다수 발생',
-                severity: 'warning',
-                causes: ['네트워크 인터페이스 문제', '케이블/스위치 불량', '드라이버 이슈', '네트워크 혼잡'],
-                solutions: ['네트워크 인터페이스 상태 확인 (ethtool, ip link)', '케이블 및 연결 점검', '네트워크 드라이버 업데이트/재설치', '네트워크 트래픽 분석']
-            }
-            // 기존 다른 패턴들도 필요에 따라 유지 또는 수정
-        ];
+    /**
+     * 이력 포인트를 이력 데이터에 병합합니다 (같은 시각의 포인트는 덮어쓰고 시각 순으로 maxHistoryPoints개 유지).
+     * @param {Object<string, Array<Object>>} pointsByHost 호스트명 → 이력 포인트 (toHistoryPoint 형식)
+     */
+    mergeHistoryPoints(pointsByHost) {
+        Object.entries(pointsByHost || {}).forEach(([hostname, newPoints]) => {
+            const points = new Map((this.historicalData[hostname] || []).map(point => [point.timestamp, point]));
+            newPoints.forEach(point => points.set(point.timestamp, point));
+            this.historicalData[hostname] = [...points.values()]
+                .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+                .slice(-this.maxHistoryPoints);
+        });
     }
 
-    getEffectiveServerStatus(server) {
-        if (!server) return 'normal'; // server 객체가 없으면 기본 정상
+    /**
+     * 영구 저장소를 연결합니다. 저장된 이력 포인트를 불러와 병합하고, 연결 전에 쌓인 이력과 이후 쌓이는 이력 포인트를 저장합니다.
+     * @param {PersistentStore} store storage.js의 저장소 (열린 상태)
+     * @returns {Promise<void>}
+     */
+    async attachStore(store) {
+        this.store = store;
+        const current = { ...this.historicalData }; // 병합하면 호스트별 배열이 새로 만들어지므로 연결 전 이력을 따로 보관
+        this.mergeHistoryPoints(await store.queryHistory());
+        await store.saveHistoryPoints(current);
+    }
 
-        // Critical 패턴 검사
-        for (const pattern of this.problemPatterns) {
-            if (pattern.severity === 'critical' && pattern.condition(server)) {
-                return 'critical';
-            }
-        }
+    // 서버 레코드를 이력 포인트로 변환
+    toHistoryPoint(server, timestamp) {
+        return {
+            timestamp,
+            cpu_usage: server.cpu_usage,
+            memory_usage_percent: server.memory_usage_percent,
+            disk_usage_percent: getMaxDiskUsage(server), // 가장 많이 찬 마운트 기준
+            network_rx: server.net.rx_bytes,
+            network_tx: server.net.tx_bytes,
+            // 규칙의 지속 시간/복구 조건을 마운트/인터페이스별로 평가할 수 있도록 함께 저장
+            disk: getDisks(server).map(disk => ({ mount: disk.mount, disk_usage_percent: disk.disk_usage_percent })),
+            net_interfaces: getNetInterfaces(server).map(item => ({ interface: item.interface, rx_errors: item.rx_errors, tx_errors: item.tx_errors })),
+            zombie_count: server.zombie_count,
+            services: {...server.services},
+            errors: [...(server.errors || [])],
+            status: this.calculateServerStatus(server)
+        };
+    }
+
+    /**
+     * 규칙의 지속 시간/복구 조건에 사용할 서버의 과거 샘플 (오래된 순, 현재 샘플 제외)
+     * 현재 데이터가 아닌 레코드(과거 레코드, 규칙 미리보기 등)는 이력 없이 현재 값만으로 판단하도록 빈 배열을 반환합니다.
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @returns {Array<Object>}
+     */
+    getRuleHistory(server) {
+        const isSameSample = (a, b) => a.cpu_usage === b.cpu_usage &&
+            a.memory_usage_percent === b.memory_usage_percent &&
+            getMaxDiskUsage(a) === getMaxDiskUsage(b);
+
+        const live = (this.serverData || []).find(item => item.hostname === server.hostname);
+        if (!live || !isSameSample(live, server)) return [];
+
+        // 현재 샘플이 이미 이력에 추가됐으면 마지막 포인트는 현재 샘플이므로 제외
+        const points = this.historicalData[server.hostname] || [];
+        const last = points[points.length - 1];
+        return last && isSameSample(last, server) ? points.slice(0, -1) : points;
+    }
+
+    /**
+     * 서버 한 대의 규칙 평가 결과 (과거 이력을 함께 넘겨 지속 시간/복구 조건 반영)
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @returns {Array<Object>} RulesEngine.evaluate() 결과
+     */
+    evaluateServer(server) {
+        return this.rulesEngine.evaluate(server, { history: this.getRuleHistory(server) });
+    }
+
+    // 서버의 수집 간격 (이력 레코드 간격의 중앙값, 이력이 부족하면 null)
+    getExpectedInterval(hostname) {
+        return estimateInterval((this.historicalData[hostname] || []).map(point => point.timestamp));
+    }
+
+    /**
+     * 서버 한 대의 데이터 수신 끊김 (마지막 레코드가 예상 수집 간격을 여러 번 지났는지, config.js의 STALE_DETECTION)
+     * 현재 데이터가 아닌 레코드(과거 레코드, 규칙 미리보기 등)는 판단하지 않습니다.
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @returns {Object|null} staleness.js의 getStaleness() 결과
+     */
+    getStaleness(server) {
+        const live = (this.serverData || []).find(item => item.hostname === server.hostname);
+        if (!live || live.timestamp !== server.timestamp) return null;
+        return getStaleness(server, {
+            referenceTime: getBatchReferenceTime(this.serverData, server),
+            intervalMs: this.getExpectedInterval(server.hostname)
+        });
+    }
+
+    /**
+     * 서버 레코드에 수신 끊김 표시(stale)를 붙인 복사본 (대시보드 서버 카드와 현황 요약에서 사용)
+     * @param {ServerRecord[]} servers 표준 스키마 레코드
+     * @returns {ServerRecord[]}
+     */
+    markStaleServers(servers) {
+        return (servers || []).map(server => ({ ...server, stale: this.getStaleness(server) }));
+    }
+
+    // 문제 감지 대상 서버 (점검 중인 서버는 문제 목록과 분석에서 제외)
+    getMonitoredServers() {
+        return this.serverData.filter(server => !isInMaintenance(server));
+    }
 
-        // Warning 패턴 검사
-        for (const pattern of this.problemPatterns) {
-            if (pattern.severity === 'warning' && pattern.condition(server)) {
-                return 'warning';
+    /**
+     * 서버 한 대의 이상 징후 (서버별 과거 이력으로 만든 기준선의 예상 범위를 벗어난 지표)
+     * 이상 징후는 문제 목록과 Agent 장애로 보고하지만 서버 상태(임계치 규칙 기준)는 바꾸지 않습니다.
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @returns {Array<Object>} AnomalyDetector.detect() 결과
+     */
+    detectAnomalies(server) {
+        return this.anomalyDetector.detect(server, this.getRuleHistory(server));
+    }
+
+    /**
+     * 서버 한 대의 디스크(마운트별)/메모리 추세 예측 (심각 임계치 도달 시각 포함, 서버 프로필과 마운트별 임계치 반영)
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @returns {Array<Object>} ResourceForecaster.forecast() 결과
+     */
+    forecastServer(server) {
+        return this.forecaster.forecast(server, this.getRuleHistory(server), this.getForecastOptions(server));
+    }
+
+    // 예측 경고 (예측 시간 안에 심각 임계치나 100%에 도달할 것으로 보이는 디스크/메모리)
+    detectForecasts(server) {
+        return this.forecaster.detect(server, this.getRuleHistory(server), this.getForecastOptions(server));
+    }
+
+    // 예측에 사용할 심각 임계치 (상태 판단과 같은 규칙 엔진 기준)
+    getForecastOptions(server) {
+        return {
+            getThreshold: (metric, target) => {
+                const threshold = this.rulesEngine.getThreshold(metric, 'critical', server);
+                return metric === 'disk_usage_percent' && target ? getDiskThreshold(target, 'critical', threshold) : threshold;
             }
-        }
-        
-        return 'normal'; // 위 모든 조건에 해당하지 않으면 정상
+        };
+    }
+
+    /**
+     * 현재 서버 데이터의 서비스 의존 관계 토폴로지 (서버 노드 상태는 getEffectiveServerStatus 기준)
+     * @returns {{nodes: Array<Object>, edges: Array<Object>}} buildTopology() 결과
+     */
+    getTopology() {
+        return buildTopology(this.serverData || [], { getStatus: server => this.getEffectiveServerStatus(server) });
+    }
+
+    /**
+     * 서버 한 대의 장애 지점(중단된 서비스, 심각 상태)에 의존하는 구성 요소
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @param {Object} [topology] getTopology() 결과 (여러 서버를 연달아 볼 때 재사용)
+     * @returns {{sources: Array<Object>, impacted: Array<Object>, hosts: string[]}} getBlastRadius() 결과
+     */
+    getServerImpact(server, topology = this.getTopology()) {
+        const sources = findFailedNodes(topology).filter(node => node.hostname === server.hostname);
+        return getBlastRadius(topology, sources.map(node => node.id));
+    }
+
+    // 이력 포인트에 기록할 서버 상태 (getEffectiveServerStatus와 같은 규칙 엔진 기준)
+    calculateServerStatus(server) {
+        return this.getEffectiveServerStatus(server);
+    }
+
+    getEffectiveServerStatus(server) {
+        if (!server) return 'normal'; // server 객체가 없으면 기본 정상
+        return getStatusOverride(server, { stale: this.getStaleness(server) }) ||
+            this.rulesEngine.getStatus(server, { history: this.getRuleHistory(server) });
     }
 
     async processQuery(query) {
@@ -222,6 +332,8 @@ export class AIProcessor {
             return this.generateSolutions(analysis.target);
         } else if (analysis.requestType === 'report') {
             return this.generateReportDownloadLink(analysis.reportType);
+        } else if (analysis.requestType === 'forecast') {
+            return this.generateForecastResponse(analysis);
         } else {
             // 일반 질의 처리
             return this.generateDataResponse(analysis);
@@ -231,7 +343,7 @@ export class AIProcessor {
     analyzeQuery(query) {
         // 기본 분석 구조 정의
         const analysis = {
-            requestType: 'general', // general, problem_analysis, solution, report
+            requestType: 'general', // general, problem_analysis, solution, report, forecast
             target: null,
             metric: null,
             threshold: null,
@@ -282,7 +394,8 @@ export class AIProcessor {
             analyze: ['analyze', 'analysis', '분석', '진단', '평가'],
             fix: ['fix', 'solve', 'solution', '해결', '조치', '수정', '복구'],
             report: ['report', 'log', '보고서', '로그', '리포트', '기록'],
-            list: ['list', 'show', 'display', '목록', '보여줘', '나열', '표시']
+            list: ['list', 'show', 'display', '목록', '보여줘', '나열', '표시'],
+            forecast: ['forecast', 'predict', 'when', '언제', '예측', '예상', '가득', '고갈', '남은 시간', '며칠', '몇 시간']
         };
         
         // 키워드 매칭 함수
@@ -329,7 +442,24 @@ export class AIProcessor {
             return analysis;
         }
         
-        // 3. 보고서 요청
+        // 3. 고갈 예측 요청 (예: "디스크가 언제 가득 차?")
+        if (matchesKeyword(normalizedQuery, 'forecast')) {
+            analysis.requestType = 'forecast';
+            if (matchesKeyword(normalizedQuery, 'disk')) {
+                analysis.metric = 'disk';
+            } else if (matchesKeyword(normalizedQuery, 'memory')) {
+                analysis.metric = 'memory';
+            }
+            for (const serverType of ['web', 'db', 'api', 'app', 'cache']) {
+                if (matchesKeyword(normalizedQuery, serverType)) {
+                    analysis.serverType = serverType;
+                    break;
+                }
+            }
+            return analysis;
+        }
+        
+        // 4. 보고서 요청
         if (matchesKeyword(normalizedQuery, 'report') || 
             normalizedQuery.includes('보고서') || 
             normalizedQuery.includes('리포트') || 
@@ -353,7 +483,7 @@ export class AIProcessor {
             return analysis;
         }
         
-        // 4. 메트릭별 일반 질의 처리
+        // 5. 메트릭별 일반 질의 처리
         
         // CPU 관련
         if (matchesKeyword(normalizedQuery, 'cpu')) {
@@ -574,12 +704,20 @@ export class AIProcessor {
         return response;
     }
 
+    /**
+     * 질의에서 찾은 서버 유형에 해당하는 서버 (CPU/메모리/디스크/네트워크/예측 응답이 같은 기준으로 고름)
+     * 서버 유형(server_type)이 같거나 호스트명에 유형이 들어 있으면(예: 'web-001') 해당하는 것으로 봅니다.
+     * @param {string|null} serverType analyzeQuery()의 serverType (없으면 전체 서버)
+     * @returns {Array<Object>}
+     */
+    getServersOfType(serverType) {
+        if (!serverType) return this.serverData;
+        return this.serverData.filter(server => server.server_type === serverType || server.hostname.includes(serverType));
+    }
+
     generateCpuResponse(analysis) {
         // 필터링된 서버 데이터
-        let serverList = this.serverData;
-        if (analysis.serverType) {
-            serverList = serverList.filter(server => server.hostname.includes(analysis.serverType));
-        }
+        let serverList = this.getServersOfType(analysis.serverType);
         
         // CPU 사용량 통계
         const cpuUsages = serverList.map(server => server.cpu_usage);
@@ -596,7 +734,7 @@ export class AIProcessor {
         let response = '';
         
         if (highCpuServers.length > 0) {
-            const severityEmoji = highCpuServers[0].cpu_usage >= 90 ? this.statusEmoji.critical : this.statusEmoji.warning;
+            const severityEmoji = highCpuServers[0].cpu_usage >= this.rulesEngine.getThreshold('cpu_usage', 'critical') ? this.statusEmoji.critical : this.statusEmoji.warning;
             
             response = `${severityEmoji} CPU 사용률이 ${threshold}% 이상인 서버: ${highCpuServers.length}대\n\n`;
             response += highCpuServers.slice(0, 5).map(server => 
@@ -616,10 +754,7 @@ export class AIProcessor {
 
     generateMemoryResponse(analysis) {
         // 필터링된 서버 데이터
-        let serverList = this.serverData;
-        if (analysis.serverType) {
-            serverList = serverList.filter(server => server.hostname.includes(analysis.serverType));
-        }
+        let serverList = this.getServersOfType(analysis.serverType);
         
         // 메모리 사용량 통계
         const memoryUsages = serverList.map(server => server.memory_usage_percent);
@@ -636,7 +771,7 @@ export class AIProcessor {
         let response = '';
         
         if (highMemoryServers.length > 0) {
-            const severityEmoji = highMemoryServers[0].memory_usage_percent >= 90 ? this.statusEmoji.critical : this.statusEmoji.warning;
+            const severityEmoji = highMemoryServers[0].memory_usage_percent >= this.rulesEngine.getThreshold('memory_usage_percent', 'critical') ? this.statusEmoji.critical : this.statusEmoji.warning;
             
             response = `${severityEmoji} 메모리 사용률이 ${threshold}% 이상인 서버: ${highMemoryServers.length}대\n\n`;
             response += highMemoryServers.slice(0, 5).map(server => {
@@ -657,32 +792,34 @@ export class AIProcessor {
 
     generateDiskResponse(analysis) {
         // 필터링된 서버 데이터
-        let serverList = this.serverData;
-        if (analysis.serverType) {
-            serverList = serverList.filter(server => server.hostname.includes(analysis.serverType));
-        }
+        let serverList = this.getServersOfType(analysis.serverType);
         
-        // 디스크 사용량 통계
-        const diskUsages = serverList.map(server => server.disk[0].disk_usage_percent);
+        // 디스크 사용량 통계 (모든 마운트 기준)
+        const diskUsages = serverList.flatMap(server => getDisks(server).map(disk => disk.disk_usage_percent));
         const avgDiskUsage = this.calculateAverage(diskUsages);
         const maxDiskUsage = Math.max(...diskUsages);
         const minDiskUsage = Math.min(...diskUsages);
         
-        // 임계값 이상 서버 찾기
+        // 임계값 이상 마운트가 있는 서버 찾기
         const threshold = analysis.threshold || 80;
         const highDiskServers = serverList
-            .filter(server => server.disk[0].disk_usage_percent >= threshold)
-            .sort((a, b) => b.disk[0].disk_usage_percent - a.disk[0].disk_usage_percent);
+            .filter(server => getMaxDiskUsage(server) >= threshold)
+            .sort((a, b) => getMaxDiskUsage(b) - getMaxDiskUsage(a));
             
         let response = '';
         
         if (highDiskServers.length > 0) {
-            const severityEmoji = highDiskServers[0].disk[0].disk_usage_percent >= 90 ? this.statusEmoji.critical : this.statusEmoji.warning;
+            const severityEmoji = getMaxDiskUsage(highDiskServers[0]) >= this.rulesEngine.getThreshold('disk_usage_percent', 'critical') ? this.statusEmoji.critical : this.statusEmoji.warning;
             
             response = `${severityEmoji} 디스크 사용률이 ${threshold}% 이상인 서버: ${highDiskServers.length}대\n\n`;
             response += highDiskServers.slice(0, 5).map(server => {
-                const total = (server.disk[0].disk_total / (1024 * 1024 * 1024)).toFixed(1);
-                return `${server.hostname}: ${server.disk[0].disk_usage_percent.toFixed(1)}% (총 ${total} GB)`;
+                const mounts = getDisks(server)
+                    .filter(disk => disk.disk_usage_percent >= threshold)
+                    .map(disk => {
+                        const total = typeof disk.disk_total === 'number' ? ` / 총 ${(disk.disk_total / (1024 * 1024 * 1024)).toFixed(1)} GB` : '';
+                        return `${disk.mount} ${disk.disk_usage_percent.toFixed(1)}%${total}`;
+                    });
+                return `${server.hostname}: ${mounts.join(', ')}`;
             }).join('\n');
             
             if (highDiskServers.length > 5) {
@@ -698,18 +835,19 @@ export class AIProcessor {
 
     generateNetworkResponse(analysis) {
         // 필터링된 서버 데이터
-        let serverList = this.serverData;
-        if (analysis.serverType) {
-            serverList = serverList.filter(server => server.hostname.includes(analysis.serverType));
-        }
+        let serverList = this.getServersOfType(analysis.serverType);
         
-        // 네트워크 트래픽 계산 (GB 단위로 변환)
+        // 네트워크 트래픽 계산 (모든 인터페이스 합계, GB 단위로 변환)
+        const sumInterfaces = (server, field) => getNetInterfaces(server).reduce((sum, item) => sum + item[field], 0);
         const serverTraffic = serverList.map(server => ({
             hostname: server.hostname,
-            rx: (server.net.rx_bytes / (1024 * 1024 * 1024)).toFixed(2),
-            tx: (server.net.tx_bytes / (1024 * 1024 * 1024)).toFixed(2),
-            total: ((server.net.rx_bytes + server.net.tx_bytes) / (1024 * 1024 * 1024)).toFixed(2),
-            errors: server.net.rx_errors + server.net.tx_errors
+            rx: (sumInterfaces(server, 'rx_bytes') / (1024 * 1024 * 1024)).toFixed(2),
+            tx: (sumInterfaces(server, 'tx_bytes') / (1024 * 1024 * 1024)).toFixed(2),
+            total: ((sumInterfaces(server, 'rx_bytes') + sumInterfaces(server, 'tx_bytes')) / (1024 * 1024 * 1024)).toFixed(2),
+            errors: getNetErrorCount(server), // 모든 인터페이스 합계
+            errorInterfaces: getNetInterfaces(server)
+                .filter(item => item.rx_errors + item.tx_errors > 0)
+                .map(item => `${item.interface} ${item.rx_errors + item.tx_errors}개`)
         }));
         
         // 트래픽 기준 정렬
@@ -730,7 +868,7 @@ export class AIProcessor {
         if (highErrorServers.length > 0) {
             response += `\n\n${this.statusEmoji.warning} 네트워크 오류가 많은 서버:\n`;
             response += highErrorServers.slice(0, 3).map(server => 
-                `${server.hostname}: ${server.errors}개 오류`
+                `${server.hostname}: ${server.errors}개 오류 (${server.errorInterfaces.join(', ')})`
             ).join('\n');
         }
         
@@ -739,16 +877,7 @@ export class AIProcessor {
 
     generateGeneralStatusResponse() {
         const total = this.serverData.length;
-        const criticalServers = this.serverData.filter(server => 
-            server.cpu_usage >= 90 || 
-            server.memory_usage_percent >= 90 || 
-            server.disk[0].disk_usage_percent >= 90
-        );
-        const warningServers = this.serverData.filter(server => 
-            (server.cpu_usage >= 70 && server.cpu_usage < 90) || 
-            (server.memory_usage_percent >= 70 && server.memory_usage_percent < 90) || 
-            (server.disk[0].disk_usage_percent >= 70 && server.disk[0].disk_usage_percent < 90)
-        );
+        const counts = countServersByStatus(this.serverData, server => this.getEffectiveServerStatus(server));
         
         const stoppedServices = [];
         this.serverData.forEach(server => {
@@ -761,15 +890,12 @@ export class AIProcessor {
         
         let response = `📊 전체 서버 상태 요약 (총 ${total}대)\n\n`;
         
-        if (criticalServers.length > 0) {
-            response += `${this.statusEmoji.critical} 심각(Critical): ${criticalServers.length}대\n`;
-        }
-        
-        if (warningServers.length > 0) {
-            response += `${this.statusEmoji.warning} 주의(Warning): ${warningServers.length}대\n`;
-        }
-        
-        response += `${this.statusEmoji.normal} 정상(Normal): ${total - criticalServers.length - warningServers.length}대\n`;
+        // 정상은 항상, 나머지 상태는 해당 서버가 있을 때만 표시
+        SERVER_STATUSES
+            .filter(status => status === 'normal' || counts[status] > 0)
+            .forEach(status => {
+                response += `${this.statusEmoji[status]} ${STATUS_INFO[status].label}(${status}): ${counts[status]}대\n`;
+            });
         
         if (stoppedServices.length > 0) {
             response += `\n🛑 중단된 서비스: ${stoppedServices.length}개\n`;
@@ -785,54 +911,41 @@ export class AIProcessor {
     }
 
     generateProblemAnalysis() {
-        // 서버에서 감지된 문제 찾기
-        const problems = [];
-        
-        this.serverData.forEach(server => {
-            this.problemPatterns.forEach(pattern => {
-                if (pattern.condition(server)) {
-                    problems.push({
-                        serverName: server.hostname,
-                        problemId: pattern.id,
-                        description: pattern.description,
-                        severity: pattern.severity
-                    });
-                }
-            });
-        });
+        // 서버에서 감지된 문제 찾기 (규칙 엔진 평가 결과, 수신이 끊긴 서버의 지난 지표는 제외)
+        const problems = this.getMonitoredServers()
+            .filter(server => !this.getStaleness(server))
+            .flatMap(server => this.evaluateServer(server));
         
         if (problems.length === 0) {
-            return `${this.statusEmoji.normal} 현재 감지된 주요 문제가 없습니다.`;
+            const anomalySummary = this.generateAnomalySummary();
+            return anomalySummary
+                ? `📊 자동 문제 분석 결과:\n\n${this.statusEmoji.normal} 임계치를 넘은 문제는 없습니다.\n\n${anomalySummary}`
+                : `${this.statusEmoji.normal} 현재 감지된 주요 문제가 없습니다.`;
         }
         
-        // 문제 유형별로 그룹화
-        const problemGroups = {};
+        // 문제 유형(규칙)별로 그룹화
+        const problemGroups = new Map();
         problems.forEach(problem => {
-            if (!problemGroups[problem.problemId]) {
-                problemGroups[problem.problemId] = [];
+            if (!problemGroups.has(problem.ruleId)) {
+                // 서버 프로필로 임계치가 바뀐 규칙 대신 기본 규칙으로 묶어서 표시
+                problemGroups.set(problem.ruleId, { rule: this.rulesEngine.findRule(problem.ruleId) || problem.rule, servers: new Set() });
             }
-            problemGroups[problem.problemId].push(problem);
+            problemGroups.get(problem.ruleId).servers.add(problem.hostname);
         });
         
         // 중요도 순 정렬
-        const sortedProblemTypes = Object.keys(problemGroups).sort((a, b) => {
-            const severityRank = { critical: 0, warning: 1 };
-            const patternA = this.problemPatterns.find(p => p.id === a);
-            const patternB = this.problemPatterns.find(p => p.id === b);
-            return severityRank[patternA.severity] - severityRank[patternB.severity];
-        });
+        const sortedGroups = [...problemGroups.values()]
+            .sort((a, b) => getStatusWeight(b.rule.severity) - getStatusWeight(a.rule.severity));
         
         let response = `📊 자동 문제 분석 결과:\n\n`;
         
-        sortedProblemTypes.forEach(problemId => {
-            const pattern = this.problemPatterns.find(p => p.id === problemId);
-            const serversWithProblem = problemGroups[problemId];
-            
-            const emoji = pattern.severity === 'critical' ? this.statusEmoji.critical : this.statusEmoji.warning;
+        sortedGroups.forEach(({ rule, servers }) => {
+            const serversWithProblem = [...servers];
+            const emoji = this.statusEmoji[rule.severity];
             
-            response += `${emoji} ${pattern.description}\n`;
+            response += `${emoji} ${rule.name} (${describeRuleCondition(rule)})\n`;
             response += `- 영향 받는 서버: ${serversWithProblem.length}대\n`;
-            response += `- 주요 서버: ${serversWithProblem.slice(0, 3).map(p => p.serverName).join(', ')}`;
+            response += `- 주요 서버: ${serversWithProblem.slice(0, 3).join(', ')}`;
             
             if (serversWithProblem.length > 3) {
                 response += ` 외 ${serversWithProblem.length - 3}대`;
@@ -841,32 +954,104 @@ export class AIProcessor {
             response += `\n\n`;
         });
         
+        response += this.generateAnomalySummary();
+        response += this.generateBlastRadiusSummary();
         response += '상세 조치 방법은 "CPU 문제 해결 방법" 또는 "디스크 문제 해결 방법"과 같이 질문해주세요.';
         
         return response;
     }
 
+    // 고갈 예측 질의 응답 (100%에 빨리 도달하는 순)
+    generateForecastResponse(analysis) {
+        const metricKey = { disk: 'disk_usage_percent', memory: 'memory_usage_percent' }[analysis.metric];
+        const servers = this.getServersOfType(analysis.serverType);
+        const forecasts = servers
+            .flatMap(server => this.forecastServer(server).map(item => ({ ...item, hostname: server.hostname })))
+            .filter(item => !metricKey || item.metric === metricKey);
+        const subject = analysis.metric === 'memory' ? '메모리' : analysis.metric === 'disk' ? '디스크' : '디스크/메모리';
+
+        if (forecasts.length === 0) {
+            return `추세를 계산할 이력이 아직 부족합니다. 이력이 쌓이면 ${subject} 고갈 시점을 예측할 수 있습니다.`;
+        }
+        const filling = forecasts
+            .filter(item => item.hoursToFull !== null)
+            .sort((a, b) => a.hoursToFull - b.hoursToFull);
+        if (filling.length === 0) {
+            return `${this.statusEmoji.normal} 현재 추세로는 ${subject}가 가득 찰 것으로 예상되는 서버가 없습니다. (분석 대상 ${forecasts.length}개)`;
+        }
+
+        let response = `🔮 ${subject} 고갈 예측 (최근 추세 기준, 빨리 가득 차는 순):\n\n`;
+        filling.slice(0, 10).forEach(item => {
+            const soon = item.hoursToThreshold !== null && item.hoursToThreshold <= this.forecaster.options.horizonHours;
+            const emoji = soon || item.hoursToFull <= this.forecaster.options.horizonHours ? this.statusEmoji.warning : '📈';
+            response += `${emoji} ${item.hostname}의 ${item.label}: ${formatDuration(item.hoursToFull)} 후 100% 도달 예상`;
+            response += ` (현재 ${item.current.toFixed(1)}%, 시간당 +${item.slopePerHour}%p`;
+            if (item.hoursToThreshold !== null) {
+                response += `, 심각 임계치 ${item.threshold}%까지 ${formatDuration(item.hoursToThreshold)}`;
+            }
+            response += `)\n`;
+        });
+        if (filling.length > 10) {
+            response += `\n외 ${filling.length - 10}개 대상이 증가 추세입니다.`;
+        }
+        return response;
+    }
+
+    // 장애 영향 범위 요약 (중단된 서비스/심각 서버에 의존하는 구성 요소, 없으면 빈 문자열)
+    generateBlastRadiusSummary() {
+        const radii = analyzeBlastRadius(this.getTopology()).filter(radius => radius.hosts.length > 0);
+        if (radii.length === 0) return '';
+
+        let response = `🧭 장애 영향 범위 (서비스 의존 관계 기준)\n`;
+        radii.slice(0, 5).forEach(({ source, impacted, hosts }) => {
+            const failure = source.kind === 'service' ? '중단' : '심각 상태';
+            response += `- ${describeNode(source)} ${failure} → 서버 ${hosts.length}대 영향: ${formatImpact(impacted, [source.hostname])}\n`;
+        });
+        if (radii.length > 5) {
+            response += `- 외 ${radii.length - 5}건\n`;
+        }
+        return response + `\n`;
+    }
+
+    // 이상 징후 요약 (서버별 관측 값과 예상 범위, 없으면 빈 문자열)
+    generateAnomalySummary() {
+        const anomalies = this.getMonitoredServers()
+            .filter(server => !this.getStaleness(server))
+            .flatMap(server => this.detectAnomalies(server));
+        if (anomalies.length === 0) return '';
+
+        let response = `📈 이상 징후 (평소 범위를 벗어난 지표)\n`;
+        anomalies.slice(0, 5).forEach(anomaly => {
+            response += `- ${anomaly.hostname}: ${anomaly.description}\n`;
+        });
+        if (anomalies.length > 5) {
+            response += `- 외 ${anomalies.length - 5}건\n`;
+        }
+        return response + `\n`;
+    }
+
     generateSolutions(problemId) {
         if (!problemId) {
             return '어떤 문제에 대한 해결 방법이 필요한지 구체적으로 질문해주세요. (예: "CPU 문제 해결 방법", "메모리 문제 해결 방법")';
         }
         
-        const problem = this.problemPatterns.find(p => p.id === problemId);
+        // 규칙 ID 또는 질의 분석의 주제(cpu_high, disk_full 등)로 규칙 검색
+        const problem = this.rulesEngine.findRule(problemId);
         if (!problem) {
             return '해당 문제에 대한 정보를 찾을 수 없습니다. 다른 문제에 대해 질문해주세요.';
         }
         
-        const emoji = problem.severity === 'critical' ? this.statusEmoji.critical : this.statusEmoji.warning;
+        const emoji = this.statusEmoji[problem.severity];
         
-        let response = `${emoji} ${problem.description} - 해결 방법\n\n`;
+        let response = `${emoji} ${problem.name} (${describeRuleCondition(problem)}) - 해결 방법\n\n`;
         
         response += `🔍 가능한 원인:\n`;
-        problem.causes.forEach(cause => {
+        (problem.causes || []).forEach(cause => {
             response += `- ${cause}\n`;
         });
         
         response += `\n🛠️ 권장 조치:\n`;
-        problem.solutions.forEach(solution => {
+        (problem.solutions || []).forEach(solution => {
             response += `- ${solution}\n`;
         });
         
@@ -892,201 +1077,51 @@ export class AIProcessor {
 
     detectProblems() {
         if (!this.serverData || this.serverData.length === 0) {
-            console.warn('서버 데이터가 없어 문제를 감지할 수 없습니다.');
+            this.logger.warn('서버 데이터가 없어 문제를 감지할 수 없습니다.');
             return [];
         }
         
-        const problems = [];
-        
-        // 서버 상태 분석
-        this.serverData.forEach(server => {
-            // CPU 과부하 감지
-            if (server.cpu_usage >= 90) {
-                problems.push({
-                    severity: 'Critical',
-                    serverHostname: server.hostname,
-                    description: `CPU 과부하 (${server.cpu_usage}%)`,
-                    solution: '불필요한 프로세스를 종료하거나 자원을 확장하세요.',
-                    timestamp: new Date().toISOString(),
-                    commands: [
-                        'top -c -b -n 1 | head -20',
-                        'ps aux --sort=-%cpu | head -10',
-                        'mpstat -P ALL',
-                        'vmstat 1 5'
-                    ],
-                    causes: [
-                        '과도한 부하를 일으키는 프로세스 실행 중',
-                        '시스템 자원 부족으로 인한 경합 상태',
-                        'CPU 바운드 작업(인코딩, 계산) 과다 실행'
-                    ]
-                });
-            } else if (server.cpu_usage >= 80) {
-                problems.push({
-                    severity: 'Warning',
-                    serverHostname: server.hostname,
-                    description: `CPU 사용량 높음 (${server.cpu_usage}%)`,
-                    solution: 'CPU 사용량을 모니터링하고 추세를 확인하세요.',
-                    timestamp: new Date().toISOString(),
-                    commands: [
-                        'top -c -b -n 1 | head -20',
-                        'ps aux --sort=-%cpu | head -10',
-                        'uptime' 
-                    ],
-                    causes: [
-                        '일시적인 부하 증가',
-                        '백그라운드 작업 증가',
-                        '비효율적인 어플리케이션 코드'
-                    ]
-                });
-            }
-            
-            // 메모리 부족 감지
-            if (server.memory_usage_percent >= 90) {
-                problems.push({
-                    severity: 'Critical',
-                    serverHostname: server.hostname,
-                    description: `메모리 부족 (${server.memory_usage_percent}%)`,
-                    solution: '메모리 누수 확인 또는 자원을 확장하세요.',
-                    timestamp: new Date().toISOString(),
-                    commands: [
-                        'free -m',
-                        'ps aux --sort=-%mem | head -10',
-                        'vmstat -s',
-                        'cat /proc/meminfo',
-                        'dmesg | grep -i memory'
-                    ],
-                    causes: [
-                        '메모리 누수가 발생하는 프로세스',
-                        '스왑 공간 부족',
-                        '메모리 캐시 설정 오류'
-                    ]
-                });
-            } else if (server.memory_usage_percent >= 80) {
-                problems.push({
-                    severity: 'Warning',
-                    serverHostname: server.hostname,
-                    description: `메모리 사용량 높음 (${server.memory_usage_percent}%)`,
-                    solution: '메모리 사용량을 모니터링하고 추세를 확인하세요.',
-                    timestamp: new Date().toISOString(),
-                    commands: [
-                        'free -m',
-                        'ps aux --sort=-%mem | head -10',
-                        'vmstat 1 5'
-                    ],
-                    causes: [
-                        '일시적인 메모리 사용 증가',
-                        '캐시 증가',
-                        '더 많은 애플리케이션 동시 실행'
-                    ]
-                });
-            }
-            
-            // 디스크 공간 부족 감지
-            if (server.disk && server.disk.length > 0) {
-                if (server.disk[0].disk_usage_percent >= 90) {
-                    problems.push({
-                        severity: 'Critical',
-                        serverHostname: server.hostname,
-                        description: `디스크 공간 부족 (${server.disk[0].disk_usage_percent}%)`,
-                        solution: '불필요한 파일을 제거하거나 디스크 공간을 확장하세요.',
-                        timestamp: new Date().toISOString(),
-                        commands: [
-                            'df -h',
-                            'du -sh /* | sort -hr | head -10',
-                            'find / -type f -size +100M -exec ls -lh {} \\;',
-                            'find /var/log -name "*.log" -size +50M'
-                        ],
-                        causes: [
-                            '로그 파일 과다 누적',
-                            '임시 파일 미정리',
-                            '대용량 데이터 파일 증가'
-                        ]
-                    });
-                } else if (server.disk[0].disk_usage_percent >= 80) {
-                    problems.push({
-                        severity: 'Warning',
-                        serverHostname: server.hostname,
-                        description: `디스크 공간 부족 임박 (${server.disk[0].disk_usage_percent}%)`,
-                        solution: '디스크 공간을 모니터링하고 정리 계획을 수립하세요.',
-                        timestamp: new Date().toISOString(),
-                        commands: [
-                            'df -h',
-                            'du -sh /* | sort -hr | head -10',
-                            'find /var/log -name "*.log" -size +20M'
-                        ],
-                        causes: [
-                            '로그 파일 증가 중',
-                            '사용자 데이터 증가',
-                            '백업 파일 공간 증가'
-                        ]
-                    });
-                }
-            }
-            
-            // 서비스 중단 감지
-            if (server.services) {
-                Object.entries(server.services).forEach(([serviceName, status]) => {
-                    if (status === 'stopped') {
-                        problems.push({
-                            severity: 'Critical',
-                            serverHostname: server.hostname,
-                            description: `${serviceName} 서비스 중단`,
-                            solution: `${serviceName} 서비스를 재시작하고 로그를 확인하세요.`,
-                            timestamp: new Date().toISOString(),
-                            commands: [
-                                `systemctl status ${serviceName}`,
-                                `journalctl -u ${serviceName} -n 50`,
-                                `systemctl restart ${serviceName}`,
-                                `ps aux | grep ${serviceName}`
-                            ],
-                            causes: [
-                                '서비스 충돌 발생',
-                                '의존성 서비스 장애',
-                                '리소스 부족으로 인한 중단',
-                                '설정 파일 오류'
-                            ]
-                        });
-                    }
-                });
-            }
-            
-            // 오류 메시지 감지
-            if (server.errors && server.errors.length > 0) {
-                server.errors.forEach(error => {
-                    // 오류 메시지에서 명령어가 포함되어 있는지 확인
-                    const commandMatch = error.match(/\(([^)]+)\)$/);
-                    const command = commandMatch ? commandMatch[1] : 'journalctl -f';
-                    
-                    // 명령어 목록 생성
-                    const commands = [command];
-                    
-                    // 심각도 판단
-                    let severity = 'Warning';
-                    if (error.toLowerCase().includes('critical')) {
-                        severity = 'Critical';
-                        commands.push('dmesg | tail -50');
-                    } else if (error.toLowerCase().includes('error')) {
-                        commands.push('grep -i error /var/log/syslog | tail -20');
-                    }
-                    
-                    problems.push({
-                        severity: severity,
-                        serverHostname: server.hostname,
-                        description: `오류 감지: ${error.replace(/\s*\([^)]*\)$/, '')}`, // 괄호 속 명령어는 설명에서 제거
-                        solution: '로그 파일을 확인하고 근본 원인을 분석하세요.',
-                        timestamp: new Date().toISOString(),
-                        commands: commands,
-                        causes: [
-                            '시스템 또는 애플리케이션 오류 발생',
-                            '보안 이슈 발생 가능성',
-                            '리소스 부족으로 인한 오류'
-                        ]
-                    });
-                });
-            }
-        });
-        
-        return problems;
+        // 규칙 엔진의 평가 결과, 이상 징후, 예측 경고를 문제 목록/보고서 형식으로 변환 (심각도는 규칙 심각도 'critical' | 'error' | 'warning')
+        // 이상 징후는 type: 'anomaly'와 관측 값(observed), 예상 범위(expected)를, 예측 경고는 type: 'forecast'와 예측(forecast)을 함께 제공
+        // 심각 문제는 의존 관계상 영향 받는 구성 요소(impact: { hosts, summary })가 있으면 함께 제공
+        // 데이터 수신이 끊긴 서버는 마지막 지표가 현재 값이 아니므로 '데이터 수신 없음'(type: 'stale', stale) 문제만 제공
+        const timestamp = new Date().toISOString();
+        const topology = this.getTopology();
+        return this.getMonitoredServers().flatMap(server => this.getServerFindings(server).map(finding => ({
+            type: finding.type || 'rule',
+            severity: finding.severity,
+            serverHostname: server.hostname,
+            ruleId: finding.ruleId,
+            description: finding.description,
+            solution: finding.solutions[0] || '',
+            solutions: finding.solutions,
+            timestamp,
+            commands: finding.commands,
+            causes: finding.causes,
+            ...(finding.expected ? { observed: finding.value, expected: finding.expected } : {}),
+            ...(finding.forecast ? { forecast: finding.forecast } : {}),
+            ...(finding.stale ? { stale: finding.stale } : {}),
+            ...this.getFindingImpact(finding, server, topology)
+        })));
+    }
+
+    // 서버 한 대의 문제 항목 (규칙 평가, 이상 징후, 예측 경고 - 수신이 끊긴 서버는 '데이터 수신 없음')
+    getServerFindings(server) {
+        const stale = this.getStaleness(server);
+        if (stale) return [buildStaleFinding(server, stale)];
+        return [
+            ...this.evaluateServer(server),
+            ...this.detectAnomalies(server),
+            ...this.detectForecasts(server)
+        ];
+    }
+
+    // 심각 문제의 영향 범위 (서비스 중단은 그 서비스, 그 밖의 심각 규칙은 서버에 의존하는 구성 요소)
+    getFindingImpact(finding, server, topology) {
+        if (finding.type || finding.severity !== 'critical') return {};
+        const source = finding.metric === 'service_state' ? `${server.hostname}/${finding.target}` : server.hostname;
+        const { impacted, hosts } = getBlastRadius(topology, [source]);
+        return hosts.length > 0 ? { impact: { hosts, summary: formatImpact(impacted, [server.hostname]) } } : {};
     }
     
     generateErrorReport() {
@@ -1096,51 +1131,24 @@ export class AIProcessor {
         }
         
         // 문제를 심각도별로 분류
-        const criticalProblems = problems.filter(p => p.severity === 'Critical');
-        const warningProblems = problems.filter(p => p.severity === 'Warning' || p.severity === 'Error');
+        const criticalProblems = problems.filter(p => p.severity === 'critical');
+        const errorProblems = problems.filter(p => p.severity === 'error');
+        const warningProblems = problems.filter(p => p.severity === 'warning');
         
         // 보고서 생성
         let report = '# 서버 상태 보고서\n\n';
         report += `생성 시간: ${new Date().toLocaleString()}\n\n`;
         report += `총 문제 수: ${problems.length}\n`;
         report += `- 심각: ${criticalProblems.length}\n`;
+        report += `- 오류: ${errorProblems.length}\n`;
         report += `- 경고: ${warningProblems.length}\n\n`;
         
-        if (criticalProblems.length > 0) {
-            report += '## 심각한 문제\n\n';
-            criticalProblems.forEach(problem => {
-                report += `### ${problem.serverHostname}: ${problem.description}\n`;
-                
-                // 원인 분석 추가
-                if (problem.causes && problem.causes.length > 0) {
-                    report += '#### 추정 원인:\n';
-                    problem.causes.forEach(cause => {
-                        report += `- ${cause}\n`;
-                    });
-                    report += '\n';
-                }
-                
-                report += `#### 해결 방안:\n- ${problem.solution}\n\n`;
-                
-                // 확인 명령어 추가
-                if (problem.commands && problem.commands.length > 0) {
-                    report += '#### 확인 명령어:\n```bash\n';
-                    problem.commands.forEach(cmd => {
-                        report += `${cmd}\n`;
-                    });
-                    report += '```\n\n';
-                }
-                
-                report += `감지 시간: ${new Date(problem.timestamp).toLocaleString()}\n\n`;
-                report += `---\n\n`;
-            });
-        }
-        
-        if (warningProblems.length > 0) {
-            report += '## 경고\n\n';
-            warningProblems.forEach(problem => {
+        const sections = [['심각한 문제', criticalProblems], ['오류', errorProblems], ['경고', warningProblems]];
+        sections.filter(([, sectionProblems]) => sectionProblems.length > 0).forEach(([title, sectionProblems]) => {
+            report += `## ${title}\n\n`;
+            sectionProblems.forEach(problem => {
                 report += `### ${problem.serverHostname}: ${problem.description}\n`;
-                
+            
                 // 원인 분석 추가
                 if (problem.causes && problem.causes.length > 0) {
                     report += '#### 추정 원인:\n';
@@ -1149,9 +1157,9 @@ export class AIProcessor {
                     });
                     report += '\n';
                 }
-                
+            
                 report += `#### 해결 방안:\n- ${problem.solution}\n\n`;
-                
+            
                 // 확인 명령어 추가
                 if (problem.commands && problem.commands.length > 0) {
                     report += '#### 확인 명령어:\n```bash\n';
@@ -1160,11 +1168,11 @@ export class AIProcessor {
                     });
                     report += '```\n\n';
                 }
-                
+            
                 report += `감지 시간: ${new Date(problem.timestamp).toLocaleString()}\n\n`;
                 report += `---\n\n`;
             });
-        }
+        });
         
         report += '## 서버 성능 요약\n\n';
         
@@ -1217,12 +1225,7 @@ export class AIProcessor {
     
     // 상태에 따른 라벨 반환 (보고서 생성용)
     getStatusLabel(status) {
-        switch(status) {
-            case 'critical': return '심각';
-            case 'warning': return '경고';
-            case 'normal': return '정상';
-            default: return '알 수 없음';
-        }
+        return STATUS_INFO[status] ? STATUS_INFO[status].label : '알 수 없음';
     }
 
     calculateAverage(numbers) {
@@ -1231,25 +1234,29 @@ export class AIProcessor {
     }
 }
 
-// 전역 함수로 항상 노출
-window.processQuery = async function(query) {
-    if (!window.aiProcessor) {
-        // AIProcessor 인스턴스 없으면 생성
-        console.log("Creating global AIProcessor instance");
-        window.aiProcessor = new AIProcessor();
-        // 데이터 초기화 대기
-        await new Promise(resolve => setTimeout(resolve, 200));
-    }
-    return await window.aiProcessor.processQuery(query);
-};
+// 브라우저에서는 전역 함수로 항상 노출
+if (typeof window !== 'undefined') {
+    window.processQuery = async function(query) {
+        if (!window.aiProcessor) {
+            // AIProcessor 인스턴스 없으면 생성
+            console.log("Creating global AIProcessor instance");
+            window.aiProcessor = new AIProcessor({ dataSource: getDefaultDataSource() });
+            // 데이터 초기화 대기
+            await new Promise(resolve => setTimeout(resolve, 200));
+        }
+        return await window.aiProcessor.processQuery(query);
+    };
+}
 
 // 페이지 로드 시 즉시 AIProcessor 인스턴스 생성
-document.addEventListener('DOMContentLoaded', function() {
-    if (!window.aiProcessor) {
-        console.log("Initializing AIProcessor on page load");
-        window.aiProcessor = new AIProcessor();
-    }
-});
+if (typeof document !== 'undefined') {
+    document.addEventListener('DOMContentLoaded', function() {
+        if (!window.aiProcessor) {
+            console.log("Initializing AIProcessor on page load");
+            window.aiProcessor = new AIProcessor({ dataSource: getDefaultDataSource() });
+        }
+    });
+}
 
 // MCP 서버 연동 함수 (context 인자화)
 async function fetchFromMCP(query, context = "server-status") {
@@ -0,0 +1,88 @@
+/**
+ * OpenManager AI - 명령줄 서버 분석
+ * JSON/CSV 메트릭 파일을 브라우저 없이 분석합니다 (headless.js 사용, Node 20.19 이상).
+ *
+ * 실행:
+ *   node analyze_servers.mjs fake_server_data_100.json
+ *   node analyze_servers.mjs fixtures/import/customer_metrics.csv --query "디스크 부족한 서버 알려줘"
+ *   node analyze_servers.mjs servers.json --report      # 전체 문제 상세 보고서
+ *   node analyze_servers.mjs servers.json --agent       # Agent 장애 점검 결과
+ *
+ * CSV 열은 data_import.js의 추천 매핑을 그대로 사용합니다.
+ */
+
+import fs from 'node:fs';
+import { createHeadlessCore } from './headless.js';
+import {
+    detectImportFormat,
+    parseCsv,
+    suggestColumnMapping,
+    csvToServerRecords,
+    jsonToServerRecords,
+    buildImportResult
+} from './data_import.js';
+import { SERVER_STATUSES, getStatusLabel } from './server_status.js';
+
+const args = process.argv.slice(2);
+const readOption = name => {
+    const index = args.indexOf(`--${name}`);
+    return index !== -1 ? args[index + 1] : undefined;
+};
+const filePath = args.find((arg, index) => !arg.startsWith('--') && !(index > 0 && args[index - 1] === '--query'));
+
+if (!filePath) {
+    console.error('사용법: node analyze_servers.mjs <서버 데이터 파일(.json|.csv)> [--query "질문"] [--report] [--agent]');
+    process.exit(1);
+}
+
+const text = fs.readFileSync(filePath, 'utf8');
+const parsed = detectImportFormat(filePath, text) === 'json'
+    ? jsonToServerRecords(text)
+    : (table => csvToServerRecords(table, suggestColumnMapping(table.headers)))(parseCsv(text));
+const result = buildImportResult(parsed);
+
+[...result.errors, ...result.invalid.map(item => `${item.label}: ${item.errors.join(', ')}`)]
+    .forEach(message => console.error(`[제외] ${message}`));
+result.warnings.forEach(message => console.error(`[주의] ${message}`));
+if (result.records.length === 0) {
+    console.error('분석할 서버 레코드가 없습니다.');
+    process.exit(1);
+}
+
+// 분석 과정의 진행 로그는 숨기고 결과만 출력
+const core = await createHeadlessCore({ records: result.records, quiet: true });
+const summary = core.getStatusSummary();
+// 심각/경고/정상은 항상, 나머지 상태는 해당 서버가 있을 때만 표시
+const statusCounts = SERVER_STATUSES
+    .filter(status => ['critical', 'warning', 'normal'].includes(status) || summary[status] > 0)
+    .map(status => `${getStatusLabel(status)} ${summary[status]}`);
+console.log(`서버 ${core.servers.length}대 - ${statusCounts.join(', ')}`);
+
+const problems = core.detectProblems();
+console.log(`\n감지된 문제 ${problems.length}건`);
+problems.forEach(problem => {
+    console.log(`  [${getStatusLabel(problem.severity)}] ${problem.serverHostname}: ${problem.description}`);
+    if (problem.impact) console.log(`      → 영향 범위: ${problem.impact.summary}`);
+});
+
+const query = readOption('query');
+if (query) {
+    console.log(`\n질의: ${query}\n${await core.query(query)}`);
+}
+
+if (args.includes('--agent')) {
+    const incidents = await core.checkServers();
+    console.log(`\nAgent 장애 감지 ${incidents.length}건`);
+    incidents.forEach(incident => console.log(`  ${incident.serverName}: ${incident.conditions.join(', ')}`));
+    const groups = core.getIncidentGroups(incidents).filter(group => group.hosts.length > 1);
+    if (groups.length > 0) {
+        console.log(`\n연관 장애 그룹 ${groups.length}건`);
+        groups.forEach(group => console.log(`  ${group.summary}`));
+    }
+}
+
+if (args.includes('--report')) {
+    console.log(`\n${core.buildProblemsReport()}`);
+}
+
+core.close();
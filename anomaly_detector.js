@@ -0,0 +1,196 @@
+/**
+ * OpenManager AI - 이상 징후 탐지
+ * 서버별·지표별 과거 이력으로 기준선을 만들고, 현재 값이 예상 범위를 벗어나면 이상 징후로 보고합니다.
+ * 고정 임계치(rules_engine.js)로는 잡히지 않는 변화(예: 새벽 3시에 CPU가 15%에서 60%로 급증)를 찾기 위한 것입니다.
+ *
+ * 기준선 (config.js의 ANOMALY_DETECTION.method):
+ *   - ewma: 지수 가중 이동 평균과 편차 ± deviation × 표준편차
+ *   - seasonal: 지난 며칠 같은 시간대 샘플의 평균 ± deviation × 표준편차 (z-score)
+ *   - auto: 같은 시간대 샘플이 충분하면 seasonal, 아니면 ewma
+ *
+ * 이력은 AIProcessor.historicalData의 이력 포인트(오래된 순, 현재 샘플 제외 - AIProcessor.getRuleHistory)를 사용합니다.
+ */
+
+import { CONFIG } from './config.js';
+import { getMaxDiskUsage } from './server_schema.js';
+
+// 이상 징후를 탐지할 수 있는 지표 (current: 서버 레코드의 현재 값, 이력 포인트는 같은 키의 숫자 값)
+export const ANOMALY_METRICS = {
+    cpu_usage: {
+        label: 'CPU 사용률',
+        current: server => server.cpu_usage,
+        commands: ['top -c -b -n 1 | head -20', 'ps aux --sort=-%cpu | head -10']
+    },
+    memory_usage_percent: {
+        label: '메모리 사용률',
+        current: server => server.memory_usage_percent,
+        commands: ['free -h', 'ps aux --sort=-%mem | head -10']
+    },
+    disk_usage_percent: {
+        label: '디스크 사용률 (최대 마운트)',
+        current: server => getMaxDiskUsage(server),
+        commands: ['df -h', 'du -sh /var/log/* | sort -rh | head -10']
+    }
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    metrics: Object.keys(ANOMALY_METRICS),
+    method: 'auto',
+    alpha: 0.3,
+    deviation: 3,
+    minSamples: 12,
+    minSpread: 5,
+    seasonalDays: 7,
+    seasonalTolerance: 30,
+    minSeasonalSamples: 3,
+    severity: 'warning'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * 값 목록의 EWMA 평균과 표준편차 (오래된 순)
+ * @param {number[]} values 과거 값
+ * @param {number} alpha 평활 계수 (0~1)
+ * @returns {{mean: number, std: number}}
+ */
+export function ewmaBaseline(values, alpha) {
+    let mean = values[0];
+    let variance = 0;
+    values.slice(1).forEach(value => {
+        const diff = value - mean;
+        mean += alpha * diff;
+        variance = (1 - alpha) * (variance + alpha * diff * diff);
+    });
+    return { mean, std: Math.sqrt(variance) };
+}
+
+/**
+ * 지난 며칠 같은 시간대 샘플의 평균과 표준편차
+ * @param {Array<{time: number, value: number}>} samples 과거 샘플
+ * @param {number} time 현재 시각 (밀리초)
+ * @param {Object} options seasonalDays, seasonalTolerance(분)
+ * @returns {{mean: number, std: number, count: number}|null} 같은 시간대 샘플이 없으면 null
+ */
+export function seasonalBaseline(samples, time, options) {
+    const tolerance = options.seasonalTolerance * 60 * 1000;
+    const values = [];
+    for (let day = 1; day <= options.seasonalDays; day++) {
+        const target = time - day * DAY_MS;
+        // 하루에 한 샘플 (목표 시각에 가장 가까운 샘플)
+        const closest = samples
+            .filter(sample => Math.abs(sample.time - target) <= tolerance)
+            .sort((a, b) => Math.abs(a.time - target) - Math.abs(b.time - target))[0];
+        if (closest) values.push(closest.value);
+    }
+    if (values.length === 0) return null;
+    const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+    const variance = values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length;
+    return { mean, std: Math.sqrt(variance), count: values.length };
+}
+
+// 예상 범위 표시 (예: '10.2~20.5%')
+export function formatExpectedRange(expected) {
+    return `${expected.low}~${expected.high}%`;
+}
+
+export class AnomalyDetector {
+    /**
+     * @param {Object} [options] ANOMALY_DETECTION 형식의 설정 (기본: config.js)
+     */
+    constructor(options = CONFIG.ANOMALY_DETECTION) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * 지표 하나의 기준선과 예상 범위를 계산합니다.
+     * @param {Array<Object>} history 과거 이력 포인트 (오래된 순, 현재 샘플 제외)
+     * @param {string} metric ANOMALY_METRICS의 키
+     * @param {number} [time] 현재 시각 (밀리초, seasonal 기준선에 사용)
+     * @returns {{method: string, mean: number, std: number, low: number, high: number, samples: number}|null}
+     *   과거 샘플이 minSamples보다 적으면 null
+     */
+    getBaseline(history, metric, time = Date.now()) {
+        const options = this.options;
+        const samples = (history || [])
+            .filter(point => typeof point[metric] === 'number')
+            .map(point => ({ time: new Date(point.timestamp).getTime(), value: point[metric] }));
+        if (samples.length < options.minSamples) return null;
+
+        let baseline = null;
+        let method = 'ewma';
+        if (options.method !== 'ewma') {
+            const seasonal = seasonalBaseline(samples, time, options);
+            if (seasonal && seasonal.count >= options.minSeasonalSamples) {
+                baseline = seasonal;
+                method = 'seasonal';
+            } else if (options.method === 'seasonal') {
+                return null;
+            }
+        }
+        if (!baseline) {
+            baseline = ewmaBaseline(samples.map(sample => sample.value), options.alpha);
+        }
+
+        // 평소 값이 거의 일정해도 작은 변화까지 이상으로 보지 않도록 편차 하한 적용
+        const spread = Math.max(baseline.std, options.minSpread) * options.deviation;
+        return {
+            method,
+            mean: round(baseline.mean),
+            std: round(baseline.std),
+            low: round(Math.max(0, baseline.mean - spread)),
+            high: round(Math.min(100, baseline.mean + spread)),
+            samples: samples.length
+        };
+    }
+
+    /**
+     * 서버 한 대의 현재 값이 기준선의 예상 범위를 벗어났는지 확인합니다.
+     * @param {ServerRecord} server 표준 스키마 레코드 (현재 샘플)
+     * @param {Array<Object>} history 과거 이력 포인트 (AIProcessor.getRuleHistory)
+     * @returns {Array<Object>} 이상 징후 { type: 'anomaly', ruleId, name, metric, severity, hostname, target, value,
+     *   expected: { low, high, mean, method }, description, causes, solutions, commands } - 규칙 엔진 일치 결과와 같은 형태
+     */
+    detect(server, history) {
+        if (!server || !this.options.enabled) return [];
+        const time = server.timestamp ? new Date(server.timestamp).getTime() : Date.now();
+
+        return this.options.metrics
+            .filter(metric => ANOMALY_METRICS[metric])
+            .map(metric => {
+                const definition = ANOMALY_METRICS[metric];
+                const value = definition.current(server);
+                if (typeof value !== 'number') return null;
+                const baseline = this.getBaseline(history, metric, Number.isNaN(time) ? Date.now() : time);
+                if (!baseline || (value >= baseline.low && value <= baseline.high)) return null;
+
+                const direction = value > baseline.high ? '급증' : '급감';
+                const expected = { low: baseline.low, high: baseline.high, mean: baseline.mean, method: baseline.method };
+                return {
+                    type: 'anomaly',
+                    ruleId: `anomaly_${metric}`,
+                    name: `${definition.label} 이상 징후`,
+                    metric,
+                    severity: this.options.severity,
+                    hostname: server.hostname,
+                    target: null,
+                    value,
+                    expected,
+                    description: `${definition.label} 이상 ${direction}: 관측 ${round(value)}% (예상 범위 ${formatExpectedRange(expected)})`,
+                    causes: direction === '급증'
+                        ? ['평소와 다른 작업(배치, 백업, 배포)이 실행 중', '트래픽 급증 또는 비정상 요청', '프로세스 폭주나 악성 프로세스']
+                        : ['서비스 중단 또는 트래픽 유입 중단', '로드 밸런서에서 제외됨', '수집 에이전트 이상'],
+                    solutions: [
+                        `${definition.label}이(가) 평소(${baseline.method === 'seasonal' ? '지난 며칠 같은 시간대' : '최근 추세'})와 다릅니다. 최근 변경 사항과 실행 중인 작업을 확인하세요.`,
+                        '같은 역할의 다른 서버와 비교해 이 서버만의 문제인지 확인하세요.'
+                    ],
+                    commands: definition.commands
+                };
+            })
+            .filter(Boolean);
+    }
+}
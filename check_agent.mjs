@@ -0,0 +1,60 @@
+/**
+ * OpenManager AI - Agent 자동 해결 확인
+ * 스트림 변경 점검(handleServerEvent)은 장애 조건 해소만 반영하고 자동 해결 횟수(autoResolveAfter)는 세지 않는지 확인합니다.
+ *   - 변경이 잦은 스트림에서 정상 데이터가 연달아 와도 장애가 몇 초 만에 자동 해결되지 않음
+ *   - 조건이 사라진 전체 점검(checkServersAndReport)이 autoResolveAfter회 이어지면 자동 해결
+ *
+ * 실행:
+ *   node check_agent.mjs      # 다르면 항목을 출력하고 종료 코드 1
+ */
+
+import { Agent, INCIDENT_STATES } from './agent.js';
+
+const QUIET_LOGGER = { log() {}, warn() {}, error() {} };
+const AUTO_RESOLVE_AFTER = 3;
+const STREAM_EVENTS = 10;
+
+const makeServer = cpu => ({
+    hostname: 'check-001',
+    timestamp: new Date().toISOString(),
+    cpu_usage: cpu,
+    memory_usage_percent: 40,
+    disk: [{ mount: '/', disk_usage_percent: 30 }],
+    services: {},
+    errors: []
+});
+
+const failures = [];
+const expectEqual = (label, actual, expected) => {
+    if (actual !== expected) failures.push(`${label}: ${actual} (기대 ${expected})`);
+};
+
+const agent = new Agent(null, { logger: QUIET_LOGGER, settings: { autoResolveAfter: AUTO_RESOLVE_AFTER } });
+await agent.checkServersAndReport([makeServer(99)]);
+const [incident] = agent.detectedIncidents;
+expectEqual('CPU 99% 장애 감지', agent.detectedIncidents.length, 1);
+
+if (incident) {
+    // 1. 정상 데이터 스트림 변경이 이어져도 조건 해소만 기록하고 자동 해결하지 않음
+    for (let i = 0; i < STREAM_EVENTS; i++) {
+        await agent.handleServerEvent(makeServer(20));
+    }
+    expectEqual(`스트림 변경 ${STREAM_EVENTS}회 뒤 장애 상태`, incident.state, INCIDENT_STATES.OPEN);
+    expectEqual(`스트림 변경 ${STREAM_EVENTS}회 뒤 자동 해결 횟수`, incident.cleanChecks, 0);
+    expectEqual('스트림 변경 뒤 진행 중인 조건', incident.conditionStates.filter(condition => condition.active).length, 0);
+
+    // 2. 조건이 사라진 전체 점검은 autoResolveAfter회째에 자동 해결
+    for (let i = 1; i < AUTO_RESOLVE_AFTER; i++) {
+        await agent.checkServersAndReport([makeServer(20)]);
+    }
+    expectEqual(`전체 점검 ${AUTO_RESOLVE_AFTER - 1}회 뒤 장애 상태`, incident.state, INCIDENT_STATES.OPEN);
+    await agent.checkServersAndReport([makeServer(20)]);
+    expectEqual(`전체 점검 ${AUTO_RESOLVE_AFTER}회 뒤 장애 상태`, incident.state, INCIDENT_STATES.RESOLVED);
+}
+
+if (failures.length > 0) {
+    console.error(`Agent 자동 해결 확인 실패 (${failures.length}건):`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+}
+console.log(`Agent 자동 해결 확인 완료: 스트림 변경 ${STREAM_EVENTS}회는 세지 않고 전체 점검 ${AUTO_RESOLVE_AFTER}회째에 자동 해결합니다.`);
@@ -0,0 +1,62 @@
+/**
+ * OpenManager AI - node_exporter 스크랩 예제 확인
+ * fixtures/node_exporter/의 두 스크랩(60초 간격, 샘플 타임스탬프 포함)을 prometheus_importer.js로 차례로 읽어
+ * 카운터 기반 CPU 사용률과 네트워크 전송률이 손으로 계산한 값과 같은지 확인합니다.
+ *
+ * 실행:
+ *   node check_prometheus_fixtures.mjs      # 다르면 항목을 출력하고 종료 코드 1
+ *
+ * 기대 값 (scrape1 → scrape2, 60초):
+ *   CPU   코어 2개의 전체 증가 120초 중 idle 6초 → 95%
+ *   eth0  수신 250,000,000 B / 60초 = 4,166,666.67 B/s, 송신 100,000,000 B / 60초 = 1,666,666.67 B/s, 수신 오류 67개
+ *   eth1  수신 50,000,000 B / 60초 = 833,333.33 B/s, 송신 40,000,000 B / 60초 = 666,666.67 B/s
+ *   합계  수신 5,000,000 B/s, 송신 2,333,333.33 B/s
+ */
+
+import fs from 'node:fs';
+import { PrometheusImporter } from './prometheus_importer.js';
+
+const FIXTURE_DIR = new URL('./fixtures/node_exporter/', import.meta.url);
+
+const EXPECTED = {
+    cpu_usage: 95,
+    rx_bytes_per_sec: 5000000,
+    tx_bytes_per_sec: 2333333.33,
+    rx_errors: 67,
+    interfaces: {
+        eth0: { rx_bytes_per_sec: 4166666.67, tx_bytes_per_sec: 1666666.67, rx_errors: 67 },
+        eth1: { rx_bytes_per_sec: 833333.33, tx_bytes_per_sec: 666666.67, rx_errors: 0 }
+    }
+};
+
+const readFixture = name => fs.readFileSync(new URL(name, FIXTURE_DIR), 'utf8');
+
+const importer = new PrometheusImporter();
+importer.importScrape(readFixture('web-kr-001_scrape1.prom'));
+const [server] = importer.importScrape(readFixture('web-kr-001_scrape2.prom'));
+
+const failures = [];
+const expectEqual = (label, actual, expected) => {
+    if (actual !== expected) failures.push(`${label}: ${actual} (기대 ${expected})`);
+};
+
+expectEqual('cpu_usage', server.cpu_usage, EXPECTED.cpu_usage);
+['rx_bytes_per_sec', 'tx_bytes_per_sec', 'rx_errors'].forEach(key => {
+    expectEqual(`net.${key}`, server.net[key], EXPECTED[key]);
+});
+Object.entries(EXPECTED.interfaces).forEach(([device, expected]) => {
+    const item = server.net_interfaces.find(entry => entry.interface === device);
+    if (!item) {
+        failures.push(`${device}: 인터페이스가 없습니다`);
+        return;
+    }
+    Object.entries(expected).forEach(([key, value]) => expectEqual(`${device}.${key}`, item[key], value));
+});
+
+if (failures.length > 0) {
+    console.error(`스크랩 예제 확인 실패 (${failures.length}건):`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+}
+console.log(`스크랩 예제 확인 완료: ${server.hostname} CPU ${server.cpu_usage}%, ` +
+    `수신 ${server.net.rx_bytes_per_sec} B/s, 송신 ${server.net.tx_bytes_per_sec} B/s`);
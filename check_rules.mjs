@@ -0,0 +1,79 @@
+/**
+ * OpenManager AI - 규칙 임계치 확인
+ * 하한 규칙(<=, < - 예: CPU 5% 이하면 유휴 경고)이 상한 규칙용 임계치 계산에 섞이지 않는지 확인합니다.
+ *   - threshold_profiles.js: 프로필 임계치(환경 dev, 서버 유형 db)는 상한 규칙에만 적용되고 하한 규칙의 threshold/recovery는 그대로
+ *   - rules_engine.js getThreshold: 규칙 편집기로 저장한 하한 규칙이 게이지/상태용 지표 임계치(getStatusThresholds)를 낮추지 않음
+ *
+ * 실행:
+ *   node check_rules.mjs      # 다르면 항목을 출력하고 종료 코드 1
+ */
+
+import { RulesEngine, DEFAULT_RULES } from './rules_engine.js';
+import { previewRuleMatches, buildRuleFromForm } from './rule_store.js';
+import { getStatusThresholds, getResourceStatus } from './server_status.js';
+
+// CPU가 5% 이하로 떨어지면 경고하는 하한 규칙 (복구 임계치 포함)
+const IDLE_CPU_RULE = {
+    id: 'idle_cpu',
+    name: 'CPU 유휴',
+    metric: 'cpu_usage',
+    operator: '<=',
+    threshold: 5,
+    recovery: 10,
+    severity: 'warning'
+};
+
+// CPU 50%로 평범하게 동작하는 서버 (환경/유형만 바꿔 가며 확인)
+const BASE_SERVER = {
+    hostname: 'check-001',
+    timestamp: new Date().toISOString(),
+    cpu_usage: 50,
+    memory_usage_percent: 40,
+    disk: [{ mount: '/', disk_usage_percent: 30 }],
+    services: {},
+    errors: []
+};
+const SERVERS = {
+    prod: { ...BASE_SERVER, environment: 'prod' },
+    dev: { ...BASE_SERVER, environment: 'dev' },
+    db: { ...BASE_SERVER, server_type: 'db' }
+};
+
+const failures = [];
+const expectEqual = (label, actual, expected) => {
+    if (actual !== expected) failures.push(`${label}: ${actual} (기대 ${expected})`);
+};
+
+// 1. 프로필은 상한 규칙만 바꾸고 하한 규칙은 그대로 둠
+const engine = new RulesEngine([...DEFAULT_RULES, IDLE_CPU_RULE]);
+Object.entries(SERVERS).forEach(([label, server]) => {
+    const idle = engine.getRulesFor(server).find(rule => rule.id === IDLE_CPU_RULE.id);
+    expectEqual(`${label} idle_cpu.threshold`, idle.threshold, IDLE_CPU_RULE.threshold);
+    expectEqual(`${label} idle_cpu.recovery`, idle.recovery, IDLE_CPU_RULE.recovery);
+    expectEqual(`${label} 상태`, engine.getStatus(server), 'normal');
+    expectEqual(`${label} 규칙 미리보기 일치`, previewRuleMatches(IDLE_CPU_RULE, [server]).findings.length, 0);
+});
+
+// 2. 규칙 편집기 양식으로 만든 하한 규칙을 저장해도 지표별 상태 임계치는 상한 규칙 기준
+const editorRule = buildRuleFromForm({
+    id: 'idle_cpu_editor',
+    name: 'CPU 유휴 (편집기)',
+    metric: 'cpu_usage',
+    operator: '<=',
+    threshold: '5',
+    severity: 'warning'
+});
+const editorEngine = new RulesEngine([...DEFAULT_RULES, editorRule]);
+const thresholds = getStatusThresholds(editorEngine);
+const defaultThresholds = getStatusThresholds(new RulesEngine(DEFAULT_RULES));
+expectEqual('편집기 규칙 warning.cpu', thresholds.warning.cpu, defaultThresholds.warning.cpu);
+expectEqual('편집기 규칙 critical.cpu', thresholds.critical.cpu, defaultThresholds.critical.cpu);
+expectEqual('편집기 규칙 CPU 50% 게이지 상태', getResourceStatus(50, 'cpu', thresholds), 'normal');
+expectEqual('dev 상한 CPU 경고 임계치', editorEngine.getThreshold('cpu_usage', 'warning', SERVERS.dev), 85);
+
+if (failures.length > 0) {
+    console.error(`규칙 임계치 확인 실패 (${failures.length}건):`);
+    failures.forEach(failure => console.error(`  ${failure}`));
+    process.exit(1);
+}
+console.log('규칙 임계치 확인 완료: 하한 규칙은 프로필 임계치와 지표별 상태 임계치에 섞이지 않습니다.');
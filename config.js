@@ -1,3 +1,182 @@
 export const CONFIG = {
-  MCP_SERVER_URL: "https://mcp-lite-server.onrender.com/query"
-}; 
\ No newline at end of file
+  MCP_SERVER_URL: "https://mcp-lite-server.onrender.com/query",
+
+  // 서버 데이터 소스 설정
+  // type: 'dummy'(더미 생성기) | 'fixed'(고정 데이터셋) | 'static'(정적 JSON 파일) | 'http'(HTTP 폴링)
+  //       | 'prometheus'(node_exporter 스크랩) | 'stream'(SSE/WebSocket 실시간 변경분, live_stream.js)
+  //       | 'memory'(records 배열, Node/테스트용)
+  DATA_SOURCE: {
+    type: "dummy",
+    url: "fake_server_data_100.json", // static/http 타입에서 사용 (stream 타입 예: "http://localhost:8081/events", "ws://localhost:8081/ws")
+    transport: "sse",                 // stream 타입 전송 방식: 'sse' | 'websocket'
+    pollInterval: 60 * 1000,          // http/prometheus 타입 폴링 주기 (밀리초)
+    headers: {},                      // http/prometheus 타입 요청 헤더 (인증 토큰 등)
+    seed: null,                       // dummy/fixed 타입 난수 시드 (null이면 URL의 ?seed= 값 사용)
+    scenario: null,                   // dummy/fixed 타입 장애 시나리오 파일 (예: "scenarios/db_disk_full.json", null이면 URL의 ?scenario= 값 사용)
+    // prometheus 타입 스크랩 대상 (예: { url: "http://10.0.0.1:9100/metrics", hostname: "web-kr-001", serverType: "web" })
+    targets: []
+  },
+
+  // 마운트 지점별 디스크 임계치 (%) - 지정하지 않은 마운트는 각 모듈의 기본 디스크 임계치 사용
+  // 예: 로그가 차면 서비스가 바로 멈추는 /var/log는 더 엄격하게 판단
+  DISK_MOUNT_THRESHOLDS: {
+    "/var/log": { warning: 60, critical: 80 }
+  },
+
+  // 서버 유형/환경/호스트별 임계치 프로필 (threshold_profiles.js) - 서버 유형 → 환경 → 호스트 순으로 덮어씀
+  // thresholds의 키는 규칙 지표(cpu_usage, memory_usage_percent, disk_usage_percent, net_errors, zombie_count),
+  // rules는 규칙 ID별 덮어쓰기 (예: { zombie_processes: { enabled: false } }), extends는 profiles의 이름
+  THRESHOLD_PROFILES: {
+    profiles: {
+      // 메모리를 높게 쓰도록 설계된 서버 (Redis maxmemory 등)
+      "memory-heavy": { thresholds: { memory_usage_percent: { warning: 90, critical: 97 } } }
+    },
+    serverType: {
+      cache: { extends: "memory-heavy" },
+      db: {
+        extends: "memory-heavy",
+        thresholds: { disk_usage_percent: { warning: 80, critical: 92 } }
+      }
+    },
+    environment: {
+      dev: { thresholds: { cpu_usage: { warning: 85, critical: 95 } } }
+    },
+    host: {}
+  },
+
+  // 서버별 기준선 대비 이상 징후 탐지 (anomaly_detector.js) - 임계치 아래에서 평소와 다르게 움직이는 값 감지
+  // method: 'ewma'(지수 가중 이동 평균 ± 편차 밴드) | 'seasonal'(지난 며칠 같은 시간대 대비 z-score)
+  //       | 'auto'(같은 시간대 이력이 충분하면 seasonal, 아니면 ewma)
+  ANOMALY_DETECTION: {
+    enabled: true,
+    metrics: ["cpu_usage", "memory_usage_percent", "disk_usage_percent"],
+    method: "auto",
+    alpha: 0.3,             // EWMA 평활 계수 (클수록 최근 값 비중이 큼)
+    deviation: 3,           // 예상 범위 = 기준선 ± deviation × 표준편차
+    minSamples: 12,         // 기준선을 만들 최소 과거 샘플 수
+    minSpread: 5,           // 표준편차 하한 (%p) - 값이 거의 일정한 서버가 작은 변화로 이상 판정되지 않도록
+    seasonalDays: 7,        // seasonal: 비교할 지난 날 수
+    seasonalTolerance: 30,  // seasonal: 같은 시간대로 볼 시각 차이 (분)
+    minSeasonalSamples: 3,  // seasonal: 필요한 최소 같은 시간대 샘플 수 (날 수)
+    severity: "warning"     // 이상 징후 문제의 심각도 ('warning' | 'critical')
+  },
+
+  // 디스크(마운트별)/메모리 사용률 추세로 100% 도달 시각 예측 (forecast.js)
+  FORECAST: {
+    enabled: true,
+    metrics: ["disk_usage_percent", "memory_usage_percent"],
+    lookbackHours: 12,      // 추세를 맞출 최근 이력 구간 (시간)
+    minSamples: 6,          // 추세 계산에 필요한 최소 샘플 수
+    minSpanHours: 1,        // 샘플이 걸친 최소 시간 (너무 짧은 구간의 기울기는 사용하지 않음)
+    minSlopePerHour: 0.1,   // 증가 추세로 볼 최소 기울기 (%p/시간)
+    minR2: 0.5,             // 추세선 적합도(R²) 하한 - 오르내림이 심한 값은 예측하지 않음
+    horizonHours: 24,       // 이 시간 안에 심각 임계치(또는 100%)에 도달할 것으로 보이면 예측 경고
+    severity: "warning"     // 예측 경고 문제의 심각도
+  },
+
+  // 데이터 수신이 끊긴 서버 감지 (staleness.js) - 마지막 레코드 시각이 수집 간격을 여러 번 지나면 상태 'unknown'
+  STALE_DETECTION: {
+    enabled: true,
+    reference: "latest",        // 경과 시간 기준: 'latest'(가장 최근 레코드 시각 - 파일 분석/재생) | 'now'(현재 시각 - http/prometheus/stream 소스)
+    intervalSeconds: null,      // 예상 수집 간격 (초) - null이면 서버 이력의 레코드 간격(중앙값)으로 추정
+    defaultIntervalSeconds: 60, // 이력으로 간격을 추정할 수 없을 때의 수집 간격 (초)
+    staleAfter: 3,              // 수집 간격을 이 횟수 이상 놓치면 수신 지연(stale)
+    unreachableAfter: 10,       // 이 횟수 이상 놓치면 연결 끊김(unreachable)
+    severity: "error"           // '데이터 수신 없음' 문제의 심각도
+  },
+
+  // Agent 자동 점검 실행 (agent.js의 start/stop/pause)과 장애 처리 - 대시보드의 Agent 토글로도 켜고 끌 수 있음
+  AGENT: {
+    autoStart: true,            // 대시보드를 열면 바로 자동 점검 시작
+    intervalSeconds: 60,        // 주기 점검 간격 (초)
+    triggerOnDataUpdate: false, // true면 주기와 별도로 서버 데이터가 갱신될 때마다(serverDataUpdated) 점검
+    autoResolveAfter: 3,        // 장애 조건이 모두 사라진 전체 점검이 이 횟수만큼 이어지면 장애 자동 해결 (스트림 변경 점검은 세지 않음)
+    resolvedRetentionHours: 24, // 해결된 장애를 '최근 해결' 목록에 남겨 두는 시간
+    repeatMinutes: [60],        // 진행 중인 장애의 반복 알림 간격 (분) - 예: [15, 30, 60]이면 15분, 30분 뒤, 이후 60분마다 ([]이면 반복 안 함)
+    repeatWhileAcknowledged: false, // 확인된 장애도 반복 알림
+    notifyOnEscalation: true    // 심각도가 올라가면 반복 간격과 관계없이 바로 알림
+  },
+
+  // Agent 장애 상관 분석 (incident_correlation.js) - 같은 원인으로 여러 서버에 생긴 장애를 한 그룹으로 묶음
+  INCIDENT_CORRELATION: {
+    windowMinutes: 15,      // 이 시간 안에 감지된 장애끼리만 묶음
+    // 서버 유형별로 오류 메시지에서 그 유형을 가리키는 단어 (예: API 서버의 'remote DB' 오류 → db 서버 장애에 묶음)
+    dependencyKeywords: {
+      db: ["db", "database", "mysql", "postgres", "postgresql", "oracle", "데이터베이스"],
+      cache: ["cache", "redis", "memcached", "캐시"],
+      api: ["api"],
+      web: ["web", "nginx", "apache"],
+      queue: ["queue", "rabbitmq", "kafka", "큐"]
+    }
+  },
+
+  // 서비스 의존 관계 토폴로지 (topology.js) - 서비스가 멈추거나 서버가 심각 상태일 때 영향 범위 계산
+  // 모든 항목은 "왼쪽이 오른쪽에 의존" (예: web 서버는 api/app 서버에 의존)
+  TOPOLOGY: {
+    // 서버 유형 간 의존 (server_type, 없으면 호스트명 접두어 web-001 → web)
+    serverTypes: {
+      web: ["api", "app"],
+      api: ["db", "cache", "queue"],
+      app: ["db", "cache", "queue"]
+    },
+    // 서비스 간 의존 (같은 서버의 서비스 또는 의존하는 서버의 서비스)
+    services: {
+      haproxy: ["nginx"],
+      varnish: ["nginx"],
+      nginx: ["php-fpm", "tomcat", "nodejs", "gunicorn", "uwsgi"],
+      "php-fpm": ["mysql", "postgresql", "redis", "memcached"],
+      tomcat: ["mysql", "postgresql", "redis", "rabbitmq"],
+      nodejs: ["mysql", "postgresql", "mongodb", "redis", "rabbitmq"],
+      gunicorn: ["postgresql", "mysql", "redis", "rabbitmq"],
+      uwsgi: ["postgresql", "mysql", "redis", "rabbitmq"]
+    },
+    // 호스트별 추가 의존 (예: "web-kr-001": ["api-kr-001"])
+    hosts: {}
+  },
+
+  // Agent 장애 알림 전송 (notifier.js) - 라우팅 규칙에 맞는 채널로 보냄 (dev_notify_receiver.mjs로 로컬 시험)
+  // channels의 type: 'webhook'(일반 JSON) | 'slack' | 'teams' | 'email'(SMTP, Node 전용) | 'browser'(브라우저 알림, 권한은 대시보드 장애 보고서 패널의 알림 허용 버튼에서 요청)
+  // routes의 match: severity, minSeverity, serverType, environment, conditionId, reason('opened' | 'escalated' | 'repeat')
+  //   - 각 항목은 값 하나나 목록, 빠진 항목은 조건으로 보지 않음. 맞는 규칙의 채널로 모두 보내고 stop: true면 뒤 규칙은 보지 않음
+  NOTIFIER: {
+    enabled: true,
+    channels: [
+      { id: "browser", type: "browser" }
+      // { id: "ops-webhook", type: "webhook", url: "http://localhost:8082/webhook", headers: {} },
+      // { id: "ops-slack", type: "slack", url: "https://hooks.slack.com/services/..." },
+      // { id: "ops-teams", type: "teams", url: "https://example.webhook.office.com/..." },
+      // { id: "oncall-mail", type: "email", smtp: { host: "localhost", port: 2525, from: "openmanager@example.com", to: ["oncall@example.com"] } }
+    ],
+    routes: [
+      { name: "심각 장애", match: { minSeverity: "error", reason: ["opened", "escalated"] }, channels: ["browser"] }
+      // { name: "운영 DB", match: { environment: "prod", serverType: "db" }, channels: ["ops-slack", "oncall-mail"], stop: true },
+      // { name: "서비스 중단", match: { conditionId: "service_down" }, channels: ["ops-webhook"] }
+    ],
+    throttle: { windowMinutes: 10, maxPerWindow: 20 }, // 채널마다 구간 안 최대 전송 수 (채널 설정의 throttle이 우선)
+    deliveryLogSize: 50,      // 장애별로 남길 전송 기록 수
+    maxLoggedIncidents: 200,  // 전송 기록을 남길 최대 장애 수 (오래된 장애부터 정리)
+    timeoutMs: 5000           // 웹훅 요청/SMTP 전송 전체의 제한 시간 (밀리초)
+  },
+
+  // 장애/이력 영구 저장소 (storage.js) - 새로고침이나 재시작 뒤에도 Agent 장애, 이력 포인트, 확인/해결 기록 유지
+  // headless.js(analyze_servers.mjs 포함)는 createHeadlessCore({ storage: true })처럼 지정할 때만 사용
+  STORAGE: {
+    enabled: true,
+    backend: "auto",                          // 'auto'(브라우저 IndexedDB, Node 파일) | 'indexeddb' | 'file' | 'memory'
+    databaseName: "openmanager-ai",           // IndexedDB 데이터베이스 이름
+    filePath: "data/openmanager-store.json",  // file 백엔드 저장 파일 (상대 경로는 storage.js 위치 기준, data/는 git에서 제외)
+    writeDelayMs: 1000,                       // file 백엔드: 변경을 모아 파일에 쓰기까지 기다리는 시간 (밀리초)
+    retentionIntervalMinutes: 60,             // 보존 기간 정리 주기 (분, 열 때도 정리)
+    retention: {
+      incidentDays: 30,         // 해결된 장애 보존 기간 (일, 진행 중인 장애는 계속 보존)
+      historyHours: 168,        // 이력 포인트 보존 기간 (시간)
+      acknowledgementDays: 90   // 확인/해결 기록 보존 기간 (일)
+    }
+  },
+
+  // 점검 중인 서버 (server_status.js) - 상태가 'maintenance'로 표시되고 Agent 장애 감지에서 제외
+  // 원본 데이터의 maintenance: true 또는 status: "maintenance"도 같은 의미
+  MAINTENANCE: {
+    hosts: []               // 호스트명 목록 (예: ["db-kr-002"])
+  }
+};
@@ -0,0 +1,392 @@
+/**
+ * OpenManager AI - 메트릭 스냅샷 가져오기
+ * 고객사에서 받은 CSV/JSON 메트릭 덤프를 표준 스키마(server_schema.js) 레코드로 변환합니다.
+ * (server_dashboard.html의 "데이터 가져오기" 창에서 DataProcessor가 사용)
+ *
+ * CSV 형식:
+ *   - 첫 줄은 헤더, 구분자는 쉼표/세미콜론/탭 자동 감지, 큰따옴표로 감싼 값 지원
+ *   - 한 줄에 서버 하나, 또는 같은 서버/시각의 여러 줄에 마운트·인터페이스를 나눠 적는 형식 모두 지원
+ *     hostname,timestamp,cpu,memory,mount,disk
+ *     db-001,2025-05-17 10:00,45,70,/,62
+ *     db-001,2025-05-17 10:00,45,70,/data,91
+ *   - services는 "nginx=running;mysql=stopped", errors는 "CRITICAL: ...;WARNING: ..." 형식
+ *   - 같은 서버의 시각이 여러 개면 마지막 시각을 현재 상태로, 나머지는 이력으로 사용
+ * JSON 형식: 서버 레코드 배열 또는 { "servers": [...] } (standard/fixed 형태 모두 허용)
+ */
+
+import { normalizeServerRecord, validateServerRecord, latestRecordsByHost, detectRecordShape, RECORD_SHAPES } from './server_schema.js';
+
+/**
+ * 가져올 수 있는 표준 스키마 필드와 CSV 헤더 별칭 (별칭은 소문자, 영숫자만 비교)
+ * type: number(숫자), string(문자열), map(key=value 목록), list(; 구분 목록)
+ */
+export const IMPORT_FIELDS = [
+    { key: 'hostname', label: '호스트명', type: 'string', aliases: ['hostname', 'host', 'server', 'servername', 'instance', 'name'] },
+    { key: 'ip', label: 'IP', type: 'string', aliases: ['ip', 'ipaddress', 'ipaddr', 'address'] },
+    { key: 'os', label: 'OS', type: 'string', aliases: ['os', 'osname', 'operatingsystem'] },
+    { key: 'server_type', label: '서버 유형', type: 'string', aliases: ['type', 'servertype', 'role'] },
+    { key: 'environment', label: '환경', type: 'string', aliases: ['env', 'environment'] },
+    { key: 'location', label: '위치', type: 'string', aliases: ['location', 'region', 'idc', 'datacenter', 'zone'] },
+    { key: 'timestamp', label: '수집 시각', type: 'string', aliases: ['timestamp', 'time', 'datetime', 'date', 'collectedat'] },
+    { key: 'cpu_usage', label: 'CPU (%)', type: 'number', aliases: ['cpu', 'cpuusage', 'cpupercent', 'cpuutil'] },
+    { key: 'memory_usage_percent', label: '메모리 (%)', type: 'number', aliases: ['memory', 'mem', 'memoryusage', 'memoryusagepercent', 'mempercent', 'memusage'] },
+    { key: 'mount', label: '디스크 마운트', type: 'string', aliases: ['mount', 'mountpoint', 'filesystem', 'path'] },
+    { key: 'disk_usage_percent', label: '디스크 (%)', type: 'number', aliases: ['disk', 'diskusage', 'diskusagepercent', 'diskpercent'] },
+    { key: 'disk_total', label: '디스크 용량', type: 'number', aliases: ['disktotal', 'disksize'] },
+    { key: 'disk_used', label: '디스크 사용량', type: 'number', aliases: ['diskused'] },
+    { key: 'interface', label: '네트워크 인터페이스', type: 'string', aliases: ['interface', 'iface', 'nic', 'device'] },
+    { key: 'rx_bytes', label: '수신 바이트', type: 'number', aliases: ['rxbytes', 'rx', 'bytesin', 'netin'] },
+    { key: 'tx_bytes', label: '송신 바이트', type: 'number', aliases: ['txbytes', 'tx', 'bytesout', 'netout'] },
+    { key: 'rx_errors', label: '수신 오류', type: 'number', aliases: ['rxerrors', 'rxerr'] },
+    { key: 'tx_errors', label: '송신 오류', type: 'number', aliases: ['txerrors', 'txerr'] },
+    { key: 'load_avg_1m', label: '1분 부하', type: 'number', aliases: ['load', 'load1', 'loadavg', 'loadavg1m'] },
+    { key: 'process_count', label: '프로세스 수', type: 'number', aliases: ['processes', 'processcount', 'procs'] },
+    { key: 'zombie_count', label: '좀비 프로세스 수', type: 'number', aliases: ['zombies', 'zombiecount'] },
+    { key: 'services', label: '서비스 상태', type: 'map', aliases: ['services'] },
+    { key: 'errors', label: '오류 메시지', type: 'list', aliases: ['errors', 'error', 'messages'] },
+    { key: 'status', label: '상태', type: 'string', aliases: ['status', 'state'] }
+];
+
+// 없거나 읽을 수 없으면 0으로 처리되어 판단이 틀어지는 필수 수치 필드 (값이 없는 행은 가져오지 않음)
+const REQUIRED_METRIC_FIELDS = ['cpu_usage', 'memory_usage_percent'];
+const DISK_FIELDS = ['mount', 'disk_usage_percent', 'disk_total', 'disk_used'];
+const NET_FIELDS = ['interface', 'rx_bytes', 'tx_bytes', 'rx_errors', 'tx_errors'];
+
+const normalizeHeader = header => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const fieldByKey = key => IMPORT_FIELDS.find(field => field.key === key);
+
+/**
+ * 파일 이름과 내용으로 형식을 판별합니다.
+ * @param {string} fileName 파일 이름
+ * @param {string} text 파일 내용
+ * @returns {'csv'|'json'}
+ */
+export function detectImportFormat(fileName, text) {
+    if (/\.json$/i.test(fileName || '')) return 'json';
+    if (/\.(csv|tsv|txt)$/i.test(fileName || '')) return 'csv';
+    return /^\s*[[{]/.test(text) ? 'json' : 'csv';
+}
+
+// 첫 줄에서 가장 많이 나오는 구분자 선택
+function detectDelimiter(text) {
+    const firstLine = text.split(/\r?\n/, 1)[0];
+    return [',', ';', '\t']
+        .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+        .sort((a, b) => b.count - a.count)[0].delimiter;
+}
+
+/**
+ * CSV 텍스트를 헤더와 행 배열로 나눕니다 (큰따옴표 이스케이프, 값 안의 줄바꿈 지원).
+ * @param {string} text CSV 내용
+ * @returns {{headers: string[], rows: string[][]}}
+ */
+export function parseCsv(text) {
+    const source = String(text).replace(/^\uFEFF/, ''); // 엑셀 저장 시 붙는 BOM 제거
+    const delimiter = detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                value += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                value += char;
+            }
+        } else if (char === '"' && value === '') {
+            quoted = true;
+        } else if (char === delimiter) {
+            row.push(value.trim());
+            value = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(value.trim());
+            rows.push(row);
+            row = [];
+            value = '';
+        } else {
+            value += char;
+        }
+    }
+    if (value !== '' || row.length > 0) {
+        row.push(value.trim());
+        rows.push(row);
+    }
+
+    const nonEmpty = rows.filter(cells => cells.some(cell => cell !== ''));
+    return { headers: nonEmpty.length > 0 ? nonEmpty[0] : [], rows: nonEmpty.slice(1) };
+}
+
+/**
+ * 헤더 이름으로 표준 스키마 필드 매핑을 추천합니다. 같은 필드는 처음 일치한 열에만 매핑됩니다.
+ * @param {string[]} headers CSV 헤더
+ * @returns {Object<string, string>} { 헤더: 필드 키 (매핑하지 않으면 '') }
+ */
+export function suggestColumnMapping(headers) {
+    const used = new Set();
+    const mapping = {};
+    headers.forEach(header => {
+        const normalized = normalizeHeader(header);
+        const field = IMPORT_FIELDS.find(item => !used.has(item.key) &&
+            (item.aliases.includes(normalized) || normalizeHeader(item.key) === normalized));
+        mapping[header] = field ? field.key : '';
+        if (field) used.add(field.key);
+    });
+    return mapping;
+}
+
+// 셀 값을 필드 형식으로 변환 (숫자로 읽을 수 없으면 undefined)
+function parseCell(field, raw) {
+    switch (field.type) {
+        case 'number': {
+            const number = Number(String(raw).replace(/[%\s]/g, ''));
+            return isFinite(number) ? number : undefined;
+        }
+        case 'map':
+            return Object.fromEntries(String(raw).split(/[;|]/)
+                .map(entry => entry.split(/[=:]/).map(part => part.trim()))
+                .filter(([name, state]) => name && state)
+                .map(([name, state]) => [name, state.toLowerCase()]));
+        case 'list':
+            return String(raw).split(/[;|]/).map(item => item.trim()).filter(Boolean);
+        default:
+            return raw;
+    }
+}
+
+/**
+ * CSV 행을 매핑에 따라 원본 서버 레코드로 변환합니다.
+ * 같은 호스트/시각의 여러 행은 하나의 레코드로 합쳐 디스크 마운트와 네트워크 인터페이스를 모읍니다.
+ * @param {{headers: string[], rows: string[][]}} table parseCsv() 결과
+ * @param {Object<string, string>} mapping { 헤더: 필드 키 }
+ * @returns {{records: Object[], errors: string[], warnings: string[]}}
+ */
+export function csvToServerRecords(table, mapping) {
+    const errors = [];
+    const warnings = [];
+    const mappedFields = new Set(Object.values(mapping).filter(Boolean));
+
+    if (!mappedFields.has('hostname')) {
+        return { records: [], errors: ['호스트명 열을 매핑해야 합니다.'], warnings };
+    }
+    const unmapped = REQUIRED_METRIC_FIELDS.filter(key => !mappedFields.has(key));
+    if (unmapped.length > 0) {
+        return { records: [], errors: unmapped.map(key => `${fieldByKey(key).label} 열을 매핑해야 합니다.`), warnings };
+    }
+    if (!mappedFields.has('timestamp')) {
+        warnings.push('수집 시각 열이 없어 가져온 시각을 사용합니다.');
+    }
+
+    const importedAt = new Date().toISOString();
+    const recordsByKey = new Map();
+
+    table.rows.forEach((cells, index) => {
+        const line = index + 2; // 헤더 다음 줄부터 (1부터 셈)
+        const values = {};
+        const invalidCells = [];
+        table.headers.forEach((header, column) => {
+            const field = fieldByKey(mapping[header]);
+            const raw = cells[column];
+            if (!field || raw === undefined || raw === '') return;
+            const value = parseCell(field, raw);
+            if (value === undefined) {
+                invalidCells.push(`${header} 값 "${raw}"`);
+                return;
+            }
+            values[field.key] = value;
+        });
+
+        // 수치를 0으로 잘못 판단하지 않도록 읽을 수 없는 값이 있는 행은 제외
+        if (invalidCells.length > 0) {
+            errors.push(`${line}행: ${invalidCells.join(', ')}을(를) 숫자로 읽을 수 없어 건너뜁니다.`);
+            return;
+        }
+        if (!values.hostname) {
+            errors.push(`${line}행: 호스트명이 비어 있어 건너뜁니다.`);
+            return;
+        }
+
+        const timestamp = values.timestamp || importedAt;
+        const key = `${values.hostname}|${timestamp}`;
+        if (!recordsByKey.has(key)) {
+            recordsByKey.set(key, { hostname: values.hostname, timestamp, disk: [], net_interfaces: [] });
+        }
+        const record = recordsByKey.get(key);
+
+        Object.entries(values)
+            .filter(([field]) => !DISK_FIELDS.includes(field) && !NET_FIELDS.includes(field) && record[field] === undefined)
+            .forEach(([field, value]) => { record[field] = value; });
+
+        if (DISK_FIELDS.some(field => values[field] !== undefined)) {
+            const mount = values.mount || '/';
+            if (!record.disk.some(disk => disk.mount === mount)) {
+                record.disk.push({
+                    mount,
+                    disk_usage_percent: values.disk_usage_percent,
+                    disk_total: values.disk_total,
+                    disk_used: values.disk_used
+                });
+            }
+        }
+        if (NET_FIELDS.some(field => values[field] !== undefined)) {
+            const name = values.interface || `eth${record.net_interfaces.length}`;
+            if (!record.net_interfaces.some(item => item.interface === name)) {
+                const item = { interface: name };
+                NET_FIELDS.filter(field => field !== 'interface' && values[field] !== undefined)
+                    .forEach(field => { item[field] = values[field]; });
+                record.net_interfaces.push(item);
+            }
+        }
+    });
+
+    // 인터페이스 정보가 없는 레코드는 표준 변환기가 기본 인터페이스를 만들도록 비워 둠
+    const records = [...recordsByKey.values()].map(record => {
+        if (record.net_interfaces.length === 0) {
+            delete record.net_interfaces;
+        } else {
+            record.net = record.net_interfaces;
+        }
+        return record;
+    });
+    return { records, errors, warnings };
+}
+
+/**
+ * JSON 텍스트를 원본 서버 레코드 배열로 변환합니다.
+ * @param {string} text JSON 내용 (배열 또는 { servers: [...] })
+ * @returns {{records: Object[], errors: string[], warnings: string[]}}
+ */
+export function jsonToServerRecords(text) {
+    let body;
+    try {
+        body = JSON.parse(text);
+    } catch (error) {
+        return { records: [], errors: [`JSON 형식이 올바르지 않습니다: ${error.message}`], warnings: [] };
+    }
+    const records = Array.isArray(body) ? body : (body && Array.isArray(body.servers) ? body.servers : null);
+    if (!records) {
+        return { records: [], errors: ['서버 레코드 배열 또는 { "servers": [...] } 형식이어야 합니다.'], warnings: [] };
+    }
+    return { records, errors: [], warnings: [] };
+}
+
+// 숫자로 읽을 수 있는 원본 값인지 (CSV 셀과 같이 '%'와 공백은 무시)
+const isNumericValue = value => (typeof value === 'number' && isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && isFinite(Number(value.replace(/[%\s]/g, ''))));
+
+/**
+ * 표준 변환 전에 원본 레코드의 수치를 확인합니다 (변환하면 없거나 읽을 수 없는 값이 0이 되어 정상 서버처럼 보이므로).
+ * CPU/메모리가 없거나 숫자가 아닌 행, 숫자가 아닌 디스크 사용률은 오류로 돌려 invalid로 분류되게 합니다.
+ * @param {Object} raw standard/fixed 형태의 원본 레코드
+ * @returns {string[]} 오류 (없으면 빈 배열)
+ */
+function validateRawMetrics(raw) {
+    const fixed = detectRecordShape(raw) === RECORD_SHAPES.FIXED;
+    const stats = (fixed ? raw.stats : raw) || {};
+    const values = fixed
+        ? { cpu_usage: stats.cpuUsage, memory_usage_percent: stats.memoryUsage }
+        : { cpu_usage: raw.cpu_usage, memory_usage_percent: raw.memory_usage_percent };
+    if (fixed && stats.diskUsage !== undefined) values.disk_usage_percent = stats.diskUsage;
+
+    const errors = [];
+    Object.entries(values).forEach(([key, value]) => {
+        if (value === undefined || value === null || value === '') {
+            // 명시적으로 no_data로 표시한 인벤토리 레코드만 수치 없이 허용 (상태 'unknown')
+            if (raw.no_data === true) return;
+            errors.push(`${fieldByKey(key).label} 값이 없습니다.`);
+        } else if (!isNumericValue(value)) {
+            errors.push(`${fieldByKey(key).label} 값 "${value}"을(를) 숫자로 읽을 수 없습니다.`);
+        }
+    });
+    if (!fixed && Array.isArray(raw.disk)) {
+        raw.disk
+            .filter(disk => disk && disk.disk_usage_percent !== undefined && !isNumericValue(disk.disk_usage_percent))
+            .forEach(disk => errors.push(`디스크 ${disk.mount || '/'} 사용률 "${disk.disk_usage_percent}"을(를) 숫자로 읽을 수 없습니다.`));
+    }
+    return errors;
+}
+
+/**
+ * 원본 레코드를 표준 스키마로 변환·검증하여 미리보기/적용에 쓸 결과를 만듭니다.
+ * @param {{records: Object[], errors: string[], warnings: string[]}} parsed csvToServerRecords/jsonToServerRecords 결과
+ * @returns {{servers: Object[], records: Object[], invalid: Array<{label: string, errors: string[]}>, errors: string[], warnings: string[]}}
+ *          servers: 서버별 최신 레코드, records: 유효한 전체 레코드 (이력 포함)
+ */
+export function buildImportResult(parsed) {
+    const records = [];
+    const invalid = [];
+
+    parsed.records.forEach((raw, index) => {
+        const label = (raw && (raw.hostname || raw.serverHostname)) || `레코드 ${index + 1}`;
+        const record = normalizeServerRecord(raw);
+        if (!record) {
+            invalid.push({ label, errors: ['hostname이 없어 서버 레코드로 읽을 수 없습니다.'] });
+            return;
+        }
+        const metricErrors = validateRawMetrics(raw);
+        if (metricErrors.length > 0) {
+            invalid.push({ label, errors: metricErrors });
+            return;
+        }
+        const validation = validateServerRecord(record);
+        if (validation.valid) {
+            records.push(record);
+        } else {
+            invalid.push({ label, errors: validation.errors });
+        }
+    });
+
+    return {
+        servers: latestRecordsByHost(records),
+        records,
+        invalid,
+        errors: parsed.errors,
+        warnings: parsed.warnings
+    };
+}
+
+/**
+ * 가져온 레코드에 가져오기 묶음 이름(import_batch)을 붙입니다.
+ * 수신 끊김 판단(staleness.js)이 가져온 레코드를 실시간 데이터가 아니라 같은 파일의 레코드끼리 비교하는 데 사용합니다.
+ * @param {Object[]} records 가져온 레코드
+ * @param {string} [batch] 묶음 이름 (기본: 가져온 시각)
+ * @returns {Object[]}
+ */
+export function tagImportBatch(records, batch = `import-${Date.now()}`) {
+    return (records || []).map(record => ({ ...record, import_batch: batch }));
+}
+
+/**
+ * 현재 데이터에 가져온 레코드를 병합합니다.
+ * 가져온 파일에 있는 서버는 현재 레코드 대신 가져온 레코드(이력 포함)를 사용하고, 없는 서버는 현재 레코드를 유지합니다.
+ * 가져온 레코드에는 묶음 이름(import_batch)이 붙습니다 (tagImportBatch).
+ * @param {Object[]} current 현재 서버 데이터
+ * @param {Object[]} imported 가져온 레코드
+ * @param {string} [batch] 묶음 이름 (기본: 가져온 시각)
+ * @returns {Object[]}
+ */
+export function mergeServerRecords(current, imported, batch) {
+    const importedHosts = new Set((imported || []).map(record => record.hostname));
+    return (current || []).filter(server => !importedHosts.has(server.hostname)).concat(tagImportBatch(imported, batch));
+}
+
+/**
+ * 파일(File/Blob)을 텍스트로 읽습니다.
+ * @param {File} file 선택하거나 끌어다 놓은 파일
+ * @returns {Promise<string>}
+ */
+export function readFileAsText(file) {
+    if (typeof file.text === 'function') return file.text();
+    return new Promise((resolve, reject) => {
+        const reader = new FileReader();
+        reader.onload = () => resolve(reader.result);
+        reader.onerror = () => reject(reader.error);
+        reader.readAsText(file);
+    });
+}
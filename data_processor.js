@@ -4,13 +4,105 @@
  */
 
 import { AIProcessor, processQuery } from './ai_processor.js';
+import { Agent, AGENT_STATES, INCIDENT_STATES } from './agent.js';
 import { CONFIG } from './config.js';
+import { Notifier, DELIVERY_STATUSES } from './notifier.js';
+import { PersistentStore } from './storage.js';
+import { getDefaultDataSource, ImportedDataSource } from './data_source.js';
+import {
+    IMPORT_FIELDS,
+    detectImportFormat,
+    parseCsv,
+    suggestColumnMapping,
+    csvToServerRecords,
+    jsonToServerRecords,
+    buildImportResult,
+    mergeServerRecords,
+    tagImportBatch,
+    readFileAsText
+} from './data_import.js';
+import {
+    normalizeServerRecords,
+    getDisks,
+    getDiskThreshold,
+    getDisksOverThreshold,
+    getMaxDiskUsage,
+    getNetInterfaces,
+    getNetErrorCount
+} from './server_schema.js';
+import {
+    getStatusThresholds,
+    evaluateServerStatus,
+    getResourceStatus as evaluateResourceStatus,
+    getDiskStatus as evaluateDiskStatus,
+    getStatusLabel as statusLabel,
+    getStatusColor,
+    getStatusChartColor as statusChartColor,
+    getStatusWeight,
+    countServersByStatus,
+    SERVER_STATUSES,
+    STATUS_INFO,
+    formatBytes as formatByteSize,
+    formatDiskUsage as formatDiskUsageText,
+    formatNetworkReport as formatNetworkReportText,
+    escapeHtml
+} from './server_status.js';
+import { buildProblemReport, buildAllProblemsReport, buildStatusSummaryReport } from './report_builder.js';
+import { formatDuration } from './forecast.js';
+import { STALE_LABELS, formatStaleness } from './staleness.js';
+import {
+    DEFAULT_RULES,
+    RULE_METRICS,
+    RULE_OPERATORS,
+    getDefaultRulesEngine,
+    validateRule,
+    describeRuleCondition,
+    formatFindingValue
+} from './rules_engine.js';
+import {
+    parseRulesJson,
+    serializeRules,
+    loadStoredRules,
+    saveStoredRules,
+    clearStoredRules,
+    buildRuleFromForm,
+    ruleToFormValues,
+    previewRuleMatches
+} from './rule_store.js';
+import {
+    buildTopology,
+    findFailedNodes,
+    getBlastRadius,
+    analyzeBlastRadius,
+    getHostTiers,
+    describeNode,
+    formatImpact
+} from './topology.js';
 
-class DataProcessor {
+// 토폴로지 그래프 배치 (서버 상자 너비, 열 간격, 상자 머리/서비스 행 높이, 여백 - px)
+const TOPOLOGY_LAYOUT = { width: 180, gap: 70, header: 26, row: 20, margin: 16 };
+// 토폴로지 그래프 색상 (서버 상태, 중단된 서비스, 영향 범위, 선택한 노드)
+const TOPOLOGY_COLORS = {
+    critical: '#dc3545',
+    error: '#e8590c',
+    warning: '#ffc107',
+    unknown: '#6c757d',
+    maintenance: '#0dcaf0',
+    normal: '#198754',
+    stopped: '#f8d7da',
+    impact: '#fd7e14',
+    selected: '#0d6efd',
+    edge: '#adb5bd'
+};
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// 문제 목록에 표시하는 심각도 (규칙 엔진 심각도)
+const PROBLEM_SEVERITIES = ['critical', 'error', 'warning'];
+
+export class DataProcessor {
     constructor() {
         try {
             // 기본 데이터 초기화
-            this.serverData = window.serverData || [];
+            this.serverData = [];
             this.filteredData = [];
             this.currentFilter = 'all';
             this.currentSort = 'status-critical'; // 기본 정렬을 상태 기준(심각 > 경고 > 정상)으로 변경
@@ -22,9 +114,16 @@ class DataProcessor {
             this.currentProblemPage = 1;
             this.problemsPerPage = 5; // 페이지당, 처음에 표시될 문제 수
             
+            // Agent 장애 목록 보기 ('open': 진행 중, 'resolved': 최근 해결)
+            this.incidentView = 'open';
+            
+
             // 초기화 로깅
             console.log('DataProcessor 초기화 시작...');
             
+            // 데이터 소스 (CONFIG.DATA_SOURCE로 선택, AIProcessor와 같은 인스턴스를 공유)
+            this.dataSource = getDefaultDataSource();
+            
             // AIProcessor 인스턴스 초기화 개선
             if (window.aiProcessor) {
                 this.aiProcessor = window.aiProcessor;
@@ -32,7 +131,7 @@ class DataProcessor {
             } else if (typeof AIProcessor === 'function') {
                 // AIProcessor 클래스가 존재하면 인스턴스 생성
                 try {
-                    window.aiProcessor = new AIProcessor();
+                    window.aiProcessor = new AIProcessor({ dataSource: this.dataSource });
                     this.aiProcessor = window.aiProcessor;
                     console.log("AIProcessor 인스턴스를 새로 생성했습니다.");
                 } catch (e) {
@@ -44,19 +143,8 @@ class DataProcessor {
                 this.aiProcessor = null;
             }
             
-            // 서버 상태 평가 임계값 - 통합 관리
-            this.thresholds = {
-                critical: {
-                    cpu: 90,
-                    memory: 90,
-                    disk: 90
-                },
-                warning: {
-                    cpu: 70,
-                    memory: 70,
-                    disk: 70
-                }
-            };
+            // 규칙 편집기에서 브라우저에 저장한 규칙이 있으면 기본 규칙 대신 사용
+            this.applyStoredRules();
             
             // UI 요소 참조 - 안전하게 참조를 시도합니다
             this.findUIElements();
@@ -69,12 +157,38 @@ class DataProcessor {
                 console.warn('일부 UI 요소를 찾을 수 없어 이벤트 리스너 등록이 제한됩니다.');
             }
             
-            // 자동 데이터 업데이트 (1분 간격)
-            setInterval(() => this.refreshData(), 60 * 1000);
+            // 자동 데이터 업데이트 (1분 간격, 변경분을 밀어주는 스트림 소스는 새로고침 불필요)
+            if (!this.dataSource.pushBased) {
+                setInterval(() => this.refreshData(), 60 * 1000);
+            }
             
             // 초기 데이터 로드
             this.loadData();
             
+            // 자동 장애 점검 Agent (같은 데이터 소스 사용, 장애 보고서 패널의 토글로 시작/일시 정지)
+            // 장애 알림은 Notifier가 config.js의 NOTIFIER 라우팅 규칙에 따라 채널로 전송
+            this.notifier = new Notifier();
+            this.updateBrowserNotifyButton();
+            this.agent = new Agent(this.aiProcessor, {
+                dataSource: this.dataSource,
+                onStatusChange: status => {
+                    this.updateAgentStatus(status);
+                    this.renderAgentIncidents();
+                },
+                onIncidentChange: () => this.renderAgentIncidents(),
+                // 전송 결과를 돌려줘 Agent가 전해진 알림만 기록하도록 함 (결과가 반영되면 onIncidentChange로 다시 그림)
+                onNotify: notifications => this.notifier.notify(notifications)
+            });
+            // 저장소(IndexedDB)의 이력과 장애를 먼저 불러온 뒤 Agent 시작 (새로고침 전 장애가 새 장애로 다시 보고되지 않도록)
+            this.openStore().then(() => {
+                this.renderAgentIncidents();
+                if (CONFIG.AGENT && CONFIG.AGENT.autoStart) {
+                    this.agent.start();
+                } else {
+                    this.updateAgentStatus(this.agent.getStatus());
+                }
+            });
+            
             // 서버 상태 판단 통합 로직을 전역 함수로 등록
             window.getServerStatus = (server) => this.getServerStatus(server);
             
@@ -83,8 +197,8 @@ class DataProcessor {
             console.error('DataProcessor 초기화 중 심각한 오류 발생:', error);
             
             // 최소한의 기능 보장
-            this.serverData = window.serverData || [];
-            this.filteredData = window.serverData || [];
+            this.serverData = [];
+            this.filteredData = [];
             
             // 기본 필수 함수들은 최소한으로라도 구현
             if (!this.showLoading) {
@@ -211,22 +325,45 @@ class DataProcessor {
             this.refreshButton.addEventListener('click', () => this.refreshData());
         }
         
+        // CSV/JSON 데이터 가져오기
+        this.registerImportHandlers();
+        
+        // 문제 감지 규칙 편집기
+        this.registerRuleEditorHandlers();
+        
+        // 서비스 토폴로지 그래프
+        this.registerTopologyHandlers();
+        
         // 모달 닫기 이벤트
         if (this.closeModalButton) {
             this.closeModalButton.addEventListener('click', () => this.closeModal());
         }
         
-        // 서버 데이터 업데이트 이벤트 리스너
-        window.addEventListener('serverDataUpdated', (event) => {
-            this.handleDataUpdate(event.detail);
-        });
-        
         // 초기 AI 도우미 기능 설정
         const aiQuerySubmitButton = document.getElementById('ai-query-submit');
         if (aiQuerySubmitButton) {
             aiQuerySubmitButton.addEventListener('click', () => this.processAIQuery());
         }
         
+        // Agent 자동 점검 시작/일시 정지
+        const agentToggleButton = document.getElementById('agentToggleBtn');
+        if (agentToggleButton) {
+            agentToggleButton.addEventListener('click', () => this.toggleAgent());
+        }
+        
+        // 브라우저 알림 권한 요청 (브라우저는 사용자 클릭에서만 권한 요청을 허용)
+        const browserNotifyButton = document.getElementById('browserNotifyPermissionBtn');
+        if (browserNotifyButton) {
+            browserNotifyButton.addEventListener('click', () => {
+                this.notifier.requestBrowserPermission()
+                    .catch(error => console.warn('브라우저 알림 권한 요청 실패:', error))
+                    .finally(() => this.updateBrowserNotifyButton());
+            });
+        }
+        
+        // Agent 장애 목록 (진행 중/최근 해결 전환, 확인/해결 처리)
+        this.registerIncidentHandlers();
+        
         // 장애 보고서 다운로드 이벤트
         const downloadReportButton = document.getElementById('downloadAllReportsBtn');
         if (downloadReportButton) {
@@ -308,30 +445,31 @@ class DataProcessor {
     loadData() {
         this.showLoading();
         
-        // 데이터가 이미 로드되어 있으면 사용
-        if (window.serverData && window.serverData.length > 0) {
-            this.handleDataUpdate(window.serverData);
-            return;
+        // 데이터 소스 구독 (새 데이터가 도착할 때마다 화면 갱신)
+        if (this.unsubscribeDataSource) {
+            this.unsubscribeDataSource();
         }
-        
-        // 데이터 로드 시도 (최대 10초 대기)
-        let attempts = 0;
-        const maxAttempts = 20; // 10초 = 500ms * 20
-        const checkInterval = setInterval(() => {
-            if (window.serverData && window.serverData.length > 0) {
-                clearInterval(checkInterval);
-                this.handleDataUpdate(window.serverData);
-                return;
+        this.unsubscribeDataSource = this.dataSource.subscribe((data, changes) => {
+            if (data && data.length > 0) {
+                this.handleDataUpdate(data, changes);
             }
-            
-            attempts++;
-            if (attempts >= maxAttempts) {
-                clearInterval(checkInterval);
+        });
+        
+        // 10초 내에 데이터가 없으면 백업 데이터 생성
+        const loadTimeout = setTimeout(() => {
+            if (this.serverData.length === 0) {
                 this.hideLoading();
                 console.error('서버 데이터를 로드하지 못했습니다. 백업 데이터 생성을 시도합니다.');
                 this.createBackupData();
             }
-        }, 500);
+        }, 10 * 1000);
+        
+        this.dataSource.connect().catch(error => {
+            clearTimeout(loadTimeout);
+            console.error('데이터 소스 연결에 실패했습니다. 백업 데이터 생성을 시도합니다.', error);
+            this.hideLoading();
+            this.createBackupData();
+        });
     }
     
     // 백업 데이터 생성 함수
@@ -341,9 +479,9 @@ class DataProcessor {
         try {
             // 1. generateDummyData 함수 검사 및 호출
             if (typeof generateDummyData === 'function') {
-                window.serverData = generateDummyData(10); // 30개에서 10개로 줄임
-                if (window.serverData && window.serverData.length > 0) {
-                    this.handleDataUpdate(window.serverData);
+                const generatedServers = generateDummyData(10); // 30개에서 10개로 줄임
+                if (generatedServers && generatedServers.length > 0) {
+                    this.handleDataUpdate(generatedServers);
                     return;
                 }
             }
@@ -413,16 +551,9 @@ class DataProcessor {
                 });
             }
             
-            // 전역 변수에 저장 및 이벤트 발생
-            window.serverData = backupServers;
+
             this.handleDataUpdate(backupServers);
             
-            // 이벤트 발생시키기
-            const event = new CustomEvent('serverDataUpdated', { 
-                detail: backupServers 
-            });
-            window.dispatchEvent(event);
-            
         } catch (error) {
             console.error('백업 데이터 생성 중 오류:', error);
             
@@ -436,20 +567,56 @@ class DataProcessor {
         }
     }
     
-    handleDataUpdate(data) {
-        this.serverData = [...data]; // 데이터 복사
+    handleDataUpdate(data, changes) {
+        // 서버 추가/삭제 없이 값만 바뀐 스트림 변경분은 해당 서버 카드만 교체
+        const incremental = changes && changes.delta && this.serverData.length > 0 &&
+            changes.added.length === 0 && changes.removed.length === 0;
+        const previousOrder = this.filteredData.map(server => server.hostname).join(',');
+        const staleHosts = () => this.serverData.filter(server => server.stale).map(server => server.hostname);
+        const previousStale = staleHosts();
+
+        this.serverData = normalizeServerRecords(data); // 표준 스키마로 변환 (데이터 복사)
         this.hideLoading();
         
         // 추가 데이터 처리 (AI 분석 등)
+        // 같은 데이터 소스를 구독 중인 AIProcessor는 원본 배열로 중복 수신을 걸러냄
         if (this.aiProcessor) {
-            this.aiProcessor.updateData(this.serverData);
+            this.aiProcessor.updateData(data);
+            this.serverData = this.aiProcessor.markStaleServers(this.serverData); // 데이터 수신이 끊긴 서버 표시 (staleness.js)
             this.updateProblemsList(); // AI 자동 장애 보고서 업데이트
         }
         
-        // 필터 및 정렬 적용
-        this.applyFiltersAndSort();
+        if (incremental) {
+            this.filterAndSortData();
+            // 필터 결과나 정렬 순서가 바뀌면 그리드 전체를 다시 그림
+            if (this.filteredData.map(server => server.hostname).join(',') === previousOrder) {
+                // 값이 바뀌지 않은 서버도 수신 끊김 표시가 생기거나 풀리면(경과 시간 포함) 카드를 교체
+                this.replaceServerCards([...new Set([...changes.changed, ...previousStale, ...staleHosts()])]);
+            } else {
+                this.updateUI();
+            }
+        } else {
+            // 필터 및 정렬 적용
+            this.applyFiltersAndSort();
+        }
         this.updateGlobalStatusSummary(); // 서버 현황 요약 업데이트 추가
         this.updatePresetTagClasses(); // 프리셋 태그 클래스 업데이트
+        this.refreshTopologyView(); // 토폴로지 모달이 열려 있으면 새 상태로 다시 그림
+    }
+    
+    // 현재 페이지에 표시 중인 서버 카드 중 변경된 서버만 새 카드로 교체
+    replaceServerCards(hostnames) {
+        if (!this.serverGrid) return;
+        const changed = new Set(hostnames);
+        this.filteredData
+            .filter(server => changed.has(server.hostname))
+            .forEach(server => {
+                const card = [...this.serverGrid.querySelectorAll('.server-card')]
+                    .find(element => element.dataset.serverId === server.hostname);
+                if (card) {
+                    card.replaceWith(this.createServerCard(server));
+                }
+            });
     }
     
     // 프리셋 태그 클래스 업데이트 (서버 상태에 따라 색상 동적 변경)
@@ -457,8 +624,8 @@ class DataProcessor {
         // 1. CPU 과부하 프리셋
         const cpuPresetTag = document.getElementById('cpu-preset');
         if (cpuPresetTag) {
-            const highCpuServers = this.serverData.filter(server => server.cpu_usage >= this.thresholds.warning.cpu);
-            const criticalCpuServers = highCpuServers.filter(server => server.cpu_usage >= this.thresholds.critical.cpu);
+            const highCpuServers = this.serverData.filter(server => this.getResourceStatus(server.cpu_usage, 'cpu', server) !== 'normal');
+            const criticalCpuServers = highCpuServers.filter(server => this.getResourceStatus(server.cpu_usage, 'cpu', server) === 'critical');
             
             // 클래스 초기화 및 상태에 따라 설정
             cpuPresetTag.classList.remove('tag-normal', 'tag-warning', 'tag-critical');
@@ -488,8 +655,8 @@ class DataProcessor {
         // 2. 메모리 부족 프리셋
         const memoryPresetTag = document.getElementById('memory-preset');
         if (memoryPresetTag) {
-            const highMemoryServers = this.serverData.filter(server => server.memory_usage_percent >= this.thresholds.warning.memory);
-            const criticalMemoryServers = highMemoryServers.filter(server => server.memory_usage_percent >= this.thresholds.critical.memory);
+            const highMemoryServers = this.serverData.filter(server => this.getResourceStatus(server.memory_usage_percent, 'memory', server) !== 'normal');
+            const criticalMemoryServers = highMemoryServers.filter(server => this.getResourceStatus(server.memory_usage_percent, 'memory', server) === 'critical');
             
             // 클래스 초기화 및 상태에 따라 설정
             memoryPresetTag.classList.remove('tag-normal', 'tag-warning', 'tag-critical');
@@ -545,14 +712,8 @@ class DataProcessor {
         // 4. 디스크 부족 프리셋
         const diskPresetTag = document.getElementById('disk-preset');
         if (diskPresetTag) {
-            const highDiskServers = this.serverData.filter(server => 
-                server.disk && 
-                server.disk.length > 0 && 
-                server.disk[0].disk_usage_percent >= this.thresholds.warning.disk
-            );
-            const criticalDiskServers = highDiskServers.filter(server => 
-                server.disk[0].disk_usage_percent >= this.thresholds.critical.disk
-            );
+            const highDiskServers = this.serverData.filter(server => this.getHighDisks(server, 'warning').length > 0);
+            const criticalDiskServers = highDiskServers.filter(server => this.getHighDisks(server, 'critical').length > 0);
             
             // 클래스 초기화 및 상태에 따라 설정
             diskPresetTag.classList.remove('tag-normal', 'tag-warning', 'tag-critical');
@@ -611,28 +772,19 @@ class DataProcessor {
             if (loadingContent) loadingContent.style.display = 'inline-block';
         }
         
-        // 페이지 재로드가 아닌 데이터만 새로 생성
-        if (typeof generateDummyData === 'function') {
-            try {
-                console.log('더미 데이터 다시 생성...');
-                window.serverData = generateDummyData(10); // 30개에서 10개로 줄임
-                
-                // 데이터 업데이트 이벤트 발생시키기
-                const event = new CustomEvent('serverDataUpdated', { 
-                    detail: window.serverData 
-                });
-                window.dispatchEvent(event);
-                
-                // 3초 후 로딩 숨기기 (새로고침 효과)
+        // 페이지 재로드가 아닌 데이터 소스에서 최신 데이터만 다시 가져오기
+        // (가져온 데이터는 구독 중인 handleDataUpdate로 전달됨)
+        this.dataSource.fetch()
+            .then(() => {
+                // 1초 후 로딩 숨기기 (새로고침 효과)
                 setTimeout(() => {
                     this.hideLoading();
                     
                     // 새로고침 버튼 상태 복원
                     this.resetRefreshButton(refreshBtn);
-                }, 3000);
-                
-                return;
-            } catch (e) {
+                }, 1000);
+            })
+            .catch(e => {
                 console.error('데이터 새로고침 중 오류:', e);
                 // 오류 발생 시 원래 데이터로 UI 복원
                 this.hideLoading();
@@ -656,22 +808,7 @@ class DataProcessor {
                         errorAlert.parentNode.removeChild(errorAlert);
                     }
                 }, 5000);
-                
-                return;
-            }
-        }
-        
-        // 데이터가 업데이트되면 serverDataUpdated 이벤트로 처리됨
-        // 하지만 10초 내에 업데이트가 없으면 현재 데이터로 UI 다시 로드
-        setTimeout(() => {
-            if (this.loadingIndicator.style.display !== 'none') {
-                this.hideLoading();
-                this.applyFiltersAndSort();
-                
-                // 새로고침 버튼 상태 복원
-                this.resetRefreshButton(refreshBtn);
-            }
-        }, 10000);
+            });
     }
     
     // 새로고침 버튼 상태 초기화 유틸리티 메소드
@@ -687,6 +824,795 @@ class DataProcessor {
         }
     }
     
+    /**
+     * 데이터 소스를 교체합니다. 그리드, AIProcessor, Agent가 모두 새 소스의 데이터로 다시 그려집니다.
+     * @param {DataSource} dataSource data_source.js의 데이터 소스 인스턴스
+     */
+    setDataSource(dataSource) {
+        const previous = this.dataSource;
+        // 기본 소스는 원래 데이터로 복원할 수 있도록 열어 두고, 가져온 데이터 소스만 정리
+        if (previous && previous !== dataSource && previous !== getDefaultDataSource()) {
+            previous.close();
+        }
+        this.dataSource = dataSource;
+        this.serverData = [];
+        this.filteredData = [];
+        this.currentPage = 1;
+
+        if (this.aiProcessor && typeof this.aiProcessor.setDataSource === 'function') {
+            this.aiProcessor.setDataSource(dataSource);
+        }
+        window.dispatchEvent(new CustomEvent('dataSourceChanged', { detail: dataSource }));
+
+        this.loadData();
+        this.updateImportStatus();
+    }
+    
+    // 가져온 데이터를 버리고 CONFIG.DATA_SOURCE의 기본 데이터 소스로 복원
+    restoreDefaultDataSource() {
+        this.setDataSource(getDefaultDataSource());
+    }
+    
+    // 데이터 가져오기 창의 파일 선택, 끌어다 놓기, 적용 버튼 이벤트 등록
+    registerImportHandlers() {
+        const openButton = document.getElementById('importDataBtn');
+        const dropZone = document.getElementById('importDropZone');
+        const fileInput = document.getElementById('importFileInput');
+        if (!openButton || !dropZone || !fileInput) return;
+
+        openButton.addEventListener('click', () => this.openImportDialog());
+        dropZone.addEventListener('click', () => fileInput.click());
+        fileInput.addEventListener('change', () => {
+            if (fileInput.files.length > 0) this.handleImportFile(fileInput.files[0]);
+            fileInput.value = ''; // 같은 파일을 다시 선택해도 change가 발생하도록
+        });
+        dropZone.addEventListener('dragover', event => {
+            event.preventDefault();
+            dropZone.classList.add('drag-over');
+        });
+        dropZone.addEventListener('dragleave', () => dropZone.classList.remove('drag-over'));
+        dropZone.addEventListener('drop', event => {
+            event.preventDefault();
+            dropZone.classList.remove('drag-over');
+            if (event.dataTransfer.files.length > 0) this.handleImportFile(event.dataTransfer.files[0]);
+        });
+
+        document.getElementById('importReplaceBtn')?.addEventListener('click', () => this.applyImport('replace'));
+        document.getElementById('importMergeBtn')?.addEventListener('click', () => this.applyImport('merge'));
+        document.getElementById('importRestoreBtn')?.addEventListener('click', () => this.restoreDefaultDataSource());
+    }
+    
+    openImportDialog() {
+        this.importState = null;
+        this.renderImportDialog();
+
+        const modalElement = document.getElementById('dataImportModal');
+        if (!modalElement) return;
+        if (typeof bootstrap !== 'undefined' && typeof bootstrap.Modal === 'function') {
+            bootstrap.Modal.getOrCreateInstance(modalElement).show();
+        } else {
+            modalElement.style.display = 'block';
+            modalElement.classList.add('show');
+        }
+    }
+    
+    closeImportDialog() {
+        const modalElement = document.getElementById('dataImportModal');
+        if (!modalElement) return;
+        if (typeof bootstrap !== 'undefined' && typeof bootstrap.Modal === 'function') {
+            bootstrap.Modal.getOrCreateInstance(modalElement).hide();
+        } else {
+            modalElement.style.display = 'none';
+            modalElement.classList.remove('show');
+        }
+    }
+    
+    // 선택한 파일을 읽어 CSV면 열 매핑을 추천하고 미리보기를 만듦
+    async handleImportFile(file) {
+        try {
+            const text = await readFileAsText(file);
+            const format = detectImportFormat(file.name, text);
+            this.importState = { fileName: file.name, format, text };
+            if (format === 'csv') {
+                this.importState.table = parseCsv(text);
+                this.importState.mapping = suggestColumnMapping(this.importState.table.headers);
+            }
+            this.updateImportPreview();
+        } catch (error) {
+            console.error('가져온 파일을 읽는 중 오류:', error);
+            this.importState = { fileName: file.name, result: { servers: [], records: [], invalid: [], errors: [`파일을 읽지 못했습니다: ${error.message}`], warnings: [] } };
+            this.renderImportDialog();
+        }
+    }
+    
+    // 현재 매핑으로 레코드를 다시 변환·검증 (CSV 열 매핑을 바꿀 때마다 호출)
+    updateImportPreview() {
+        const state = this.importState;
+        const parsed = state.format === 'csv'
+            ? csvToServerRecords(state.table, state.mapping)
+            : jsonToServerRecords(state.text);
+        state.result = buildImportResult(parsed);
+        this.renderImportDialog();
+    }
+    
+    renderImportDialog() {
+        const state = this.importState;
+        const result = state && state.result;
+        const fileLabel = document.getElementById('importFileName');
+        const mappingSection = document.getElementById('importMappingSection');
+        const previewSection = document.getElementById('importPreviewSection');
+        const messages = document.getElementById('importMessages');
+
+        if (fileLabel) fileLabel.textContent = state ? state.fileName : '';
+        if (mappingSection) mappingSection.style.display = state && state.format === 'csv' ? 'block' : 'none';
+        if (previewSection) previewSection.style.display = result ? 'block' : 'none';
+        if (state && state.format === 'csv') this.renderImportMapping();
+
+        if (messages) {
+            messages.innerHTML = '';
+            if (result) {
+                const addMessage = (className, text) => {
+                    const item = document.createElement('div');
+                    item.className = `alert ${className} py-1 px-2 mb-1 small`;
+                    item.textContent = text;
+                    messages.appendChild(item);
+                };
+                result.errors.forEach(text => addMessage('alert-danger', text));
+                result.invalid.forEach(item => addMessage('alert-danger', `${item.label}: ${item.errors.join(', ')}`));
+                result.warnings.forEach(text => addMessage('alert-warning', text));
+            }
+        }
+        if (result) this.renderImportPreview(result);
+
+        const canApply = Boolean(result && result.servers.length > 0);
+        ['importReplaceBtn', 'importMergeBtn'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) button.disabled = !canApply;
+        });
+    }
+    
+    // CSV 헤더별 표준 스키마 필드 선택 목록
+    renderImportMapping() {
+        const tbody = document.getElementById('importMappingTable');
+        if (!tbody) return;
+        const { table, mapping } = this.importState;
+        tbody.innerHTML = '';
+
+        table.headers.forEach((header, column) => {
+            const row = document.createElement('tr');
+            const headerCell = document.createElement('td');
+            headerCell.textContent = header;
+            const sampleCell = document.createElement('td');
+            sampleCell.className = 'text-muted';
+            sampleCell.textContent = table.rows.length > 0 ? (table.rows[0][column] || '') : '';
+
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm';
+            [{ key: '', label: '(사용 안 함)' }, ...IMPORT_FIELDS].forEach(field => {
+                const option = document.createElement('option');
+                option.value = field.key;
+                option.textContent = field.key ? `${field.label} (${field.key})` : field.label;
+                option.selected = mapping[header] === field.key;
+                select.appendChild(option);
+            });
+            select.addEventListener('change', () => {
+                mapping[header] = select.value;
+                this.updateImportPreview();
+            });
+            const selectCell = document.createElement('td');
+            selectCell.appendChild(select);
+
+            row.append(headerCell, sampleCell, selectCell);
+            tbody.appendChild(row);
+        });
+    }
+    
+    // 변환된 서버 목록 미리보기 (서버별 최신 레코드)
+    renderImportPreview(result) {
+        const summary = document.getElementById('importPreviewSummary');
+        const tbody = document.getElementById('importPreviewTable');
+        const counts = countServersByStatus(result.servers, server => this.getServerStatus(server));
+
+        if (summary) {
+            const historyCount = result.records.length - result.servers.length;
+            const statusCounts = SERVER_STATUSES
+                .filter(status => counts[status] > 0)
+                .map(status => `${STATUS_INFO[status].label} ${counts[status]}`)
+                .join(', ');
+            summary.textContent = `서버 ${result.servers.length}대 (${statusCounts})` +
+                (historyCount > 0 ? `, 이력 레코드 ${historyCount}개` : '') +
+                (result.invalid.length > 0 ? `, 제외된 레코드 ${result.invalid.length}개` : '');
+        }
+        if (!tbody) return;
+
+        tbody.innerHTML = '';
+        result.servers.forEach(server => {
+            const row = document.createElement('tr');
+            const status = this.getServerStatus(server);
+            [
+                server.hostname,
+                server.server_type || '-',
+                `${server.cpu_usage.toFixed(1)}%`,
+                `${server.memory_usage_percent.toFixed(1)}%`,
+                getDisks(server).map(disk => `${disk.mount} ${disk.disk_usage_percent.toFixed(1)}%`).join(', ') || '-',
+                new Date(server.timestamp).toLocaleString()
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            const statusCell = document.createElement('td');
+            const badge = document.createElement('span');
+            badge.className = `badge bg-${getStatusColor(status)}`;
+            badge.textContent = statusLabel(status);
+            statusCell.appendChild(badge);
+            row.appendChild(statusCell);
+            tbody.appendChild(row);
+        });
+    }
+    
+    /**
+     * 가져온 데이터를 적용합니다.
+     * @param {'replace'|'merge'} mode replace: 현재 데이터를 교체, merge: 현재 데이터에 병합 (같은 호스트는 가져온 데이터 우선)
+     */
+    applyImport(mode) {
+        const result = this.importState && this.importState.result;
+        if (!result || result.servers.length === 0) return;
+
+        // 가져온 레코드는 파일마다 묶음 이름을 붙여 실시간 데이터와 따로 수신 끊김을 판단
+        const batch = `${this.importState.fileName}@${Date.now()}`;
+        const records = mode === 'merge' ? mergeServerRecords(this.serverData, result.records, batch) : tagImportBatch(result.records, batch);
+
+        this.closeImportDialog();
+        this.setDataSource(new ImportedDataSource({ records, label: this.importState.fileName }));
+        console.log(`[DataProcessor] ${this.importState.fileName}에서 서버 ${result.servers.length}대를 가져왔습니다 (${mode === 'merge' ? '병합' : '교체'}).`);
+    }
+    
+    // 가져온 데이터를 사용 중이면 상단에 파일 이름과 복원 버튼 표시
+    updateImportStatus() {
+        const statusBar = document.getElementById('importStatusBar');
+        if (!statusBar) return;
+        const imported = this.dataSource instanceof ImportedDataSource;
+        statusBar.style.display = imported ? 'flex' : 'none';
+        const label = document.getElementById('importStatusLabel');
+        if (label && imported) {
+            label.textContent = `가져온 데이터 사용 중: ${this.dataSource.options.label || '파일'}`;
+        }
+    }
+    
+    // 상태 판단에 사용하는 규칙 엔진 (AIProcessor와 같은 인스턴스)
+    getRulesEngine() {
+        return this.aiProcessor && this.aiProcessor.rulesEngine ? this.aiProcessor.rulesEngine : getDefaultRulesEngine();
+    }
+    
+    applyStoredRules() {
+        const rules = loadStoredRules();
+        if (!rules) return;
+        try {
+            this.getRulesEngine().setRules(rules);
+            console.log(`[DataProcessor] 저장된 규칙 ${rules.length}개를 적용했습니다.`);
+        } catch (error) {
+            console.warn('[DataProcessor] 저장된 규칙을 적용하지 못했습니다:', error);
+        }
+    }
+    
+    // 규칙 편집기의 목록, 양식, 내보내기/가져오기 버튼 이벤트 등록
+    registerRuleEditorHandlers() {
+        const openButton = document.getElementById('ruleEditorBtn');
+        const form = document.getElementById('ruleForm');
+        if (!openButton || !form) return;
+
+        // 지표/연산자 선택 목록은 규칙 엔진 정의에서 채움
+        const fillOptions = (select, options) => {
+            options.forEach(([value, label]) => {
+                const option = document.createElement('option');
+                option.value = value;
+                option.textContent = label;
+                select.appendChild(option);
+            });
+        };
+        fillOptions(form.elements.metric, Object.entries(RULE_METRICS).map(([key, metric]) => [key, metric.label]));
+        fillOptions(form.elements.operator, Object.keys(RULE_OPERATORS).map(operator => [operator, operator]));
+
+        openButton.addEventListener('click', () => this.openRuleEditor());
+        form.addEventListener('input', () => this.updateRulePreview());
+        form.addEventListener('submit', event => event.preventDefault());
+
+        const importInput = document.getElementById('ruleImportInput');
+        document.getElementById('ruleNewBtn')?.addEventListener('click', () => this.selectRule(null));
+        document.getElementById('ruleSaveBtn')?.addEventListener('click', () => this.saveEditedRule());
+        document.getElementById('ruleDeleteBtn')?.addEventListener('click', () => this.deleteEditedRule());
+        document.getElementById('ruleExportBtn')?.addEventListener('click', () => this.exportRules());
+        document.getElementById('ruleResetBtn')?.addEventListener('click', () => this.resetRules());
+        document.getElementById('ruleImportBtn')?.addEventListener('click', () => importInput && importInput.click());
+        importInput?.addEventListener('change', () => {
+            if (importInput.files.length > 0) this.importRulesFile(importInput.files[0]);
+            importInput.value = ''; // 같은 파일을 다시 선택해도 change가 발생하도록
+        });
+    }
+    
+    openRuleEditor() {
+        this.showRuleMessages([]);
+        const rules = this.getRulesEngine().getRules();
+        const current = rules.find(rule => rule.id === this.editingRuleId);
+        this.selectRule(current ? current.id : (rules[0] ? rules[0].id : null));
+
+        const modalElement = document.getElementById('ruleEditorModal');
+        if (!modalElement) return;
+        if (typeof bootstrap !== 'undefined' && typeof bootstrap.Modal === 'function') {
+            bootstrap.Modal.getOrCreateInstance(modalElement).show();
+        } else {
+            modalElement.style.display = 'block';
+            modalElement.classList.add('show');
+        }
+    }
+    
+    /**
+     * 편집할 규칙을 선택해 양식에 채웁니다.
+     * @param {string|null} ruleId 규칙 ID (null이면 새 규칙)
+     */
+    selectRule(ruleId) {
+        const rule = ruleId ? this.getRulesEngine().getRules().find(item => item.id === ruleId) : null;
+        this.editingRuleId = rule ? rule.id : null;
+
+        const form = document.getElementById('ruleForm');
+        if (form) {
+            const values = ruleToFormValues(rule || { severity: 'warning', metric: 'cpu_usage', operator: '>=' });
+            Object.entries(values).forEach(([name, value]) => {
+                const field = form.elements[name];
+                if (!field) return;
+                if (field.type === 'checkbox') {
+                    field.checked = value;
+                } else {
+                    field.value = value;
+                }
+            });
+        }
+        const deleteButton = document.getElementById('ruleDeleteBtn');
+        if (deleteButton) deleteButton.disabled = !rule;
+
+        this.renderRuleList();
+        this.updateRulePreview();
+    }
+    
+    // 양식 입력값으로 만든 규칙
+    readRuleForm() {
+        const form = document.getElementById('ruleForm');
+        const values = {};
+        [...form.elements].forEach(field => {
+            if (!field.name) return;
+            values[field.name] = field.type === 'checkbox' ? field.checked : field.value;
+        });
+        return buildRuleFromForm(values);
+    }
+    
+    // 규칙 검증 오류 (편집 중인 규칙이 아닌 다른 규칙과 ID가 겹치는지도 확인)
+    getRuleFormErrors(rule) {
+        const errors = validateRule(rule).errors;
+        const duplicate = this.getRulesEngine().getRules()
+            .some(item => item.id === rule.id && item.id !== this.editingRuleId);
+        if (duplicate) errors.push(`이미 있는 규칙 ID입니다: ${rule.id}`);
+        return errors;
+    }
+    
+    // 규칙 목록 (심각도, 조건, 사용 여부 스위치)
+    renderRuleList() {
+        const list = document.getElementById('ruleList');
+        if (!list) return;
+        list.innerHTML = '';
+
+        this.getRulesEngine().getRules().forEach(rule => {
+            const item = document.createElement('div');
+            item.className = `list-group-item list-group-item-action d-flex align-items-start gap-2${rule.id === this.editingRuleId ? ' active' : ''}${rule.enabled === false ? ' rule-disabled' : ''}`;
+            item.style.cursor = 'pointer';
+            item.addEventListener('click', () => this.selectRule(rule.id));
+
+            const toggle = document.createElement('input');
+            toggle.type = 'checkbox';
+            toggle.className = 'form-check-input mt-1';
+            toggle.checked = rule.enabled !== false;
+            toggle.title = '규칙 사용';
+            toggle.addEventListener('click', event => event.stopPropagation());
+            toggle.addEventListener('change', () => this.toggleRule(rule.id, toggle.checked));
+
+            const body = document.createElement('div');
+            body.className = 'flex-grow-1';
+            const title = document.createElement('div');
+            title.className = 'fw-bold small';
+            title.textContent = rule.name || rule.id;
+            const condition = document.createElement('div');
+            condition.className = 'small text-muted';
+            condition.textContent = `${rule.id} · ${describeRuleCondition(rule)}`;
+            body.append(title, condition);
+
+            const badge = document.createElement('span');
+            badge.className = `badge bg-${getStatusColor(rule.severity)}`;
+            badge.textContent = statusLabel(rule.severity);
+
+            item.append(toggle, body, badge);
+            list.appendChild(item);
+        });
+    }
+    
+    // 편집 중인 규칙이 현재 서버 중 어디에 일치하는지 미리보기
+    updateRulePreview() {
+        const summary = document.getElementById('rulePreviewSummary');
+        const errorBox = document.getElementById('rulePreviewErrors');
+        const tbody = document.getElementById('rulePreviewTable');
+        if (!tbody) return;
+
+        const rule = this.readRuleForm();
+        const errors = this.getRuleFormErrors(rule);
+        // ID를 아직 입력하지 않았어도 조건이 올바르면 미리보기
+        const preview = previewRuleMatches({ ...rule, id: rule.id || 'preview' }, this.serverData, {
+            profiles: this.getRulesEngine().profiles,
+            getHistory: this.aiProcessor && typeof this.aiProcessor.getRuleHistory === 'function'
+                ? server => this.aiProcessor.getRuleHistory(server)
+                : undefined
+        });
+
+        if (errorBox) {
+            errorBox.innerHTML = '';
+            errors.forEach(text => {
+                const item = document.createElement('div');
+                item.className = 'alert alert-danger py-1 px-2 mb-1 small';
+                item.textContent = text;
+                errorBox.appendChild(item);
+            });
+        }
+        if (summary) {
+            summary.textContent = preview.errors.length > 0
+                ? ''
+                : `현재 서버 ${this.serverData.length}대 중 ${preview.serverCount}대 일치 (${preview.findings.length}건)` +
+                    (rule.enabled === false ? ' - 사용 안 함 규칙' : '');
+        }
+
+        tbody.innerHTML = '';
+        preview.findings.forEach(finding => {
+            const row = document.createElement('tr');
+            [
+                finding.hostname,
+                finding.target || '-',
+                formatFindingValue({ ...finding, target: null }),
+                [].concat(finding.threshold).join(', '),
+                finding.description
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+        const saveButton = document.getElementById('ruleSaveBtn');
+        if (saveButton) saveButton.disabled = errors.length > 0;
+    }
+    
+    // 편집 중인 규칙을 저장 (새 규칙이면 목록 끝에 추가)
+    saveEditedRule() {
+        const rule = this.readRuleForm();
+        const errors = this.getRuleFormErrors(rule);
+        if (errors.length > 0) {
+            this.showRuleMessages(errors, 'alert-danger');
+            return;
+        }
+        const rules = [...this.getRulesEngine().getRules()];
+        const index = rules.findIndex(item => item.id === this.editingRuleId);
+        if (index === -1) {
+            rules.push(rule);
+        } else {
+            rules[index] = rule;
+        }
+        if (this.applyRules(rules, `규칙 ${rule.id}을(를) 저장했습니다.`)) {
+            this.selectRule(rule.id);
+        }
+    }
+    
+    deleteEditedRule() {
+        if (!this.editingRuleId) return;
+        const rules = this.getRulesEngine().getRules().filter(rule => rule.id !== this.editingRuleId);
+        if (this.applyRules(rules, `규칙 ${this.editingRuleId}을(를) 삭제했습니다.`)) {
+            this.selectRule(rules[0] ? rules[0].id : null);
+        }
+    }
+    
+    // 목록의 스위치로 규칙 사용 여부 변경
+    toggleRule(ruleId, enabled) {
+        const rules = this.getRulesEngine().getRules().map(rule => {
+            if (rule.id !== ruleId) return rule;
+            const next = { ...rule, enabled: false };
+            if (enabled) delete next.enabled;
+            return next;
+        });
+        this.applyRules(rules, `규칙 ${ruleId}을(를) ${enabled ? '사용' : '사용 안 함으로 변경'}했습니다.`);
+        if (ruleId === this.editingRuleId) {
+            this.selectRule(ruleId);
+        } else {
+            this.renderRuleList();
+        }
+    }
+    
+    /**
+     * 규칙 엔진에 규칙을 적용하고 브라우저에 저장한 뒤 화면을 다시 그립니다.
+     * @param {Array<Object>} rules 새 규칙 목록
+     * @param {string} message 성공 시 표시할 메시지
+     * @returns {boolean} 적용 성공 여부
+     */
+    applyRules(rules, message) {
+        try {
+            this.getRulesEngine().setRules(rules);
+        } catch (error) {
+            this.showRuleMessages([error.message], 'alert-danger');
+            return false;
+        }
+        const saved = saveStoredRules(rules);
+        this.showRuleMessages(saved ? [message] : [message, '브라우저에 저장하지 못해 새로고침하면 규칙이 초기화됩니다.'],
+            saved ? 'alert-success' : 'alert-warning');
+        this.refreshRuleResults();
+        return true;
+    }
+    
+    // 규칙이 바뀌면 상태 배지, 문제 목록, 요약, 프리셋 태그를 새 규칙으로 다시 계산
+    refreshRuleResults() {
+        this.updateProblemsList();
+        this.applyFiltersAndSort();
+        this.updateGlobalStatusSummary();
+        this.updatePresetTagClasses();
+    }
+    
+    exportRules() {
+        this.downloadTextFile(`openmanager_rules_${new Date().toISOString().slice(0, 10)}.json`,
+            serializeRules(this.getRulesEngine().getRules()));
+    }
+    
+    async importRulesFile(file) {
+        try {
+            const { rules, errors } = parseRulesJson(await readFileAsText(file));
+            if (errors.length > 0) {
+                this.showRuleMessages(errors.map(text => `${file.name}: ${text}`), 'alert-danger');
+                return;
+            }
+            if (this.applyRules(rules, `${file.name}에서 규칙 ${rules.length}개를 가져왔습니다.`)) {
+                this.selectRule(rules[0] ? rules[0].id : null);
+            }
+        } catch (error) {
+            console.error('규칙 파일을 읽는 중 오류:', error);
+            this.showRuleMessages([`파일을 읽지 못했습니다: ${error.message}`], 'alert-danger');
+        }
+    }
+    
+    // 저장된 규칙을 지우고 기본 규칙(rules_engine.js의 DEFAULT_RULES)으로 복원
+    resetRules() {
+        clearStoredRules();
+        this.getRulesEngine().setRules(DEFAULT_RULES);
+        this.showRuleMessages(['기본 규칙으로 복원했습니다.'], 'alert-success');
+        this.refreshRuleResults();
+        this.selectRule(DEFAULT_RULES[0].id);
+    }
+    
+    showRuleMessages(texts, className = 'alert-info') {
+        const messages = document.getElementById('ruleEditorMessages');
+        if (!messages) return;
+        messages.innerHTML = '';
+        texts.forEach(text => {
+            const item = document.createElement('div');
+            item.className = `alert ${className} py-1 px-2 mb-1 small`;
+            item.textContent = text;
+            messages.appendChild(item);
+        });
+    }
+    
+    // 서비스 토폴로지 모달 이벤트 등록
+    registerTopologyHandlers() {
+        const openButton = document.getElementById('topologyBtn');
+        if (!openButton) return;
+        openButton.addEventListener('click', () => this.openTopologyView());
+        document.getElementById('topologyResetBtn')?.addEventListener('click', () => this.selectTopologyNode(null));
+    }
+    
+    openTopologyView() {
+        this.topologySelection = null;
+        this.renderTopology();
+
+        const modalElement = document.getElementById('topologyModal');
+        if (!modalElement) return;
+        if (typeof bootstrap !== 'undefined' && typeof bootstrap.Modal === 'function') {
+            bootstrap.Modal.getOrCreateInstance(modalElement).show();
+        } else {
+            modalElement.style.display = 'block';
+            modalElement.classList.add('show');
+        }
+    }
+    
+    refreshTopologyView() {
+        const modalElement = document.getElementById('topologyModal');
+        if (modalElement && modalElement.classList.contains('show')) {
+            this.renderTopology();
+        }
+    }
+    
+    // 영향 범위를 볼 노드 선택 (같은 노드를 다시 누르거나 null이면 모든 장애 지점의 영향 범위)
+    selectTopologyNode(nodeId) {
+        this.topologySelection = nodeId && nodeId !== this.topologySelection ? nodeId : null;
+        this.renderTopology();
+    }
+    
+    /**
+     * 서비스 토폴로지 그래프를 그립니다. 서버는 의존 계층별 열에 상자로, 서비스는 상자 안의 행으로 표시하고
+     * 선택한 노드(없으면 모든 장애 지점)에 의존하는 구성 요소와 의존 경로를 영향 범위로 강조합니다.
+     */
+    renderTopology() {
+        const container = document.getElementById('topologyGraph');
+        if (!container) return;
+        const topology = buildTopology(this.serverData, { getStatus: server => this.getServerStatus(server) });
+        const selected = topology.nodes.find(node => node.id === this.topologySelection) || null;
+        this.topologySelection = selected ? selected.id : null;
+        const sourceIds = selected ? [selected.id] : findFailedNodes(topology).map(node => node.id);
+        const radius = getBlastRadius(topology, sourceIds);
+        const impactedIds = new Set(radius.impacted.map(item => item.node.id));
+        const impactEdges = new Set(radius.impacted.map(item => `${item.node.id}>${item.via}`));
+
+        // 배치: 계층별 열, 열 안에서는 호스트명 순으로 위에서부터 쌓음
+        const layout = TOPOLOGY_LAYOUT;
+        const tiers = getHostTiers(topology);
+        const positions = new Map(); // 노드 ID → { x, y, width, height }
+        const boxes = [];
+        const columnBottoms = [];
+        topology.nodes
+            .filter(node => node.kind === 'host')
+            .sort((a, b) => a.hostname.localeCompare(b.hostname))
+            .forEach(host => {
+                const tier = tiers.get(host.id);
+                const x = layout.margin + tier * (layout.width + layout.gap);
+                const y = columnBottoms[tier] || layout.margin;
+                const services = topology.nodes.filter(node => node.kind === 'service' && node.hostname === host.hostname);
+                const height = layout.header + services.length * layout.row + 6;
+                positions.set(host.id, { x, y, width: layout.width, height: layout.header });
+                services.forEach((service, index) => positions.set(service.id, {
+                    x: x + 6,
+                    y: y + layout.header + 3 + index * layout.row,
+                    width: layout.width - 12,
+                    height: layout.row - 4
+                }));
+                boxes.push({ host, services, x, y, height });
+                columnBottoms[tier] = y + height + layout.margin;
+            });
+
+        const svg = document.createElementNS(SVG_NS, 'svg');
+        const create = (tag, attributes, parent = svg) => {
+            const element = document.createElementNS(SVG_NS, tag);
+            Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+            parent.appendChild(element);
+            return element;
+        };
+        const columns = Math.max(1, columnBottoms.length);
+        svg.setAttribute('width', layout.margin * 2 + columns * layout.width + (columns - 1) * layout.gap);
+        svg.setAttribute('height', Math.max(120, ...columnBottoms));
+
+        const defs = create('defs', {});
+        [['topology-arrow', TOPOLOGY_COLORS.edge], ['topology-arrow-impact', TOPOLOGY_COLORS.impact]].forEach(([id, color]) => {
+            const marker = create('marker', { id, viewBox: '0 0 10 10', refX: 10, refY: 5, markerWidth: 6, markerHeight: 6, orient: 'auto' }, defs);
+            create('path', { d: 'M 0 0 L 10 5 L 0 10 z', fill: color }, marker);
+        });
+
+        // 의존 간선 (서버 간 의존은 항상, 서비스 간 의존은 영향 경로만 표시)
+        topology.edges
+            .filter(edge => edge.kind === 'host' || (edge.kind === 'service' && impactEdges.has(`${edge.from}>${edge.to}`)))
+            .forEach(edge => {
+                const from = positions.get(edge.from);
+                const to = positions.get(edge.to);
+                if (!from || !to) return;
+                const impact = impactEdges.has(`${edge.from}>${edge.to}`);
+                const y1 = from.y + from.height / 2;
+                const y2 = to.y + to.height / 2;
+                let d;
+                if (to.x > from.x) {
+                    const x1 = from.x + from.width;
+                    d = `M ${x1} ${y1} C ${x1 + layout.gap / 2} ${y1}, ${to.x - layout.gap / 2} ${y2}, ${to.x} ${y2}`;
+                } else {
+                    // 같은 열(같은 서버 안의 서비스 등)은 오른쪽으로 돌아가는 곡선
+                    const x1 = from.x + from.width;
+                    const x2 = to.x + to.width;
+                    d = `M ${x1} ${y1} C ${x1 + 30} ${y1}, ${x2 + 30} ${y2}, ${x2} ${y2}`;
+                }
+                create('path', {
+                    d,
+                    fill: 'none',
+                    stroke: impact ? TOPOLOGY_COLORS.impact : TOPOLOGY_COLORS.edge,
+                    'stroke-width': impact ? 2 : 1,
+                    'marker-end': `url(#${impact ? 'topology-arrow-impact' : 'topology-arrow'})`
+                });
+            });
+
+        const outline = (node, fallback) => {
+            if (selected && node.id === selected.id) return { stroke: TOPOLOGY_COLORS.selected, width: 3 };
+            if (impactedIds.has(node.id)) return { stroke: TOPOLOGY_COLORS.impact, width: 2.5 };
+            return fallback;
+        };
+
+        boxes.forEach(({ host, services, x, y, height }) => {
+            const hostOutline = outline(host, { stroke: '#ced4da', width: 1 });
+            const group = create('g', { class: 'topology-node' });
+            create('rect', { x, y, width: layout.width, height, rx: 6, fill: '#fff', stroke: hostOutline.stroke, 'stroke-width': hostOutline.width }, group);
+            create('rect', { x, y, width: layout.width, height: layout.header, rx: 6, fill: TOPOLOGY_COLORS[host.status] || TOPOLOGY_COLORS.normal }, group);
+            const title = create('text', {
+                x: x + 8,
+                y: y + 17,
+                fill: host.status === 'warning' || host.status === 'maintenance' ? '#212529' : '#fff',
+                'font-weight': 'bold'
+            }, group);
+            title.textContent = host.serverType ? `${host.hostname} · ${host.serverType}` : host.hostname;
+            create('title', {}, group).textContent = `${host.hostname} (${host.serverType || '유형 없음'}) - ${this.getStatusLabel(host.status)}`;
+            group.addEventListener('click', () => this.selectTopologyNode(host.id));
+
+            services.forEach(service => {
+                const position = positions.get(service.id);
+                const stopped = service.state === 'stopped';
+                const serviceOutline = outline(service, { stroke: stopped ? TOPOLOGY_COLORS.critical : '#e9ecef', width: 1 });
+                const row = create('g', { class: 'topology-node' });
+                create('rect', {
+                    x: position.x,
+                    y: position.y,
+                    width: position.width,
+                    height: position.height,
+                    rx: 3,
+                    fill: stopped ? TOPOLOGY_COLORS.stopped : '#f8f9fa',
+                    stroke: serviceOutline.stroke,
+                    'stroke-width': serviceOutline.width
+                }, row);
+                const label = create('text', { x: position.x + 6, y: position.y + 12, fill: stopped ? TOPOLOGY_COLORS.critical : '#495057' }, row);
+                label.textContent = stopped ? `${service.service} (중단)` : service.service;
+                create('title', {}, row).textContent = `${describeNode(service)} - ${stopped ? '중단' : '실행 중'}`;
+                row.addEventListener('click', event => {
+                    event.stopPropagation();
+                    this.selectTopologyNode(service.id);
+                });
+            });
+        });
+
+        container.innerHTML = '';
+        if (boxes.length === 0) {
+            container.textContent = '표시할 서버 데이터가 없습니다.';
+        } else {
+            container.appendChild(svg);
+        }
+        this.renderTopologyImpact(topology, selected, radius);
+    }
+    
+    // 그래프 아래의 영향 범위 목록 (선택한 노드 또는 장애 지점별)
+    renderTopologyImpact(topology, selected, radius) {
+        const list = document.getElementById('topologyImpact');
+        if (!list) return;
+        list.innerHTML = '';
+        const addItem = (text, nodeId) => {
+            const item = document.createElement('li');
+            item.className = 'mb-1';
+            item.textContent = text;
+            if (nodeId) {
+                item.style.cursor = 'pointer';
+                item.addEventListener('click', () => this.selectTopologyNode(nodeId));
+            }
+            list.appendChild(item);
+        };
+
+        if (selected) {
+            addItem(radius.impacted.length > 0
+                ? `${describeNode(selected)}이(가) 멈추면 → 서버 ${radius.hosts.length}대 영향: ${formatImpact(radius.impacted, [selected.hostname]) || selected.hostname}`
+                : `${describeNode(selected)}에 의존하는 구성 요소가 없습니다.`);
+            return;
+        }
+        const radii = analyzeBlastRadius(topology);
+        if (radii.length === 0) {
+            addItem('중단된 서비스나 심각 상태의 서버가 없습니다.');
+            return;
+        }
+        radii.forEach(({ source, impacted, hosts }) => {
+            const failure = source.kind === 'service' ? '중단' : '심각 상태';
+            addItem(hosts.length > 0
+                ? `${describeNode(source)} ${failure} → 서버 ${hosts.length}대 영향: ${formatImpact(impacted, [source.hostname])}`
+                : `${describeNode(source)} ${failure} → 다른 서버 영향 없음`, source.id);
+        });
+    }
+    
     showLoading() {
         this.loadingIndicator.style.display = 'block';
         this.serverGrid.style.opacity = '0.3';
@@ -699,24 +1625,7 @@ class DataProcessor {
     
     applyFiltersAndSort() {
         try {
-            // 필터 적용
-            this.filteredData = this.serverData.filter(server => {
-                // 검색어 필터
-                if (this.searchQuery && !server.hostname.toLowerCase().includes(this.searchQuery)) {
-                    return false;
-                }
-                
-                // 상태 필터
-                if (this.currentFilter !== 'all') {
-                    const status = this.getServerStatus(server);
-                    return status === this.currentFilter;
-                }
-                
-                return true;
-            });
-            
-            // 정렬 적용
-            this.sortData();
+            this.filterAndSortData();
             
             // UI 업데이트를 별도 메소드로 분리하여 안전하게 실행
             this.updateUI();
@@ -732,6 +1641,28 @@ class DataProcessor {
         }
     }
     
+    // 검색어/상태 필터와 정렬을 적용해 filteredData를 갱신 (UI는 건드리지 않음)
+    filterAndSortData() {
+        // 필터 적용
+        this.filteredData = this.serverData.filter(server => {
+            // 검색어 필터
+            if (this.searchQuery && !server.hostname.toLowerCase().includes(this.searchQuery)) {
+                return false;
+            }
+            
+            // 상태 필터
+            if (this.currentFilter !== 'all') {
+                const status = this.getServerStatus(server);
+                return status === this.currentFilter;
+            }
+            
+            return true;
+        });
+        
+        // 정렬 적용
+        this.sortData();
+    }
+    
     // 안전하게 UI 요소들을 업데이트하는 메소드
     updateUI() {
         try {
@@ -810,28 +1741,21 @@ class DataProcessor {
             case 'memory-low':
                 this.filteredData.sort((a, b) => a.memory_usage_percent - b.memory_usage_percent);
                 break;
-            case 'disk-high':
-                this.filteredData.sort((a, b) => b.disk[0].disk_usage_percent - a.disk[0].disk_usage_percent);
+            case 'disk-high': // 가장 많이 찬 마운트 기준
+                this.filteredData.sort((a, b) => getMaxDiskUsage(b) - getMaxDiskUsage(a));
                 break;
             case 'disk-low':
-                this.filteredData.sort((a, b) => a.disk[0].disk_usage_percent - b.disk[0].disk_usage_percent);
+                this.filteredData.sort((a, b) => getMaxDiskUsage(a) - getMaxDiskUsage(b));
+                break;
+            case 'net-errors': // 모든 인터페이스의 오류 합계 기준
+                this.filteredData.sort((a, b) => getNetErrorCount(b) - getNetErrorCount(a));
                 break;
             case 'status-critical':
-                this.filteredData.sort((a, b) => {
-                    const statusA = this.getServerStatus(a);
-                    const statusB = this.getServerStatus(b);
-                    const statusWeight = { 'critical': 3, 'warning': 2, 'normal': 1 };
-                    return statusWeight[statusB] - statusWeight[statusA];
-                });
+                this.filteredData.sort((a, b) => getStatusWeight(this.getServerStatus(b)) - getStatusWeight(this.getServerStatus(a)));
                 break;
             default:
-                // 기본 정렬: 심각 > 경고 > 정상 순
-                this.filteredData.sort((a, b) => {
-                    const statusA = this.getServerStatus(a);
-                    const statusB = this.getServerStatus(b);
-                    const statusWeight = { 'critical': 3, 'warning': 2, 'normal': 1 };
-                    return statusWeight[statusB] - statusWeight[statusA];
-                });
+                // 기본 정렬: 심각 > 오류 > 경고 > 알 수 없음 > 점검 중 > 정상 순
+                this.filteredData.sort((a, b) => getStatusWeight(this.getServerStatus(b)) - getStatusWeight(this.getServerStatus(a)));
         }
     }
     
@@ -981,9 +1905,9 @@ class DataProcessor {
         // 안전하게 errors 체크
         const hasErrors = server.errors && Array.isArray(server.errors) && server.errors.length > 0;
         
-        // 서버 카드 생성
+        // 서버 카드 생성 (데이터 수신이 끊긴 서버는 지난 지표를 흐리게 표시)
         const serverCard = document.createElement('div');
-        serverCard.className = 'server-card status-' + status;
+        serverCard.className = 'server-card status-' + status + (server.stale ? ' stale' : '');
         serverCard.dataset.serverId = server.hostname || 'unknown';
         
         // 툴팁 요소 추가
@@ -991,7 +1915,7 @@ class DataProcessor {
         tooltip.className = 'tooltip-wrapper';
         tooltip.innerHTML = `
             <div class="tooltip-content">
-                클릭하여 ${server.hostname} 서버의 상세 정보를 확인하세요.
+                클릭하여 ${escapeHtml(server.hostname)} 서버의 상세 정보를 확인하세요.
             </div>
         `;
         serverCard.appendChild(tooltip);
@@ -1002,13 +1926,12 @@ class DataProcessor {
         // CPU, 메모리, 디스크 사용률을 안전하게 가져오기
         const cpuUsage = server.cpu_usage || 0;
         const memoryUsage = server.memory_usage_percent || 0;
-        const diskUsage = server.disk && server.disk[0] ? server.disk[0].disk_usage_percent || 0 : 0;
-        const diskMount = server.disk && server.disk[0] ? server.disk[0].mount || '/' : '/';
+        const disks = getDisks(server);
+        const netErrorInterfaces = getNetInterfaces(server).filter(item => item.rx_errors > 0 || item.tx_errors > 0);
         
-        // 리소스 상태 판별
-        const cpuStatus = this.getResourceStatus(cpuUsage, 'cpu');
-        const memoryStatus = this.getResourceStatus(memoryUsage, 'memory');
-        const diskStatus = this.getResourceStatus(diskUsage, 'disk');
+        // 리소스 상태 판별 (디스크는 마운트별/서버별 임계치 적용)
+        const cpuStatus = this.getResourceStatus(cpuUsage, 'cpu', server);
+        const memoryStatus = this.getResourceStatus(memoryUsage, 'memory', server);
         
         // 상태별 색상 클래스
         const getStatusColorClass = (status) => {
@@ -1034,9 +1957,14 @@ class DataProcessor {
                 <i class="fas fa-info-circle"></i>
             </div>
             <div class="server-header">
-                <div class="server-name">${server.hostname || 'Unknown Server'}</div>
+                <div class="server-name">${escapeHtml(server.hostname || 'Unknown Server')}</div>
                 <div class="server-status status-${status}">${this.getStatusLabel(status)}</div>
             </div>
+            ${server.stale ? `
+                <div class="stale-badge stale-${server.stale.state}" title="${escapeHtml(formatStaleness(server.stale))}">
+                    <i class="fas fa-plug-circle-xmark me-1"></i>${STALE_LABELS[server.stale.state]} · ${formatDuration(server.stale.ageMs / (60 * 60 * 1000))} 전
+                </div>
+            ` : ''}
             <div class="server-details">
                 <div class="detail-item">
                     <div class="detail-label">CPU 사용량</div>
@@ -1058,24 +1986,29 @@ class DataProcessor {
                              style="width: ${memoryUsage}%"></div>
                     </div>
                 </div>
+                ${disks.map(disk => {
+                    const diskStatus = this.getDiskStatus(disk, server);
+                    const diskUsage = disk.disk_usage_percent || 0;
+                    return `
                 <div class="detail-item">
-                    <div class="detail-label">디스크 (${diskMount})</div>
+                    <div class="detail-label">디스크 (${escapeHtml(disk.mount)})</div>
                     <div class="detail-value ${getStatusColorClass(diskStatus)}">
-                        ${getStatusIcon(diskStatus)}<strong>${typeof diskUsage === 'number' ? diskUsage.toFixed(1) : '0'}%</strong>
+                        ${getStatusIcon(diskStatus)}<strong>${diskUsage.toFixed(1)}%</strong>
                     </div>
                     <div class="progress-bar-container">
                         <div class="progress-bar progress-${diskStatus}" 
                              style="width: ${diskUsage}%"></div>
                     </div>
-                </div>
+                </div>`;
+                }).join('')}
                 <div class="detail-item">
                     <div class="detail-label">로드 평균</div>
-                    <div class="detail-value">${server.load_avg_1m || '0'}</div>
+                    <div class="detail-value">${escapeHtml(server.load_avg_1m || '0')}</div>
                 </div>
             </div>
             <div class="services-list">
                 ${server.services ? Object.entries(server.services).map(([name, status]) => `
-                    <div class="service-badge service-${status}">${name} (${status})</div>
+                    <div class="service-badge service-${escapeHtml(status)}">${escapeHtml(name)} (${escapeHtml(status)})</div>
                 `).join('') : '<div class="service-badge">서비스 정보 없음</div>'}
             </div>
             ${hasErrors ? `
@@ -1083,6 +2016,11 @@ class DataProcessor {
                     <i class="bi bi-exclamation-triangle-fill"></i> ${server.errors.length}개의 오류
                 </div>
             ` : ''}
+            ${netErrorInterfaces.length > 0 ? `
+                <div class="error-messages">
+                    <i class="bi bi-ethernet"></i> 네트워크 오류: ${netErrorInterfaces.map(item => `${escapeHtml(item.interface)} ${item.rx_errors + item.tx_errors}개`).join(', ')}
+                </div>
+            ` : ''}
         `;
         
         return serverCard;
@@ -1121,7 +2059,7 @@ class DataProcessor {
             
             // 서버 이름과 상태 설정
             modalTitle.innerHTML = `
-                ${server.hostname} 
+                ${escapeHtml(server.hostname)} 
                 <span class="server-status status-${status}">${this.getStatusLabel(status)}</span>
             `;
             
@@ -1150,21 +2088,44 @@ class DataProcessor {
             const modalLastUpdate = document.getElementById('modalLastUpdate');
             if (modalLastUpdate) modalLastUpdate.textContent = new Date(server.timestamp).toLocaleString() || '-';
             
-            // 네트워크 정보
-            const modalNetInterface = document.getElementById('modalNetInterface');
-            if (modalNetInterface) modalNetInterface.textContent = server.net?.interface || '-';
-            
-            const modalRxBytes = document.getElementById('modalRxBytes');
-            if (modalRxBytes) modalRxBytes.textContent = this.formatBytes(server.net?.rx_bytes) || '-';
-            
-            const modalTxBytes = document.getElementById('modalTxBytes');
-            if (modalTxBytes) modalTxBytes.textContent = this.formatBytes(server.net?.tx_bytes) || '-';
+            // 네트워크 정보 (인터페이스별)
+            const networkInfoTable = document.getElementById('networkInfoTable');
+            if (networkInfoTable) {
+                const interfaces = getNetInterfaces(server);
+                networkInfoTable.innerHTML = interfaces.length > 0 ? interfaces.map(item => `
+                    <tr class="${item.rx_errors > 0 || item.tx_errors > 0 ? 'table-warning' : ''}">
+                        <td>${escapeHtml(item.interface)}</td>
+                        <td>${this.formatBytes(item.rx_bytes)}</td>
+                        <td>${this.formatBytes(item.tx_bytes)}</td>
+                        <td>${item.rx_errors} / ${item.tx_errors}</td>
+                    </tr>
+                `).join('') : '<tr><td colspan="4">네트워크 정보 없음</td></tr>';
+            }
             
-            const modalRxErrors = document.getElementById('modalRxErrors');
-            if (modalRxErrors) modalRxErrors.textContent = server.net?.rx_errors || '-';
+            // 디스크 정보 (마운트별)
+            const modalDiskTable = document.getElementById('modalDiskTable');
+            if (modalDiskTable) {
+                const disks = getDisks(server);
+                const serverThresholds = this.getServerThresholds(server);
+                modalDiskTable.innerHTML = disks.length > 0 ? disks.map(disk => {
+                    const diskStatus = this.getDiskStatus(disk, server);
+                    const warning = getDiskThreshold(disk.mount, 'warning', serverThresholds.warning.disk);
+                    const critical = getDiskThreshold(disk.mount, 'critical', serverThresholds.critical.disk);
+                    return `
+                    <tr>
+                        <td>${escapeHtml(disk.mount)}</td>
+                        <td class="text-${this.getStatusColorClass(diskStatus)}">${disk.disk_usage_percent.toFixed(1)}%</td>
+                        <td>${escapeHtml(disk.disk_used ?? '-')} / ${escapeHtml(disk.disk_total ?? '-')}</td>
+                        <td>${warning}% / ${critical}%</td>
+                    </tr>`;
+                }).join('') : '<tr><td colspan="4">디스크 정보 없음</td></tr>';
+            }
             
-            const modalTxErrors = document.getElementById('modalTxErrors');
-            if (modalTxErrors) modalTxErrors.textContent = server.net?.tx_errors || '-';
+            // 디스크/메모리 고갈 예측 (최근 추세 기준)
+            const modalForecastTable = document.getElementById('modalForecastTable');
+            if (modalForecastTable) {
+                this.renderForecastTable(modalForecastTable, server);
+            }
             
             // 서비스 상태
             const modalServiceStatus = document.getElementById('modalServiceStatus');
@@ -1176,7 +2137,7 @@ class DataProcessor {
                         const serviceTag = document.createElement('div');
                         serviceTag.className = `service-status-tag service-${status}`;
                         serviceTag.innerHTML = `
-                            ${name} 
+                            ${escapeHtml(name)} 
                             <span class="status-indicator">
                                 <i class="fas fa-${status === 'running' ? 'check-circle' : 'times-circle'}"></i>
                             </span>
@@ -1195,7 +2156,7 @@ class DataProcessor {
                     modalErrorsContainer.innerHTML = `
                         <div class="alert alert-danger">
                             <ul class="mb-0">
-                                ${server.errors.map(error => `<li>${error}</li>`).join('')}
+                                ${server.errors.map(error => `<li>${escapeHtml(error)}</li>`).join('')}
                             </ul>
                         </div>
                     `;
@@ -1208,8 +2169,9 @@ class DataProcessor {
             if (window.jQuery && window.jQuery.fn.modal) {
                 window.jQuery(modalElement).modal('show');
                 
-                // 리소스 차트 생성
+                // 리소스 차트 및 24시간 이력 차트 생성
                 this.createResourceChart(server);
+                this.createHistoryChart(server.hostname);
                 
                 // 서버 이름을 서버 이름 요소에 설정
                 const modalServerName = document.getElementById('modalServerName');
@@ -1246,8 +2208,9 @@ class DataProcessor {
                 });
             }
             
-            // 리소스 차트 생성
+            // 리소스 차트 및 24시간 이력 차트 생성
             this.createResourceChart(server);
+            this.createHistoryChart(server.hostname);
             
             // 서버 이름을 서버 이름 요소에 설정
             const modalServerName = document.getElementById('modalServerName');
@@ -1280,21 +2243,24 @@ class DataProcessor {
             this.resourceChartInstance.destroy();
         }
         
+        // 디스크는 마운트마다 막대 하나씩 (색상은 마운트별 임계치 기준)
+        const disks = getDisks(server);
+        
         this.resourceChartInstance = new Chart(ctx, {
             type: 'bar',
             data: {
-                labels: ['CPU', '메모리', '디스크'],
+                labels: ['CPU', '메모리', ...disks.map(disk => `디스크 ${disk.mount}`)],
                 datasets: [{
                     label: '사용량 (%)',
                     data: [
                         server.cpu_usage || 0, 
                         server.memory_usage_percent || 0, 
-                        (server.disk && server.disk.length > 0) ? server.disk[0].disk_usage_percent || 0 : 0
+                        ...disks.map(disk => disk.disk_usage_percent || 0)
                     ],
                     backgroundColor: [
-                        this.getChartColor(server.cpu_usage || 0),
-                        this.getChartColor(server.memory_usage_percent || 0),
-                        this.getChartColor((server.disk && server.disk.length > 0) ? server.disk[0].disk_usage_percent || 0 : 0)
+                        this.getChartColor(server.cpu_usage || 0, 'cpu', server),
+                        this.getChartColor(server.memory_usage_percent || 0, 'memory', server),
+                        ...disks.map(disk => this.getStatusChartColor(this.getDiskStatus(disk, server)))
                     ],
                     borderWidth: 1
                 }]
@@ -1312,12 +2278,17 @@ class DataProcessor {
         });
     }
     
-    createHistoryChart(hostname) {
-        const historicalData = window.serverHistoricalData[hostname];
+    async createHistoryChart(hostname) {
+        // 데이터 소스의 이력 (더미 생성기는 시작 시 24시간 이력을 합성)
+        const history = await this.dataSource.fetchHistory(hostname).catch(error => {
+            console.error('서버 이력 데이터를 가져오지 못했습니다:', error);
+            return {};
+        });
+        // 이력을 주지 않는 소스(정적 파일, HTTP 등)는 AIProcessor가 쌓고 저장소에서 불러온 이력 사용
+        const historicalData = history[hostname] && history[hostname].length > 0 ? history[hostname] : this.aiProcessor.historicalData[hostname];
         if (!historicalData || historicalData.length === 0) return;
         
-        // history-chart-modal ID를 사용하도록 수정
-        const canvasElement = document.getElementById('history-chart-modal');
+        const canvasElement = document.getElementById('resourceHistoryChart');
         if (!canvasElement) {
             console.error("History chart canvas element not found in modal");
             return;
@@ -1342,7 +2313,7 @@ class DataProcessor {
         // CPU, 메모리, 디스크 데이터 추출
         const cpuData = historicalData.map(data => data.cpu_usage);
         const memoryData = historicalData.map(data => data.memory_usage_percent);
-        const diskData = historicalData.map(data => data.disk[0].disk_usage_percent);
+        const diskData = historicalData.map(data => getMaxDiskUsage(data));
         
         this.historyChartInstance = new Chart(ctx, {
             type: 'line',
@@ -1366,7 +2337,7 @@ class DataProcessor {
                         tension: 0.1
                     },
                     {
-                        label: '디스크',
+                        label: '디스크 (최대 마운트)',
                         data: diskData,
                         borderColor: 'rgba(75, 192, 192, 1)',
                         backgroundColor: 'rgba(75, 192, 192, 0.2)',
@@ -1398,6 +2369,182 @@ class DataProcessor {
         });
     }
     
+    // Agent 자동 점검 시작/일시 정지 전환
+    toggleAgent() {
+        if (!this.agent) return;
+        if (this.agent.state === AGENT_STATES.RUNNING) {
+            this.agent.pause();
+        } else {
+            this.agent.start();
+        }
+    }
+    
+    // Agent 장애 목록의 보기 전환과 확인/해결 버튼
+    registerIncidentHandlers() {
+        document.querySelectorAll('[data-incident-view]').forEach(tab => {
+            tab.addEventListener('click', () => {
+                this.incidentView = tab.dataset.incidentView;
+                document.querySelectorAll('[data-incident-view]').forEach(other => other.classList.toggle('active', other === tab));
+                this.renderAgentIncidents();
+            });
+        });
+        
+        // 담당자 이름은 다음 방문에도 쓰도록 브라우저에 저장
+        const operatorInput = document.getElementById('incidentOperatorInput');
+        if (operatorInput) {
+            operatorInput.value = localStorage.getItem('incidentOperator') || '';
+            operatorInput.addEventListener('change', () => localStorage.setItem('incidentOperator', operatorInput.value.trim()));
+        }
+        
+        const incidentList = document.getElementById('agentIncidentList');
+        if (incidentList) {
+            incidentList.addEventListener('click', event => {
+                const button = event.target.closest('[data-incident-action]');
+                if (!button || !this.agent) return;
+                const operator = (operatorInput && operatorInput.value.trim()) || '운영자';
+                if (button.dataset.incidentAction === 'acknowledge') {
+                    this.agent.acknowledgeIncident(button.dataset.incidentId, operator);
+                } else if (button.dataset.incidentAction === 'resolve') {
+                    this.agent.resolveIncident(button.dataset.incidentId, operator);
+                }
+            });
+        }
+    }
+    
+    // 영구 저장소를 열고 AIProcessor 이력과 Agent 장애를 불러옴 (config.js의 STORAGE, 실패하면 저장 없이 계속)
+    async openStore() {
+        if (!CONFIG.STORAGE || !CONFIG.STORAGE.enabled) return;
+        try {
+            this.store = await new PersistentStore().open();
+            await this.aiProcessor.attachStore(this.store);
+            await this.agent.attachStore(this.store);
+        } catch (error) {
+            console.error('[DataProcessor] 저장소를 열지 못해 장애와 이력을 저장하지 않습니다:', error);
+            this.store = null;
+        }
+    }
+    
+    // Agent 장애 목록 (진행 중 또는 최근 해결) 렌더링
+    renderAgentIncidents() {
+        const incidentList = document.getElementById('agentIncidentList');
+        if (!incidentList || !this.agent) return;
+        
+        const openIncidents = this.agent.getOpenIncidents();
+        const resolvedIncidents = this.agent.getResolvedIncidents();
+        const openCount = document.getElementById('openIncidentCount');
+        const resolvedCount = document.getElementById('resolvedIncidentCount');
+        if (openCount) openCount.textContent = openIncidents.length;
+        if (resolvedCount) resolvedCount.textContent = resolvedIncidents.length;
+        
+        const incidents = this.incidentView === 'resolved' ? resolvedIncidents : openIncidents;
+        if (incidents.length === 0) {
+            incidentList.innerHTML = `<li class="list-group-item text-muted text-center small">${this.incidentView === 'resolved' ? '최근 해결된 장애가 없습니다.' : '진행 중인 장애가 없습니다.'}</li>`;
+            return;
+        }
+        
+        const stateBadges = {
+            [INCIDENT_STATES.OPEN]: '<span class="badge bg-danger">열림</span>',
+            [INCIDENT_STATES.ACKNOWLEDGED]: '<span class="badge bg-warning text-dark">확인됨</span>',
+            [INCIDENT_STATES.RESOLVED]: '<span class="badge bg-success">해결됨</span>'
+        };
+        const formatTime = date => date.toLocaleString();
+        const deliveryColors = { sent: 'success', failed: 'danger', throttled: 'warning text-dark', skipped: 'secondary' };
+        incidentList.innerHTML = incidents.map(incident => {
+            const timeline = [`감지 ${formatTime(incident.timestamp)}`];
+            if (incident.acknowledgedAt) timeline.push(`확인 ${formatTime(incident.acknowledgedAt)} (${escapeHtml(incident.acknowledgedBy)})`);
+            if (incident.resolvedAt) {
+                timeline.push(`해결 ${formatTime(incident.resolvedAt)} (${{ auto: '조건 해소로 자동 해결', removed: '서버가 데이터에서 사라짐' }[incident.resolution] || escapeHtml(incident.resolvedBy)})`);
+            } else {
+                timeline.push(`마지막 감지 ${formatTime(incident.lastSeenAt)}`);
+            }
+            if (incident.notifications.length > 0) {
+                timeline.push(`알림 ${incident.notifications.length}회` +
+                    (incident.nextNotificationAt && incident.state === INCIDENT_STATES.OPEN ? ` (다음 ${incident.nextNotificationAt.toLocaleTimeString()})` : ''));
+            }
+            const deliveries = this.notifier ? this.notifier.getDeliveryLog(incident.id) : [];
+            const failedDeliveries = deliveries.filter(delivery => delivery.status === DELIVERY_STATUSES.FAILED).length;
+            if (failedDeliveries > 0) {
+                timeline.push(`<span class="text-danger">전송 실패 ${failedDeliveries}건</span>`);
+            }
+            const actions = incident.state === INCIDENT_STATES.RESOLVED ? '' : `
+                <div class="btn-group btn-group-sm">
+                    ${incident.state === INCIDENT_STATES.OPEN ? `<button class="btn btn-outline-warning" data-incident-action="acknowledge" data-incident-id="${escapeHtml(incident.id)}"><i class="fas fa-user-check me-1"></i>확인</button>` : ''}
+                    <button class="btn btn-outline-success" data-incident-action="resolve" data-incident-id="${escapeHtml(incident.id)}"><i class="fas fa-check me-1"></i>해결</button>
+                </div>`;
+            return `
+                <li class="list-group-item ${incident.state === INCIDENT_STATES.RESOLVED ? 'incident-resolved' : ''}">
+                    <div class="d-flex justify-content-between align-items-start">
+                        <div>
+                            ${stateBadges[incident.state]}
+                            <span class="badge bg-${this.getStatusColorClass(incident.severity)}">${this.getStatusLabel(incident.severity)}</span>
+                            <strong class="ms-1">${escapeHtml(incident.serverName)}</strong>: ${escapeHtml(incident.conditions.join(', ') || '장애 조건 모두 해소')}
+                            <small class="d-block text-muted">${timeline.join(' · ')}</small>
+                        </div>
+                        ${actions}
+                    </div>
+                    <details class="incident-report">
+                        <summary>장애 기록 (${incident.timeline.length}건)</summary>
+                        <ul class="list-unstyled small mb-0 mt-1">
+                            ${incident.timeline.map(entry => `<li><span class="text-muted">${formatTime(entry.at)}</span> ${escapeHtml(entry.message)}</li>`).join('')}
+                        </ul>
+                    </details>
+                    ${deliveries.length > 0 ? `
+                    <details class="incident-report">
+                        <summary>알림 전송 (${deliveries.length}건)</summary>
+                        <ul class="list-unstyled small mb-0 mt-1">
+                            ${deliveries.map(delivery => `<li><span class="text-muted">${formatTime(delivery.at)}</span> ${escapeHtml(delivery.channel)}: <span class="badge bg-${deliveryColors[delivery.status]}">${delivery.status}</span> ${escapeHtml(delivery.detail || '')}</li>`).join('')}
+                        </ul>
+                    </details>` : ''}
+                    <details class="incident-report">
+                        <summary>AI 장애 보고서</summary>
+                        ${incident.report}
+                    </details>
+                </li>`;
+        }).join('');
+    }
+    
+    // 브라우저 알림 권한 버튼 (browser 채널이 있고 아직 권한을 묻지 않았을 때만 표시)
+    updateBrowserNotifyButton() {
+        const button = document.getElementById('browserNotifyPermissionBtn');
+        if (!button || !this.notifier) return;
+        button.classList.toggle('d-none', this.notifier.getBrowserPermission() !== 'default');
+    }
+    
+    // 장애 보고서 패널의 Agent 실행 표시 업데이트
+    // status: Agent.getStatus() 결과
+    updateAgentStatus(status) {
+        const indicator = document.getElementById('agentStatusIndicator');
+        const toggleButton = document.getElementById('agentToggleBtn');
+        const detail = document.getElementById('agentStatusDetail');
+        if (!indicator || !toggleButton) return;
+        
+        const running = status.state === AGENT_STATES.RUNNING;
+        const display = {
+            running: { className: 'bg-success', label: 'Agent 실행 중' },
+            paused: { className: 'bg-warning text-dark', label: 'Agent 일시 정지' },
+            stopped: { className: 'bg-secondary', label: 'Agent 중지됨' }
+        }[status.state];
+        indicator.className = `badge ${display.className}`;
+        indicator.innerHTML = `<i class="fas ${status.checking ? 'fa-spinner fa-spin' : 'fa-robot'} me-1"></i>${display.label}`;
+        toggleButton.innerHTML = running ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+        toggleButton.title = running ? 'Agent 자동 점검 일시 정지' : 'Agent 자동 점검 시작';
+        
+        if (detail) {
+            const parts = [];
+            if (status.lastRun) {
+                const run = status.lastRun;
+                parts.push(`마지막 점검 ${run.finishedAt.toLocaleTimeString()} (${run.durationMs}ms, ` +
+                    (run.error ? `오류: ${run.error})` : `새 장애 ${run.incidentsFound}건)`));
+            } else {
+                parts.push('아직 점검하지 않음');
+            }
+            if (running && status.nextRunAt) parts.push(`다음 점검 ${status.nextRunAt.toLocaleTimeString()}`);
+            parts.push(`점검 간격 ${status.intervalSeconds}초${status.triggerOnDataUpdate ? ' + 데이터 갱신 시' : ''}`);
+            if (status.skippedRuns > 0) parts.push(`겹쳐서 건너뛴 점검 ${status.skippedRuns}회`);
+            detail.textContent = parts.join(' · ');
+        }
+    }
+    
     updateProblemsList() {
         if (!this.aiProcessor) return;
         
@@ -1428,14 +2575,14 @@ class DataProcessor {
                     const status = this.getServerStatus(server);
                     if (status === 'critical') {
                         return {
-                            severity: 'Critical',
+                            severity: 'critical',
                             serverHostname: server.hostname,
                             description: `리소스 과부하 감지`,
                             solution: '서버 자원 확인 및 불필요한 프로세스를 종료하세요.'
                         };
                     } else if (status === 'warning') {
                         return {
-                            severity: 'Warning',
+                            severity: 'warning',
                             serverHostname: server.hostname,
                             description: `자원 사용량 높음`,
                             solution: '서버 상태를 모니터링하고 추세를 확인하세요.'
@@ -1451,18 +2598,11 @@ class DataProcessor {
                 problems = [];
             }
             
-            // Normal 상태는 제외 (detectProblems에서 이미 처리되었거나, 여기서 한번 더 필터링)
-            problems = problems.filter(p => p && (p.severity === 'Critical' || p.severity === 'Warning' || p.severity === 'Error'));
+            // 정상 등 문제가 아닌 항목은 제외 (detectProblems에서 이미 처리되었거나, 여기서 한번 더 필터링)
+            problems = problems.filter(p => p && PROBLEM_SEVERITIES.includes(p.severity));
     
-            // 정렬: Critical 우선, 그 다음 Warning(Error 포함) (내림차순)
-            problems.sort((a, b) => {
-                const severityScore = (severity) => {
-                    if (severity === 'Critical') return 2;
-                    if (severity === 'Warning' || severity === 'Error') return 1;
-                    return 0; // 그 외 (정상 등, 실제로는 필터링됨)
-                };
-                return severityScore(b.severity) - severityScore(a.severity);
-            });
+            // 정렬: 심각 > 오류 > 경고 (내림차순)
+            problems.sort((a, b) => getStatusWeight(b.severity) - getStatusWeight(a.severity));
     
             loadingIndicator.style.display = 'none';
         
@@ -1491,17 +2631,18 @@ class DataProcessor {
             // 문제 항목 렌더링
             currentPageProblems.forEach((problem, index) => {
                 const listItem = document.createElement('li');
-                listItem.className = `list-group-item list-group-item-action problem-item severity-${problem.severity.toLowerCase()}`;
+                listItem.className = `list-group-item list-group-item-action problem-item severity-${problem.severity}`;
                 // 인덱스 변수 추가
                 listItem.style.setProperty('--item-index', index);
                 
                 listItem.innerHTML = `
                     <div class="d-flex w-100 justify-content-between">
-                        <h6 class="mb-1 problem-description">${problem.description}</h6>
-                        <small class="text-muted">${problem.serverHostname || '알 수 없는 서버'}</small>
+                        <h6 class="mb-1 problem-description">${escapeHtml(problem.description)}</h6>
+                        <small class="text-muted">${escapeHtml(problem.serverHostname || '알 수 없는 서버')}</small>
                     </div>
-                    <p class="mb-1 problem-solution">${problem.solution || '제안된 해결책 없음'}</p>
-                    <small class="text-muted">심각도: <span class="fw-bold problem-severity-text">${problem.severity}</span></small>
+                    <p class="mb-1 problem-solution">${escapeHtml(problem.solution || '제안된 해결책 없음')}</p>
+                    ${this.getProblemImpactLine(problem)}
+                    <small class="text-muted">심각도: <span class="fw-bold problem-severity-text">${this.getStatusLabel(problem.severity)}</span></small>${this.getProblemTypeBadge(problem)}
                     <div class="problem-hint-icon">
                         <i class="fas fa-search-plus"></i>
                     </div>
@@ -1601,16 +2742,13 @@ class DataProcessor {
             return;
         }
 
-        let normalCount = 0;
-        let warningCount = 0;
-        let criticalCount = 0;
-
-        this.serverData.forEach(server => {
-            const status = this.getServerStatus(server); // 중앙 집중식 상태 판단 함수 사용
-            if (status === 'normal') normalCount++;
-            else if (status === 'warning') warningCount++;
-            else if (status === 'critical') criticalCount++;
-        });
+        // 중앙 집중식 상태 판단 함수 사용
+        const counts = countServersByStatus(this.serverData, server => this.getServerStatus(server));
+        // 정상/경고/심각은 항상, 나머지 상태는 해당 서버가 있을 때만 표시 (정상 → 심각 순)
+        const shownStatuses = [...SERVER_STATUSES].reverse()
+            .filter(status => ['normal', 'warning', 'critical'].includes(status) || counts[status] > 0);
+        // 알 수 없음 중 데이터 수신이 끊긴 서버 수 (나머지는 메트릭이 없는 서버)
+        const staleCount = this.serverData.filter(server => server.stale && this.getServerStatus(server) === 'unknown').length;
 
         // 타임스탬프 업데이트
         const timestampElement = document.getElementById('timestamp');
@@ -1628,19 +2766,13 @@ class DataProcessor {
         }
 
         summaryContainer.innerHTML = `
-            <div class="row mb-3">
-                <div class="col-4 text-center">
-                    <h3 class="mb-0 display-6 text-success">${normalCount}</h3>
-                    <p class="text-success mb-0">정상</p>
-                </div>
-                <div class="col-4 text-center">
-                    <h3 class="mb-0 display-6 text-warning">${warningCount}</h3>
-                    <p class="text-warning mb-0">경고</p>
-                </div>
-                <div class="col-4 text-center">
-                    <h3 class="mb-0 display-6 text-danger">${criticalCount}</h3>
-                    <p class="text-danger mb-0">심각</p>
-                </div>
+            <div class="row row-cols-3 row-cols-md-${shownStatuses.length} mb-3">
+                ${shownStatuses.map(status => `
+                <div class="col text-center">
+                    <h3 class="mb-0 display-6 text-${getStatusColor(status)}">${counts[status]}</h3>
+                    <p class="text-${getStatusColor(status)} mb-0">${STATUS_INFO[status].label}</p>
+                    ${status === 'unknown' && staleCount > 0 ? `<small class="text-muted"><i class="fas fa-plug-circle-xmark me-1"></i>수신 끊김 ${staleCount}대</small>` : ''}
+                </div>`).join('')}
             </div>
             <div>
                 <canvas id="globalStatusChart" height="150"></canvas>
@@ -1648,7 +2780,7 @@ class DataProcessor {
         `;
         
         // 상태 알림 생성 및 표시
-        this.updateStatusAlert(normalCount, warningCount, criticalCount);
+        this.updateStatusAlert(counts, staleCount);
 
         // 차트 업데이트
         const chartElement = document.getElementById('globalStatusChart');
@@ -1667,7 +2799,7 @@ class DataProcessor {
             this.globalStatusChartInstance.destroy();
         }
         
-        if (normalCount === 0 && warningCount === 0 && criticalCount === 0) {
+        if (this.serverData.length === 0) {
             // 데이터가 없는 경우 빈 차트가 아닌 메시지 표시
             chartElement.parentElement.innerHTML = `
                 <div class="alert alert-info text-center">
@@ -1681,19 +2813,11 @@ class DataProcessor {
         this.globalStatusChartInstance = new Chart(chartCtx, {
             type: 'doughnut',
             data: {
-                labels: ['정상', '경고', '심각'],
+                labels: shownStatuses.map(status => STATUS_INFO[status].label),
                 datasets: [{
-                    data: [normalCount, warningCount, criticalCount],
-                    backgroundColor: [
-                        'rgba(40, 167, 69, 0.7)', // 정상 (초록 계열)
-                        'rgba(253, 154, 20, 0.7)', // 경고 (주황 계열)
-                        'rgba(220, 53, 69, 0.7)'  // 심각 (빨강 계열)
-                    ],
-                    borderColor: [
-                        'rgba(40, 167, 69, 1)',
-                        'rgba(253, 154, 20, 1)',
-                        'rgba(220, 53, 69, 1)'
-                    ],
+                    data: shownStatuses.map(status => counts[status]),
+                    backgroundColor: shownStatuses.map(status => STATUS_INFO[status].chart),
+                    borderColor: shownStatuses.map(status => STATUS_INFO[status].chart.replace(/[\d.]+\)$/, '1)')),
                     borderWidth: 1
                 }]
             },
@@ -1727,7 +2851,8 @@ class DataProcessor {
     }
     
     // 서버 상태 요약 알림 업데이트
-    updateStatusAlert(normalCount, warningCount, criticalCount) {
+    // counts: 상태별 서버 수 (countServersByStatus), staleCount: 알 수 없음 중 데이터 수신이 끊긴 서버 수
+    updateStatusAlert(counts, staleCount = 0) {
         const alertElement = document.getElementById('statusSummaryAlert');
         if (!alertElement) return;
         
@@ -1736,12 +2861,21 @@ class DataProcessor {
         
         if (!iconContainer || !messageContainer) return;
         
-        const totalServers = normalCount + warningCount + criticalCount;
-        
-        // 상태 결정 (최악의 상태를 기준으로)
+        const totalServers = Object.values(counts).reduce((sum, count) => sum + count, 0);
+        const criticalCount = counts.critical;
+        const warningCount = counts.warning;
+        // 상태 결정 (최악의 상태를 기준으로, 점검 중은 알림 대상이 아님)
         let status = 'normal';
         if (criticalCount > 0) status = 'critical';
+        else if (counts.error > 0) status = 'error';
         else if (warningCount > 0) status = 'warning';
+        else if (counts.unknown > 0) status = 'unknown';
+        
+        // 알림 메시지에 덧붙일 나머지 상태 (예: '오류 1대, 점검 중 2대')
+        const otherStatuses = ['error', 'unknown', 'maintenance']
+            .filter(other => other !== status && counts[other] > 0)
+            .map(other => `${STATUS_INFO[other].label} ${counts[other]}대${other === 'unknown' && staleCount > 0 ? `(수신 끊김 ${staleCount}대)` : ''}`)
+            .join(', ');
         
         // 알림 클래스와 아이콘 설정
         let alertClass, iconHTML, message;
@@ -1758,6 +2892,12 @@ class DataProcessor {
                 }
                 break;
                 
+            case 'error':
+                alertClass = 'alert-warning';
+                iconHTML = '<i class="fas fa-circle-xmark fa-2x text-error"></i>';
+                message = `<strong>오류 발생:</strong> ${counts.error}개 서버에서 오류가 감지되었습니다. 로그를 확인해 주세요.`;
+                break;
+                
             case 'warning':
                 alertClass = 'alert-warning';
                 iconHTML = '<i class="fas fa-exclamation-triangle fa-2x"></i>';
@@ -1769,10 +2909,27 @@ class DataProcessor {
                 }
                 break;
                 
-            default: // normal
+            case 'unknown':
+                alertClass = 'alert-secondary';
+                iconHTML = '<i class="fas fa-circle-question fa-2x"></i>';
+                message = staleCount > 0
+                    ? `<strong>상태 확인 불가:</strong> ${staleCount}개 서버의 데이터 수신이 끊겼습니다` +
+                        (counts.unknown > staleCount ? `(메트릭 없음 ${counts.unknown - staleCount}개)` : '') +
+                        '. 서버 연결과 수집 에이전트를 확인해 주세요.'
+                    : `<strong>상태 확인 불가:</strong> ${counts.unknown}개 서버의 메트릭 데이터가 없습니다. 수집 에이전트를 확인해 주세요.`;
+                break;
+                
+            default: // normal (점검 중 서버 포함)
                 alertClass = 'alert-success';
                 iconHTML = '<i class="fas fa-check-circle fa-2x"></i>';
-                message = `<strong>모두 정상:</strong> 현재 ${totalServers}개의 서버가 모두 정상 작동 중입니다.`;
+                message = counts.maintenance > 0
+                    ? `<strong>모두 정상:</strong> 점검 중인 ${counts.maintenance}개를 제외한 ${totalServers - counts.maintenance}개의 서버가 모두 정상 작동 중입니다.`
+                    : `<strong>모두 정상:</strong> 현재 ${totalServers}개의 서버가 모두 정상 작동 중입니다.`;
+        }
+        
+        // 더 심각한 상태의 메시지 뒤에 나머지 상태 요약 (예: '(오류 1대, 점검 중 2대)')
+        if (status !== 'normal' && otherStatuses) {
+            message += ` <span class="text-muted">(${otherStatuses})</span>`;
         }
         
         // 알림 업데이트
@@ -1816,7 +2973,7 @@ class DataProcessor {
         
         // CPU 과부하 관련 쿼리
         if (query.includes("CPU 사용률이 높은 서버") || query.includes("CPU 과부하")) {
-            const highCpuServers = this.serverData.filter(server => server.cpu_usage >= this.thresholds.warning.cpu);
+            const highCpuServers = this.serverData.filter(server => this.getResourceStatus(server.cpu_usage, 'cpu', server) !== 'normal');
             
             // 서버 상태에 따라 응답 형식 조정
             if (highCpuServers.length === 0) {
@@ -1827,7 +2984,7 @@ class DataProcessor {
 **총 서버 수**: ${this.serverData.length}대
 **평균 CPU 사용률**: ${(this.serverData.reduce((acc, server) => acc + server.cpu_usage, 0) / this.serverData.length).toFixed(1)}%
 
-모든 서버의 CPU 사용률이 정상 범위(${this.thresholds.warning.cpu}% 미만) 내에 있습니다.`;
+모든 서버의 CPU 사용률이 정상 범위(${this.thresholds.warning.cpu}% 미만, 서버별 임계치 프로필 적용) 내에 있습니다.`;
             }
             
             // 해당 문제와 관련된 AI 장애 보고서 항목 찾기
@@ -1842,9 +2999,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
 `;
             
             // 심각한 수준(Critical)의 서버 먼저 표시
-            const criticalCpuServers = highCpuServers.filter(server => server.cpu_usage >= this.thresholds.critical.cpu);
+            const criticalCpuServers = highCpuServers.filter(server => this.getResourceStatus(server.cpu_usage, 'cpu', server) === 'critical');
             if (criticalCpuServers.length > 0) {
-                response += `#### 심각한 CPU 과부하 (${this.thresholds.critical.cpu}% 이상)
+                response += `#### 심각한 CPU 과부하 (${this.thresholds.critical.cpu}% 이상, 서버별 임계치 프로필 적용)
 `;
                 criticalCpuServers.forEach(server => {
                     response += `- **${server.hostname}**: CPU ${server.cpu_usage}% (심각)
@@ -1856,12 +3013,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             }
             
             // 경고 수준(Warning)의 서버 표시
-            const warningCpuServers = highCpuServers.filter(server => 
-                server.cpu_usage >= this.thresholds.warning.cpu && 
-                server.cpu_usage < this.thresholds.critical.cpu
-            );
+            const warningCpuServers = highCpuServers.filter(server => this.getResourceStatus(server.cpu_usage, 'cpu', server) === 'warning');
             if (warningCpuServers.length > 0) {
-                response += `#### 경고 수준의 CPU 사용 (${this.thresholds.warning.cpu}% ~ ${this.thresholds.critical.cpu-0.1}%)
+                response += `#### 경고 수준의 CPU 사용 (${this.thresholds.warning.cpu}% ~ ${this.thresholds.critical.cpu-0.1}%, 서버별 임계치 프로필 적용)
 `;
                 warningCpuServers.forEach(server => {
                     response += `- **${server.hostname}**: CPU ${server.cpu_usage}% (경고)
@@ -1894,7 +3048,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
         
         // 메모리 부족 관련 쿼리
         else if (query.includes("메모리 사용량이 많은 서버") || query.includes("메모리 부족")) {
-            const highMemoryServers = this.serverData.filter(server => server.memory_usage_percent >= this.thresholds.warning.memory);
+            const highMemoryServers = this.serverData.filter(server => this.getResourceStatus(server.memory_usage_percent, 'memory', server) !== 'normal');
             
             // 서버 상태에 따라 응답 형식 조정
             if (highMemoryServers.length === 0) {
@@ -1905,7 +3059,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
 **총 서버 수**: ${this.serverData.length}대
 **평균 메모리 사용률**: ${(this.serverData.reduce((acc, server) => acc + server.memory_usage_percent, 0) / this.serverData.length).toFixed(1)}%
 
-모든 서버의 메모리 사용률이 정상 범위(${this.thresholds.warning.memory}% 미만) 내에 있습니다.`;
+모든 서버의 메모리 사용률이 정상 범위(${this.thresholds.warning.memory}% 미만, 서버별 임계치 프로필 적용) 내에 있습니다.`;
             }
             
             // 해당 문제와 관련된 AI 장애 보고서 항목 찾기
@@ -1923,9 +3077,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
 `;
             
             // 심각한 수준(Critical)의 서버 먼저 표시
-            const criticalMemServers = highMemoryServers.filter(server => server.memory_usage_percent >= this.thresholds.critical.memory);
+            const criticalMemServers = highMemoryServers.filter(server => this.getResourceStatus(server.memory_usage_percent, 'memory', server) === 'critical');
             if (criticalMemServers.length > 0) {
-                response += `#### 심각한 메모리 부족 (${this.thresholds.critical.memory}% 이상)
+                response += `#### 심각한 메모리 부족 (${this.thresholds.critical.memory}% 이상, 서버별 임계치 프로필 적용)
 `;
                 criticalMemServers.forEach(server => {
                     response += `- **${server.hostname}**: 메모리 ${server.memory_usage_percent}% (심각)
@@ -1937,12 +3091,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             }
             
             // 경고 수준(Warning)의 서버 표시
-            const warningMemServers = highMemoryServers.filter(server => 
-                server.memory_usage_percent >= this.thresholds.warning.memory && 
-                server.memory_usage_percent < this.thresholds.critical.memory
-            );
+            const warningMemServers = highMemoryServers.filter(server => this.getResourceStatus(server.memory_usage_percent, 'memory', server) === 'warning');
             if (warningMemServers.length > 0) {
-                response += `#### 경고 수준의 메모리 사용 (${this.thresholds.warning.memory}% ~ ${this.thresholds.critical.memory-0.1}%)
+                response += `#### 경고 수준의 메모리 사용 (${this.thresholds.warning.memory}% ~ ${this.thresholds.critical.memory-0.1}%, 서버별 임계치 프로필 적용)
 `;
                 warningMemServers.forEach(server => {
                     response += `- **${server.hostname}**: 메모리 ${server.memory_usage_percent}% (경고)
@@ -2039,11 +3190,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
         
         // 디스크 공간 부족 관련 쿼리
         else if (query.includes("디스크 공간이 부족한 서버")) {
-            const highDiskServers = this.serverData.filter(server => 
-                server.disk && 
-                server.disk.length > 0 && 
-                server.disk[0].disk_usage_percent >= this.thresholds.warning.disk
-            );
+            const highDiskServers = this.serverData.filter(server => this.getHighDisks(server, 'warning').length > 0);
             
             // 서버 상태에 따라 응답 형식 조정
             if (highDiskServers.length === 0) {
@@ -2052,9 +3199,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
 현재 디스크 공간이 부족한 서버가 없습니다. 모든 서버가 충분한 디스크 공간을 보유하고 있습니다.
 
 **총 서버 수**: ${this.serverData.length}대
-**평균 디스크 사용률**: ${(this.serverData.reduce((acc, server) => acc + (server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent : 0), 0) / this.serverData.length).toFixed(1)}%
+**평균 디스크 사용률 (최대 마운트 기준)**: ${(this.serverData.reduce((acc, server) => acc + getMaxDiskUsage(server), 0) / this.serverData.length).toFixed(1)}%
 
-모든 서버의 디스크 사용률이 정상 범위(${this.thresholds.warning.disk}% 미만) 내에 있습니다.`;
+모든 서버의 모든 마운트 지점이 정상 범위(${this.thresholds.warning.disk}% 미만, 마운트별/서버별 임계치 적용) 내에 있습니다.`;
             }
             
             // 해당 문제와 관련된 AI 장애 보고서 항목 찾기
@@ -2072,37 +3219,32 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
 
 `;
             
-            // 심각한 수준(Critical)의 서버 먼저 표시
-            const criticalDiskServers = highDiskServers.filter(server => 
-                server.disk[0].disk_usage_percent >= this.thresholds.critical.disk
-            );
+            // 마운트 한 줄 설명
+            const describeDisk = (disk, label) => `  - 마운트 지점 ${disk.mount}: ${disk.disk_usage_percent}% (${label})
+    - 총 용량: ${disk.disk_total || '정보 없음'}
+    - 사용 용량: ${disk.disk_used || '정보 없음'}
+`;
+            
+            // 심각한 수준(Critical)의 마운트가 있는 서버 먼저 표시
+            const criticalDiskServers = highDiskServers.filter(server => this.getHighDisks(server, 'critical').length > 0);
             if (criticalDiskServers.length > 0) {
-                response += `#### 심각한 디스크 공간 부족 (${this.thresholds.critical.disk}% 이상)
+                response += `#### 심각한 디스크 공간 부족 (${this.thresholds.critical.disk}% 이상, 마운트별/서버별 임계치 적용)
 `;
                 criticalDiskServers.forEach(server => {
-                    response += `- **${server.hostname}**: 디스크 ${server.disk[0].disk_usage_percent}% (심각)
-  - 마운트 지점: ${server.disk[0].mount || '/'}
-  - 총 용량: ${server.disk[0].disk_total || '정보 없음'}
-  - 사용 용량: ${server.disk[0].disk_used || '정보 없음'}
-`;
+                    response += `- **${server.hostname}**\n`;
+                    this.getHighDisks(server, 'critical').forEach(disk => response += describeDisk(disk, '심각'));
                 });
                 response += "\n";
             }
             
-            // 경고 수준(Warning)의 서버 표시
-            const warningDiskServers = highDiskServers.filter(server => 
-                server.disk[0].disk_usage_percent >= this.thresholds.warning.disk && 
-                server.disk[0].disk_usage_percent < this.thresholds.critical.disk
-            );
+            // 경고 수준(Warning)의 마운트만 있는 서버 표시
+            const warningDiskServers = highDiskServers.filter(server => !criticalDiskServers.includes(server));
             if (warningDiskServers.length > 0) {
-                response += `#### 경고 수준의 디스크 사용 (${this.thresholds.warning.disk}% ~ ${this.thresholds.critical.disk-0.1}%)
+                response += `#### 경고 수준의 디스크 사용 (${this.thresholds.warning.disk}% ~ ${this.thresholds.critical.disk-0.1}%, 마운트별/서버별 임계치 적용)
 `;
                 warningDiskServers.forEach(server => {
-                    response += `- **${server.hostname}**: 디스크 ${server.disk[0].disk_usage_percent}% (경고)
-  - 마운트 지점: ${server.disk[0].mount || '/'}
-  - 총 용량: ${server.disk[0].disk_total || '정보 없음'}
-  - 사용 용량: ${server.disk[0].disk_used || '정보 없음'}
-`;
+                    response += `- **${server.hostname}**\n`;
+                    this.getHighDisks(server, 'warning').forEach(disk => response += describeDisk(disk, '경고'));
                 });
                 response += "\n";
             }
@@ -2139,7 +3281,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                 response += `#### ${server.hostname}\n`;
                 response += `- CPU: ${server.cpu_usage}% (정상)\n`;
                 response += `- 메모리: ${server.memory_usage_percent}% (정상)\n`;
-                response += `- 디스크: ${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent : 0}% (정상)\n`;
+                response += `- 디스크: ${getDisks(server).map(disk => `${disk.mount} ${disk.disk_usage_percent}%`).join(', ') || '정보 없음'} (정상)\n`;
                 response += `- 업타임: ${server.uptime || '정보 없음'}\n\n`;
             });
             
@@ -2158,11 +3300,9 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             response += `- 심각 상태: ${criticalServers.length}대\n\n`;
             
             // 임계값 초과 현황
-            const highCpuCount = this.serverData.filter(s => s.cpu_usage >= this.thresholds.warning.cpu).length;
-            const highMemCount = this.serverData.filter(s => s.memory_usage_percent >= this.thresholds.warning.memory).length;
-            const highDiskCount = this.serverData.filter(s => 
-                s.disk && s.disk.length > 0 && s.disk[0].disk_usage_percent >= this.thresholds.warning.disk
-            ).length;
+            const highCpuCount = this.serverData.filter(s => this.getResourceStatus(s.cpu_usage, 'cpu', s) !== 'normal').length;
+            const highMemCount = this.serverData.filter(s => this.getResourceStatus(s.memory_usage_percent, 'memory', s) !== 'normal').length;
+            const highDiskCount = this.serverData.filter(s => this.getHighDisks(s, 'warning').length > 0).length;
             const stoppedServiceCount = this.serverData.filter(s => 
                 s.services && Object.values(s.services).some(status => status === 'stopped')
             ).length;
@@ -2181,15 +3321,16 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                     
                     // 서버의 문제 원인 파악
                     const issues = [];
-                    if (server.cpu_usage >= this.thresholds.critical.cpu) {
-                        issues.push(`CPU 사용률 ${server.cpu_usage}% (임계치 ${this.thresholds.critical.cpu}%)`);
+                    const serverThresholds = this.getServerThresholds(server); // 서버 유형/환경/호스트 프로필 적용
+                    if (server.cpu_usage >= serverThresholds.critical.cpu) {
+                        issues.push(`CPU 사용률 ${server.cpu_usage}% (임계치 ${serverThresholds.critical.cpu}%)`);
                     }
-                    if (server.memory_usage_percent >= this.thresholds.critical.memory) {
-                        issues.push(`메모리 사용률 ${server.memory_usage_percent}% (임계치 ${this.thresholds.critical.memory}%)`);
-                    }
-                    if (server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= this.thresholds.critical.disk) {
-                        issues.push(`디스크 사용률 ${server.disk[0].disk_usage_percent}% (임계치 ${this.thresholds.critical.disk}%)`);
+                    if (server.memory_usage_percent >= serverThresholds.critical.memory) {
+                        issues.push(`메모리 사용률 ${server.memory_usage_percent}% (임계치 ${serverThresholds.critical.memory}%)`);
                     }
+                    this.getHighDisks(server, 'critical').forEach(disk => {
+                        issues.push(`디스크 ${disk.mount} 사용률 ${disk.disk_usage_percent}% (임계치 ${getDiskThreshold(disk.mount, 'critical', serverThresholds.critical.disk)}%)`);
+                    });
                     if (server.services && Object.values(server.services).some(status => status === 'stopped')) {
                         const stoppedServices = Object.entries(server.services)
                             .filter(([_, status]) => status === 'stopped')
@@ -2207,7 +3348,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                 response += `### AI 분석 문제 항목 (상위 ${Math.min(3, aiProblemsData.length)}개)\n\n`;
                 aiProblemsData.slice(0, 3).forEach((problem, index) => {
                     response += `${index+1}. **${problem.serverHostname || '전체 서버'}**: ${problem.description}\n`;
-                    response += `   - 심각도: ${problem.severity}\n`;
+                    response += `   - 심각도: ${this.getStatusLabel(problem.severity)}\n`;
                     response += `   - 권장 조치: ${problem.solution || '문제 원인 분석 필요'}\n\n`;
                 });
             }
@@ -2254,7 +3395,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             const result = this.processPresetQuery(query);
             if (result) {
                 if (queryResultContent && queryResultElement) {
-                    queryResultContent.innerHTML = result;
+                    queryResultContent.textContent = result;
                     queryResultElement.classList.add('active');
                     queryResultElement.style.display = 'block';
                 }
@@ -2272,7 +3413,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             if (relevantProblems.length > 0) {
                 enhancedQuery += "\n\n관련 문제 데이터:\n";
                 relevantProblems.forEach(problem => {
-                    enhancedQuery += `- ${problem.serverHostname || '전체 서버'}: ${problem.description} (심각도: ${problem.severity})\n`;
+                    enhancedQuery += `- ${problem.serverHostname || '전체 서버'}: ${problem.description} (심각도: ${this.getStatusLabel(problem.severity)})\n`;
                     if (problem.solution) {
                         enhancedQuery += `  해결책: ${problem.solution}\n`;
                     }
@@ -2281,23 +3422,25 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
         }
         
         // 서버 상태 데이터 통계 추가
-        const criticalServers = this.serverData.filter(server => this.getServerStatus(server) === 'critical').length;
-        const warningServers = this.serverData.filter(server => this.getServerStatus(server) === 'warning').length;
-        const normalServers = this.serverData.filter(server => this.getServerStatus(server) === 'normal').length;
+        const counts = countServersByStatus(this.serverData, server => this.getServerStatus(server));
+        const statusCounts = [...SERVER_STATUSES].reverse()
+            .filter(status => counts[status] > 0)
+            .map(status => `${STATUS_INFO[status].label}: ${counts[status]}`)
+            .join(', ');
         
-        enhancedQuery += `\n\n서버 현황: 총 ${this.serverData.length}대 (정상: ${normalServers}, 경고: ${warningServers}, 심각: ${criticalServers})`;
+        enhancedQuery += `\n\n서버 현황: 총 ${this.serverData.length}대 (${statusCounts})`;
         
         this.aiProcessor.processQuery(enhancedQuery)
             .then(response => {
                 if (queryResultContent && queryResultElement) {
-                    queryResultContent.innerHTML = response;
+                    queryResultContent.textContent = response;
                     queryResultElement.classList.add('active');
                     queryResultElement.style.display = 'block';
                 }
             })
             .catch(error => {
                 if (queryResultContent && queryResultElement) {
-                    queryResultContent.innerHTML = `오류가 발생했습니다: ${error.message}`;
+                    queryResultContent.textContent = `오류가 발생했습니다: ${error.message}`;
                     queryResultElement.classList.add('active');
                     queryResultElement.style.display = 'block';
                 }
@@ -2337,65 +3480,15 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             } else {
                 console.warn("AI 프로세서에 generateErrorReport 메소드가 없습니다. 기본 보고서를 생성합니다.");
                 
-                // 기본 장애 보고서 생성 로직
-                report = '# 서버 상태 보고서\n\n';
-                report += `생성 시간: ${new Date().toLocaleString()}\n\n`;
-                
-                // 서버 상태에 따라 요약 정보 생성
-                const criticalServers = this.serverData.filter(s => this.getServerStatus(s) === 'critical');
-                const warningServers = this.serverData.filter(s => this.getServerStatus(s) === 'warning');
-                const normalServers = this.serverData.filter(s => this.getServerStatus(s) === 'normal');
-                
-                report += `## 서버 상태 요약\n\n`;
-                report += `- 총 서버 수: ${this.serverData.length}\n`;
-                report += `- 정상: ${normalServers.length}\n`;
-                report += `- 경고: ${warningServers.length}\n`;
-                report += `- 심각: ${criticalServers.length}\n\n`;
-                
-                // 문제 상태의 서버에 대한 세부 정보
-                if (criticalServers.length > 0) {
-                    report += '## 심각한 상태의 서버\n\n';
-                    criticalServers.forEach(server => {
-                        report += `### ${server.hostname}\n`;
-                        report += `- CPU: ${server.cpu_usage}%\n`;
-                        report += `- 메모리: ${server.memory_usage_percent}%\n`;
-                        report += `- 디스크: ${server.disk[0].disk_usage_percent}%\n`;
-                        if (server.errors && server.errors.length > 0) {
-                            report += `- 오류: ${server.errors.join(', ')}\n`;
-                        }
-                        report += `\n`;
-                    });
-                }
-                
-                if (warningServers.length > 0) {
-                    report += '## 경고 상태의 서버\n\n';
-                    warningServers.forEach(server => {
-                        report += `### ${server.hostname}\n`;
-                        report += `- CPU: ${server.cpu_usage}%\n`;
-                        report += `- 메모리: ${server.memory_usage_percent}%\n`;
-                        report += `- 디스크: ${server.disk[0].disk_usage_percent}%\n`;
-                        if (server.errors && server.errors.length > 0) {
-                            report += `- 오류: ${server.errors.join(', ')}\n`;
-                        }
-                        report += `\n`;
-                    });
-                }
+                // 기본 장애 보고서 생성 로직 (상태별 서버 요약)
+                report = buildStatusSummaryReport(this.serverData, server => this.getServerStatus(server));
             }
         } catch (e) {
             console.error("장애 보고서 생성 중 오류 발생:", e);
             report = '# 오류 발생\n\n장애 보고서를 생성하는 중 오류가 발생했습니다.\n\n' + e.message;
         }
         
-        const blob = new Blob([report], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `server_error_report_${new Date().toISOString().slice(0, 10)}.txt`;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.downloadTextFile(`server_error_report_${new Date().toISOString().slice(0, 10)}.txt`, report);
     }
     
     // 유틸리티 함수
@@ -2417,100 +3510,122 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             this._hasLoggedNoAIProcessor = true;
         }
         
-        // 폴백 로직 (AI Processor 사용 불가 또는 에러 시)
-        // 리소스 사용률 기반 명확한 기준으로 상태 판단
-        
-        // 1. Critical 조건 판단
-        if (server.cpu_usage >= this.thresholds.critical.cpu ||
-            server.memory_usage_percent >= this.thresholds.critical.memory ||
-            (server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= this.thresholds.critical.disk)) {
-            return 'critical';
-        }
-        
-        // 2. 오류 메시지 기반 Critical 판단
-        const hasCriticalError = server.errors && server.errors.some(err => 
-            typeof err === 'string' && err.toLowerCase().includes('critical'));
-        if (hasCriticalError) {
-            return 'critical';
-        }
-        
-        // 3. 서비스 중단 기반 Critical 판단
-        const hasStoppedService = server.services && Object.values(server.services).includes('stopped');
-        if (hasStoppedService) {
-            return 'critical';
-        }
-        
-        // 4. Warning 조건 판단
-        if (server.cpu_usage >= this.thresholds.warning.cpu ||
-            server.memory_usage_percent >= this.thresholds.warning.memory ||
-            (server.disk && server.disk.length > 0 && server.disk[0].disk_usage_percent >= this.thresholds.warning.disk)) {
-            return 'warning';
-        }
-        
-        // 5. 오류 메시지 기반 Warning 판단
-        const hasWarningError = server.errors && server.errors.some(err => 
-            typeof err === 'string' && (err.toLowerCase().includes('warning') || err.toLowerCase().includes('error')));
-        if (hasWarningError) {
-            return 'warning';
-        }
-        
-        // 6. 위 조건에 해당하지 않으면 normal 상태
-        return 'normal';
+        // 폴백 로직 (AI Processor 사용 불가 또는 에러 시) - AIProcessor와 같은 공유 규칙 엔진으로 판단
+        return evaluateServerStatus(server);
     }
     
-    getResourceStatus(value, type = 'generic') {
-        // 리소스 유형에 따른 임계값 적용
-        const criticalThreshold = type in this.thresholds.critical 
-            ? this.thresholds.critical[type] 
-            : this.thresholds.critical.cpu;
-        
-        const warningThreshold = type in this.thresholds.warning 
-            ? this.thresholds.warning[type] 
-            : this.thresholds.warning.cpu;
-        
-        if (value >= criticalThreshold) return 'critical';
-        if (value >= warningThreshold) return 'warning';
-        return 'normal';
+    // 서버 상태 평가 임계값 (규칙 엔진의 CPU/메모리/디스크 규칙에서 가져오므로 규칙이 바뀌면 함께 바뀜)
+    get thresholds() {
+        return this.getServerThresholds();
+    }
+    
+    // 서버 유형/환경/호스트 프로필을 적용한 임계값 (server를 생략하면 기본 임계값)
+    getServerThresholds(server) {
+        const rulesEngine = this.aiProcessor && this.aiProcessor.rulesEngine ? this.aiProcessor.rulesEngine : undefined;
+        return getStatusThresholds(rulesEngine, server);
+    }
+    
+    getResourceStatus(value, type = 'generic', server = null) {
+        // 리소스 유형에 따른 임계값 적용 (서버를 주면 해당 서버의 프로필 임계값)
+        return evaluateResourceStatus(value, type, this.getServerThresholds(server || undefined));
+    }
+    
+    // 마운트별 임계치(config.js의 DISK_MOUNT_THRESHOLDS)를 반영한 디스크 상태
+    getDiskStatus(disk, server = null) {
+        return evaluateDiskStatus(disk, this.getServerThresholds(server || undefined));
+    }
+    
+    // 임계치를 넘은 마운트 목록 (level: 'warning' | 'critical', 사용률 높은 순, 서버 프로필 적용)
+    getHighDisks(server, level) {
+        return getDisksOverThreshold(server, level, this.getServerThresholds(server)[level].disk);
     }
     
     getStatusLabel(status) {
-        switch(status) {
-            case 'normal': return '정상';
-            case 'warning': return '경고';
-            case 'critical': return '심각';
-            default: return '알 수 없음';
+        return statusLabel(status);
+    }
+    
+    // 서버 상세의 고갈 예측 표 (대상, 현재 사용률, 시간당 증가, 심각 임계치 도달, 100% 도달)
+    renderForecastTable(tbody, server) {
+        const forecasts = this.aiProcessor && typeof this.aiProcessor.forecastServer === 'function'
+            ? this.aiProcessor.forecastServer(server)
+            : [];
+        tbody.innerHTML = '';
+        if (forecasts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5">추세를 계산할 이력이 부족합니다.</td></tr>';
+            return;
         }
+        const horizon = this.aiProcessor.forecaster.options.horizonHours;
+        forecasts.forEach(item => {
+            const row = document.createElement('tr');
+            const soon = [item.hoursToThreshold, item.hoursToFull].some(hours => hours !== null && hours <= horizon);
+            if (soon) row.className = 'table-warning';
+            [
+                item.label,
+                `${item.current.toFixed(1)}%`,
+                `${item.slopePerHour > 0 ? '+' : ''}${item.slopePerHour}%p/h`,
+                item.hoursToThreshold !== null ? `${formatDuration(item.hoursToThreshold)} (${item.threshold}%)` : '-',
+                item.hoursToFull !== null ? `${formatDuration(item.hoursToFull)} (${new Date(item.fullAt).toLocaleString()})` : '증가 추세 없음'
+            ].forEach(text => {
+                const cell = document.createElement('td');
+                cell.textContent = text;
+                row.appendChild(cell);
+            });
+            tbody.appendChild(row);
+        });
+    }
+    
+    // 규칙 외 문제 유형 배지 (이상 징후, 예측 경고, 데이터 수신 없음)
+    getProblemTypeBadge(problem) {
+        if (problem.type === 'anomaly') return ' <span class="badge bg-info">이상 징후</span>';
+        if (problem.type === 'stale') return ' <span class="badge bg-dark">수신 없음</span>';
+        if (problem.type === 'forecast') return ' <span class="badge bg-secondary">예측</span>';
+        return '';
+    }
+    
+    // 심각 문제의 의존 관계상 영향 범위 한 줄 (없으면 빈 문자열)
+    getProblemImpactLine(problem) {
+        if (!problem.impact) return '';
+        return `<small class="d-block text-danger mb-1"><i class="fas fa-diagram-project me-1"></i>영향 범위: ${escapeHtml(problem.impact.summary)}</small>`;
     }
     
     // 서버 상태에 따른 부트스트랩 색상 클래스 반환
     getStatusColorClass(status) {
-        switch(status) {
-            case 'normal': return 'success';
-            case 'warning': return 'warning';
-            case 'critical': return 'danger';
-            default: return 'secondary';
-        }
+        return getStatusColor(status);
     }
     
-    getChartColor(value, type = 'generic') {
-        const status = this.getResourceStatus(value, type);
-        switch(status) {
-            case 'critical': return 'rgba(220, 53, 69, 0.7)'; // 심각
-            case 'warning': return 'rgba(253, 154, 20, 0.7)'; // 경고
-            default: return 'rgba(40, 167, 69, 0.7)'; // 정상
-        }
+    getChartColor(value, type = 'generic', server = null) {
+        return this.getStatusChartColor(this.getResourceStatus(value, type, server));
+    }
+    
+    getStatusChartColor(status) {
+        return statusChartColor(status);
+    }
+    
+    // 보고서용 마운트별 디스크 사용률 (예: '/data 97.5%, / 30.2%')
+    formatDiskUsage(server) {
+        return formatDiskUsageText(server);
+    }
+    
+    // 보고서용 인터페이스별 네트워크 정보 (인터페이스마다 한 줄)
+    formatNetworkReport(server) {
+        return formatNetworkReportText(server);
     }
     
     formatBytes(bytes, decimals = 2) {
-        if (bytes === 0) return '0 Bytes';
-        
-        const k = 1024;
-        const dm = decimals < 0 ? 0 : decimals;
-        const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
-        
-        const i = Math.floor(Math.log(bytes) / Math.log(k));
-        
-        return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+        return formatByteSize(bytes, decimals);
+    }
+    
+    // 텍스트 보고서를 파일로 내려받기
+    downloadTextFile(filename, content) {
+        const blob = new Blob([content], { type: 'text/plain' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = filename;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
     }
 
     // 모든 문제를 보여주는 모달 표시
@@ -2537,18 +3652,11 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                 problems = [];
             }
             
-            // Normal 상태는 제외
-            problems = problems.filter(p => p && (p.severity === 'Critical' || p.severity === 'Warning' || p.severity === 'Error'));
+            // 정상 등 문제가 아닌 항목은 제외
+            problems = problems.filter(p => p && PROBLEM_SEVERITIES.includes(p.severity));
             
-            // 정렬: Critical 우선, 그 다음 Warning/Error
-            problems.sort((a, b) => {
-                const severityScore = (severity) => {
-                    if (severity === 'Critical') return 2;
-                    if (severity === 'Warning' || severity === 'Error') return 1;
-                    return 0;
-                };
-                return severityScore(b.severity) - severityScore(a.severity);
-            });
+            // 정렬: 심각 > 오류 > 경고
+            problems.sort((a, b) => getStatusWeight(b.severity) - getStatusWeight(a.severity));
         } catch (error) {
             console.error("문제 목록 가져오기 오류:", error);
             alert('문제 목록을 불러오는 중 오류가 발생했습니다.');
@@ -2589,13 +3697,14 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                                 </div>
                                 <ul class="list-group all-problems-list">
                                     ${problems.map((problem, idx) => `
-                                        <li class="list-group-item list-group-item-action problem-item severity-${problem.severity.toLowerCase()}" data-index="${idx}">
+                                        <li class="list-group-item list-group-item-action problem-item severity-${problem.severity}" data-index="${idx}">
                                             <div class="d-flex w-100 justify-content-between">
-                                                <h6 class="mb-1 problem-description">${problem.description}</h6>
-                                                <small class="text-muted">${problem.serverHostname || '알 수 없는 서버'}</small>
+                                                <h6 class="mb-1 problem-description">${escapeHtml(problem.description)}</h6>
+                                                <small class="text-muted">${escapeHtml(problem.serverHostname || '알 수 없는 서버')}</small>
                                             </div>
-                                            <p class="mb-1 problem-solution">${problem.solution || '제안된 해결책 없음'}</p>
-                                            <small class="text-muted">심각도: <span class="fw-bold problem-severity-text">${problem.severity}</span></small>
+                                            <p class="mb-1 problem-solution">${escapeHtml(problem.solution || '제안된 해결책 없음')}</p>
+                                            ${this.getProblemImpactLine(problem)}
+                                            <small class="text-muted">심각도: <span class="fw-bold problem-severity-text">${this.getStatusLabel(problem.severity)}</span></small>${this.getProblemTypeBadge(problem)}
                                             <div class="problem-hint-icon">
                                                 <i class="fas fa-search-plus"></i>
                                             </div>
@@ -2852,7 +3961,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
             const metricsInfo = document.getElementById('problemMetricsInfo');
             
             // 안전하게 내용 업데이트
-            if (problemTitle) problemTitle.textContent = `${problem.severity} 문제 보고서: ${server ? server.hostname : '알 수 없는 서버'}`;
+            if (problemTitle) problemTitle.textContent = `${this.getStatusLabel(problem.severity)} 문제 보고서: ${server ? server.hostname : '알 수 없는 서버'}`;
             if (problemDescription) problemDescription.textContent = problem.description;
             
             // 서버 정보 테이블 업데이트
@@ -2860,15 +3969,15 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                 serverInfoTable.innerHTML = `
                     <tr>
                         <th>호스트명</th>
-                        <td>${server.hostname}</td>
+                        <td>${escapeHtml(server.hostname)}</td>
                     </tr>
                     <tr>
                         <th>IP 주소</th>
-                        <td>${server.ip}</td>
+                        <td>${escapeHtml(server.ip)}</td>
                     </tr>
                     <tr>
                         <th>OS</th>
-                        <td>${server.os}</td>
+                        <td>${escapeHtml(server.os)}</td>
                     </tr>
                     <tr>
                         <th>상태</th>
@@ -2884,7 +3993,7 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                     </tr>
                     <tr>
                         <th>디스크 사용률</th>
-                        <td>${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent + '%' : 'N/A'}</td>
+                        <td>${escapeHtml(this.formatDiskUsage(server))}</td>
                     </tr>
                 `;
             }
@@ -2917,29 +4026,29 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
                         <div class="col-md-6">
                             <h6 class="mt-2 mb-3">리소스 사용량</h6>
                             <div class="progress mb-2" style="height: 25px;">
-                                <div class="progress-bar ${this.getResourceStatus(server.cpu_usage, 'cpu') !== 'normal' ? 'bg-danger' : 'bg-success'}" 
+                                <div class="progress-bar ${this.getResourceStatus(server.cpu_usage, 'cpu', server) !== 'normal' ? 'bg-danger' : 'bg-success'}" 
                                     role="progressbar" style="width: ${server.cpu_usage}%">
                                     CPU ${server.cpu_usage}%
                                 </div>
                             </div>
                             <div class="progress mb-2" style="height: 25px;">
-                                <div class="progress-bar ${this.getResourceStatus(server.memory_usage_percent, 'memory') !== 'normal' ? 'bg-danger' : 'bg-success'}" 
+                                <div class="progress-bar ${this.getResourceStatus(server.memory_usage_percent, 'memory', server) !== 'normal' ? 'bg-danger' : 'bg-success'}" 
                                     role="progressbar" style="width: ${server.memory_usage_percent}%">
                                     메모리 ${server.memory_usage_percent}%
                                 </div>
                             </div>
+                            ${getDisks(server).map(disk => `
                             <div class="progress mb-2" style="height: 25px;">
-                                <div class="progress-bar ${server.disk && server.disk.length > 0 && this.getResourceStatus(server.disk[0].disk_usage_percent, 'disk') !== 'normal' ? 'bg-danger' : 'bg-success'}" 
-                                    role="progressbar" style="width: ${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent : 0}%">
-                                    디스크 ${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent : 0}%
+                                <div class="progress-bar ${this.getDiskStatus(disk, server) !== 'normal' ? 'bg-danger' : 'bg-success'}" 
+                                    role="progressbar" style="width: ${disk.disk_usage_percent}%">
+                                    디스크 ${escapeHtml(disk.mount)} ${disk.disk_usage_percent}%
                                 </div>
-                            </div>
+                            </div>`).join('')}
                         </div>
                         <div class="col-md-6">
                             <h6 class="mt-2 mb-3">네트워크 정보</h6>
-                            <p><strong>수신:</strong> ${this.formatBytes(server.net.rx_bytes)}</p>
-                            <p><strong>송신:</strong> ${this.formatBytes(server.net.tx_bytes)}</p>
-                            <p><strong>오류:</strong> RX: ${server.net.rx_errors}, TX: ${server.net.tx_errors}</p>
+                            ${getNetInterfaces(server).map(item => `
+                            <p><strong>${escapeHtml(item.interface)}:</strong> 수신 ${this.formatBytes(item.rx_bytes)}, 송신 ${this.formatBytes(item.tx_bytes)}, 오류 RX: ${item.rx_errors}, TX: ${item.tx_errors}</p>`).join('')}
                         </div>
                     </div>
                 `;
@@ -3002,65 +4111,8 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
         const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
         const filename = `${server.hostname}_${problem.severity}_report_${timestamp}.txt`;
         
-        let reportContent = `=========================================\n`;
-        reportContent += `    OpenManager AI 자동 장애 보고서\n`;
-        reportContent += `=========================================\n\n`;
-        reportContent += `[생성 일시]: ${new Date().toLocaleString()}\n\n`;
-        
-        reportContent += `[문제 요약]\n`;
-        reportContent += `심각도: ${problem.severity}\n`;
-        reportContent += `설명: ${problem.description}\n\n`;
-        
-        reportContent += `[서버 정보]\n`;
-        reportContent += `호스트명: ${server.hostname}\n`;
-        reportContent += `IP: ${server.ip}\n`;
-        reportContent += `OS: ${server.os}\n`;
-        reportContent += `상태: ${this.getStatusLabel(this.getServerStatus(server))}\n\n`;
-        
-        reportContent += `[리소스 현황]\n`;
-        reportContent += `CPU 사용률: ${server.cpu_usage}%\n`;
-        reportContent += `메모리 사용률: ${server.memory_usage_percent}%\n`;
-        reportContent += `디스크 사용률: ${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent + '%' : 'N/A'}\n`;
-        reportContent += `네트워크 수신: ${this.formatBytes(server.net.rx_bytes)}\n`;
-        reportContent += `네트워크 송신: ${this.formatBytes(server.net.tx_bytes)}\n`;
-        reportContent += `네트워크 오류 (RX/TX): ${server.net.rx_errors}/${server.net.tx_errors}\n\n`;
-        
-        if (problem.causes && problem.causes.length) {
-            reportContent += `[추정 원인]\n`;
-            problem.causes.forEach((cause, index) => {
-                reportContent += `${index + 1}. ${cause}\n`;
-            });
-            reportContent += `\n`;
-        }
-        
-        reportContent += `[해결 방법]\n`;
-        const solutions = problem.solutions || [problem.solution || "해결 방법 데이터 없음"];
-        solutions.forEach((solution, index) => {
-            reportContent += `${index + 1}. ${solution}\n`;
-        });
-        reportContent += `\n`;
-        
-        if (server.errors && server.errors.length) {
-            reportContent += `[오류 로그]\n`;
-            server.errors.forEach((error, index) => {
-                reportContent += `${index + 1}. ${error}\n`;
-            });
-        }
-        
-        reportContent += `\n=========================================\n`;
-        reportContent += `이 보고서는 OpenManager AI에 의해 자동 생성되었습니다.\n`;
-        reportContent += `문의: support@openmanager.ai\n`;
-        
         // 텍스트 파일로 다운로드
-        const blob = new Blob([reportContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        this.downloadTextFile(filename, buildProblemReport(problem, server, target => this.getServerStatus(target)));
     }
     
     // 전체 문제 보고서 다운로드 (새로 추가)
@@ -3073,83 +4125,18 @@ CPU 사용률이 높은 서버가 ${highCpuServers.length}대 발견되었습니
         const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
         const filename = `OpenManager_all_problems_report_${timestamp}.txt`;
         
-        let reportContent = `=========================================\n`;
-        reportContent += `    OpenManager AI 자동 장애 보고서 (전체)\n`;
-        reportContent += `=========================================\n\n`;
-        reportContent += `[생성 일시]: ${new Date().toLocaleString()}\n`;
-        reportContent += `[총 문제 수]: ${this.problemsData.length}개\n\n`;
-        
-        this.problemsData.forEach((problem, index) => {
-            const server = this.serverData.find(s => s.hostname === problem.serverHostname);
-            if (!server) return;
-            
-            reportContent += `\n=========================================\n`;
-            reportContent += `문제 #${index + 1}: ${problem.severity} - ${server.hostname}\n`;
-            reportContent += `=========================================\n\n`;
-            
-            reportContent += `[문제 요약]\n`;
-            reportContent += `심각도: ${problem.severity}\n`;
-            reportContent += `설명: ${problem.description}\n\n`;
-            
-            reportContent += `[서버 정보]\n`;
-            reportContent += `호스트명: ${server.hostname}\n`;
-            reportContent += `IP: ${server.ip}\n`;
-            reportContent += `OS: ${server.os}\n`;
-            reportContent += `상태: ${this.getStatusLabel(this.getServerStatus(server))}\n\n`;
-            
-            reportContent += `[리소스 현황]\n`;
-            reportContent += `CPU 사용률: ${server.cpu_usage}%\n`;
-            reportContent += `메모리 사용률: ${server.memory_usage_percent}%\n`;
-            reportContent += `디스크 사용률: ${server.disk && server.disk.length > 0 ? server.disk[0].disk_usage_percent + '%' : 'N/A'}\n`;
-            reportContent += `네트워크 수신: ${this.formatBytes(server.net.rx_bytes)}\n`;
-            reportContent += `네트워크 송신: ${this.formatBytes(server.net.tx_bytes)}\n`;
-            reportContent += `네트워크 오류 (RX/TX): ${server.net.rx_errors}/${server.net.tx_errors}\n\n`;
-            
-            if (problem.causes && problem.causes.length) {
-                reportContent += `[추정 원인]\n`;
-                problem.causes.forEach((cause, causeIndex) => {
-                    reportContent += `${causeIndex + 1}. ${cause}\n`;
-                });
-                reportContent += `\n`;
-            }
-            
-            reportContent += `[해결 방법]\n`;
-            const solutions = problem.solutions || [problem.solution || "해결 방법 데이터 없음"];
-            solutions.forEach((solution, solutionIndex) => {
-                reportContent += `${solutionIndex + 1}. ${solution}\n`;
-            });
-            reportContent += `\n`;
-            
-            if (server.errors && server.errors.length) {
-                reportContent += `[오류 로그]\n`;
-                server.errors.forEach((error, errorIndex) => {
-                    reportContent += `${errorIndex + 1}. ${error}\n`;
-                });
-                reportContent += `\n`;
-            }
-        });
-        
-        reportContent += `\n=========================================\n`;
-        reportContent += `이 보고서는 OpenManager AI에 의해 자동 생성되었습니다.\n`;
-        reportContent += `생성 일시: ${new Date().toLocaleString()}\n`;
-        reportContent += `문의: support@openmanager.ai\n`;
-        
         // 텍스트 파일로 다운로드
-        const blob = new Blob([reportContent], { type: 'text/plain' });
-        const url = URL.createObjectURL(blob);
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = filename;
-        document.body.appendChild(a);
-        a.click();
-        document.body.removeChild(a);
-        URL.revokeObjectURL(url);
+        const report = buildAllProblemsReport(this.problemsData, this.serverData, server => this.getServerStatus(server));
+        this.downloadTextFile(filename, report);
     }
 }
 
+// 대시보드 초기화 스크립트에서 사용할 수 있도록 전역으로 노출
+window.DataProcessor = DataProcessor;
+
 // 데이터 프로세서 인스턴스 생성
 window.addEventListener('DOMContentLoaded', () => {
-    if (!window.aiProcessor) window.aiProcessor = new AIProcessor();
+    if (!window.aiProcessor) window.aiProcessor = new AIProcessor({ dataSource: getDefaultDataSource() });
     new MCPQueryManager();
 });
 
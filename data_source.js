@@ -0,0 +1,478 @@
+/**
+ * OpenManager AI - 데이터 소스 계층
+ * 서버 데이터를 어디서 가져오는지(더미 생성기, 고정 데이터셋, 정적 JSON 파일, HTTP 폴링, node_exporter, SSE/WebSocket 스트림)를
+ * connect / fetch / subscribe / close 네 가지 메소드로 추상화합니다.
+ * DataProcessor, AIProcessor, Agent는 window.serverData 대신 이 인터페이스로 데이터를 받습니다.
+ * 서버 단위 변경은 on('serverAdded' | 'serverChanged' | 'serverRemoved')으로 따로 구독할 수 있습니다.
+ */
+
+import { CONFIG } from './config.js';
+import { normalizeServerRecords, latestRecordsByHost } from './server_schema.js';
+import { PrometheusImporter, importFromUrl } from './prometheus_importer.js';
+import { LiveStreamClient, applyStreamMessage } from './live_stream.js';
+
+// 서버 단위 변경 이벤트 이름
+export const SERVER_EVENTS = ['serverAdded', 'serverChanged', 'serverRemoved'];
+
+// 이전/새 데이터를 hostname 기준으로 비교해 추가/변경/삭제된 서버 목록 계산
+function diffServerRecords(previous, next) {
+    const previousByHost = new Map(previous.map(server => [server.hostname, server]));
+    const changes = { added: [], changed: [], removed: [], delta: false };
+    next.forEach(server => {
+        const before = previousByHost.get(server.hostname);
+        if (!before) {
+            changes.added.push(server.hostname);
+        } else if (JSON.stringify(before) !== JSON.stringify(server)) {
+            changes.changed.push(server.hostname);
+        }
+        previousByHost.delete(server.hostname);
+    });
+    changes.removed = [...previousByHost.keys()];
+    return changes;
+}
+
+// 데이터 소스 기본 클래스 (모든 어댑터가 상속)
+export class DataSource {
+    constructor(options = {}) {
+        this.options = options;
+        this.listeners = new Set();
+        this.eventListeners = new Map(SERVER_EVENTS.map(name => [name, new Set()]));
+        this.data = [];          // 마지막으로 수신한 서버 데이터
+        this.pushBased = false;  // 서버가 변경분을 밀어주는 소스면 true (소비자가 주기적 새로고침을 생략)
+        this.connected = false;
+        this.connecting = null;  // 진행 중인 연결 Promise (중복 연결 방지)
+    }
+
+    /**
+     * 데이터 소스에 연결하고 첫 데이터를 준비합니다.
+     * 여러 소비자가 호출해도 실제 연결은 한 번만 수행됩니다.
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = this.open()
+                .then(() => { this.connected = true; })
+                .catch(error => {
+                    this.connecting = null;
+                    throw error;
+                });
+        }
+        return this.connecting;
+    }
+
+    // 어댑터별 연결 구현 (하위 클래스에서 재정의)
+    async open() {}
+
+    /**
+     * 현재 시점의 서버 데이터를 가져옵니다.
+     * 어댑터가 새 데이터를 가져온 경우 구독자에게도 전달됩니다.
+     * @returns {Promise<Array>} 서버 데이터 배열
+     */
+    async fetch() {
+        return this.data;
+    }
+
+    /**
+     * 서버별 과거 이력(오래된 순 시계열)을 가져옵니다. 이력을 제공하지 않는 어댑터는 빈 객체를 반환합니다.
+     * @param {string} [hostname] 지정하면 해당 서버의 이력만 반환
+     * @returns {Promise<Object<string, Array>>} { hostname: [서버 레코드, ...] }
+     */
+    async fetchHistory(hostname) {
+        return {};
+    }
+
+    /**
+     * 데이터 갱신을 구독합니다. 이미 받은 데이터가 있으면 즉시 한 번 전달합니다.
+     * 두 번째 인자로 이번 갱신의 변경 목록 { added, changed, removed, delta }(hostname 배열)이 전달되며,
+     * delta가 true면 스트림 변경분이라 목록에 없는 서버는 그대로입니다. 즉시 전달 시에는 변경 목록이 없습니다.
+     * @param {Function} listener (data, changes) => void
+     * @returns {Function} 구독 해제 함수
+     */
+    subscribe(listener) {
+        this.listeners.add(listener);
+        if (this.data.length > 0) {
+            listener(this.data);
+        }
+        return () => this.listeners.delete(listener);
+    }
+
+    /**
+     * 서버 단위 변경 이벤트를 구독합니다.
+     * serverAdded/serverChanged는 { hostname, server, previous }, serverRemoved는 { hostname, previous }를 받습니다.
+     * @param {string} eventName SERVER_EVENTS 중 하나
+     * @param {Function} listener (detail) => void
+     * @returns {Function} 구독 해제 함수
+     */
+    on(eventName, listener) {
+        const listeners = this.eventListeners.get(eventName);
+        if (!listeners) {
+            throw new Error(`알 수 없는 데이터 소스 이벤트입니다: ${eventName}`);
+        }
+        listeners.add(listener);
+        return () => listeners.delete(listener);
+    }
+
+    /**
+     * 연결을 종료하고 모든 구독을 해제합니다.
+     */
+    close() {
+        this.listeners.clear();
+        this.eventListeners.forEach(listeners => listeners.clear());
+        this.connected = false;
+        this.connecting = null;
+    }
+
+    /**
+     * 새 데이터를 표준 스키마(server_schema.js)로 변환해 저장하고 구독자에게 전달합니다.
+     * @param {Array} data 전체 서버 데이터
+     * @param {Object} [changes] 변경 목록 (생략하면 이전 데이터와 비교해 계산)
+     */
+    emit(data, changes) {
+        const previous = this.data;
+        this.data = normalizeServerRecords(data);
+        const resolvedChanges = changes || diffServerRecords(previous, this.data);
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(this.data, resolvedChanges);
+            } catch (error) {
+                console.error('[DataSource] 구독자 처리 중 오류:', error);
+            }
+        });
+        this.emitServerEvents(previous, resolvedChanges);
+    }
+
+    // 변경 목록을 serverAdded / serverChanged / serverRemoved 이벤트로 전달
+    emitServerEvents(previous, changes) {
+        const hasListeners = [...this.eventListeners.values()].some(listeners => listeners.size > 0);
+        if (!hasListeners) return;
+
+        const previousByHost = new Map(previous.map(server => [server.hostname, server]));
+        const currentByHost = new Map(this.data.map(server => [server.hostname, server]));
+        const dispatch = (eventName, hostnames) => hostnames.forEach(hostname => {
+            const detail = { hostname, server: currentByHost.get(hostname), previous: previousByHost.get(hostname) };
+            this.eventListeners.get(eventName).forEach(listener => {
+                try {
+                    listener(detail);
+                } catch (error) {
+                    console.error(`[DataSource] ${eventName} 처리 중 오류:`, error);
+                }
+            });
+        });
+        dispatch('serverAdded', changes.added);
+        dispatch('serverChanged', changes.changed);
+        dispatch('serverRemoved', changes.removed);
+    }
+}
+
+// 설정의 seed 값 (없으면 URL의 ?seed= 값, 둘 다 없으면 undefined)
+function resolveSeed(options) {
+    if (options.seed !== undefined && options.seed !== null) return options.seed;
+    return typeof window.getSeedFromUrl === 'function' ? window.getSeedFromUrl() : undefined;
+}
+
+// 설정의 장애 시나리오 JSON을 불러옴 (scenario_engine.js 형식, 설정이 없으면 null)
+async function loadScenario(url) {
+    if (!url) return null;
+    const response = await fetch(url);
+    if (!response.ok) {
+        throw new Error(`장애 시나리오 파일을 불러오지 못했습니다 (${response.status} ${url})`);
+    }
+    return response.json();
+}
+
+// 시계열 레코드를 서버별로 묶어 오래된 순으로 정렬 (hostname을 주면 해당 서버만)
+function groupRecordsByHost(records, hostname) {
+    const history = {};
+    (records || [])
+        .filter(record => !hostname || record.hostname === hostname)
+        .forEach(record => {
+            if (!history[record.hostname]) history[record.hostname] = [];
+            history[record.hostname].push(record);
+        });
+    Object.values(history).forEach(points => points.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp)));
+    return history;
+}
+
+// dummy_data_generator.js의 DummyDataGenerator를 감싸는 어댑터
+export class DummyGeneratorSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.generator = null;
+        this.handleGeneratorUpdate = (event) => this.emit(event.detail);
+    }
+
+    async open() {
+        this.generator = window.dummyDataGenerator || null;
+        if (!this.generator && typeof window.DummyDataGenerator === 'function') {
+            this.generator = new window.DummyDataGenerator({ seed: resolveSeed(this.options) });
+            window.dummyDataGenerator = this.generator;
+        }
+        if (!this.generator) {
+            throw new Error('DummyDataGenerator를 찾을 수 없습니다. dummy_data_generator.js가 로드되었는지 확인하세요.');
+        }
+
+        window.addEventListener('serverDataUpdated', this.handleGeneratorUpdate);
+
+        // 설정에 장애 시나리오가 있으면 적용 (URL의 ?scenario=는 생성기가 직접 처리)
+        const scenario = await loadScenario(this.options.scenario);
+        if (scenario) {
+            this.generator.setScenario(scenario);
+        }
+
+        if (this.generator.serverData && this.generator.serverData.length > 0) {
+            this.emit(this.generator.serverData);
+        }
+    }
+
+    async fetch() {
+        if (this.generator) {
+            this.emit(this.generator.serverData);
+        }
+        return this.data;
+    }
+
+    // 생성기가 시작 시 합성한 24시간 이력 + 이후 갱신 이력
+    async fetchHistory(hostname) {
+        const history = (this.generator && this.generator.historicalData) || {};
+        const hostnames = hostname ? [hostname].filter(name => history[name]) : Object.keys(history);
+        return Object.fromEntries(hostnames.map(name => [name, normalizeServerRecords(history[name])]));
+    }
+
+    close() {
+        window.removeEventListener('serverDataUpdated', this.handleGeneratorUpdate);
+        super.close();
+    }
+}
+
+// fixed_dummy_data.js의 getFixedDummyData(24시간 시계열)를 최신 스냅샷으로 제공하는 어댑터
+export class FixedDatasetSource extends DataSource {
+    async open() {
+        if (typeof window.getFixedDummyData !== 'function') {
+            throw new Error('getFixedDummyData 함수를 찾을 수 없습니다. fixed_dummy_data.js가 로드되었는지 확인하세요.');
+        }
+        const scenarioUrl = this.options.scenario ||
+            (typeof window.getScenarioUrlFromPage === 'function' ? window.getScenarioUrlFromPage() : undefined);
+        const scenario = await loadScenario(scenarioUrl);
+        this.records = normalizeServerRecords(window.getFixedDummyData({
+            seed: resolveSeed(this.options),
+            scenario: scenario || undefined
+        }));
+        this.emit(latestRecordsByHost(this.records));
+    }
+
+    // 고정 데이터셋의 24시간 시계열을 서버별로 묶어 반환
+    async fetchHistory(hostname) {
+        return groupRecordsByHost(this.records, hostname);
+    }
+}
+
+// 메모리의 서버 레코드 배열을 제공하는 어댑터 (Node 스크립트, 백엔드, 테스트용 - headless.js)
+// options.records: 서버 레코드 배열 (같은 서버의 시각이 여러 개면 최신 레코드가 현재 상태, 나머지는 이력)
+export class MemoryDataSource extends DataSource {
+    async open() {
+        this.setRecords(this.options.records || []);
+    }
+
+    /**
+     * 레코드를 교체하고 구독자에게 전달합니다.
+     * @param {Array} records 서버 레코드 배열 (standard/fixed 형태 모두 허용)
+     */
+    setRecords(records) {
+        this.records = normalizeServerRecords(records);
+        this.emit(latestRecordsByHost(this.records));
+    }
+
+    async fetchHistory(hostname) {
+        return groupRecordsByHost(this.records, hostname);
+    }
+}
+
+// CSV/JSON 파일에서 가져온 레코드(data_import.js)를 제공하는 어댑터
+// options.records: buildImportResult().records, options.label: 가져온 파일 이름
+export class ImportedDataSource extends MemoryDataSource {
+    async open() {
+        if (!Array.isArray(this.options.records) || this.options.records.length === 0) {
+            throw new Error('가져온 서버 레코드가 없습니다.');
+        }
+        await super.open();
+    }
+}
+
+// fake_server_data_100.json 같은 정적 JSON 파일 어댑터
+export class StaticFileSource extends DataSource {
+    async open() {
+        if (!this.options.url) {
+            throw new Error('정적 파일 데이터 소스에는 url 설정이 필요합니다.');
+        }
+        await this.fetch();
+    }
+
+    async fetch() {
+        const response = await fetch(this.options.url, { headers: this.options.headers || {} });
+        if (!response.ok) {
+            throw new Error(`서버 데이터를 가져오지 못했습니다 (${response.status} ${this.options.url})`);
+        }
+
+        const body = await response.json();
+        // 배열 또는 { servers: [...] } 형태 모두 허용
+        const data = Array.isArray(body) ? body : (body.servers || []);
+        this.emit(data);
+        return this.data;
+    }
+}
+
+// 실제 모니터링 API를 주기적으로 호출하는 HTTP 폴링 어댑터
+export class HttpPollingSource extends StaticFileSource {
+    constructor(options = {}) {
+        super(options);
+        this.pollInterval = options.pollInterval || 60 * 1000;
+        this.pollTimer = null;
+    }
+
+    async open() {
+        await super.open();
+        this.pollTimer = setInterval(() => {
+            this.fetch().catch(error => console.error('[HttpPollingSource] 폴링 중 오류:', error));
+        }, this.pollInterval);
+    }
+
+    close() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        super.close();
+    }
+}
+
+// node_exporter의 /metrics(또는 저장된 스크랩 파일)를 주기적으로 가져오는 어댑터
+export class PrometheusSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.importer = new PrometheusImporter({ services: options.services });
+        this.pollInterval = options.pollInterval || 60 * 1000;
+        this.pollTimer = null;
+    }
+
+    async open() {
+        if (!Array.isArray(this.options.targets) || this.options.targets.length === 0) {
+            throw new Error('prometheus 데이터 소스에는 targets 설정이 필요합니다.');
+        }
+        await this.fetch();
+        this.pollTimer = setInterval(() => {
+            this.fetch().catch(error => console.error('[PrometheusSource] 폴링 중 오류:', error));
+        }, this.pollInterval);
+    }
+
+    async fetch() {
+        // 일부 대상의 스크랩이 실패해도 나머지 서버 데이터는 반영
+        const results = await Promise.all(this.options.targets.map(target =>
+            importFromUrl(this.importer, target.url, { headers: this.options.headers, ...target })
+                .catch(error => {
+                    console.error(`[PrometheusSource] 스크랩 실패 (${target.url}):`, error);
+                    return [];
+                })
+        ));
+        this.emit(results.flat());
+        return this.data;
+    }
+
+    close() {
+        if (this.pollTimer) {
+            clearInterval(this.pollTimer);
+            this.pollTimer = null;
+        }
+        super.close();
+    }
+}
+
+// SSE/WebSocket으로 서버별 변경분을 받아 병합하는 푸시 어댑터 (메시지 형식은 live_stream.js 참고)
+export class LiveStreamSource extends DataSource {
+    constructor(options = {}) {
+        super(options);
+        this.pushBased = true;
+        this.store = new Map();  // hostname → 병합된 원본 레코드
+        this.client = null;
+        this.connectTimeout = options.connectTimeout || 10 * 1000;
+    }
+
+    // 첫 snapshot(또는 delta)을 받으면 연결 완료
+    open() {
+        if (!this.options.url) {
+            return Promise.reject(new Error('stream 데이터 소스에는 url 설정이 필요합니다.'));
+        }
+        return new Promise((resolve, reject) => {
+            let settled = false;
+            const timer = setTimeout(() => {
+                if (settled) return;
+                settled = true;
+                this.client.close();
+                reject(new Error(`스트림에서 ${this.connectTimeout / 1000}초 안에 데이터를 받지 못했습니다 (${this.options.url})`));
+            }, this.connectTimeout);
+
+            this.client = new LiveStreamClient({
+                url: this.options.url,
+                transport: this.options.transport,
+                reconnectDelay: this.options.reconnectDelay,
+                maxReconnectDelay: this.options.maxReconnectDelay,
+                onMessage: message => {
+                    const changes = applyStreamMessage(this.store, message);
+                    if (!changes) return;
+                    this.emit([...this.store.values()], changes);
+                    if (!settled) {
+                        settled = true;
+                        clearTimeout(timer);
+                        resolve();
+                    }
+                }
+            });
+            this.client.connect();
+        });
+    }
+
+    close() {
+        if (this.client) {
+            this.client.close();
+            this.client = null;
+        }
+        super.close();
+    }
+}
+
+// 설정 타입과 어댑터 클래스 매핑
+const SOURCE_TYPES = {
+    dummy: DummyGeneratorSource,
+    fixed: FixedDatasetSource,
+    static: StaticFileSource,
+    http: HttpPollingSource,
+    prometheus: PrometheusSource,
+    stream: LiveStreamSource,
+    memory: MemoryDataSource
+};
+
+/**
+ * 설정에 맞는 데이터 소스 인스턴스를 생성합니다.
+ * @param {Object} sourceConfig CONFIG.DATA_SOURCE 형식의 설정
+ * @returns {DataSource}
+ */
+export function createDataSource(sourceConfig = CONFIG.DATA_SOURCE) {
+    const config = sourceConfig || { type: 'dummy' };
+    const SourceClass = SOURCE_TYPES[config.type];
+    if (!SourceClass) {
+        throw new Error(`알 수 없는 데이터 소스 타입입니다: ${config.type}`);
+    }
+    return new SourceClass(config);
+}
+
+let defaultDataSource = null;
+
+/**
+ * CONFIG.DATA_SOURCE로 선택된 공용 데이터 소스를 반환합니다.
+ * DataProcessor, AIProcessor, Agent가 같은 인스턴스를 공유하도록 한 번만 생성합니다.
+ */
+export function getDefaultDataSource() {
+    if (!defaultDataSource) {
+        defaultDataSource = createDataSource(CONFIG.DATA_SOURCE);
+    }
+    return defaultDataSource;
+}
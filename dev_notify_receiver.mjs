@@ -0,0 +1,228 @@
+/**
+ * OpenManager AI - 개발용 모의 알림 수신기
+ * notifier.js의 웹훅(webhook/slack/teams)과 메일(email) 채널을 실제 서비스 없이 시험할 수 있도록
+ * HTTP POST와 SMTP로 받은 알림을 콘솔에 출력하고 메모리에 보관합니다. Node.js 기본 모듈만 사용합니다.
+ *
+ * 실행:
+ *   node dev_notify_receiver.mjs [--port 8082] [--smtp-port 2525] [--fail-rate 0]
+ *
+ * 엔드포인트:
+ *   POST /*          웹훅 수신 (JSON 본문, 경로는 자유 - 예: /webhook, /slack, /teams)
+ *   GET  /messages   받은 웹훅과 메일 목록 { webhooks: [...], mails: [...] }
+ *   SMTP :2525       평문 SMTP (EHLO/HELO, AUTH LOGIN(아무 계정이나 허용), MAIL, RCPT, DATA, RSET, NOOP, QUIT)
+ *
+ * --fail-rate(0~1)를 주면 그 비율만큼 웹훅에 500으로 응답해 전송 실패 기록을 확인할 수 있습니다.
+ *
+ * config.js의 NOTIFIER 채널 예:
+ *   { id: "ops-webhook", type: "webhook", url: "http://localhost:8082/webhook" }
+ *   { id: "ops-slack", type: "slack", url: "http://localhost:8082/slack" }
+ *   { id: "oncall-mail", type: "email", smtp: { host: "localhost", port: 2525, from: "openmanager@example.com", to: ["oncall@example.com"] } }
+ */
+
+import http from 'node:http';
+import net from 'node:net';
+
+// --이름 값 형식의 명령행 인자 읽기
+function readOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : defaultValue;
+}
+
+const PORT = Number(readOption('port', 8082));
+const SMTP_PORT = Number(readOption('smtp-port', 2525));
+const FAIL_RATE = Number(readOption('fail-rate', 0));
+const MAX_MESSAGES = 200;
+
+const webhooks = [];
+const mails = [];
+
+// 최근 MAX_MESSAGES건만 보관
+function keep(list, item) {
+    list.push(item);
+    if (list.length > MAX_MESSAGES) list.shift();
+}
+
+// ----- 웹훅 (HTTP) -----
+
+// 채널 형식별 제목 (일반 웹훅 title, Slack text, Teams title)
+function webhookTitle(body) {
+    if (!body || typeof body !== 'object') return String(body);
+    return body.title || body.text || body.summary || JSON.stringify(body).slice(0, 120);
+}
+
+function handleWebhook(request, response) {
+    let raw = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+        raw += chunk;
+    });
+    request.on('end', () => {
+        let body;
+        try {
+            body = JSON.parse(raw);
+        } catch (error) {
+            response.writeHead(400, { 'Content-Type': 'text/plain; charset=utf-8' }).end('JSON 본문이 아닙니다.');
+            return;
+        }
+        if (Math.random() < FAIL_RATE) {
+            console.log(`[webhook] ${request.url} 실패 응답 (--fail-rate)`);
+            response.writeHead(500).end();
+            return;
+        }
+        keep(webhooks, { receivedAt: new Date().toISOString(), path: request.url, body });
+        console.log(`[webhook] ${request.url} ${webhookTitle(body)}`);
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8' }).end('{"ok":true}');
+    });
+}
+
+const httpServer = http.createServer((request, response) => {
+    const pathname = new URL(request.url, 'http://localhost').pathname;
+    if (request.method === 'POST') {
+        handleWebhook(request, response);
+    } else if (request.method === 'GET' && pathname === '/messages') {
+        response.writeHead(200, { 'Content-Type': 'application/json; charset=utf-8', 'Access-Control-Allow-Origin': '*' })
+            .end(JSON.stringify({ webhooks, mails }, null, 2));
+    } else if (request.method === 'OPTIONS') {
+        // 브라우저 대시보드에서 보내는 웹훅의 CORS 사전 요청
+        response.writeHead(204, {
+            'Access-Control-Allow-Origin': '*',
+            'Access-Control-Allow-Methods': 'POST',
+            'Access-Control-Allow-Headers': 'Content-Type'
+        }).end();
+    } else {
+        response.writeHead(404).end();
+    }
+});
+
+// ----- 메일 (SMTP) -----
+
+// 메일 헤더의 =?UTF-8?B?...?= 인코딩 해제
+function decodeHeader(value) {
+    return value.replace(/=\?UTF-8\?B\?([^?]+)\?=/gi, (match, encoded) => Buffer.from(encoded, 'base64').toString('utf8'));
+}
+
+// DATA로 받은 원문에서 헤더와 본문 분리 (base64 본문은 해제)
+function parseMail(raw) {
+    const [head, ...rest] = raw.split(/\r?\n\r?\n/);
+    const headers = {};
+    head.split(/\r?\n/).forEach(line => {
+        const index = line.indexOf(':');
+        if (index > 0) headers[line.slice(0, index).trim().toLowerCase()] = decodeHeader(line.slice(index + 1).trim());
+    });
+    let text = rest.join('\n\n');
+    if ((headers['content-transfer-encoding'] || '').toLowerCase() === 'base64') {
+        text = Buffer.from(text.replace(/\s+/g, ''), 'base64').toString('utf8');
+    }
+    return { headers, subject: headers.subject || '', text };
+}
+
+function handleSmtp(socket) {
+    let buffer = '';
+    let mode = 'command'; // 'command' | 'data' | 'auth-user' | 'auth-password'
+    let envelope = { from: null, to: [] };
+    let dataLines = [];
+    const reply = line => socket.write(`${line}\r\n`);
+
+    const handleCommand = line => {
+        const [verb] = line.split(' ');
+        switch (verb.toUpperCase()) {
+            case 'EHLO':
+                reply('250-localhost 모의 SMTP 수신기');
+                reply('250 AUTH LOGIN');
+                break;
+            case 'HELO':
+                reply('250 localhost');
+                break;
+            case 'AUTH':
+                mode = 'auth-user';
+                reply('334 VXNlcm5hbWU6');
+                break;
+            case 'MAIL':
+                envelope = { from: line.replace(/^MAIL FROM:\s*/i, '').replace(/[<>]/g, ''), to: [] };
+                reply('250 OK');
+                break;
+            case 'RCPT':
+                if (!envelope.from) {
+                    reply('503 MAIL FROM이 먼저 필요합니다');
+                    break;
+                }
+                envelope.to.push(line.replace(/^RCPT TO:\s*/i, '').replace(/[<>]/g, ''));
+                reply('250 OK');
+                break;
+            case 'DATA':
+                if (envelope.to.length === 0) {
+                    reply('503 RCPT TO가 먼저 필요합니다');
+                    break;
+                }
+                mode = 'data';
+                dataLines = [];
+                reply('354 본문 입력 후 .으로 끝내세요');
+                break;
+            case 'RSET':
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+                break;
+            case 'NOOP':
+                reply('250 OK');
+                break;
+            case 'QUIT':
+                reply('221 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 지원하지 않는 명령');
+        }
+    };
+
+    const handleLine = line => {
+        if (mode === 'data') {
+            if (line !== '.') {
+                dataLines.push(line.startsWith('..') ? line.slice(1) : line);
+                return;
+            }
+            const mail = parseMail(dataLines.join('\r\n'));
+            keep(mails, { receivedAt: new Date().toISOString(), from: envelope.from, to: envelope.to, ...mail });
+            console.log(`[smtp] ${envelope.to.join(', ')} ${mail.subject}`);
+            envelope = { from: null, to: [] };
+            mode = 'command';
+            reply('250 OK 메일 수신');
+        } else if (mode === 'auth-user') {
+            mode = 'auth-password';
+            reply('334 UGFzc3dvcmQ6');
+        } else if (mode === 'auth-password') {
+            mode = 'command';
+            reply('235 인증 성공');
+        } else {
+            handleCommand(line);
+        }
+    };
+
+    reply('220 localhost 모의 SMTP 수신기');
+    socket.setEncoding('utf8');
+    socket.on('data', chunk => {
+        buffer += chunk;
+        let index;
+        while ((index = buffer.indexOf('\n')) !== -1) {
+            const line = buffer.slice(0, index).replace(/\r$/, '');
+            buffer = buffer.slice(index + 1);
+            handleLine(line);
+        }
+    });
+    socket.on('error', () => socket.destroy());
+}
+
+const smtpServer = net.createServer(handleSmtp);
+
+httpServer.listen(PORT, () => {
+    console.log(`모의 알림 수신기 실행 중`);
+    console.log(`  웹훅  http://localhost:${PORT}/ (받은 목록: GET /messages)`);
+});
+smtpServer.listen(SMTP_PORT, () => {
+    console.log(`  SMTP  localhost:${SMTP_PORT}`);
+});
+
+// Ctrl+C로 종료
+process.on('SIGINT', () => {
+    smtpServer.close();
+    httpServer.close(() => process.exit(0));
+});
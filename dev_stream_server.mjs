@@ -0,0 +1,266 @@
+/**
+ * OpenManager AI - 개발용 실시간 스트림 서버
+ * fake_server_data_100.json을 시작 상태로 삼아 서버별 변경분(delta)을 SSE와 WebSocket으로 내보냅니다.
+ * 메시지 형식은 live_stream.js를 참고하세요. Node.js 기본 모듈만 사용합니다.
+ *
+ * 실행:
+ *   node dev_stream_server.mjs [--port 8081] [--interval 2000] [--data fake_server_data_100.json]
+ *
+ * 엔드포인트:
+ *   GET /events  SSE (event: snapshot / delta)
+ *   GET /ws      WebSocket (텍스트 프레임 JSON)
+ *   GET /*       저장소 파일 (http://localhost:8081/server_dashboard.html 로 대시보드를 같은 출처에서 열 수 있음)
+ *
+ * 대시보드에 연결하려면 config.js의 DATA_SOURCE를 다음처럼 바꿉니다.
+ *   { type: "stream", url: "http://localhost:8081/events", transport: "sse" }
+ *   { type: "stream", url: "ws://localhost:8081/ws", transport: "websocket" }
+ */
+
+import http from 'node:http';
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { fileURLToPath } from 'node:url';
+
+const ROOT_DIR = path.dirname(fileURLToPath(import.meta.url));
+const WEBSOCKET_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.mjs': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.txt': 'text/plain; charset=utf-8',
+    '.md': 'text/markdown; charset=utf-8',
+    '.png': 'image/png',
+    '.svg': 'image/svg+xml'
+};
+
+// --이름 값 형식의 명령행 인자 읽기
+function readOption(name, defaultValue) {
+    const index = process.argv.indexOf(`--${name}`);
+    return index !== -1 && process.argv[index + 1] !== undefined ? process.argv[index + 1] : defaultValue;
+}
+
+const PORT = Number(readOption('port', 8081));
+const INTERVAL = Number(readOption('interval', 2000));
+const DATA_FILE = path.resolve(ROOT_DIR, readOption('data', 'fake_server_data_100.json'));
+
+// 현재 서버 상태 (hostname → 레코드)와 잠시 내려간 서버
+const servers = new Map();
+const offlineServers = new Map();
+JSON.parse(fs.readFileSync(DATA_FILE, 'utf8')).forEach(server => servers.set(server.hostname, server));
+
+const sseClients = new Set();
+const wsClients = new Set();
+
+// ----- 데이터 변화 시뮬레이션 -----
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+const round1 = value => Math.round(value * 10) / 10;
+const drift = (value, step, min = 0, max = 100) => round1(clamp(Number(value) + (Math.random() * 2 - 1) * step, min, max));
+const pick = items => items[Math.floor(Math.random() * items.length)];
+
+// 서버 한 대의 수치를 조금 움직이고 바뀐 필드만 반환
+function mutateServer(server) {
+    const patch = {
+        hostname: server.hostname,
+        cpu_usage: drift(server.cpu_usage, 12),
+        memory_usage_percent: drift(server.memory_usage_percent, 4),
+        load_avg_1m: round1(clamp(Number(server.load_avg_1m || 0) + (Math.random() * 2 - 1) * 0.5, 0, 32)),
+        timestamp: new Date().toISOString()
+    };
+
+    if (Array.isArray(server.disk)) {
+        patch.disk = server.disk.map(disk => ({
+            ...disk,
+            disk_usage_percent: drift(disk.disk_usage_percent, 1.5)
+        }));
+    }
+
+    if (server.net && typeof server.net === 'object' && !Array.isArray(server.net)) {
+        const errorBurst = Math.random() < 0.05;
+        patch.net = {
+            ...server.net,
+            rx_bytes: Number(server.net.rx_bytes || 0) + Math.floor(Math.random() * 5 * 1024 * 1024),
+            tx_bytes: Number(server.net.tx_bytes || 0) + Math.floor(Math.random() * 3 * 1024 * 1024),
+            rx_errors: errorBurst ? Number(server.net.rx_errors || 0) + Math.floor(Math.random() * 80) : server.net.rx_errors,
+            tx_errors: server.net.tx_errors
+        };
+    }
+
+    // 가끔 서비스 하나를 멈추거나 다시 올림
+    if (server.services && Math.random() < 0.03) {
+        const service = pick(Object.keys(server.services));
+        if (service) {
+            patch.services = {
+                ...server.services,
+                [service]: server.services[service] === 'running' ? 'stopped' : 'running'
+            };
+        }
+    }
+
+    Object.assign(server, patch);
+    return patch;
+}
+
+// 한 주기의 변경분 생성: 일부 서버 값 변경, 드물게 서버 제거/복귀
+function nextDelta() {
+    const upsert = [];
+    const remove = [];
+    const hosts = [...servers.values()];
+    const changeCount = Math.max(1, Math.round(hosts.length * 0.1));
+
+    for (let i = 0; i < changeCount && hosts.length > 0; i++) {
+        const index = Math.floor(Math.random() * hosts.length);
+        upsert.push(mutateServer(hosts.splice(index, 1)[0]));
+    }
+
+    if (Math.random() < 0.02 && servers.size > 1) {
+        const server = pick([...servers.values()]);
+        servers.delete(server.hostname);
+        offlineServers.set(server.hostname, server);
+        remove.push(server.hostname);
+    } else if (Math.random() < 0.2 && offlineServers.size > 0) {
+        // 복귀한 서버는 전체 레코드로 다시 추가
+        const server = pick([...offlineServers.values()]);
+        offlineServers.delete(server.hostname);
+        server.timestamp = new Date().toISOString();
+        servers.set(server.hostname, server);
+        upsert.push(server);
+    }
+
+    return { type: 'delta', upsert, remove };
+}
+
+function snapshotMessage() {
+    return { type: 'snapshot', servers: [...servers.values()] };
+}
+
+// ----- SSE -----
+
+function sendSse(response, message) {
+    response.write(`event: ${message.type}\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+function handleSse(request, response) {
+    response.writeHead(200, {
+        'Content-Type': 'text/event-stream; charset=utf-8',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'Access-Control-Allow-Origin': '*'
+    });
+    response.write('retry: 3000\n\n');
+    sendSse(response, snapshotMessage());
+    sseClients.add(response);
+    request.on('close', () => sseClients.delete(response));
+}
+
+// ----- WebSocket (RFC 6455 텍스트 프레임만 지원) -----
+
+function encodeTextFrame(text) {
+    const payload = Buffer.from(text, 'utf8');
+    let header;
+    if (payload.length < 126) {
+        header = Buffer.from([0x81, payload.length]);
+    } else if (payload.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x81;
+        header[1] = 126;
+        header.writeUInt16BE(payload.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x81;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(payload.length), 2);
+    }
+    return Buffer.concat([header, payload]);
+}
+
+function sendWs(socket, message) {
+    if (!socket.destroyed) socket.write(encodeTextFrame(JSON.stringify(message)));
+}
+
+function handleUpgrade(request, socket) {
+    const key = request.headers['sec-websocket-key'];
+    if (new URL(request.url, 'http://localhost').pathname !== '/ws' || !key) {
+        socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+        return;
+    }
+
+    const accept = crypto.createHash('sha1').update(key + WEBSOCKET_GUID).digest('base64');
+    socket.write([
+        'HTTP/1.1 101 Switching Protocols',
+        'Upgrade: websocket',
+        'Connection: Upgrade',
+        `Sec-WebSocket-Accept: ${accept}`,
+        '', ''
+    ].join('\r\n'));
+
+    wsClients.add(socket);
+    sendWs(socket, snapshotMessage());
+
+    // 클라이언트가 보내는 메시지는 무시하고 close(0x8) 프레임만 처리
+    socket.on('data', buffer => {
+        if ((buffer[0] & 0x0f) === 0x8) {
+            socket.end(Buffer.from([0x88, 0x00]));
+        }
+    });
+    socket.on('close', () => wsClients.delete(socket));
+    socket.on('error', () => wsClients.delete(socket));
+}
+
+// ----- 정적 파일 -----
+
+function handleStatic(request, response) {
+    const pathname = decodeURIComponent(new URL(request.url, 'http://localhost').pathname);
+    const filePath = path.join(ROOT_DIR, pathname === '/' ? 'index.html' : pathname);
+    if (!filePath.startsWith(ROOT_DIR + path.sep)) {
+        response.writeHead(403).end();
+        return;
+    }
+    fs.readFile(filePath, (error, content) => {
+        if (error) {
+            response.writeHead(404, { 'Content-Type': 'text/plain; charset=utf-8' }).end('Not Found');
+            return;
+        }
+        response.writeHead(200, {
+            'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream',
+            'Access-Control-Allow-Origin': '*'
+        }).end(content);
+    });
+}
+
+const server = http.createServer((request, response) => {
+    if (request.method !== 'GET') {
+        response.writeHead(405).end();
+        return;
+    }
+    if (new URL(request.url, 'http://localhost').pathname === '/events') {
+        handleSse(request, response);
+    } else {
+        handleStatic(request, response);
+    }
+});
+server.on('upgrade', handleUpgrade);
+
+const timer = setInterval(() => {
+    if (sseClients.size === 0 && wsClients.size === 0) return;
+    const delta = nextDelta();
+    sseClients.forEach(client => sendSse(client, delta));
+    wsClients.forEach(client => sendWs(client, delta));
+}, INTERVAL);
+
+server.listen(PORT, () => {
+    console.log(`개발용 스트림 서버 실행 중: http://localhost:${PORT} (서버 ${servers.size}대, ${INTERVAL}ms 간격)`);
+    console.log(`  SSE       http://localhost:${PORT}/events`);
+    console.log(`  WebSocket ws://localhost:${PORT}/ws`);
+});
+
+// Ctrl+C로 종료할 때 열린 연결 정리
+process.on('SIGINT', () => {
+    clearInterval(timer);
+    sseClients.forEach(client => client.end());
+    wsClients.forEach(client => client.destroy());
+    server.close(() => process.exit(0));
+});
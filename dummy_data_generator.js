@@ -4,13 +4,34 @@
  * 
  * 주요 기능:
  * - 50대 서버에 대한 현실적인 모니터링 데이터 생성
- * - 10분마다 데이터 갱신 및 누적 저장 (24시간 이력 보관)
+ * - 10분마다 데이터 갱신 및 누적 저장 (24시간 이력 보관, 시작 시 24시간 이력 합성)
  * - 서버 유형별 특성에 따른 데이터 생성 (웹서버, DB서버, API서버 등)
  * - 약 14%의 서버가 경고 또는 심각 상태로 생성 (심각: 4%, 경고: 10%)
+ * - 서버마다 여러 마운트(/data, /, /var/log)와 인터페이스(DB/캐시 서버는 복제용 eth1 추가) 생성
+ * - seed 옵션(또는 URL의 ?seed=)을 지정하면 매번 같은 서버/장애/상태 변화를 재현 (seeded_random.js 필요)
+ * - scenario 옵션(또는 URL의 ?scenario=)으로 선언적 장애 시나리오 적용 (scenario_engine.js 필요)
  */
 
 class DummyDataGenerator {
-    constructor() {
+    /**
+     * @param {Object} [options]
+     * @param {number|string} [options.seed] 난수 시드 (지정하면 생성 결과가 항상 같음)
+     * @param {number} [options.startHour] 시뮬레이션 시작 시각(0-23). 시드 지정 시 기본 12시, 아니면 현재 시각
+     * @param {Object} [options.scenario] 장애 시나리오 (scenarios/*.json 형식)
+     * @param {number} [options.backfillHours] 시작 시 합성할 과거 이력 시간 (기본 24, 0이면 합성하지 않음)
+     */
+    constructor(options = {}) {
+        // 난수 함수 (시드가 있으면 재현 가능한 PRNG, 없으면 Math.random)
+        this.seed = options.seed;
+        if (this.seed !== undefined && typeof createSeededRandom === 'function') {
+            this.random = createSeededRandom(this.seed);
+        } else {
+            if (this.seed !== undefined) {
+                console.warn('createSeededRandom 함수를 찾을 수 없어 시드 없이 생성합니다. seeded_random.js가 로드되었는지 확인하세요.');
+            }
+            this.random = Math.random;
+        }
+        
         this.serverCount = 50; // 50대 서버
         this.initialBatchSize = 10; // 첫 로딩시 10대만 우선 생성
         this.updateInterval = 10 * 60 * 1000; // 10분 (밀리초 단위)
@@ -120,13 +141,25 @@ class DummyDataGenerator {
         // 이력 데이터 저장 (서버별로 보관)
         this.historicalData = {}; // 서버명: [데이터 포인트들]
         this.maxHistoricalPoints = 144; // 24시간(10분 간격 = 6개/시간 * 24시간)
+        this.backfillHours = options.backfillHours !== undefined ? options.backfillHours : 24;
         
         // 하루치 데이터 생성 시간 단위
         this.dayHours = 24;
-        this.currentHour = new Date().getHours(); // 현재 시간으로 초기화
+        // 현재 시간으로 초기화 (시드 모드에서는 시각에 따라 결과가 달라지지 않도록 고정)
+        if (options.startHour !== undefined) {
+            this.currentHour = options.startHour;
+        } else {
+            this.currentHour = this.seed !== undefined ? 12 : new Date().getHours();
+        }
+        
+        // 장애 시나리오 (setScenario()로 나중에 지정 가능)
+        this.scenarioEngine = null;
         
         // 서버 데이터 초기화 - 첫 배치만 즉시 생성
         this.serverData = [];
+        if (options.scenario) {
+            this.setScenario(options.scenario);
+        }
         this.generateInitialBatch();
         
         // 데이터 자동 업데이트 시작
@@ -146,17 +179,15 @@ class DummyDataGenerator {
             const server = this.createServerByConfiguration(serverIndex);
             this.serverData.push(server);
             
-            // 이력 데이터 초기화
-            if (!this.historicalData[server.hostname]) {
-                this.historicalData[server.hostname] = [];
-            }
-            this.historicalData[server.hostname].push({...server, timestamp: new Date().toISOString()});
+            // 이력 데이터 초기화 (과거 24시간 이력 합성)
+            this.historicalData[server.hostname] = this.backfillHistory(server, this.getSimulatedTime());
             
             serverIndex++;
         }
         
         // 전역 객체에 데이터 할당
         window.serverData = this.serverData;
+        window.serverHistoricalData = this.historicalData;
         
         // 이벤트 발생
         this.dispatchUpdateEvent();
@@ -198,12 +229,12 @@ class DummyDataGenerator {
         let diskBase = selectedConfig.disk.base + this.getRandomInt(-selectedConfig.disk.variation, selectedConfig.disk.variation);
 
         // 확률에 따라 리소스 사용량 급증 시뮬레이션
-        if (Math.random() < this.highResourceUsageCriticalProb) {
+        if (this.random() < this.highResourceUsageCriticalProb) {
             const resourceType = this.getRandomInt(1, 3); // 1:CPU, 2:Mem, 3:Disk
             if (resourceType === 1) cpuBase = 90 + this.getRandomInt(0, 8);
             else if (resourceType === 2) memoryBase = 90 + this.getRandomInt(0, 8);
             else diskBase = 90 + this.getRandomInt(0, 8);
-        } else if (Math.random() < this.highResourceUsageWarningProb) {
+        } else if (this.random() < this.highResourceUsageWarningProb) {
             const resourceType = this.getRandomInt(1, 3);
             if (resourceType === 1) cpuBase = 70 + this.getRandomInt(0, 19);
             else if (resourceType === 2) memoryBase = 70 + this.getRandomInt(0, 19);
@@ -212,25 +243,22 @@ class DummyDataGenerator {
         
         const cpu_usage = parseFloat(Math.min(Math.max(Math.floor(cpuBase * timeWeightMultiplier) + this.getRandomInt(-10, 10), 5), 98).toFixed(2));
         const memory_usage_percent = parseFloat(Math.min(Math.max(Math.floor(memoryBase * timeWeightMultiplier) + this.getRandomInt(-10, 10), 5), 98).toFixed(2));
-        const disk_info = [{
-            mount: '/data',
-            total: '100GB', // 예시 값
-            used: '0GB',    // 아래에서 계산
-            available: '0GB', // 아래에서 계산
-            disk_usage_percent: parseFloat(Math.min(Math.max(Math.floor(diskBase * timeWeightMultiplier) + this.getRandomInt(-5, 5), 5), 98).toFixed(2))
-        }];
-        disk_info[0].used = (disk_info[0].disk_usage_percent / 100 * 100).toFixed(1) + 'GB';
-        disk_info[0].available = (100 - (disk_info[0].disk_usage_percent / 100 * 100)).toFixed(1) + 'GB';
+        // 대표 디스크(disk[0])는 데이터 파티션, 그 외 루트(/)와 로그(/var/log) 파티션
+        const disk_info = [
+            this.createDiskInfo('/data', Math.min(Math.max(Math.floor(diskBase * timeWeightMultiplier) + this.getRandomInt(-5, 5), 5), 98), 100),
+            this.createDiskInfo('/', this.getRandomInt(20, 50), 50),
+            this.createDiskInfo('/var/log', this.getRandomInt(15, 55), 20)
+        ];
         
         // 2. 오류 메시지 생성
         const errors = [];
-        if (Math.random() < this.criticalErrorProb) {
+        if (this.random() < this.criticalErrorProb) {
             errors.push(this.generateErrorMessage(selectedConfig.prefix, 'Critical'));
-        } else if (Math.random() < this.warningErrorProb) {
-            const errorType = Math.random() < 0.5 ? 'Error' : 'Warning';
+        } else if (this.random() < this.warningErrorProb) {
+            const errorType = this.random() < 0.5 ? 'Error' : 'Warning';
             errors.push(this.generateErrorMessage(selectedConfig.prefix, errorType));
         }
-        if (selectedConfig.prefix === 'db' && Math.random() < 0.1) { // DB 서버는 가끔 추가 오류
+        if (selectedConfig.prefix === 'db' && this.random() < 0.1) { // DB 서버는 가끔 추가 오류
             errors.push(this.generateErrorMessage('db', 'Warning', 'Slow query detected'));
         }
 
@@ -248,7 +276,7 @@ class DummyDataGenerator {
             let status = 'running';
             // 첫 번째 서비스에 대해서만 낮은 확률로 stopped 상태 주입 (단, criticalError가 이미 발생하지 않았다면)
             // 여러 서비스가 동시에 중단되는 상황은 ai_processor에서 critical로 처리
-            if (i === 0 && !stoppedServiceInjected && errors.every(e => !e.toLowerCase().includes('critical')) && Math.random() < this.serviceStoppedProb) {
+            if (i === 0 && !stoppedServiceInjected && errors.every(e => !e.toLowerCase().includes('critical')) && this.random() < this.serviceStoppedProb) {
                 status = 'stopped';
                 stoppedServiceInjected = true; // 중복 방지
             }
@@ -259,6 +287,27 @@ class DummyDataGenerator {
         const net_rx_bytes = this.getRandomInt(100000, 50000000); // 예시 범위
         const net_tx_bytes = this.getRandomInt(100000, 50000000); // 예시 범위
         
+        const net = {
+            interface: 'eth0',
+            rx_bytes: net_rx_bytes,
+            tx_bytes: net_tx_bytes,
+            rx_packets: this.getRandomInt(net_rx_bytes / 1000, net_rx_bytes / 500),
+            tx_packets: this.getRandomInt(net_tx_bytes / 1000, net_tx_bytes / 500),
+            rx_errors: errors.length > 0 && this.random() < 0.2 ? this.getRandomInt(1, 50) : 0, // 오류 있을 시 네트워크 오류 확률 증가
+            tx_errors: errors.length > 0 && this.random() < 0.1 ? this.getRandomInt(1, 20) : 0
+        };
+        const net_interfaces = [net];
+        if (selectedConfig.prefix === 'db' || selectedConfig.prefix === 'cache') {
+            // 복제/백엔드 트래픽용 두 번째 인터페이스
+            net_interfaces.push({
+                interface: 'eth1',
+                rx_bytes: this.getRandomInt(100000, 20000000),
+                tx_bytes: this.getRandomInt(100000, 20000000),
+                rx_errors: 0,
+                tx_errors: 0
+            });
+        }
+        
         const server = {
             hostname: hostname,
             ip: `10.${index % 25}.${Math.floor(index / 25)}.${(index % 50) + 10}`,
@@ -270,16 +319,10 @@ class DummyDataGenerator {
             disk: disk_info,
             services: services,
             errors: errors,
-            net: {
-                rx_bytes: net_rx_bytes,
-                tx_bytes: net_tx_bytes,
-                rx_packets: this.getRandomInt(net_rx_bytes / 1000, net_rx_bytes / 500),
-                tx_packets: this.getRandomInt(net_tx_bytes / 1000, net_tx_bytes / 500),
-                rx_errors: errors.length > 0 && Math.random() < 0.2 ? this.getRandomInt(1, 50) : 0, // 오류 있을 시 네트워크 오류 확률 증가
-                tx_errors: errors.length > 0 && Math.random() < 0.1 ? this.getRandomInt(1, 20) : 0
-            },
+            net: net, // 대표 인터페이스 (eth0)
+            net_interfaces: net_interfaces,
             uptime: `${this.getRandomInt(1, 365)}d ${this.getRandomInt(0,23)}h ${this.getRandomInt(0,59)}m`,
-            load_avg: [parseFloat(Math.random().toFixed(2)), parseFloat(Math.random().toFixed(2)), parseFloat(Math.random().toFixed(2))],
+            load_avg: [parseFloat(this.random().toFixed(2)), parseFloat(this.random().toFixed(2)), parseFloat(this.random().toFixed(2))],
             processes: this.getRandomInt(50, 300),
             last_updated: new Date().toISOString(),
             region: region,
@@ -287,7 +330,179 @@ class DummyDataGenerator {
             // status 필드는 ai_processor에서 결정하므로 여기서는 생성하지 않음
         };
         
-        return server;
+        return this.applyScenario(server, this.getSimulatedTime());
+    }
+    
+    // 시뮬레이션 시각 (현재 날짜 + 시뮬레이션 중인 시간대)
+    getSimulatedTime() {
+        const now = new Date();
+        now.setHours(this.currentHour, 0, 0, 0);
+        return now;
+    }
+    
+    // 디스크(마운트) 정보 생성 (용량은 GB 단위 문자열)
+    createDiskInfo(mount, usagePercent, totalGb) {
+        const disk_usage_percent = parseFloat(Number(usagePercent).toFixed(2));
+        const usedGb = disk_usage_percent / 100 * totalGb;
+        return {
+            mount,
+            total: `${totalGb}GB`,
+            used: usedGb.toFixed(1) + 'GB',
+            available: (totalGb - usedGb).toFixed(1) + 'GB',
+            disk_usage_percent
+        };
+    }
+    
+    /**
+     * 장애 시나리오를 지정합니다. 이미 생성된 서버에도 즉시 반영됩니다.
+     * @param {Object|ScenarioEngine} scenario 시나리오 객체(scenarios/*.json 형식) 또는 ScenarioEngine 인스턴스
+     */
+    setScenario(scenario) {
+        if (typeof ScenarioEngine !== 'function') {
+            console.warn('ScenarioEngine을 찾을 수 없어 장애 시나리오를 적용하지 않습니다. scenario_engine.js가 로드되었는지 확인하세요.');
+            return;
+        }
+        this.scenarioEngine = scenario instanceof ScenarioEngine ? scenario : new ScenarioEngine(scenario, { random: this.random });
+        console.log(`장애 시나리오 '${this.scenarioEngine.name}' 적용`);
+        
+        // 훈련용 시나리오는 확률 기반 장애를 끄고 시나리오 장애만 발생시킬 수 있음
+        if (this.scenarioEngine.scenario.disableRandomFaults) {
+            this.highResourceUsageCriticalProb = 0;
+            this.highResourceUsageWarningProb = 0;
+            this.criticalErrorProb = 0;
+            this.warningErrorProb = 0;
+            this.serviceStoppedProb = 0;
+            this.targetCriticalRatio = 0;
+            this.targetWarningRatio = 0;
+        }
+        
+        if (this.serverData.length > 0) {
+            const now = this.getSimulatedTime();
+            this.serverData = this.serverData.map(server => this.applyScenario(server, now));
+            // 이미 쌓인 이력에도 지난 구간의 장애를 반영
+            Object.keys(this.historicalData).forEach(hostname => {
+                this.historicalData[hostname] = this.historicalData[hostname]
+                    .map(point => this.applyScenario(point, new Date(point.timestamp), now));
+            });
+            window.serverData = this.serverData;
+            this.dispatchUpdateEvent();
+        }
+    }
+    
+    // 시나리오 장애를 서버 데이터에 적용 (리소스 사용률 상향, 서비스 중단, 오류 메시지 추가)
+    // referenceTime: 상대 구간(startHourAgo/endHourAgo)의 기준 시각 (이력 합성 시 마지막 포인트 시각)
+    applyScenario(server, time, referenceTime = time) {
+        if (!this.scenarioEngine) return server;
+        
+        const faults = this.scenarioEngine.getActiveFaults({
+            hostname: server.hostname,
+            type: server.server_type,
+            env: server.environment,
+            location: server.region
+        }, time, referenceTime);
+        if (faults.length === 0) return server;
+        
+        const primaryDisk = server.disk[0];
+        const forced = this.scenarioEngine.applyStats({
+            cpu: server.cpu_usage,
+            memory: server.memory_usage_percent,
+            disk: primaryDisk.disk_usage_percent
+        }, faults);
+        
+        const services = { ...server.services };
+        this.scenarioEngine.getStoppedServices(faults).forEach(service => {
+            services[service] = 'stopped';
+        });
+        
+        return {
+            ...server,
+            cpu_usage: parseFloat(Math.min(forced.cpu, 99.9).toFixed(2)),
+            memory_usage_percent: parseFloat(Math.min(forced.memory, 99.9).toFixed(2)),
+            disk: [{ ...primaryDisk, disk_usage_percent: parseFloat(Math.min(forced.disk, 99.9).toFixed(2)) }, ...server.disk.slice(1)],
+            services,
+            errors: [...new Set([...server.errors, ...this.scenarioEngine.getErrorMessages(faults)])]
+        };
+    }
+    
+    /**
+     * 서버의 과거 이력을 합성합니다 (시작하자마자 24시간 추이 차트/추세 분석이 동작하도록).
+     * 시간대별 부하 가중치(dailyPattern)와 서버 유형별 기준값(base ± variation)을 사용하고,
+     * 시나리오의 장애 구간도 해당 시각에 반영합니다. 마지막 1시간은 현재 값으로 자연스럽게 수렴합니다.
+     * @param {Object} server 현재 서버 데이터 (이력의 마지막 포인트)
+     * @param {Date} endTime 마지막 포인트 시각
+     * @returns {Array} 10분 간격 이력 포인트 (오래된 순)
+     */
+    backfillHistory(server, endTime) {
+        const intervalMs = 10 * 60 * 1000;
+        const pointCount = Math.min(this.maxHistoricalPoints, Math.floor(this.backfillHours * 6) + 1);
+        const config = this.serverConfigurations.find(c => c.prefix === server.server_type) || this.serverConfigurations[0];
+        const clamp = value => parseFloat(Math.min(Math.max(value, 1), 98).toFixed(2));
+        
+        // 서버별 기준값 (유형별 base ± variation 범위에서 고정)
+        const cpuBase = config.cpu.base + this.getRandomInt(-config.cpu.variation, config.cpu.variation);
+        const memoryBase = config.memory.base + this.getRandomInt(-config.memory.variation, config.memory.variation);
+        const diskGrowthPerHour = this.getRandomUsage(0.02, 0.2); // 디스크는 시간당 조금씩 증가
+        const primaryDisk = server.disk[0];
+        // 디스크는 현재 값에서 거꾸로 이어가되, 현재 시나리오 장애로 올라간 값이면 유형별 기준값에서 시작
+        const faultedNow = this.scenarioEngine && this.scenarioEngine.getActiveFaults({
+            hostname: server.hostname,
+            type: server.server_type,
+            env: server.environment,
+            location: server.region
+        }, endTime).length > 0;
+        const diskBase = faultedNow
+            ? config.disk.base + this.getRandomInt(-config.disk.variation, config.disk.variation)
+            : primaryDisk.disk_usage_percent;
+        
+        // 완만한 변동을 위한 랜덤 워크
+        let cpuNoise = 0;
+        let memoryNoise = 0;
+        
+        const history = [];
+        for (let i = pointCount - 1; i >= 1; i--) {
+            const time = new Date(endTime.getTime() - i * intervalMs);
+            const weight = this.getTimeWeight(time);
+            cpuNoise = Math.max(-15, Math.min(15, cpuNoise * 0.8 + this.getRandomInt(-4, 4)));
+            memoryNoise = Math.max(-8, Math.min(8, memoryNoise * 0.9 + this.getRandomInt(-2, 2)));
+            
+            // 마지막 1시간(6포인트)은 현재 값으로 수렴
+            const blend = Math.max(0, 1 - i / 6);
+            const cpu_usage = clamp((cpuBase * weight + cpuNoise) * (1 - blend) + server.cpu_usage * blend);
+            const memory_usage_percent = clamp((memoryBase * (0.7 + 0.3 * weight) + memoryNoise) * (1 - blend) + server.memory_usage_percent * blend);
+            const disk_usage_percent = clamp((diskBase - diskGrowthPerHour * (i / 6)) * (1 - blend) + primaryDisk.disk_usage_percent * blend + this.getRandomUsage(-0.3, 0.3));
+            const progress = (pointCount - i) / pointCount; // 누적 카운터(네트워크 바이트) 비율
+            const scaleNet = net => ({
+                ...net,
+                rx_bytes: Math.floor(net.rx_bytes * progress),
+                tx_bytes: Math.floor(net.tx_bytes * progress),
+                rx_errors: 0,
+                tx_errors: 0
+            });
+            
+            const point = {
+                ...server,
+                cpu_usage,
+                memory_usage_percent,
+                disk: [{ ...primaryDisk, disk_usage_percent }, ...server.disk.slice(1)],
+                net: scaleNet(server.net),
+                net_interfaces: (server.net_interfaces || [server.net]).map(scaleNet),
+                services: Object.fromEntries(Object.keys(server.services).map(service => [service, 'running'])),
+                errors: [],
+                timestamp: time.toISOString()
+            };
+            history.push(this.applyScenario(point, time, endTime));
+        }
+        
+        history.push({ ...server, timestamp: endTime.toISOString() });
+        return history;
+    }
+    
+    // 시각별 부하 가중치 (dailyPattern을 분 단위로 선형 보간, 0~1)
+    getTimeWeight(time) {
+        const hour = time.getHours();
+        const current = this.timePatterns.dailyPattern[hour];
+        const next = this.timePatterns.dailyPattern[(hour + 1) % this.dayHours];
+        return (current + (next - current) * time.getMinutes() / 60) / 100;
     }
     
     // 나머지 서버 데이터를 비동기적으로 생성
@@ -316,19 +531,18 @@ class DummyDataGenerator {
                 const server = this.createServerByConfiguration(this.generatedCount + i);
                 newServers.push(server);
                 
-                // 이력 데이터 초기화
-                if (!this.historicalData[server.hostname]) {
-                    this.historicalData[server.hostname] = [];
-                }
-                this.historicalData[server.hostname].push({...server, timestamp: new Date().toISOString()});
+                // 이력 데이터 초기화 (과거 24시간 이력 합성)
+                this.historicalData[server.hostname] = this.backfillHistory(server, this.getSimulatedTime());
             }
             
             // 기존 데이터에 추가
             this.serverData = [...this.serverData, ...newServers];
             this.generatedCount += batchCount;
             
+
             // 전역 객체 업데이트
             window.serverData = this.serverData;
+            window.serverHistoricalData = this.historicalData;
             
             // 이벤트 발생
             this.dispatchUpdateEvent();
@@ -370,8 +584,8 @@ class DummyDataGenerator {
             const config = this.serverConfigurations.find(c => c.prefix === serverType) || this.serverConfigurations[0];
             
             // 서비스와 오류는 30% 확률로 재생성
-            const shouldUpdateServices = Math.random() < 0.3;
-            const shouldUpdateErrors = Math.random() < 0.3;
+            const shouldUpdateServices = this.random() < 0.3;
+            const shouldUpdateErrors = this.random() < 0.3;
             
             // 서버 상태 결정 (기존 상태를 고려하여 급격한 변화 방지)
             const isCritical = server.cpu_usage >= 90 || server.memory_usage_percent >= 90 || server.disk[0].disk_usage_percent >= 90;
@@ -389,15 +603,15 @@ class DummyDataGenerator {
             // 상태 전이 확률 계산
             if (isCritical) {
                 // 심각 → 정상 또는 경고 (20% 확률로 상태 변경)
-                if (Math.random() < 0.2) {
-                    changeToNormal = Math.random() < 0.5;
+                if (this.random() < 0.2) {
+                    changeToNormal = this.random() < 0.5;
                     changeToWarning = !changeToNormal;
                 }
             } 
             else if (isWarning) {
                 // 경고 → 정상 또는 심각 (30% 확률로 상태 변경)
-                if (Math.random() < 0.3) {
-                    changeToNormal = Math.random() < 0.7; // 70% 확률로 정상으로 복구
+                if (this.random() < 0.3) {
+                    changeToNormal = this.random() < 0.7; // 70% 확률로 정상으로 복구
                     changeToCritical = !changeToNormal; // 30% 확률로 심각으로 악화
                 }
             }
@@ -408,11 +622,11 @@ class DummyDataGenerator {
                 const targetWarning = Math.floor(this.serverData.length * this.targetWarningRatio);
                 
                 // 심각 상태가 목표보다 적으면 심각 상태로 변경 확률 증가
-                if (criticalCount < targetCritical && Math.random() < 0.05) {
+                if (criticalCount < targetCritical && this.random() < 0.05) {
                     changeToCritical = true;
                 }
                 // 경고 상태가 목표보다 적으면 경고 상태로 변경 확률 증가
-                else if (warningCount < targetWarning && Math.random() < 0.1) {
+                else if (warningCount < targetWarning && this.random() < 0.1) {
                     changeToWarning = true;
                 }
             }
@@ -508,6 +722,13 @@ class DummyDataGenerator {
             disk_usage_percent = Math.max(5, Math.min(98, disk_usage_percent));
             const disk_used = Math.floor(server.disk[0].disk_total * (disk_usage_percent / 100));
             
+            // 나머지 마운트는 천천히 증가 (/var/log는 로그 로테이션 시 크게 감소)
+            const otherDisks = server.disk.slice(1).map(disk => {
+                const rotated = disk.mount === '/var/log' && disk.disk_usage_percent >= 70 && this.random() < 0.3;
+                const usage = rotated ? disk.disk_usage_percent - this.getRandomInt(20, 40) : disk.disk_usage_percent + this.getRandomUsage(-0.5, 2);
+                return { ...disk, disk_usage_percent: parseFloat(Math.max(5, Math.min(98, usage)).toFixed(2)) };
+            });
+            
             // 네트워크 트래픽 업데이트 (시간대에 크게 영향 받음)
             const trafficMultiplier = serverType === 'web' || serverType === 'api' ? 2 : 1; // 웹/API 서버는 트래픽 변동 폭이 더 큼
             const rx_delta = this.getRandomInt(-10, 20) * 1024 * 1024 * timeWeightMultiplier * trafficMultiplier;
@@ -517,13 +738,23 @@ class DummyDataGenerator {
             const tx_bytes = Math.max(1024 * 1024, server.net.tx_bytes + tx_delta); // 최소 1MB
             
             // 네트워크 오류 업데이트
-            const rx_errors = shouldUpdateErrors && Math.random() < this.errorProbability ? 
+            const rx_errors = shouldUpdateErrors && this.random() < this.errorProbability ? 
                 server.net.rx_errors + this.getRandomInt(0, 10) : 
                 Math.max(0, server.net.rx_errors - this.getRandomInt(0, 5));
             
-            const tx_errors = shouldUpdateErrors && Math.random() < this.errorProbability ? 
+            const tx_errors = shouldUpdateErrors && this.random() < this.errorProbability ? 
                 server.net.tx_errors + this.getRandomInt(0, 5) : 
                 Math.max(0, server.net.tx_errors - this.getRandomInt(0, 3));
+            const net = { ...server.net, rx_bytes, tx_bytes, rx_errors, tx_errors };
+            
+            // 추가 인터페이스 (복제 트래픽은 꾸준히 증가, 오류는 드물게 발생)
+            const secondaryInterfaces = (server.net_interfaces || []).slice(1).map(item => ({
+                ...item,
+                rx_bytes: item.rx_bytes + this.getRandomInt(1, 10) * 1024 * 1024,
+                tx_bytes: item.tx_bytes + this.getRandomInt(1, 10) * 1024 * 1024,
+                rx_errors: shouldUpdateErrors && this.random() < this.warningErrorProb ? item.rx_errors + this.getRandomInt(1, 60) : Math.max(0, item.rx_errors - this.getRandomInt(0, 20)),
+                tx_errors: Math.max(0, item.tx_errors - this.getRandomInt(0, 5))
+            }));
             
             // 서비스 상태 업데이트
             let services = { ...server.services };
@@ -531,10 +762,10 @@ class DummyDataGenerator {
                 Object.keys(services).forEach(service => {
                     if (services[service] === 'stopped') {
                         // 중단된 서비스는 70% 확률로 복구
-                        services[service] = Math.random() < 0.7 ? 'running' : 'stopped';
+                        services[service] = this.random() < 0.7 ? 'running' : 'stopped';
                     } else {
                         // 실행 중인 서비스는 20% 확률로 중단
-                        services[service] = Math.random() < 0.2 ? 'stopped' : 'running';
+                        services[service] = this.random() < 0.2 ? 'stopped' : 'running';
                     }
                 });
             }
@@ -543,10 +774,10 @@ class DummyDataGenerator {
             let errors = [...server.errors];
             if (shouldUpdateErrors) {
                 // 기존 오류 중 70%는 제거(해결됨)
-                errors = errors.filter(() => Math.random() > 0.7);
+                errors = errors.filter(() => this.random() > 0.7);
                 
                 // 새 오류 추가
-                if (Math.random() < this.errorProbability) {
+                if (this.random() < this.errorProbability) {
                     const errorCount = this.getRandomInt(1, 2);
                     for (let i = 0; i < errorCount; i++) {
                         errors.push(this.generateErrorMessage(serverType));
@@ -555,10 +786,10 @@ class DummyDataGenerator {
             }
             
             // 좀비 프로세스 업데이트
-            const zombie_count = Math.random() < 0.1 ? this.getRandomInt(1, 6) : 0;
+            const zombie_count = this.random() < 0.1 ? this.getRandomInt(1, 6) : 0;
             
-            // 업데이트된 서버 객체
-            const updatedServer = {
+            // 업데이트된 서버 객체 (시나리오 장애 적용)
+            const updatedServer = this.applyScenario({
                 ...server,
                 cpu_usage,
                 load_avg_1m: parseFloat((cpu_usage / 100 * this.getRandomInt(80, 120) / 100).toFixed(2)),
@@ -568,19 +799,14 @@ class DummyDataGenerator {
                     ...server.disk[0],
                     disk_used,
                     disk_usage_percent
-                }],
-                net: {
-                    ...server.net,
-                    rx_bytes,
-                    tx_bytes,
-                    rx_errors,
-                    tx_errors
-                },
+                }, ...otherDisks],
+                net,
+                net_interfaces: [net, ...secondaryInterfaces],
                 services,
                 errors,
                 zombie_count,
                 timestamp: now.toISOString()
-            };
+            }, now);
             
             // 이력 데이터에 추가
             if (!this.historicalData[server.hostname]) {
@@ -659,22 +885,36 @@ class DummyDataGenerator {
     
     // 유틸리티 함수
     getRandomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1) + min);
+        return Math.floor(this.random() * (max - min + 1) + min);
     }
     
     getRandomUsage(min, max) {
-        return parseFloat((Math.random() * (max - min) + min).toFixed(2));
+        return parseFloat((this.random() * (max - min) + min).toFixed(2));
     }
     
     getRandomItem(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return array[Math.floor(this.random() * array.length)];
     }
     
     getRandomItems(array, count) {
-        const shuffled = [...array].sort(() => 0.5 - Math.random());
+        const shuffled = [...array].sort(() => 0.5 - this.random());
         return shuffled.slice(0, Math.min(count, array.length));
     }
 }
 
-// 인스턴스 생성 및 초기화
-const dummyDataGenerator = new DummyDataGenerator(); 
\ No newline at end of file
+// 인스턴스 생성 및 초기화 (URL에 ?seed=값 이 있으면 재현 가능한 모드로 생성)
+const dummyDataGenerator = new DummyDataGenerator({
+    seed: typeof getSeedFromUrl === 'function' ? getSeedFromUrl() : undefined
+});
+
+// URL에 ?scenario=이름 이 있으면 scenarios/이름.json 장애 시나리오 적용
+const scenarioUrl = typeof getScenarioUrlFromPage === 'function' ? getScenarioUrlFromPage() : undefined;
+if (scenarioUrl) {
+    ScenarioEngine.load(scenarioUrl, { random: dummyDataGenerator.random })
+        .then(engine => dummyDataGenerator.setScenario(engine))
+        .catch(error => console.error('장애 시나리오를 불러오지 못했습니다:', error));
+}
+
+// 데이터 소스 어댑터(data_source.js)에서 사용할 수 있도록 전역으로 노출
+window.DummyDataGenerator = DummyDataGenerator;
+window.dummyDataGenerator = dummyDataGenerator; 
\ No newline at end of file
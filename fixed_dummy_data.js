@@ -1,6 +1,17 @@
 // fixed_dummy_data.js (장애 상황 대폭 강화 및 분산 버전)
 
-function getFixedDummyData() {
+/**
+ * 최근 24시간(10분 간격) 고정 서버 데이터셋을 생성합니다.
+ * @param {Object} [options]
+ * @param {number|string} [options.seed] 난수 시드 (지정하면 항상 같은 데이터셋 생성, seeded_random.js 필요)
+ * @param {Date|string|number} [options.endTime] 마지막 데이터 시각 (기본: 현재 시각)
+ */
+function getFixedDummyData(options = {}) {
+    // 시드가 있으면 재현 가능한 난수 사용
+    const random = options.seed !== undefined && typeof createSeededRandom === 'function'
+        ? createSeededRandom(options.seed)
+        : Math.random;
+
     const servers = [];
     // (서버 이름 생성 로직은 이전 답변과 동일하게 유지 - 다채로운 호스트 이름)
     const environments = ['prod', 'stg', 'dev'];
@@ -29,40 +40,42 @@ function getFixedDummyData() {
     }
 
     const data = [];
-    const baseEndDate = new Date(); 
+    const baseEndDate = options.endTime !== undefined ? new Date(options.endTime) : new Date(); 
     const startDate = new Date(baseEndDate);
     startDate.setHours(baseEndDate.getHours() - 24); 
 
     let currentTime = new Date(startDate);
 
     const alertPool = [ /* 이전 답변의 alertPool 사용, 필요시 메시지 구체화 */
-        { type: 'CPU', severity: 'Critical', message: "CPU 사용률 95% 초과! 즉각 확인 필요.", keywords: ["cpu", "critical", "95%"] }, //0
-        { type: 'CPU', severity: 'Warning', message: "CPU 부하 80% 이상 지속됨.", keywords: ["cpu", "warning", "80%"] }, //1
-        { type: 'Memory', severity: 'Critical', message: "가용 메모리 100MB 미만! OOM 위험.", keywords: ["memory", "critical", "100MB"] }, //2
-        { type: 'Memory', severity: 'Warning', message: "메모리 사용률 88% 이상 지속, 누수 의심.", keywords: ["memory", "warning", "88%", "누수"] }, //3
-        { type: 'Disk', severity: 'Critical', message: "디스크 /data 파티션 사용률 98% 도달!", keywords: ["disk", "critical", "/data", "98%"] }, //4
-        { type: 'Disk', severity: 'Warning', message: "디스크 I/O 대기 시간 급증 (평균 600ms).", keywords: ["disk", "warning", "i/o", "600ms"] }, //5
-        { type: 'Network', severity: 'Error', message: "Outbound 트래픽 800Mbps 초과, 비정상 패턴.", keywords: ["network", "error", "outbound", "800Mbps"] }, //6
-        { type: 'Process', severity: 'Critical', message: "주요 결제 프로세스(PaymentGateway) 응답 없음.", keywords: ["process", "critical", "PaymentGateway", "응답없음"] }, //7
-        { type: 'Security', severity: 'Critical', message: "다수 국가에서 Admin 계정 로그인 시도 발생!", keywords: ["security", "critical", "login", "admin", "다수 국가"] }, //8
-        { type: 'Batch', severity: 'Error', message: "일일 정산 배치(BATCH_DAILY_SETTLE_01) 처리 실패. 원인: DB Timeout.", keywords: ["batch", "error", "실패", "BATCH_DAILY_SETTLE_01", "DB Timeout"] }, //9
-        { type: 'Database', severity: 'Critical', message: "DB 연결 불가! (prod-db-pgsql-01) 모든 연결 사용 중 또는 다운 의심.", keywords: ["database", "critical", "prod-db-pgsql-01", "연결불가"] }, //10
-        { type: 'Application', severity: 'Error', message: "사용자 인증 서비스(AuthService) 장애 발생. (503 Service Unavailable)", keywords: ["application", "error", "AuthService", "503"] }, //11
-        { type: 'Process', severity: 'Warning', message: "Tomcat 프로세스 CPU 사용률 과다 (stg-was-tomcat-01)", keywords: ["process", "warning", "tomcat", "cpu"] } //12
+        { type: 'CPU', severity: 'critical', message: "CPU 사용률 95% 초과! 즉각 확인 필요.", keywords: ["cpu", "critical", "95%"] }, //0
+        { type: 'CPU', severity: 'warning', message: "CPU 부하 80% 이상 지속됨.", keywords: ["cpu", "warning", "80%"] }, //1
+        { type: 'Memory', severity: 'critical', message: "가용 메모리 100MB 미만! OOM 위험.", keywords: ["memory", "critical", "100MB"] }, //2
+        { type: 'Memory', severity: 'warning', message: "메모리 사용률 88% 이상 지속, 누수 의심.", keywords: ["memory", "warning", "88%", "누수"] }, //3
+        { type: 'Disk', severity: 'critical', message: "디스크 /data 파티션 사용률 98% 도달!", keywords: ["disk", "critical", "/data", "98%"] }, //4
+        { type: 'Disk', severity: 'warning', message: "디스크 I/O 대기 시간 급증 (평균 600ms).", keywords: ["disk", "warning", "i/o", "600ms"] }, //5
+        { type: 'Network', severity: 'error', message: "Outbound 트래픽 800Mbps 초과, 비정상 패턴.", keywords: ["network", "error", "outbound", "800Mbps"] }, //6
+        { type: 'Process', severity: 'critical', message: "주요 결제 프로세스(PaymentGateway) 응답 없음.", keywords: ["process", "critical", "PaymentGateway", "응답없음"] }, //7
+        { type: 'Security', severity: 'critical', message: "다수 국가에서 Admin 계정 로그인 시도 발생!", keywords: ["security", "critical", "login", "admin", "다수 국가"] }, //8
+        { type: 'Batch', severity: 'error', message: "일일 정산 배치(BATCH_DAILY_SETTLE_01) 처리 실패. 원인: DB Timeout.", keywords: ["batch", "error", "실패", "BATCH_DAILY_SETTLE_01", "DB Timeout"] }, //9
+        { type: 'Database', severity: 'critical', message: "DB 연결 불가! (prod-db-pgsql-01) 모든 연결 사용 중 또는 다운 의심.", keywords: ["database", "critical", "prod-db-pgsql-01", "연결불가"] }, //10
+        { type: 'Application', severity: 'error', message: "사용자 인증 서비스(AuthService) 장애 발생. (503 Service Unavailable)", keywords: ["application", "error", "AuthService", "503"] }, //11
+        { type: 'Process', severity: 'warning', message: "Tomcat 프로세스 CPU 사용률 과다 (stg-was-tomcat-01)", keywords: ["process", "warning", "tomcat", "cpu"] } //12
     ];
 
-    // --- 장애 시나리오: 30개 중 20개 이상이 최근 24시간 내 다양한 시간에 문제 발생 ---
-    const criticalTimeConfig = [];
+    // --- 기본 장애 시나리오: 30개 중 20개 이상이 최근 24시간 내 다양한 시간에 문제 발생 ---
+    // (scenario_engine.js의 시나리오 형식으로 구성, options.scenario가 있으면 그 시나리오로 대체)
+    const defaultFaults = [];
     const problematicServers = new Set(); // 중복 방지
+    const around = (value, spread) => [value - spread, value + spread]; // 수치 흔들림 범위
 
     // 시나리오 1: 최근 0~1시간 사이 (5개 서버) - 가장 긴급한 상황
     for(let i=0; i<5; i++) {
         const serverIdx = i; // 0, 1, 2, 3, 4
         problematicServers.add(servers[serverIdx].serverHostname);
-        criticalTimeConfig.push({ 
-            startHourAgo: 1, endHourAgo: 0, serverHostname: servers[serverIdx].serverHostname,
-            forcedStats: { cpuUsage: 90 + Math.random()*9, memoryUsage: 85 + Math.random()*10, status: 'Critical' }, 
-            alerts: [alertPool[0], (Math.random() < 0.5 ? alertPool[2] : alertPool[7])] // CPU Critical + Memory Critical 또는 Process Critical
+        defaultFaults.push({ 
+            select: { hostname: servers[serverIdx].serverHostname }, window: { startHourAgo: 1, endHourAgo: 0 },
+            stats: { cpu: around(90 + random()*9, 2.5), memory: around(85 + random()*10, 2.5) }, status: 'critical', 
+            alerts: [alertPool[0], (random() < 0.5 ? alertPool[2] : alertPool[7])] // CPU Critical + Memory Critical 또는 Process Critical
         });
     }
 
@@ -70,9 +83,9 @@ function getFixedDummyData() {
      for(let i=0; i<5; i++) {
         const serverIdx = 5 + i; // 5, 6, 7, 8, 9
         problematicServers.add(servers[serverIdx].serverHostname);
-        criticalTimeConfig.push({ 
-            startHourAgo: 3, endHourAgo: 1, serverHostname: servers[serverIdx].serverHostname,
-            forcedStats: { diskUsage: 85 + Math.random()*10, networkTrafficOut: 300 + Math.random()*100, status: 'Error' }, 
+        defaultFaults.push({ 
+            select: { hostname: servers[serverIdx].serverHostname }, window: { startHourAgo: 3, endHourAgo: 1 },
+            stats: { disk: around(85 + random()*10, 1.5), networkOut: 300 + random()*100 }, status: 'error', 
             alerts: [alertPool[5], alertPool[6]] // Disk Warning, Network Error
         });
     }
@@ -81,9 +94,9 @@ function getFixedDummyData() {
     for(let i=0; i<5; i++) {
         const serverIdx = 10 + i; // 10, 11, 12, 13, 14
         problematicServers.add(servers[serverIdx].serverHostname);
-        criticalTimeConfig.push({ 
-            startHourAgo: 6, endHourAgo: 3, serverHostname: servers[serverIdx].serverHostname,
-            forcedStats: { cpuUsage: 70 + Math.random()*15, memoryUsage: 75 + Math.random()*10 }, 
+        defaultFaults.push({ 
+            select: { hostname: servers[serverIdx].serverHostname }, window: { startHourAgo: 6, endHourAgo: 3 },
+            stats: { cpu: around(70 + random()*15, 2.5), memory: around(75 + random()*10, 2.5) }, 
             alerts: [alertPool[1], alertPool[3], (servers[serverIdx].serverType === 'API' ? alertPool[11] : alertPool[8])] // CPU/Mem Warning + App 또는 Security
         });
     }
@@ -94,16 +107,17 @@ function getFixedDummyData() {
         problematicServers.add(servers[serverIdx].serverHostname);
         let scenarioAlerts = [];
         let forcedS = {};
+        let forcedStatus = null;
         if (servers[serverIdx].serverType === 'DB') {
-            forcedS = {diskUsage: 92, status: 'Critical'}; scenarioAlerts = [alertPool[4], alertPool[10]];
+            forcedS = {disk: around(92, 1.5)}; forcedStatus = 'critical'; scenarioAlerts = [alertPool[4], alertPool[10]];
         } else if (servers[serverIdx].serverType === 'BATCH') {
-            forcedS = {status: 'Error'}; scenarioAlerts = [alertPool[9]];
+            forcedStatus = 'error'; scenarioAlerts = [alertPool[9]];
         } else {
-            forcedS = {memoryUsage: 85, status: 'Warning'}; scenarioAlerts = [alertPool[3]];
+            forcedS = {memory: around(85, 2.5)}; forcedStatus = 'warning'; scenarioAlerts = [alertPool[3]];
         }
-        criticalTimeConfig.push({ 
-            startHourAgo: 12, endHourAgo: 6, serverHostname: servers[serverIdx].serverHostname,
-            forcedStats: forcedS, alerts: scenarioAlerts
+        defaultFaults.push({ 
+            select: { hostname: servers[serverIdx].serverHostname }, window: { startHourAgo: 12, endHourAgo: 6 },
+            stats: forcedS, status: forcedStatus, alerts: scenarioAlerts
         });
     }
     
@@ -112,60 +126,76 @@ function getFixedDummyData() {
     for(let i = 0; i < servers.length && problematicServers.size < 22; i++) { // 최대 22개까지 문제 서버 확보
         if (!problematicServers.has(servers[i].serverHostname)) {
             problematicServers.add(servers[i].serverHostname);
-            criticalTimeConfig.push({
-                startHourAgo: 18 + Math.random()*6, endHourAgo: 12 + Math.random()*6, // 12~24시간 전 사이 랜덤 시간
-                serverHostname: servers[i].serverHostname,
-                forcedStats: { cpuUsage: 60 + Math.random()*20 }, // 약간 높은 CPU
+            defaultFaults.push({
+                window: { startHourAgo: 18 + random()*6, endHourAgo: 12 + random()*6 }, // 12~24시간 전 사이 랜덤 시간
+                select: { hostname: servers[i].serverHostname },
+                stats: { cpu: around(60 + random()*20, 2.5) }, // 약간 높은 CPU
                 alerts: [alertPool[1]] // CPU Warning
             });
             warningServerCount++;
         }
     }
-    console.log("총 문제 시나리오 주입 서버 수: " + problematicServers.size);
+
+    const scenario = options.scenario || { name: 'fixed-default', faults: defaultFaults };
+    let scenarioEngine = null;
+    if (typeof ScenarioEngine === 'function') {
+        scenarioEngine = new ScenarioEngine(scenario, { random });
+        console.log(`장애 시나리오 '${scenarioEngine.name}' 적용 (장애 ${scenario.faults.length}건)`);
+    } else {
+        console.warn("ScenarioEngine을 찾을 수 없어 장애 시나리오 없이 생성합니다. scenario_engine.js가 로드되었는지 확인하세요.");
+    }
 
 
     while (currentTime <= baseEndDate) {
         servers.forEach((server) => {
-            let cpu = 5 + Math.random() * 40; let mem = 10 + Math.random() * 45;
-            let disk = Math.max(5, 10 + Math.random() * 55);
-            let netOut = Math.floor(10 + Math.random() * 70); let netIn = Math.floor(5 + Math.random() * 50);
-            let procCnt = 30 + Math.floor(Math.random() * 30) + (server.serverType === 'WAS' || server.serverType === 'BATCH' ? 15 : 0);
+            let cpu = 5 + random() * 40; let mem = 10 + random() * 45;
+            let disk = Math.max(5, 10 + random() * 55);
+            let netOut = Math.floor(10 + random() * 70); let netIn = Math.floor(5 + random() * 50);
+            let procCnt = 30 + Math.floor(random() * 30) + (server.serverType === 'WAS' || server.serverType === 'BATCH' ? 15 : 0);
             
             let currentServerAlerts = [];
-            let serverStatus = 'Normal';
+            let serverStatus = 'normal';
             let serverHighestSeverityScore = 0;
 
-            const hoursAgo = (baseEndDate.getTime() - currentTime.getTime()) / (1000 * 60 * 60);
-
-            for (const config of criticalTimeConfig) {
-                if (config.serverHostname === server.serverHostname && 
-                    hoursAgo >= config.endHourAgo && hoursAgo < config.startHourAgo) {
-                    
-                    if (config.forcedStats) {
-                        if(config.forcedStats.cpuUsage) cpu = Math.max(cpu, config.forcedStats.cpuUsage + Math.random()*5 - 2.5);
-                        if(config.forcedStats.memoryUsage) mem = Math.max(mem, config.forcedStats.memoryUsage + Math.random()*5 - 2.5);
-                        if(config.forcedStats.diskUsage) disk = Math.max(disk, config.forcedStats.diskUsage + Math.random()*3 - 1.5);
-                        if(config.forcedStats.networkTrafficOut) netOut = Math.max(netOut, config.forcedStats.networkTrafficOut);
-                        if(config.forcedStats.networkTrafficIn) netIn = Math.max(netIn, config.forcedStats.networkTrafficIn);
-                        if(config.forcedStats.status) serverStatus = config.forcedStats.status;
-                    }
-                    if (config.alerts && Array.isArray(config.alerts)) {
-                        config.alerts.forEach(alertTemplate => {
-                            const alertToAdd = JSON.parse(JSON.stringify(alertTemplate));
-                            alertToAdd.timestamp = currentTime.toISOString();
-                            // 메시지 플레이스홀더 동적 치환 (예시)
-                            if(alertToAdd.message && alertToAdd.message.includes("90%")) alertToAdd.message = alertToAdd.message.replace("90%", `${cpu.toFixed(1)}%`);
-                            if(alertToAdd.message && alertToAdd.message.includes("75%")) alertToAdd.message = alertToAdd.message.replace("75%", `${cpu.toFixed(1)}%`);
-                            // ... 기타 플레이스홀더 처리 ...
-                            currentServerAlerts.push(alertToAdd);
-                        });
-                    }
-                    // 시나리오에 해당되면 serverStatus 우선 적용, 아니면 경고 기반
-                     if (serverStatus === 'Normal' && currentServerAlerts.some(al => al.severity === 'Critical')) serverStatus = 'Critical';
-                     else if (serverStatus === 'Normal' && currentServerAlerts.some(al => al.severity === 'Error')) serverStatus = 'Error';
-                     else if (serverStatus === 'Normal' && currentServerAlerts.some(al => al.severity === 'Warning')) serverStatus = 'Warning';
-                    break; 
-                }
+            let stoppedServices = [];
+
+            // 시나리오에서 현재 시각에 해당하는 장애 적용 (상대 구간은 마지막 데이터 시각 기준)
+            const activeFaults = scenarioEngine ? scenarioEngine.getActiveFaults({
+                hostname: server.serverHostname,
+                type: server.serverType,
+                env: server.serverHostname.split('-')[0],
+                location: server.location
+            }, currentTime, baseEndDate) : [];
+
+            if (activeFaults.length > 0) {
+                const forced = scenarioEngine.applyStats({ cpu, memory: mem, disk, networkIn: netIn, networkOut: netOut, processCount: procCnt }, activeFaults);
+                cpu = forced.cpu; mem = forced.memory; disk = forced.disk;
+                netIn = forced.networkIn; netOut = forced.networkOut; procCnt = forced.processCount;
+                if (scenarioEngine.getStatus(activeFaults)) serverStatus = String(scenarioEngine.getStatus(activeFaults)).toLowerCase();
+                stoppedServices = scenarioEngine.getStoppedServices(activeFaults);
+
+                // 시나리오의 오류 메시지('SEVERITY: 메시지')도 알림으로 변환
+                const errorAlerts = activeFaults.flatMap(fault => fault.errors || []).map(error => {
+                    const match = /^\s*(critical|error|warning|info)\s*:\s*(.*)$/i.exec(error);
+                    const severity = match ? match[1].toLowerCase() : 'error';
+                    return { type: 'Log', severity, message: match ? match[2] : error, keywords: [] };
+                });
+
+                [...scenarioEngine.getAlerts(activeFaults), ...errorAlerts].forEach(alertTemplate => {
+                    const alertToAdd = JSON.parse(JSON.stringify(alertTemplate));
+                    alertToAdd.severity = String(alertToAdd.severity).toLowerCase(); // 시나리오 파일은 'Critical'처럼 써도 됨
+                    alertToAdd.timestamp = currentTime.toISOString();
+                    // 메시지 플레이스홀더 동적 치환 (예시)
+                    if(alertToAdd.message && alertToAdd.message.includes("90%")) alertToAdd.message = alertToAdd.message.replace("90%", `${cpu.toFixed(1)}%`);
+                    if(alertToAdd.message && alertToAdd.message.includes("75%")) alertToAdd.message = alertToAdd.message.replace("75%", `${cpu.toFixed(1)}%`);
+                    // ... 기타 플레이스홀더 처리 ...
+                    currentServerAlerts.push(alertToAdd);
+                });
+
+                // 시나리오에 해당되면 serverStatus 우선 적용, 아니면 경고 기반
+                if (serverStatus === 'normal' && currentServerAlerts.some(al => al.severity === 'critical')) serverStatus = 'critical';
+                else if (serverStatus === 'normal' && currentServerAlerts.some(al => al.severity === 'error')) serverStatus = 'error';
+                else if (serverStatus === 'normal' && currentServerAlerts.some(al => al.severity === 'warning')) serverStatus = 'warning';
             }
             
             cpu = Math.max(1, Math.min(99.9, parseFloat(cpu.toFixed(1))));
@@ -201,32 +231,22 @@ function getFixedDummyData() {
                 status: serverStatus, // 시나리오에서 제공한 초기 상태
                 alerts: finalAlerts
             };
+            // 시나리오로 중단된 서비스가 있으면 서비스 상태 포함
+            if (stoppedServices.length > 0) {
+                serverData.services = Object.fromEntries(stoppedServices.map(name => [name, 'stopped']));
+            }
             
-            // 모든 서버 상태를 자원 사용률에 따라 재계산
-            // window.getServerStatus 함수가 있으면 이를 이용하고, 없으면 자체 로직으로 계산
-            if (window.getServerStatus) {
-                // dataProcessor의 상태 판단 함수 호출을 위해 필드 매핑
-                const processorReadyData = {
-                    cpu_usage: cpu,
-                    memory_usage_percent: mem,
-                    disk: [{ disk_usage_percent: disk }],
-                    errors: finalAlerts.filter(al => 
-                        al.severity === 'Critical' || al.severity === 'Error' || al.severity === 'Warning'
-                    ), // 오류 정보를 다시 상태 판단에 반영 (Warning 포함)
-                    services: server.services || {} // 실제 서비스 상태 전달
-                };
-                // 모든 서버에 대해 getServerStatus 적용 (기존 상태 무시)
-                serverData.status = window.getServerStatus(processorReadyData);
-            } else {
-                // 자체 로직으로 상태 결정 (기준: 90% 이상 심각, 70% 이상 경고)
-                if (cpu >= 90 || mem >= 90 || disk >= 90) {
-                    serverData.status = 'Critical';
-                } else if (cpu >= 70 || mem >= 70 || disk >= 70) {
-                    serverData.status = 'Warning';
-                } else {
-                    serverData.status = 'Normal';
-                }
+            // 모든 서버 상태를 규칙 엔진(rules_engine.js) 기준으로 재계산
+            // window.getServerStatus(DataProcessor)가 있으면 이를 이용하고, 없으면 공유 규칙 엔진으로 직접 판단
+            if (window.ServerSchema && (window.getServerStatus || window.RulesEngine)) {
+                // 상태 판단 함수는 표준 스키마를 사용하므로 server_schema.js로 변환 (알림은 errors로 반영됨)
+                const processorReadyData = window.ServerSchema.normalizeFixedRecord(serverData);
+                // 모든 서버에 대해 같은 판단 적용 (기존 상태 무시)
+                serverData.status = window.getServerStatus
+                    ? window.getServerStatus(processorReadyData)
+                    : window.RulesEngine.getDefaultRulesEngine().getStatus(processorReadyData);
             }
+            // 두 모듈 모두 아직 로드되지 않았으면 시나리오가 준 상태를 그대로 사용
             
             data.push(serverData);
         });
@@ -0,0 +1,195 @@
+/**
+ * OpenManager AI - 자원 고갈 예측
+ * 디스크(마운트별)와 메모리 사용률 이력에 선형 추세를 맞춰 100%에 도달하는 시각을 예측하고,
+ * 심각 임계치에 닿기 전에 예측 경고를 만듭니다 (예: 'db-003의 /가 ~14시간 후 100% 도달 예상').
+ *
+ * 이력은 AIProcessor.historicalData의 이력 포인트(오래된 순, 현재 샘플 제외 - AIProcessor.getRuleHistory)를 사용합니다.
+ * 설정은 config.js의 FORECAST입니다.
+ */
+
+import { CONFIG } from './config.js';
+import { getDisks } from './server_schema.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 예측할 수 있는 지표 (samples: 서버 레코드나 이력 포인트에서 대상별 사용률을 모음)
+export const FORECAST_METRICS = {
+    disk_usage_percent: {
+        label: '디스크',
+        name: '디스크 고갈 예측',
+        // 서버 레코드와 이력 포인트 모두 disk: [{ mount, disk_usage_percent }]
+        samples: sample => getDisks(sample).map(disk => ({ target: disk.mount, value: disk.disk_usage_percent })),
+        causes: ['로그/임시 파일 누적', '로그 로테이션 또는 정리 작업 실패', '데이터 증가 추세'],
+        solutions: ['증가 중인 디렉터리를 찾아 오래된 파일을 정리하거나 압축하세요.', '로그 로테이션 설정을 점검하세요.', '용량이 부족하면 디스크 증설을 계획하세요.'],
+        commands: ['df -h {target}', 'du -xh {target} --max-depth=2 | sort -rh | head -20']
+    },
+    memory_usage_percent: {
+        label: '메모리',
+        name: '메모리 포화 예측',
+        samples: sample => [{ target: null, value: sample.memory_usage_percent }],
+        causes: ['메모리 누수', '캐시/버퍼 증가', '처리량 증가에 따른 워커 증가'],
+        solutions: ['메모리 사용량이 계속 늘어나는 프로세스를 확인하세요.', '누수가 의심되면 해당 서비스 재시작 일정을 잡고 원인을 분석하세요.'],
+        commands: ['free -h', 'ps aux --sort=-%mem | head -10']
+    }
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    metrics: Object.keys(FORECAST_METRICS),
+    lookbackHours: 12,
+    minSamples: 6,
+    minSpanHours: 1,
+    minSlopePerHour: 0.1,
+    minR2: 0.5,
+    horizonHours: 24,
+    severity: 'warning'
+};
+
+const round = value => Math.round(value * 10) / 10;
+
+/**
+ * 최소제곱 선형 추세
+ * @param {Array<{time: number, value: number}>} samples 샘플 (시각은 밀리초)
+ * @returns {{slopePerHour: number, intercept: number, r2: number}} intercept는 첫 샘플 시각 기준 값
+ */
+export function linearTrend(samples) {
+    const origin = samples[0].time;
+    const xs = samples.map(sample => (sample.time - origin) / HOUR_MS);
+    const ys = samples.map(sample => sample.value);
+    const meanX = xs.reduce((sum, x) => sum + x, 0) / xs.length;
+    const meanY = ys.reduce((sum, y) => sum + y, 0) / ys.length;
+    let sxx = 0;
+    let sxy = 0;
+    let syy = 0;
+    xs.forEach((x, index) => {
+        sxx += (x - meanX) ** 2;
+        sxy += (x - meanX) * (ys[index] - meanY);
+        syy += (ys[index] - meanY) ** 2;
+    });
+    const slopePerHour = sxx === 0 ? 0 : sxy / sxx;
+    const r2 = sxx === 0 || syy === 0 ? 0 : (sxy * sxy) / (sxx * syy);
+    return { slopePerHour, intercept: meanY - slopePerHour * meanX, r2 };
+}
+
+/**
+ * 남은 시간 표시 (예: '~45분', '~14시간', '~3일')
+ * @param {number} hours 시간
+ * @returns {string}
+ */
+export function formatDuration(hours) {
+    if (hours < 1) return `~${Math.max(1, Math.round(hours * 60))}분`;
+    if (hours < 48) return `~${Math.round(hours)}시간`;
+    return `~${Math.round(hours / 24)}일`;
+}
+
+// 대상 표시 이름 (예: '/var/log', 메모리는 '메모리')
+function targetLabel(definition, target) {
+    return target || definition.label;
+}
+
+export class ResourceForecaster {
+    /**
+     * @param {Object} [options] FORECAST 형식의 설정 (기본: config.js)
+     */
+    constructor(options = CONFIG.FORECAST) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+    }
+
+    /**
+     * 서버의 지표/대상별 추세와 100% 도달 예상 시각을 계산합니다.
+     * @param {ServerRecord} server 표준 스키마 레코드 (현재 샘플)
+     * @param {Array<Object>} history 과거 이력 포인트 (AIProcessor.getRuleHistory)
+     * @param {Object} [options]
+     * @param {Function} [options.getThreshold] (metric, target) => 심각 임계치 (주면 임계치 도달 시각도 계산)
+     * @returns {Array<Object>} { metric, target, label, current, slopePerHour, r2, samples, threshold,
+     *   hoursToThreshold, hoursToFull, fullAt } - 증가 추세가 아니면 hoursToFull/hoursToThreshold는 null
+     */
+    forecast(server, history, options = {}) {
+        if (!server || !this.options.enabled) return [];
+        const now = server.timestamp ? new Date(server.timestamp).getTime() : Date.now();
+        const since = now - this.options.lookbackHours * HOUR_MS;
+        const points = [...(history || []), server]
+            .map(point => ({ point, time: new Date(point.timestamp).getTime() }))
+            .filter(({ time }) => !Number.isNaN(time) && time >= since && time <= now);
+
+        return this.options.metrics
+            .filter(metric => FORECAST_METRICS[metric])
+            .flatMap(metric => {
+                const definition = FORECAST_METRICS[metric];
+                return definition.samples(server).map(({ target, value: current }) => {
+                    if (typeof current !== 'number') return null;
+                    const samples = points
+                        .map(({ point, time }) => {
+                            const item = definition.samples(point).find(candidate => candidate.target === target);
+                            return item && typeof item.value === 'number' ? { time, value: item.value } : null;
+                        })
+                        .filter(Boolean);
+                    const span = samples.length > 0 ? (samples[samples.length - 1].time - samples[0].time) / HOUR_MS : 0;
+                    if (samples.length < this.options.minSamples || span < this.options.minSpanHours) return null;
+
+                    const trend = linearTrend(samples);
+                    // 증가 추세가 뚜렷할 때만 도달 시각 계산 (현재 값에서 추세 기울기로 외삽)
+                    const growing = trend.slopePerHour >= this.options.minSlopePerHour && trend.r2 >= this.options.minR2;
+                    const hoursUntil = level => (growing && current < level ? (level - current) / trend.slopePerHour : null);
+                    const threshold = options.getThreshold ? options.getThreshold(metric, target) : undefined;
+                    const hoursToFull = hoursUntil(100);
+                    return {
+                        metric,
+                        target,
+                        label: targetLabel(definition, target),
+                        current,
+                        slopePerHour: round(trend.slopePerHour),
+                        r2: Math.round(trend.r2 * 100) / 100,
+                        samples: samples.length,
+                        threshold,
+                        hoursToThreshold: typeof threshold === 'number' ? hoursUntil(threshold) : null,
+                        hoursToFull,
+                        fullAt: hoursToFull !== null ? new Date(now + hoursToFull * HOUR_MS).toISOString() : null
+                    };
+                });
+            })
+            .filter(Boolean);
+    }
+
+    /**
+     * 예측 경고: horizonHours 안에 심각 임계치(이미 넘었거나 없으면 100%)에 도달할 것으로 보이는 대상
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @param {Array<Object>} history 과거 이력 포인트
+     * @param {Object} [options] forecast()의 옵션 (getThreshold)
+     * @returns {Array<Object>} { type: 'forecast', ruleId, name, metric, severity, hostname, target, value, forecast,
+     *   description, causes, solutions, commands } - 규칙 엔진 일치 결과와 같은 형태
+     */
+    detect(server, history, options = {}) {
+        return this.forecast(server, history, options)
+            .filter(item => {
+                const hours = item.hoursToThreshold !== null ? item.hoursToThreshold : item.hoursToFull;
+                return hours !== null && hours <= this.options.horizonHours;
+            })
+            .map(item => {
+                const definition = FORECAST_METRICS[item.metric];
+                const fill = text => text.replace(/\{target\}/g, item.target || '/');
+                const subject = item.target ? `${definition.label} ${item.target}` : definition.label;
+                let description = `${subject} ${item.hoursToFull !== null ? `${formatDuration(item.hoursToFull)} 후 100% 도달 예상` : '증가 추세'}`;
+                if (item.hoursToThreshold !== null) {
+                    description += ` (심각 임계치 ${item.threshold}%까지 ${formatDuration(item.hoursToThreshold)})`;
+                }
+                description += ` - 현재 ${round(item.current)}%, 시간당 +${item.slopePerHour}%p`;
+                return {
+                    type: 'forecast',
+                    ruleId: `forecast_${item.metric}`,
+                    name: definition.name,
+                    metric: item.metric,
+                    severity: this.options.severity,
+                    hostname: server.hostname,
+                    target: item.target,
+                    value: item.current,
+                    forecast: item,
+                    description,
+                    causes: definition.causes,
+                    solutions: definition.solutions,
+                    commands: definition.commands.map(fill)
+                };
+            });
+    }
+}
@@ -0,0 +1,264 @@
+/**
+ * OpenManager AI - 헤드리스 분석 코어
+ * 브라우저 없이(Node 스크립트, 백엔드, 테스트) 메모리의 서버 데이터로
+ * 상태 판단, 문제 감지, 자연어 질의, Agent 장애 점검, 보고서 생성을 실행합니다.
+ *
+ * 사용 예 (Node 20.19 이상 - package.json 없이 .js ES 모듈을 불러오려면 ES 모듈 자동 감지가 필요):
+ *   import { createHeadlessCore } from './headless.js';
+ *   const core = await createHeadlessCore({ records: servers });
+ *   core.getStatusSummary();                       // { critical: 2, error: 1, warning: 5, unknown: 0, maintenance: 1, normal: 21 }
+ *   core.getStaleServers();                        // 데이터 수신이 끊긴 서버 (마지막 수신 시각, 놓친 수집 횟수)
+ *   await core.query('CPU 사용률 높은 서버 찾아줘');
+ *   await core.checkServers();                     // Agent 장애 보고서 목록
+ *   core.startAgent({ intervalSeconds: 30 });       // Agent 자동 점검 시작 (core.getAgentStatus()로 마지막 점검 확인, close()로 중지)
+ *   core.getIncidentGroups();                      // 같은 원인의 장애를 묶은 그룹 (추정 근원, 영향 받은 호스트)
+ *   core.acknowledgeIncident(id, '홍길동');          // 장애 확인 (open → acknowledged, 조건이 사라지면 자동 resolved)
+ *   core.getDeliveryLog(id);                       // 장애 알림의 채널별 전송 기록 (config.js의 NOTIFIER 또는 options.notifier 설정)
+ *   await core.queryIncidents({ hostname, from, to, state }); // 저장된 장애 조회 (storage 옵션을 줄 때, 재시작 뒤에도 유지)
+ *   core.getBlastRadius();                         // 중단된 서비스/심각 서버별 의존 관계상 영향 범위
+ *   await createHeadlessCore({ records, quiet: true }); // 진행 로그 없이 (또는 logger 옵션으로 직접 지정)
+ *
+ * 명령줄에서는 analyze_servers.mjs를 사용하세요.
+ */
+
+import { AIProcessor } from './ai_processor.js';
+import { Agent } from './agent.js';
+import { MemoryDataSource } from './data_source.js';
+import { Notifier } from './notifier.js';
+import { PersistentStore } from './storage.js';
+import { CONFIG } from './config.js';
+import { buildProblemReport, buildAllProblemsReport, buildStatusSummaryReport } from './report_builder.js';
+import { analyzeBlastRadius } from './topology.js';
+import { countServersByStatus } from './server_status.js';
+
+// quiet 옵션의 로거 - 진행 로그는 버리고 경고와 오류는 stderr로
+const QUIET_LOGGER = {
+    log: () => {},
+    warn: (...args) => console.warn(...args),
+    error: (...args) => console.error(...args)
+};
+
+export class HeadlessCore {
+    /**
+     * @param {Object} [options]
+     * @param {Array} [options.records] 분석할 서버 레코드 (standard/fixed 형태, 같은 서버의 여러 시각은 이력으로 사용)
+     * @param {DataSource} [options.dataSource] records 대신 사용할 데이터 소스 (예: PrometheusSource)
+     * @param {Function} [options.onIncidents] Agent가 자동 점검이나 스트림 변경으로 새 장애를 감지하면 호출 (newIncidents) => void
+     * @param {Function} [options.onNotify] Agent가 장애 알림(새 장애, 심각도 상승, 반복)을 보낼 때 호출 ([{ incident, reason }]) => void
+     *   (알림은 Notifier로 전송되며, 모든 채널에서 실패하거나 전송 제한에 걸린 알림은 다음 점검에서 다시 보냄)
+     * @param {Object} [options.notifier] 알림 채널과 라우팅 규칙 (NOTIFIER 형식, 기본: config.js)
+     * @param {boolean|Object|PersistentStore} [options.storage] 장애/이력 영구 저장소 (true면 config.js의 STORAGE,
+     *   객체면 STORAGE 형식의 설정 또는 storage.js의 PersistentStore - 생략하면 저장하지 않음)
+     * @param {Object} [options.logger] AIProcessor와 Agent의 로거 (console과 같은 log/warn/error, 기본: console)
+     * @param {boolean} [options.quiet] true면 진행 로그(log)는 남기지 않고 경고와 오류만 출력 (logger를 주면 무시)
+     */
+    constructor(options = {}) {
+        this.logger = options.logger || (options.quiet ? QUIET_LOGGER : console);
+        this.dataSource = options.dataSource || new MemoryDataSource({ records: options.records || [] });
+        this.aiProcessor = new AIProcessor({ logger: this.logger });
+        this.notifier = new Notifier(options.notifier);
+        this.store = null;
+        if (options.storage instanceof PersistentStore) {
+            this.store = options.storage;
+        } else if (options.storage) {
+            this.store = new PersistentStore(options.storage === true ? CONFIG.STORAGE : options.storage);
+        }
+        this.agent = new Agent(this.aiProcessor, {
+            logger: this.logger,
+            onIncidents: options.onIncidents,
+            // 전송 결과를 돌려줘 Agent가 전해진 알림만 기록하도록 함 (실패/전송 제한은 다음 점검에서 다시 보냄)
+            onNotify: notifications => {
+                const deliveries = this.notifier.notify(notifications);
+                if (options.onNotify) options.onNotify(notifications);
+                return deliveries;
+            }
+        });
+    }
+
+    /**
+     * 데이터 소스에 연결하고 과거 이력까지 적재합니다.
+     * @returns {Promise<HeadlessCore>}
+     */
+    async connect() {
+        await this.dataSource.connect();
+        await this.aiProcessor.setDataSource(this.dataSource);
+        if (this.store) {
+            // 저장된 이력과 장애를 먼저 불러와야 점검 결과가 이어짐
+            await this.store.open();
+            await this.aiProcessor.attachStore(this.store);
+            await this.agent.attachStore(this.store);
+        }
+        this.agent.attachDataSource(this.dataSource);
+        return this;
+    }
+
+    // 현재 서버 데이터 (서버별 최신 레코드, 표준 스키마)
+    get servers() {
+        return this.dataSource.data;
+    }
+
+    /**
+     * 분석할 레코드를 교체합니다 (MemoryDataSource를 사용할 때만).
+     * @param {Array} records 서버 레코드 배열
+     */
+    setRecords(records) {
+        if (typeof this.dataSource.setRecords !== 'function') {
+            throw new Error('레코드 교체는 메모리 데이터 소스에서만 지원합니다.');
+        }
+        this.dataSource.setRecords(records);
+    }
+
+    // 대시보드(DataProcessor.getServerStatus)와 같은 기준의 서버 상태
+    getServerStatus(server) {
+        return this.aiProcessor.getEffectiveServerStatus(server);
+    }
+
+    // 서버별 상태 목록 [{ hostname, status }]
+    getStatuses() {
+        return this.servers.map(server => ({ hostname: server.hostname, status: this.getServerStatus(server) }));
+    }
+
+    // 상태별 서버 수 { critical, error, warning, unknown, maintenance, normal }
+    getStatusSummary() {
+        return countServersByStatus(this.getStatuses(), ({ status }) => status);
+    }
+
+    // 데이터 수신이 끊긴 서버 [{ hostname, stale }] (staleness.js의 getStaleness 결과, 상태는 'unknown')
+    getStaleServers() {
+        return this.aiProcessor.markStaleServers(this.servers)
+            .filter(server => server.stale)
+            .map(server => ({ hostname: server.hostname, stale: server.stale }));
+    }
+
+    // AIProcessor의 문제 감지 결과
+    detectProblems() {
+        return this.aiProcessor.detectProblems();
+    }
+
+    // 자연어 질의 분석 결과 (요청 유형, 대상 리소스 등)
+    analyzeQuery(query) {
+        return this.aiProcessor.analyzeQuery(query);
+    }
+
+    // 자연어 질의 응답
+    query(query) {
+        return this.aiProcessor.processQuery(query);
+    }
+
+    /**
+     * Agent로 모든 서버의 장애 조건을 점검합니다.
+     * @returns {Promise<Array>} 새로 감지된 장애 (없으면 빈 배열)
+     */
+    async checkServers() {
+        return (await this.agent.checkServersAndReport(this.servers)) || [];
+    }
+
+    /**
+     * Agent 자동 점검을 시작합니다 (새 장애는 options.onIncidents로 전달).
+     * @param {Object} [settings] AGENT 형식의 설정 (intervalSeconds, triggerOnDataUpdate)
+     * @returns {Promise<Array|null>} 첫 점검 결과
+     */
+    startAgent(settings) {
+        return this.agent.start(settings);
+    }
+
+    // Agent 자동 점검 실행 상태 (Agent.getStatus)
+    getAgentStatus() {
+        return this.agent.getStatus();
+    }
+
+    /**
+     * 장애를 상관 관계로 묶은 그룹 (추정 근원 서버, 영향 받은 호스트)
+     * @param {Array<Object>} [incidents] checkServers() 결과 (생략하면 Agent의 진행 중인 장애 전체)
+     * @returns {Array<Object>}
+     */
+    getIncidentGroups(incidents) {
+        return this.agent.getIncidentGroups(incidents);
+    }
+
+    // Agent 장애 목록 (state: 'open' | 'acknowledged' | 'resolved', 생략하면 진행 중이거나 최근 해결된 장애 전체)
+    getIncidents(state) {
+        return this.agent.getIncidents({ state });
+    }
+
+    // 장애 확인 처리 (Agent.acknowledgeIncident)
+    acknowledgeIncident(incidentId, by) {
+        return this.agent.acknowledgeIncident(incidentId, by);
+    }
+
+    // 장애 해결 처리 (Agent.resolveIncident)
+    resolveIncident(incidentId, by) {
+        return this.agent.resolveIncident(incidentId, by);
+    }
+
+    // 장애 알림의 채널별 전송 기록 (Notifier.getDeliveryLog, 최신 순)
+    getDeliveryLog(incidentId) {
+        return this.notifier.getDeliveryLog(incidentId);
+    }
+
+    /**
+     * 저장된 장애 조회 (storage 옵션이 없으면 빈 배열)
+     * @param {Object} [filter] { hostname, from, to, state, limit } (PersistentStore.queryIncidents)
+     * @returns {Promise<Array<Object>>}
+     */
+    async queryIncidents(filter) {
+        return this.store ? this.store.queryIncidents(filter) : [];
+    }
+
+    // 저장된 이력 포인트 조회 { hostname: [points] } (PersistentStore.queryHistory, storage 옵션이 없으면 빈 객체)
+    async queryHistory(filter) {
+        return this.store ? this.store.queryHistory(filter) : {};
+    }
+
+    // 저장된 장애 확인/해결 기록 조회 (PersistentStore.queryAcknowledgements, storage 옵션이 없으면 빈 배열)
+    async queryAcknowledgements(filter) {
+        return this.store ? this.store.queryAcknowledgements(filter) : [];
+    }
+
+    // 서비스 의존 관계 토폴로지 (topology.js의 buildTopology() 결과)
+    getTopology() {
+        return this.aiProcessor.getTopology();
+    }
+
+    // 장애 지점(중단된 서비스, 심각 서버)별 영향 범위 [{ source, impacted, hosts }]
+    getBlastRadius() {
+        return analyzeBlastRadius(this.getTopology());
+    }
+
+    // 심각도별 문제 보고서 (AIProcessor.generateErrorReport)
+    buildErrorReport() {
+        return this.aiProcessor.generateErrorReport();
+    }
+
+    // 상태별 서버 요약 보고서
+    buildStatusSummaryReport() {
+        return buildStatusSummaryReport(this.servers, server => this.getServerStatus(server));
+    }
+
+    // 감지된 모든 문제의 상세 보고서 (hostname을 주면 해당 서버 문제만)
+    buildProblemsReport(hostname) {
+        const problems = this.detectProblems().filter(problem => !hostname || problem.serverHostname === hostname);
+        const getStatus = server => this.getServerStatus(server);
+        if (hostname && problems.length === 1) {
+            const server = this.servers.find(item => item.hostname === hostname);
+            return buildProblemReport(problems[0], server, getStatus);
+        }
+        return buildAllProblemsReport(problems, this.servers, getStatus);
+    }
+
+    // Agent와 데이터 소스를 멈추고 저장소에 남은 변경을 씀
+    close() {
+        this.agent.stop();
+        this.dataSource.close();
+        return this.store ? this.store.close() : Promise.resolve();
+    }
+}
+
+/**
+ * 헤드리스 코어를 만들고 데이터 소스에 연결합니다.
+ * @param {Object} [options] HeadlessCore 생성자 옵션
+ * @returns {Promise<HeadlessCore>}
+ */
+export function createHeadlessCore(options = {}) {
+    return new HeadlessCore(options).connect();
+}
@@ -0,0 +1,180 @@
+/**
+ * OpenManager AI - 장애 상관 분석
+ * Agent가 서버별로 만든 장애를 시간 구간, 공유 서비스, 서버 유형, 오류 시그니처로 묶어
+ * 하나의 그룹 장애와 추정 근원 서버, 영향 받은 호스트 목록으로 보여줍니다.
+ * (예: DB가 중단되면 API/앱 서버마다 "Failed to connect to remote DB" 장애가 따로 생기는 대신 DB 장애 한 건으로 묶음)
+ *
+ * 같은 그룹으로 묶는 조건 (시간 구간 windowMinutes 안에 감지된 장애끼리):
+ *   - 같은 오류 시그니처 (숫자, IP, 호스트명 등을 지운 오류 메시지)
+ *   - 같은 서비스 중단 (예: 두 서버 모두 mysql 중단)
+ *   - 같은 서버 유형에서 같은 장애 조건 (예: web 서버 여러 대의 CPU 과부하)
+ *   - 의존 관계: 한 장애의 오류 메시지가 다른 장애 서버의 유형이나 중단된 서비스를 가리킴 (예: 'remote DB' → db 서버),
+ *     또는 토폴로지(topology.js)상 한 장애 서버가 다른 장애 서버의 영향 범위에 있음 (incident.impactedHosts)
+ *
+ * 설정은 config.js의 INCIDENT_CORRELATION입니다.
+ */
+
+import { CONFIG } from './config.js';
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    windowMinutes: 15,
+    dependencyKeywords: {
+        db: ['db', 'database', 'mysql', 'postgres', 'postgresql', 'oracle', '데이터베이스'],
+        cache: ['cache', 'redis', 'memcached', '캐시'],
+        api: ['api'],
+        web: ['web', 'nginx', 'apache'],
+        queue: ['queue', 'rabbitmq', 'kafka', '큐']
+    }
+};
+
+/**
+ * 오류 메시지의 시그니처 (같은 원인의 오류가 서버마다 조금씩 달라도 같은 값이 되도록 정규화)
+ * 예: 'ERROR: Failed to connect to remote DB from api. Timeout occurred. (ping DB_HOST ...)' → 'failed to connect to remote db. timeout occurred.'
+ * @param {string} message 오류 메시지
+ * @returns {string}
+ */
+export function errorSignature(message) {
+    return String(message || '')
+        .replace(/\s*\([^)]*\)\s*$/, '')                      // 끝의 확인 명령어 안내
+        .replace(/^\s*(critical|error|warning|warn|fatal)\s*:\s*/i, '') // 로그 수준 접두어
+        .toLowerCase()
+        .replace(/\bfrom\s+[\w-]+(?:\.[\w-]+)*/g, '')         // 발생 서버 (from api-kr-001)
+        .replace(/\b\d{1,3}(\.\d{1,3}){3}(:\d+)?\b/g, '#')    // IP:포트
+        .replace(/[\w-]+-\d+\b/g, '#')                        // 호스트명 (web-kr-001)
+        .replace(/\d+/g, '#')
+        .replace(/\s+/g, ' ')
+        .trim();
+}
+
+// 문장에 키워드가 단어로 들어 있는지 (영문은 단어 경계, 한글은 포함 여부)
+function mentions(text, keyword) {
+    if (/^[a-z0-9]+$/i.test(keyword)) {
+        return new RegExp(`\\b${keyword}\\b`, 'i').test(text);
+    }
+    return text.includes(keyword);
+}
+
+// 장애 하나에서 상관 분석에 쓰는 특징
+function describeIncident(incident, options) {
+    const errors = incident.errors || [];
+    const services = incident.stoppedServices || [];
+    const serverType = incident.serverType || null;
+    const keywords = [
+        ...(serverType ? [serverType, ...(options.dependencyKeywords[serverType] || [])] : []),
+        ...services
+    ];
+    return {
+        incident,
+        time: new Date(incident.timestamp).getTime(),
+        serverType,
+        services,
+        conditionIds: incident.conditionIds || [],
+        signatures: [...new Set(errors.map(errorSignature).filter(Boolean))],
+        errors,
+        keywords: [...new Set(keywords.map(keyword => keyword.toLowerCase()))]
+    };
+}
+
+// a의 오류 메시지가 b의 서버 유형이나 중단된 서비스를 가리키거나, 토폴로지상 a가 b의 영향 범위에 있는지 (a가 b에 의존)
+function dependsOn(a, b) {
+    if (a.incident.serverName === b.incident.serverName) return false;
+    if ((b.incident.impactedHosts || []).includes(a.incident.serverName)) return true;
+    return b.keywords.length > 0 &&
+        a.errors.some(error => b.keywords.some(keyword => mentions(error, keyword)));
+}
+
+// 두 장애를 같은 그룹으로 묶을 이유 (없으면 null)
+function linkReason(a, b) {
+    const shared = (x, y) => x.filter(item => y.includes(item));
+    const signatures = shared(a.signatures, b.signatures);
+    if (signatures.length > 0) return `같은 오류 (${signatures[0]})`;
+    const services = shared(a.services, b.services);
+    if (services.length > 0) return `같은 서비스 중단 (${services.join(', ')})`;
+    if (a.serverType && a.serverType === b.serverType && shared(a.conditionIds, b.conditionIds).length > 0) {
+        return `같은 유형(${a.serverType})의 같은 장애 조건`;
+    }
+    if (dependsOn(a, b) || dependsOn(b, a)) return '의존 관계';
+    return null;
+}
+
+/**
+ * 그룹의 추정 근원 장애: 다른 장애 서버가 가장 많이 의존하는 서버, 같으면 서비스 중단이 있는 서버, 그다음 가장 먼저 감지된 서버
+ * @returns {{hostname: string, serverType: string|null, reason: string}}
+ */
+function findOrigin(members) {
+    const scored = members.map(member => {
+        const dependents = members.filter(other => dependsOn(other, member));
+        return { member, dependents, score: dependents.length * 2 + (member.services.length > 0 ? 1 : 0) };
+    });
+    scored.sort((a, b) => b.score - a.score || a.member.time - b.member.time);
+    const { member, dependents } = scored[0];
+
+    const reasons = [];
+    if (dependents.length > 0) {
+        reasons.push(`다른 서버 ${dependents.length}대가 ${member.serverType || member.incident.serverName}에 의존`);
+    }
+    if (member.services.length > 0) reasons.push(`서비스 중단 (${member.services.join(', ')})`);
+    if (reasons.length === 0) reasons.push('가장 먼저 감지됨');
+    return { hostname: member.incident.serverName, serverType: member.serverType, reason: reasons.join(', ') };
+}
+
+/**
+ * 장애 목록을 상관 관계에 따라 그룹으로 묶습니다. 묶이지 않은 장애도 장애 하나짜리 그룹으로 반환합니다.
+ * @param {Array<Object>} incidents Agent 장애 { id, serverName, serverType, timestamp, conditions, conditionIds, stoppedServices, errors,
+ *   impactedHosts }
+ * @param {Object} [options] INCIDENT_CORRELATION 형식의 설정 (기본: config.js)
+ * @returns {Array<Object>} 그룹 { id, incidents, hosts, origin: { hostname, serverType, reason }, links, conditions,
+ *   startedAt, lastSeenAt, summary } - 최근에 감지된 그룹 순
+ */
+export function correlateIncidents(incidents, options = CONFIG.INCIDENT_CORRELATION) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const windowMs = settings.windowMinutes * 60 * 1000;
+    const members = (incidents || [])
+        .filter(Boolean)
+        .map(incident => describeIncident(incident, settings))
+        .sort((a, b) => a.time - b.time);
+
+    // 유니온 파인드로 연결된 장애끼리 묶음
+    const parent = members.map((member, index) => index);
+    const find = index => (parent[index] === index ? index : (parent[index] = find(parent[index])));
+    const links = [];
+    members.forEach((a, i) => {
+        for (let j = i + 1; j < members.length && members[j].time - a.time <= windowMs; j++) {
+            const reason = linkReason(a, members[j]);
+            if (!reason) continue;
+            parent[find(j)] = find(i);
+            links.push({ from: a.incident.serverName, to: members[j].incident.serverName, reason });
+        }
+    });
+
+    const clusters = new Map();
+    members.forEach((member, index) => {
+        const root = find(index);
+        if (!clusters.has(root)) clusters.set(root, []);
+        clusters.get(root).push(member);
+    });
+
+    return [...clusters.values()]
+        .map(cluster => {
+            const hosts = [...new Set(cluster.map(member => member.incident.serverName))];
+            const origin = findOrigin(cluster);
+            const conditions = [...new Set(cluster.flatMap(member => member.incident.conditions || []))];
+            const clusterLinks = links.filter(link => hosts.includes(link.from) && hosts.includes(link.to));
+            const affected = hosts.filter(host => host !== origin.hostname);
+            return {
+                id: `group-${origin.hostname}-${cluster[0].time}`,
+                incidents: cluster.map(member => member.incident),
+                hosts,
+                origin,
+                links: clusterLinks,
+                conditions,
+                startedAt: new Date(cluster[0].time),
+                lastSeenAt: new Date(cluster[cluster.length - 1].time),
+                summary: affected.length > 0
+                    ? `추정 근원 ${origin.hostname} (${origin.reason}) - 영향 받은 서버 ${affected.length}대: ${affected.join(', ')}`
+                    : `${origin.hostname}: ${conditions.join(', ')}`
+            };
+        })
+        .sort((a, b) => b.lastSeenAt - a.lastSeenAt);
+}
@@ -0,0 +1,179 @@
+/**
+ * OpenManager AI - 실시간 스트림 클라이언트
+ * 서버 전송 이벤트(SSE) 또는 WebSocket으로 서버별 변경분(delta)을 받아 원본 레코드 저장소에 병합합니다.
+ * (data_source.js의 LiveStreamSource에서 사용, 개발용 스트림 서버는 dev_stream_server.mjs)
+ *
+ * 메시지 형식 (JSON):
+ *   { "type": "snapshot", "servers": [ {서버 레코드}, ... ] }          // 전체 목록 (연결/재연결 직후)
+ *   { "type": "delta", "upsert": [ { "hostname": "web-001", "cpu_usage": 91.2 }, ... ],
+ *                      "remove": [ "batch-003" ] }                      // 변경된 서버만
+ *
+ * upsert 레코드는 기존 레코드에 최상위 필드 단위로 덮어씁니다 (disk, net 같은 배열/객체는 통째로 교체).
+ * SSE에서는 이벤트 이름(event: snapshot / delta)이 type을 대신할 수 있습니다.
+ */
+
+export const STREAM_TRANSPORTS = ['sse', 'websocket'];
+export const STREAM_MESSAGE_TYPES = ['snapshot', 'delta'];
+
+/**
+ * 스트림 메시지를 저장소에 병합하고 변경된 서버 목록을 반환합니다.
+ * @param {Map<string, Object>} store hostname → 원본 서버 레코드
+ * @param {Object} message snapshot 또는 delta 메시지
+ * @returns {{added: string[], changed: string[], removed: string[], delta: boolean}|null}
+ *          변경 목록 (delta가 true면 메시지에 담긴 서버만 바뀐 것), 해석할 수 없는 메시지는 null
+ */
+export function applyStreamMessage(store, message) {
+    if (!message || !STREAM_MESSAGE_TYPES.includes(message.type)) return null;
+
+    const changes = { added: [], changed: [], removed: [], delta: message.type === 'delta' };
+
+    if (message.type === 'snapshot') {
+        // 끊겨 있던 동안 사라진 서버도 반영되도록 저장소를 새 목록으로 교체
+        const previous = new Set(store.keys());
+        store.clear();
+        (message.servers || []).forEach(server => {
+            if (!server || !server.hostname) return;
+            store.set(server.hostname, server);
+            (previous.delete(server.hostname) ? changes.changed : changes.added).push(server.hostname);
+        });
+        changes.removed = [...previous];
+        return changes;
+    }
+
+    (message.upsert || []).forEach(patch => {
+        if (!patch || !patch.hostname) return;
+        const existing = store.get(patch.hostname);
+        store.set(patch.hostname, existing ? { ...existing, ...patch } : patch);
+        (existing ? changes.changed : changes.added).push(patch.hostname);
+    });
+    (message.remove || []).forEach(hostname => {
+        if (store.delete(hostname)) changes.removed.push(hostname);
+    });
+    return changes;
+}
+
+// 수신한 원문을 메시지 객체로 변환 (SSE 이벤트 이름이 있으면 type으로 사용)
+function parseStreamMessage(raw, eventType) {
+    try {
+        const message = JSON.parse(raw);
+        if (eventType && eventType !== 'message' && !message.type) {
+            message.type = eventType;
+        }
+        return message;
+    } catch (error) {
+        console.error('[LiveStreamClient] 메시지를 해석하지 못했습니다:', error);
+        return null;
+    }
+}
+
+/**
+ * SSE/WebSocket 연결을 관리하는 클라이언트. 연결이 끊기면 지수 백오프로 다시 연결합니다.
+ */
+export class LiveStreamClient {
+    /**
+     * @param {Object} options
+     * @param {string} options.url 스트림 주소 (SSE: http(s)://.../events, WebSocket: ws(s)://.../ws)
+     * @param {string} [options.transport] 'sse' | 'websocket' (기본 'sse')
+     * @param {number} [options.reconnectDelay] 첫 재연결 대기 시간 (밀리초)
+     * @param {number} [options.maxReconnectDelay] 재연결 대기 시간 상한 (밀리초)
+     * @param {Function} options.onMessage (message) => void
+     * @param {Function} [options.onStatusChange] ('open' | 'reconnecting' | 'closed') => void
+     */
+    constructor(options = {}) {
+        this.url = options.url;
+        this.transport = options.transport || 'sse';
+        if (!STREAM_TRANSPORTS.includes(this.transport)) {
+            throw new Error(`알 수 없는 스트림 전송 방식입니다: ${this.transport}`);
+        }
+        this.reconnectDelay = options.reconnectDelay || 1000;
+        this.maxReconnectDelay = options.maxReconnectDelay || 30 * 1000;
+        this.onMessage = options.onMessage || (() => {});
+        this.onStatusChange = options.onStatusChange || (() => {});
+        this.connection = null;
+        this.reconnectTimer = null;
+        this.retryCount = 0;
+        this.closed = false;
+    }
+
+    connect() {
+        this.closed = false;
+        if (this.transport === 'websocket') {
+            this.connectWebSocket();
+        } else {
+            this.connectEventSource();
+        }
+    }
+
+    connectEventSource() {
+        if (typeof EventSource !== 'function') {
+            throw new Error('이 환경은 EventSource(SSE)를 지원하지 않습니다.');
+        }
+        const source = new EventSource(this.url);
+        this.connection = source;
+
+        const handle = event => {
+            const message = parseStreamMessage(event.data, event.type);
+            if (message) this.onMessage(message);
+        };
+        source.onopen = () => this.handleOpen();
+        source.onmessage = handle;
+        STREAM_MESSAGE_TYPES.forEach(type => source.addEventListener(type, handle));
+        // 브라우저의 자동 재연결 대신 직접 백오프를 적용
+        source.onerror = () => this.handleDisconnect();
+    }
+
+    connectWebSocket() {
+        if (typeof WebSocket !== 'function') {
+            throw new Error('이 환경은 WebSocket을 지원하지 않습니다.');
+        }
+        const socket = new WebSocket(this.url);
+        this.connection = socket;
+
+        socket.onopen = () => this.handleOpen();
+        socket.onmessage = event => {
+            const message = parseStreamMessage(event.data);
+            if (message) this.onMessage(message);
+        };
+        socket.onclose = () => this.handleDisconnect();
+        socket.onerror = () => {}; // 오류 뒤에는 항상 close가 이어지므로 onclose에서 처리
+    }
+
+    handleOpen() {
+        this.retryCount = 0;
+        this.onStatusChange('open');
+    }
+
+    handleDisconnect() {
+        if (this.closed || this.reconnectTimer) return;
+        this.closeConnection();
+
+        const delay = Math.min(this.reconnectDelay * Math.pow(2, this.retryCount), this.maxReconnectDelay);
+        this.retryCount++;
+        console.warn(`[LiveStreamClient] 스트림 연결이 끊겼습니다. ${Math.round(delay / 1000)}초 후 다시 연결합니다 (${this.url})`);
+        this.onStatusChange('reconnecting');
+
+        this.reconnectTimer = setTimeout(() => {
+            this.reconnectTimer = null;
+            if (!this.closed) this.connect();
+        }, delay);
+    }
+
+    closeConnection() {
+        if (!this.connection) return;
+        const connection = this.connection;
+        this.connection = null;
+        connection.onopen = connection.onmessage = connection.onerror = null;
+        if ('onclose' in connection) connection.onclose = null;
+        connection.close();
+    }
+
+    close() {
+        this.closed = true;
+        if (this.reconnectTimer) {
+            clearTimeout(this.reconnectTimer);
+            this.reconnectTimer = null;
+        }
+        this.closeConnection();
+        this.onStatusChange('closed');
+    }
+}
@@ -0,0 +1,450 @@
+/**
+ * OpenManager AI - 장애 알림 전송
+ * Agent가 보내는 장애 알림(onNotify의 [{ incident, reason }])을 라우팅 규칙에 맞는 채널로 전송합니다.
+ *
+ * 채널 (config.js NOTIFIER.channels의 type):
+ *   - webhook: 일반 JSON 웹훅 (장애 정보를 그대로 POST)
+ *   - slack: Slack 수신 웹훅 (text + blocks)
+ *   - teams: Microsoft Teams 수신 웹훅 (MessageCard)
+ *   - email: SMTP 메일 (Node 전용 - 평문 SMTP와 AUTH LOGIN만 지원하므로 내부 릴레이나 dev_notify_receiver.mjs에 사용)
+ *   - browser: 브라우저 알림 (Notification API, 권한이 허용된 경우에만 - 브라우저는 사용자 클릭에서만 권한 요청을 허용하므로
+ *     Agent 점검 중에는 요청하지 않고, 대시보드의 알림 허용 버튼에서 requestBrowserPermission()으로 요청)
+ *
+ * 라우팅 (NOTIFIER.routes): 장애의 심각도, 서버 유형, 환경, 장애 조건 ID, 알림 이유가 match와 맞는 규칙의 채널로 모두 보냅니다.
+ * match에 없는 항목은 조건으로 보지 않으며, stop: true인 규칙이 맞으면 그 뒤의 규칙은 보지 않습니다.
+ * 채널마다 throttle 구간 안의 전송 수를 제한하고, 장애별 전송 기록(getDeliveryLog)을 남깁니다.
+ *
+ * 로컬에서 채널을 시험하려면 dev_notify_receiver.mjs(모의 웹훅/SMTP 수신기)를 실행하세요.
+ */
+
+import { CONFIG } from './config.js';
+import { getStatusLabel, getStatusWeight } from './server_status.js';
+
+// 지원하는 채널 유형
+export const CHANNEL_TYPES = ['webhook', 'slack', 'teams', 'email', 'browser'];
+
+// 전송 결과
+export const DELIVERY_STATUSES = {
+    SENT: 'sent',
+    FAILED: 'failed',
+    THROTTLED: 'throttled',
+    SKIPPED: 'skipped'
+};
+
+// 알림 이유 표시 이름 (Agent.dispatchNotifications의 reason)
+const REASON_LABELS = {
+    opened: '장애 발생',
+    escalated: '심각도 상승',
+    repeat: '장애 지속'
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    channels: [],
+    routes: [],
+    throttle: { windowMinutes: 10, maxPerWindow: 20 },
+    deliveryLogSize: 50,
+    maxLoggedIncidents: 200,
+    timeoutMs: 5000
+};
+
+const MINUTE_MS = 60 * 1000;
+
+// 단일 값이나 목록을 목록으로
+const toList = value => (value === undefined || value === null ? [] : [].concat(value));
+
+/**
+ * 알림 하나가 라우팅 규칙의 match와 맞는지 확인합니다.
+ * @param {Object} match { severity, minSeverity, serverType, environment, conditionId, reason } - 각 항목은 값 하나나 목록
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {boolean}
+ */
+export function matchesRoute(match = {}, { incident, reason }) {
+    const allows = (allowed, value) => allowed.length === 0 || allowed.includes(value);
+    if (!allows(toList(match.severity), incident.severity)) return false;
+    if (match.minSeverity && getStatusWeight(incident.severity) < getStatusWeight(match.minSeverity)) return false;
+    if (!allows(toList(match.serverType), incident.serverType)) return false;
+    if (!allows(toList(match.environment), incident.environment)) return false;
+    if (!allows(toList(match.reason), reason)) return false;
+    const conditionIds = toList(match.conditionId);
+    return conditionIds.length === 0 || (incident.conditionIds || []).some(id => conditionIds.includes(id));
+}
+
+/**
+ * 알림을 보낼 채널 ID (라우팅 규칙 순서대로, 중복 제외)
+ * @param {Array<Object>} routes 라우팅 규칙 { name, match, channels, stop }
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {string[]}
+ */
+export function resolveChannels(routes, notification) {
+    const channelIds = [];
+    for (const route of routes || []) {
+        if (!matchesRoute(route.match, notification)) continue;
+        toList(route.channels).forEach(id => {
+            if (!channelIds.includes(id)) channelIds.push(id);
+        });
+        if (route.stop) break;
+    }
+    return channelIds;
+}
+
+// 알림 제목 (예: '[심각] db-001 장애 발생: 서비스 중단, 디스크 사용률')
+function formatTitle({ incident, reason }) {
+    return `[${getStatusLabel(incident.severity)}] ${incident.serverName} ${REASON_LABELS[reason] || reason}: ${(incident.conditions || []).join(', ')}`;
+}
+
+// 알림 본문의 항목 (이름, 값)
+function describeNotification({ incident, reason }) {
+    return [
+        ['서버', incident.serverName],
+        ['심각도', getStatusLabel(incident.severity)],
+        ['상태', incident.state],
+        ['알림 이유', REASON_LABELS[reason] || reason],
+        ['서버 유형', incident.serverType || '-'],
+        ['환경', incident.environment || '-'],
+        ['장애 조건', (incident.conditions || []).join(', ')],
+        ['감지 시각', new Date(incident.timestamp).toLocaleString()],
+        ['영향 범위', incident.impact || '-']
+    ];
+}
+
+/**
+ * 일반 웹훅 본문
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {Object} { type, reason, title, incident: { id, serverName, ... } }
+ */
+export function buildWebhookPayload(notification) {
+    const { incident, reason } = notification;
+    return {
+        type: 'incident',
+        reason,
+        title: formatTitle(notification),
+        incident: {
+            id: incident.id,
+            serverName: incident.serverName,
+            serverType: incident.serverType || null,
+            environment: incident.environment || null,
+            severity: incident.severity,
+            state: incident.state,
+            conditions: incident.conditions || [],
+            conditionIds: incident.conditionIds || [],
+            stoppedServices: incident.stoppedServices || [],
+            errors: incident.errors || [],
+            impactedHosts: incident.impactedHosts || [],
+            timestamp: new Date(incident.timestamp).toISOString(),
+            lastSeenAt: incident.lastSeenAt ? new Date(incident.lastSeenAt).toISOString() : null
+        }
+    };
+}
+
+/**
+ * Slack 수신 웹훅 본문
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {Object} { text, blocks }
+ */
+export function buildSlackPayload(notification) {
+    const title = formatTitle(notification);
+    return {
+        text: title,
+        blocks: [
+            { type: 'header', text: { type: 'plain_text', text: title.slice(0, 150) } },
+            {
+                type: 'section',
+                fields: describeNotification(notification).map(([name, value]) => ({ type: 'mrkdwn', text: `*${name}*\n${value}` })).slice(0, 10)
+            }
+        ]
+    };
+}
+
+/**
+ * Microsoft Teams 수신 웹훅 본문 (MessageCard)
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {Object}
+ */
+export function buildTeamsPayload(notification) {
+    const colors = { critical: 'DC3545', error: 'FD7E14', warning: 'FFC107' };
+    return {
+        '@type': 'MessageCard',
+        '@context': 'https://schema.org/extensions',
+        summary: formatTitle(notification),
+        themeColor: colors[notification.incident.severity] || '6C757D',
+        title: formatTitle(notification),
+        sections: [{ facts: describeNotification(notification).map(([name, value]) => ({ name, value: String(value) })) }]
+    };
+}
+
+/**
+ * 메일 제목과 본문 (텍스트)
+ * @param {{incident: Object, reason: string}} notification Agent 알림
+ * @returns {{subject: string, text: string}}
+ */
+export function buildEmailMessage(notification) {
+    const lines = describeNotification(notification).map(([name, value]) => `${name}: ${value}`);
+    const errors = notification.incident.errors || [];
+    if (errors.length > 0) {
+        lines.push('', '오류 메시지:', ...errors.map(error => `  - ${error}`));
+    }
+    return { subject: formatTitle(notification), text: lines.join('\r\n') };
+}
+
+// 응답 줄을 모아 SMTP 응답(여러 줄 응답은 마지막 'NNN ' 줄)을 하나씩 돌려주는 읽기 도구
+function createSmtpReader(socket) {
+    let buffer = '';
+    const waiting = [];
+    const responses = [];
+    socket.on('data', chunk => {
+        buffer += chunk.toString('utf8');
+        let match;
+        while ((match = buffer.match(/^(\d{3}) [^\r\n]*\r?\n/m))) {
+            const end = match.index + match[0].length;
+            const response = { code: Number(match[1]), text: buffer.slice(0, end).trim() };
+            buffer = buffer.slice(end);
+            if (waiting.length > 0) waiting.shift()(response);
+            else responses.push(response);
+        }
+    });
+    return () => (responses.length > 0 ? Promise.resolve(responses.shift()) : new Promise(resolve => waiting.push(resolve)));
+}
+
+/**
+ * 평문 SMTP로 메일을 보냅니다 (Node 전용, STARTTLS/SMTPS는 지원하지 않음).
+ * @param {Object} smtp { host, port, from, to, username, password, heloName }
+ * @param {{subject: string, text: string}} message buildEmailMessage() 결과
+ * @param {number} [timeoutMs] 전체 전송 제한 시간
+ * @returns {Promise<string>} 서버의 마지막 응답 (DATA 전송 후)
+ */
+export async function sendSmtpMail(smtp, message, timeoutMs = DEFAULT_OPTIONS.timeoutMs) {
+    if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+        throw new Error('메일 채널은 Node.js에서만 사용할 수 있습니다.');
+    }
+    const recipients = toList(smtp.to);
+    if (!smtp.host || !smtp.from || recipients.length === 0) {
+        throw new Error('메일 채널에는 smtp.host, smtp.from, smtp.to 설정이 필요합니다.');
+    }
+
+    const net = await import('node:net');
+    const socket = net.createConnection({ host: smtp.host, port: smtp.port || 25 });
+    const read = createSmtpReader(socket);
+    // 제한 시간은 대화 전체에 적용 (유휴 시간 제한만 두면 조금씩 응답을 흘리는 서버에서 끝나지 않음)
+    let timer = null;
+    const failure = new Promise((resolve, reject) => {
+        socket.on('error', reject);
+        timer = setTimeout(() => {
+            reject(new Error(`SMTP 전송 시간 초과 (${timeoutMs}ms, ${smtp.host}:${smtp.port || 25})`));
+            socket.destroy();
+        }, timeoutMs);
+    });
+    failure.catch(() => {}); // 전송이 끝난 뒤의 소켓 오류는 무시
+    // 명령을 보내고 기대한 응답 코드인지 확인
+    const expect = async (command, code) => {
+        if (command !== null) socket.write(`${command}\r\n`);
+        const response = await Promise.race([read(), failure]);
+        if (response.code !== code) {
+            throw new Error(`SMTP 오류 (${command ? command.split(' ')[0] : '연결'}): ${response.text}`);
+        }
+        return response.text;
+    };
+    const encodeHeader = text => `=?UTF-8?B?${Buffer.from(text, 'utf8').toString('base64')}?=`;
+
+    try {
+        await expect(null, 220);
+        await expect(`EHLO ${smtp.heloName || 'openmanager-ai'}`, 250);
+        if (smtp.username) {
+            await expect('AUTH LOGIN', 334);
+            await expect(Buffer.from(smtp.username).toString('base64'), 334);
+            await expect(Buffer.from(smtp.password || '').toString('base64'), 235);
+        }
+        await expect(`MAIL FROM:<${smtp.from}>`, 250);
+        for (const recipient of recipients) {
+            await expect(`RCPT TO:<${recipient}>`, 250);
+        }
+        await expect('DATA', 354);
+        const body = [
+            `From: ${smtp.from}`,
+            `To: ${recipients.join(', ')}`,
+            `Subject: ${encodeHeader(message.subject)}`,
+            `Date: ${new Date().toUTCString()}`,
+            'MIME-Version: 1.0',
+            'Content-Type: text/plain; charset=UTF-8',
+            'Content-Transfer-Encoding: base64',
+            '',
+            Buffer.from(message.text, 'utf8').toString('base64').replace(/.{76}/g, '$&\r\n')
+        ].join('\r\n');
+        const reply = await expect(`${body}\r\n.`, 250);
+        socket.write('QUIT\r\n');
+        return reply;
+    } finally {
+        clearTimeout(timer);
+        socket.end();
+    }
+}
+
+// 제한 시간이 있는 JSON POST
+async function postJson(url, payload, headers, timeoutMs) {
+    if (!url) throw new Error('웹훅 채널에는 url 설정이 필요합니다.');
+    const controller = typeof AbortController === 'function' ? new AbortController() : null;
+    const timer = controller ? setTimeout(() => controller.abort(), timeoutMs) : null;
+    try {
+        const response = await fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...headers },
+            body: JSON.stringify(payload),
+            signal: controller ? controller.signal : undefined
+        });
+        if (!response.ok) {
+            throw new Error(`웹훅 응답 오류 (${response.status} ${url})`);
+        }
+        return `HTTP ${response.status}`;
+    } catch (error) {
+        if (error.name === 'AbortError') throw new Error(`웹훅 응답 시간 초과 (${url})`);
+        throw error;
+    } finally {
+        if (timer) clearTimeout(timer);
+    }
+}
+
+// 브라우저 알림 지원 여부
+function supportsBrowserNotification() {
+    return typeof window !== 'undefined' && typeof window.Notification === 'function';
+}
+
+// 브라우저 알림 (권한이 허용된 경우에만 표시하고 아니면 건너뜀 - 권한 요청은 requestBrowserPermission()에서)
+async function showBrowserNotification(notification) {
+    if (!supportsBrowserNotification()) {
+        return { status: DELIVERY_STATUSES.SKIPPED, detail: '브라우저 알림을 지원하지 않는 환경' };
+    }
+    const permission = window.Notification.permission;
+    if (permission !== 'granted') {
+        const detail = permission === 'denied' ? '브라우저 알림 권한 거부됨' : '브라우저 알림 권한 없음 (대시보드의 알림 허용 버튼으로 요청)';
+        return { status: DELIVERY_STATUSES.SKIPPED, detail };
+    }
+    const { incident } = notification;
+    new window.Notification(formatTitle(notification), {
+        body: incident.impact ? `영향 범위: ${incident.impact}` : (incident.errors || [])[0] || '',
+        tag: incident.id // 같은 장애의 알림은 하나로 교체
+    });
+    return { status: DELIVERY_STATUSES.SENT, detail: '브라우저 알림 표시' };
+}
+
+export class Notifier {
+    /**
+     * @param {Object} [options] NOTIFIER 형식의 설정 (기본: config.js)
+     */
+    constructor(options = CONFIG.NOTIFIER) {
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.deliveryLog = new Map(); // 장애 ID → 전송 기록 (최신 순)
+        this.sentTimes = new Map();   // 채널 ID → throttle 구간 안의 전송 시각
+    }
+
+    // 채널 설정 (ID로 찾기)
+    getChannel(channelId) {
+        return this.options.channels.find(channel => channel.id === channelId) || null;
+    }
+
+    // 브라우저 알림 권한 ('granted' | 'denied' | 'default'), 켜진 browser 채널이 없거나 지원하지 않는 환경이면 null
+    getBrowserPermission() {
+        const hasBrowserChannel = this.options.channels.some(channel => channel.type === 'browser' && channel.enabled !== false);
+        if (!this.options.enabled || !hasBrowserChannel || !supportsBrowserNotification()) return null;
+        return window.Notification.permission;
+    }
+
+    /**
+     * 아직 묻지 않았으면 브라우저 알림 권한을 요청합니다.
+     * 브라우저는 사용자 동작 밖의 권한 요청을 막으므로 클릭 핸들러(대시보드의 알림 허용 버튼)에서 호출해야 합니다.
+     * @returns {Promise<string|null>} 요청 후 권한 (getBrowserPermission()과 같은 값)
+     */
+    async requestBrowserPermission() {
+        const permission = this.getBrowserPermission();
+        if (permission !== 'default') return permission;
+        return window.Notification.requestPermission();
+    }
+
+    /**
+     * Agent 알림을 라우팅 규칙에 맞는 채널로 보냅니다. 전송 실패는 기록만 하고 예외를 던지지 않습니다.
+     * @param {Array<{incident: Object, reason: string}>} notifications Agent.dispatchNotifications() 결과
+     * @returns {Promise<Array<Object>>} 전송 기록 { at, incidentId, channel, type, reason, status, detail }
+     */
+    async notify(notifications) {
+        if (!this.options.enabled) return [];
+        const deliveries = [];
+        for (const notification of toList(notifications)) {
+            for (const channelId of resolveChannels(this.options.routes, notification)) {
+                deliveries.push(await this.deliver(channelId, notification));
+            }
+        }
+        return deliveries;
+    }
+
+    // 채널 하나로 전송하고 전송 기록을 남김
+    async deliver(channelId, notification) {
+        const channel = this.getChannel(channelId);
+        let result;
+        if (!channel || !CHANNEL_TYPES.includes(channel.type)) {
+            result = { status: DELIVERY_STATUSES.FAILED, detail: channel ? `지원하지 않는 채널 유형: ${channel.type}` : `설정에 없는 채널: ${channelId}` };
+        } else if (channel.enabled === false) {
+            result = { status: DELIVERY_STATUSES.SKIPPED, detail: '꺼진 채널' };
+        } else if (this.isThrottled(channel)) {
+            result = { status: DELIVERY_STATUSES.THROTTLED, detail: '전송 제한 초과' };
+        } else {
+            try {
+                result = await this.send(channel, notification);
+            } catch (error) {
+                result = { status: DELIVERY_STATUSES.FAILED, detail: error.message };
+            }
+        }
+        if (result.status === DELIVERY_STATUSES.SENT) {
+            this.sentTimes.get(channel.id).push(Date.now());
+        } else if (result.status === DELIVERY_STATUSES.FAILED) {
+            console.warn(`[Notifier] ${channelId} 전송 실패 (${notification.incident.id}): ${result.detail}`);
+        }
+        return this.logDelivery(notification, channel ? channel.type : null, channelId, result);
+    }
+
+    // 채널 유형별 전송
+    async send(channel, notification) {
+        const timeoutMs = channel.timeoutMs || this.options.timeoutMs;
+        switch (channel.type) {
+            case 'webhook':
+                return { status: DELIVERY_STATUSES.SENT, detail: await postJson(channel.url, buildWebhookPayload(notification), channel.headers, timeoutMs) };
+            case 'slack':
+                return { status: DELIVERY_STATUSES.SENT, detail: await postJson(channel.url, buildSlackPayload(notification), channel.headers, timeoutMs) };
+            case 'teams':
+                return { status: DELIVERY_STATUSES.SENT, detail: await postJson(channel.url, buildTeamsPayload(notification), channel.headers, timeoutMs) };
+            case 'email':
+                return { status: DELIVERY_STATUSES.SENT, detail: await sendSmtpMail(channel.smtp || {}, buildEmailMessage(notification), timeoutMs) };
+            default:
+                return showBrowserNotification(notification);
+        }
+    }
+
+    // 채널의 throttle 구간 안 전송 수가 한도에 닿았는지 (채널의 throttle이 기본 설정보다 우선)
+    isThrottled(channel) {
+        const throttle = { ...this.options.throttle, ...channel.throttle };
+        const since = Date.now() - throttle.windowMinutes * MINUTE_MS;
+        const times = (this.sentTimes.get(channel.id) || []).filter(time => time > since);
+        this.sentTimes.set(channel.id, times);
+        return times.length >= throttle.maxPerWindow;
+    }
+
+    // 장애별 전송 기록 추가 (장애마다 deliveryLogSize건, 최근 알림을 보낸 장애 maxLoggedIncidents개까지)
+    logDelivery({ incident, reason }, type, channelId, result) {
+        const entry = { at: new Date(), incidentId: incident.id, channel: channelId, type, reason, status: result.status, detail: result.detail };
+        const log = this.deliveryLog.get(incident.id) || [];
+        this.deliveryLog.delete(incident.id); // 다시 넣어 Map의 가장 최근 순서로
+        this.deliveryLog.set(incident.id, [entry, ...log].slice(0, this.options.deliveryLogSize));
+        if (this.deliveryLog.size > this.options.maxLoggedIncidents) {
+            this.deliveryLog.delete(this.deliveryLog.keys().next().value);
+        }
+        return entry;
+    }
+
+    /**
+     * 장애의 전송 기록
+     * @param {string} incidentId 장애 ID
+     * @returns {Array<Object>} { at, incidentId, channel, type, reason, status, detail } (최신 순)
+     */
+    getDeliveryLog(incidentId) {
+        return this.deliveryLog.get(incidentId) || [];
+    }
+}
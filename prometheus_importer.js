@@ -0,0 +1,341 @@
+/**
+ * OpenManager AI - Prometheus / node_exporter 가져오기
+ * Prometheus 텍스트 형식(exposition format)을 파싱하여 표준 서버 레코드(server_schema.js)로 변환합니다.
+ * 카운터(node_cpu_seconds_total, node_network_*_total)는 이전 스크랩과의 차이로 사용률/증가량을 계산합니다.
+ *
+ * 사용 예:
+ *   const importer = new PrometheusImporter();
+ *   importer.importScrape(text1, { hostname: 'web-kr-001', timestamp: t1 });
+ *   const [server] = importer.importScrape(text2, { hostname: 'web-kr-001', timestamp: t2 });
+ */
+
+import { normalizeStandardRecord } from './server_schema.js';
+
+// 디스크 사용률 계산에서 제외할 가상 파일시스템
+const IGNORED_FSTYPES = ['tmpfs', 'devtmpfs', 'overlay', 'squashfs', 'proc', 'sysfs', 'nsfs', 'autofs', 'ramfs', 'fuse.lxcfs'];
+// 네트워크 합산에서 제외할 인터페이스 접두어
+const IGNORED_INTERFACE_PREFIXES = ['lo', 'veth', 'docker', 'br-', 'virbr'];
+
+// 라벨 값 이스케이프 해제 (\\, \", \n)
+function unescapeLabelValue(value) {
+    return value.replace(/\\(n|"|\\)/g, (match, char) => (char === 'n' ? '\n' : char));
+}
+
+function parseSampleValue(value) {
+    if (value === '+Inf') return Infinity;
+    if (value === '-Inf') return -Infinity;
+    if (value === 'NaN') return NaN;
+    return parseFloat(value);
+}
+
+/**
+ * Prometheus 텍스트 형식을 샘플 배열로 파싱합니다.
+ * @param {string} text 스크랩 결과 텍스트
+ * @returns {Array<{name: string, labels: Object<string, string>, value: number, timestamp: (number|null)}>}
+ */
+export function parsePrometheusText(text) {
+    const samples = [];
+    const labelPattern = /([a-zA-Z_][a-zA-Z0-9_]*)\s*=\s*"((?:[^"\\]|\\.)*)"\s*,?/g;
+
+    String(text || '').split(/\r?\n/).forEach((rawLine, index) => {
+        const line = rawLine.trim();
+        if (!line || line.startsWith('#')) return; // 빈 줄, HELP/TYPE 주석
+
+        let name;
+        let labels = {};
+        let rest;
+
+        const braceIndex = line.indexOf('{');
+        const spaceIndex = line.search(/\s/);
+        if (braceIndex !== -1 && (spaceIndex === -1 || braceIndex < spaceIndex)) {
+            const closeIndex = line.lastIndexOf('}');
+            if (closeIndex === -1) {
+                console.warn(`[PrometheusImporter] ${index + 1}번째 줄의 라벨 형식이 올바르지 않습니다: ${line}`);
+                return;
+            }
+            name = line.slice(0, braceIndex);
+            const labelText = line.slice(braceIndex + 1, closeIndex);
+            let match;
+            labelPattern.lastIndex = 0;
+            while ((match = labelPattern.exec(labelText)) !== null) {
+                labels[match[1]] = unescapeLabelValue(match[2]);
+            }
+            rest = line.slice(closeIndex + 1).trim();
+        } else {
+            name = line.slice(0, spaceIndex);
+            rest = line.slice(spaceIndex).trim();
+        }
+
+        const [valueText, timestampText] = rest.split(/\s+/);
+        const value = parseSampleValue(valueText);
+        if (!name || valueText === undefined || (isNaN(value) && valueText !== 'NaN')) {
+            console.warn(`[PrometheusImporter] ${index + 1}번째 줄을 해석할 수 없습니다: ${line}`);
+            return;
+        }
+
+        samples.push({
+            name,
+            labels,
+            value,
+            timestamp: timestampText !== undefined ? parseInt(timestampText, 10) : null
+        });
+    });
+
+    return samples;
+}
+
+// 카운터 증가량 (카운터 리셋 시 현재 값을 증가량으로 사용 - Prometheus increase()와 동일)
+function counterIncrease(current, previous) {
+    if (previous === undefined || previous === null) return null;
+    return current >= previous ? current - previous : current;
+}
+
+function sumSamples(samples, predicate = () => true) {
+    return samples.filter(predicate).reduce((sum, sample) => sum + sample.value, 0);
+}
+
+function isIgnoredInterface(device) {
+    return IGNORED_INTERFACE_PREFIXES.some(prefix => device.startsWith(prefix));
+}
+
+export class PrometheusImporter {
+    /**
+     * @param {Object} [options]
+     * @param {string[]} [options.services] 수집할 systemd 유닛 이름 목록 (없으면 전체)
+     * @param {string} [options.serverType] 생성되는 레코드의 server_type 기본값
+     */
+    constructor(options = {}) {
+        this.options = options;
+        this.previousCounters = {}; // 호스트별 직전 스크랩의 카운터 값
+    }
+
+    /**
+     * 스크랩 텍스트를 표준 서버 레코드로 변환합니다.
+     * instance 라벨이 있는 경우(페더레이션 결과) 인스턴스별로 레코드를 만듭니다.
+     * @param {string} text Prometheus 텍스트 형식 스크랩 결과
+     * @param {Object} [scrapeOptions]
+     * @param {string} [scrapeOptions.hostname] 호스트명 (없으면 node_uname_info의 nodename 또는 instance 라벨)
+     * @param {number|string|Date} [scrapeOptions.timestamp] 스크랩 시각 (없으면 샘플 타임스탬프 또는 현재 시각 -
+     *   현재 시각을 쓴 스크랩은 직전 스크랩과의 간격을 알 수 없어 전송률(*_bytes_per_sec)이 null)
+     * @param {number|string|Date} [scrapeOptions.fetchedAt] 샘플 타임스탬프가 없을 때 쓸 스크랩 시각 (importFromUrl이 가져온 시각을 지정)
+     * @param {string} [scrapeOptions.serverType] 서버 유형
+     * @param {string} [scrapeOptions.location] 리전 또는 IDC
+     * @returns {Array<ServerRecord>}
+     */
+    importScrape(text, scrapeOptions = {}) {
+        const samples = parsePrometheusText(text);
+
+        // instance 라벨 기준으로 그룹화 (단일 node_exporter 스크랩이면 그룹 하나)
+        const groups = {};
+        samples.forEach(sample => {
+            const key = sample.labels.instance || '';
+            if (!groups[key]) groups[key] = [];
+            groups[key].push(sample);
+        });
+
+        return Object.entries(groups).map(([instance, group]) => {
+            const nodeInfo = group.find(sample => sample.name === 'node_uname_info');
+            const hostname = (Object.keys(groups).length === 1 && scrapeOptions.hostname) ||
+                (nodeInfo && nodeInfo.labels.nodename) ||
+                instance.split(':')[0] ||
+                scrapeOptions.hostname;
+            if (!hostname) {
+                throw new Error('호스트명을 알 수 없습니다. hostname 옵션을 지정하거나 node_uname_info 메트릭을 포함하세요.');
+            }
+            return this.buildRecord(hostname, group, scrapeOptions);
+        });
+    }
+
+    // 호스트 하나의 샘플로 표준 레코드 생성
+    buildRecord(hostname, samples, scrapeOptions) {
+        const byName = name => samples.filter(sample => sample.name === name);
+        const firstValue = name => {
+            const found = samples.find(sample => sample.name === name);
+            return found ? found.value : null;
+        };
+
+        const sampleTimestamp = samples.find(sample => sample.timestamp !== null);
+        // 스크랩 시각: timestamp 옵션 > 샘플 타임스탬프 > fetchedAt 옵션 (모두 없으면 레코드에는 현재 시각을 쓰되 간격 계산에는 쓰지 않음)
+        const scrapedAt = scrapeOptions.timestamp !== undefined ? new Date(scrapeOptions.timestamp).getTime()
+            : sampleTimestamp ? sampleTimestamp.timestamp
+            : scrapeOptions.fetchedAt !== undefined ? new Date(scrapeOptions.fetchedAt).getTime()
+            : null;
+        const timestampKnown = scrapedAt !== null;
+        const timestamp = timestampKnown ? scrapedAt : Date.now();
+        const previous = this.previousCounters[hostname] || null;
+        // 전송률은 두 스크랩의 실제 시각 차이로만 계산 (현재 시각으로 대신하면 저장된 파일을 연달아 읽을 때 간격이 0에 가까워 값이 터무니없이 커짐)
+        const elapsedSeconds = previous && timestampKnown && previous.timestampKnown ? (timestamp - previous.timestamp) / 1000 : null;
+        if (previous && elapsedSeconds === null) {
+            console.warn(`[PrometheusImporter] ${hostname}: 스크랩 시각이 없어 전송률을 계산하지 않습니다 (timestamp 옵션이나 샘플 타임스탬프 필요).`);
+        }
+
+        // 1. CPU: idle 비율의 변화량으로 사용률 계산 (첫 스크랩은 부팅 이후 누적값 기준)
+        const cpuSamples = byName('node_cpu_seconds_total');
+        const cpuTotal = sumSamples(cpuSamples);
+        const cpuIdle = sumSamples(cpuSamples, sample => sample.labels.mode === 'idle');
+        let cpuUsage = cpuTotal > 0 ? (1 - cpuIdle / cpuTotal) * 100 : 0;
+        if (previous) {
+            const totalDelta = counterIncrease(cpuTotal, previous.cpuTotal);
+            const idleDelta = counterIncrease(cpuIdle, previous.cpuIdle);
+            if (totalDelta > 0) {
+                cpuUsage = (1 - idleDelta / totalDelta) * 100;
+            }
+        }
+
+        // 2. 메모리: (MemTotal - MemAvailable) / MemTotal
+        const memTotal = firstValue('node_memory_MemTotal_bytes');
+        const memAvailable = firstValue('node_memory_MemAvailable_bytes') !== null
+            ? firstValue('node_memory_MemAvailable_bytes')
+            : (firstValue('node_memory_MemFree_bytes') || 0) + (firstValue('node_memory_Buffers_bytes') || 0) + (firstValue('node_memory_Cached_bytes') || 0);
+        const memoryUsage = memTotal > 0 ? ((memTotal - memAvailable) / memTotal) * 100 : 0;
+
+        // 3. 디스크: 마운트 지점별 사용률 (가상 파일시스템 제외, 루트가 첫 번째)
+        const disks = [];
+        byName('node_filesystem_size_bytes').forEach(sizeSample => {
+            const { mountpoint, device, fstype } = sizeSample.labels;
+            if (!mountpoint || IGNORED_FSTYPES.includes(fstype) || sizeSample.value <= 0) return;
+            if (disks.some(disk => disk.mount === mountpoint)) return;
+
+            const matchLabels = sample => sample.labels.mountpoint === mountpoint && sample.labels.device === device;
+            const avail = samples.find(sample => sample.name === 'node_filesystem_avail_bytes' && matchLabels(sample));
+            const free = samples.find(sample => sample.name === 'node_filesystem_free_bytes' && matchLabels(sample));
+            const availBytes = avail ? avail.value : (free ? free.value : 0);
+            const freeBytes = free ? free.value : availBytes;
+
+            disks.push({
+                mount: mountpoint,
+                device: device || null,
+                fstype: fstype || null,
+                disk_total: sizeSample.value,
+                disk_used: sizeSample.value - freeBytes,
+                disk_usage_percent: parseFloat((((sizeSample.value - availBytes) / sizeSample.value) * 100).toFixed(2))
+            });
+        });
+        disks.sort((a, b) => (a.mount === '/' ? -1 : b.mount === '/' ? 1 : a.mount.localeCompare(b.mount)));
+
+        // 4. 네트워크: 물리 인터페이스 합산(net) 및 인터페이스별 목록(net_interfaces), 오류는 직전 스크랩 대비 증가량
+        const isPhysical = sample => sample.labels.device && !isIgnoredInterface(sample.labels.device);
+        const rxBytes = sumSamples(byName('node_network_receive_bytes_total'), isPhysical);
+        const txBytes = sumSamples(byName('node_network_transmit_bytes_total'), isPhysical);
+        const rxErrs = sumSamples(byName('node_network_receive_errs_total'), isPhysical);
+        const txErrs = sumSamples(byName('node_network_transmit_errs_total'), isPhysical);
+        const primaryInterface = byName('node_network_receive_bytes_total').find(isPhysical);
+
+        const rate = (current, previousValue) => {
+            const increase = counterIncrease(current, previousValue);
+            return increase === null || !(elapsedSeconds > 0) ? null : parseFloat((increase / elapsedSeconds).toFixed(2));
+        };
+
+        // 인터페이스별 카운터 (오류/전송률은 인터페이스마다 직전 스크랩 대비 증가량)
+        const interfaceCounters = {};
+        byName('node_network_receive_bytes_total').filter(isPhysical).forEach(sample => {
+            const device = sample.labels.device;
+            const deviceValue = name => {
+                const found = samples.find(item => item.name === name && item.labels.device === device);
+                return found ? found.value : 0;
+            };
+            interfaceCounters[device] = {
+                rxBytes: sample.value,
+                txBytes: deviceValue('node_network_transmit_bytes_total'),
+                rxErrs: deviceValue('node_network_receive_errs_total'),
+                txErrs: deviceValue('node_network_transmit_errs_total')
+            };
+        });
+        const netInterfaces = Object.entries(interfaceCounters).map(([device, counters]) => {
+            const previousCounters = previous && previous.interfaces ? previous.interfaces[device] : null;
+            return {
+                interface: device,
+                rx_bytes: counters.rxBytes,
+                tx_bytes: counters.txBytes,
+                rx_bytes_per_sec: previousCounters ? rate(counters.rxBytes, previousCounters.rxBytes) : null,
+                tx_bytes_per_sec: previousCounters ? rate(counters.txBytes, previousCounters.txBytes) : null,
+                rx_errors: previousCounters ? counterIncrease(counters.rxErrs, previousCounters.rxErrs) : 0,
+                tx_errors: previousCounters ? counterIncrease(counters.txErrs, previousCounters.txErrs) : 0
+            };
+        });
+
+        // 5. systemd 유닛 상태: active → running, failed/inactive → stopped
+        const services = {};
+        byName('node_systemd_unit_state').forEach(sample => {
+            if (sample.value !== 1) return;
+            const name = (sample.labels.name || '').replace(/\.service$/, '');
+            if (!name || (this.options.services && !this.options.services.includes(name))) return;
+            if (sample.labels.state === 'active') services[name] = 'running';
+            else if (sample.labels.state === 'failed' || sample.labels.state === 'inactive') services[name] = 'stopped';
+        });
+
+        const errors = Object.entries(services)
+            .filter(([, state]) => state === 'stopped')
+            .map(([name]) => `ERROR: systemd unit ${name}.service is not active (systemctl status ${name} 확인 필요)`);
+
+        const zombieSample = samples.find(sample => sample.name === 'node_processes_state' && sample.labels.state === 'Z');
+        const processCount = firstValue('node_processes_pids');
+
+        this.previousCounters[hostname] = {
+            timestamp,
+            timestampKnown,
+            cpuTotal,
+            cpuIdle,
+            rxBytes,
+            txBytes,
+            rxErrs,
+            txErrs,
+            interfaces: interfaceCounters
+        };
+
+        return normalizeStandardRecord({
+            hostname,
+            server_type: scrapeOptions.serverType || this.options.serverType || null,
+            location: scrapeOptions.location || null,
+            timestamp: new Date(timestamp).toISOString(),
+            cpu_usage: parseFloat(Math.min(Math.max(cpuUsage, 0), 100).toFixed(2)),
+            memory_total: memTotal,
+            memory_usage_percent: parseFloat(Math.min(Math.max(memoryUsage, 0), 100).toFixed(2)),
+            disk: disks,
+            net: {
+                interface: primaryInterface ? primaryInterface.labels.device : 'eth0',
+                rx_bytes: rxBytes,
+                tx_bytes: txBytes,
+                rx_bytes_per_sec: previous ? rate(rxBytes, previous.rxBytes) : null,
+                tx_bytes_per_sec: previous ? rate(txBytes, previous.txBytes) : null,
+                rx_errors: previous ? counterIncrease(rxErrs, previous.rxErrs) : 0,
+                tx_errors: previous ? counterIncrease(txErrs, previous.txErrs) : 0
+            },
+            net_interfaces: netInterfaces,
+            load_avg_1m: firstValue('node_load1'),
+            process_count: processCount,
+            zombie_count: zombieSample ? zombieSample.value : 0,
+            services,
+            errors
+        });
+    }
+
+    /**
+     * 호스트의 이전 스크랩 기록을 삭제합니다 (없으면 전체 삭제).
+     * @param {string} [hostname]
+     */
+    reset(hostname) {
+        if (hostname) {
+            delete this.previousCounters[hostname];
+        } else {
+            this.previousCounters = {};
+        }
+    }
+}
+
+/**
+ * URL(node_exporter의 /metrics 또는 저장된 스크랩 파일)에서 텍스트를 가져와 변환합니다.
+ * @param {PrometheusImporter} importer 카운터 상태를 유지하는 가져오기 인스턴스
+ * @param {string} url 스크랩 URL
+ * @param {Object} [scrapeOptions] importScrape 옵션 (headers 포함 가능)
+ * @returns {Promise<Array<ServerRecord>>}
+ */
+export async function importFromUrl(importer, url, scrapeOptions = {}) {
+    const response = await fetch(url, { headers: scrapeOptions.headers || {} });
+    if (!response.ok) {
+        throw new Error(`스크랩 결과를 가져오지 못했습니다 (${response.status} ${url})`);
+    }
+    // 실시간 /metrics는 샘플 타임스탬프가 없으므로 가져온 시각을 스크랩 시각으로 사용 (저장된 파일은 샘플 타임스탬프 우선)
+    const fetchedAt = Date.now();
+    return importer.importScrape(await response.text(), { fetchedAt, ...scrapeOptions });
+}
@@ -0,0 +1,159 @@
+/**
+ * OpenManager AI - 장애 보고서 생성기
+ * 장애 보고서 텍스트를 DOM 없이 만듭니다. 브라우저에서는 DataProcessor가 파일로 내려받고,
+ * Node에서는 headless.js와 analyze_servers.mjs가 그대로 출력합니다.
+ */
+
+import { SERVER_STATUSES, evaluateServerStatus, countServersByStatus, getStatusLabel, formatDiskUsage, formatNetworkReport } from './server_status.js';
+import { formatExpectedRange } from './anomaly_detector.js';
+
+const REPORT_RULE = '=========================================\n';
+
+// 문제 하나의 요약/서버 정보/리소스/원인/해결 방법/오류 로그 본문 (오류 로그가 있으면 마지막 줄바꿈 없이 끝남)
+function buildProblemSection(problem, server, status) {
+    let section = `[문제 요약]\n`;
+    section += `심각도: ${getStatusLabel(problem.severity)}\n`;
+    section += `설명: ${problem.description}\n`;
+    if (problem.expected) {
+        // 이상 징후: 서버 이력 기준선의 예상 범위와 관측 값
+        section += `관측 값: ${problem.observed}% (예상 범위 ${formatExpectedRange(problem.expected)}, 기준선 ${problem.expected.method === 'seasonal' ? '지난 며칠 같은 시간대' : 'EWMA'})\n`;
+    }
+    if (problem.forecast) {
+        // 예측 경고: 최근 추세와 100% 도달 예상 시각
+        section += `추세: 시간당 +${problem.forecast.slopePerHour}%p` +
+            (problem.forecast.fullAt ? `, 100% 도달 예상 ${new Date(problem.forecast.fullAt).toLocaleString()}` : '') + `\n`;
+    }
+    if (problem.impact) {
+        // 서비스 의존 관계상 이 문제에 영향 받는 구성 요소
+        section += `영향 범위: 서버 ${problem.impact.hosts.length}대 - ${problem.impact.summary}\n`;
+    }
+    section += `\n`;
+
+    section += `[서버 정보]\n`;
+    section += `호스트명: ${server.hostname}\n`;
+    section += `IP: ${server.ip}\n`;
+    section += `OS: ${server.os}\n`;
+    section += `상태: ${getStatusLabel(status)}\n\n`;
+
+    section += `[리소스 현황]\n`;
+    section += `CPU 사용률: ${server.cpu_usage}%\n`;
+    section += `메모리 사용률: ${server.memory_usage_percent}%\n`;
+    section += `디스크 사용률: ${formatDiskUsage(server)}\n`;
+    section += formatNetworkReport(server) + '\n';
+
+    if (problem.causes && problem.causes.length) {
+        section += `[추정 원인]\n`;
+        problem.causes.forEach((cause, index) => {
+            section += `${index + 1}. ${cause}\n`;
+        });
+        section += `\n`;
+    }
+
+    section += `[해결 방법]\n`;
+    const solutions = problem.solutions || [problem.solution || "해결 방법 데이터 없음"];
+    solutions.forEach((solution, index) => {
+        section += `${index + 1}. ${solution}\n`;
+    });
+    section += `\n`;
+
+    if (server.errors && server.errors.length) {
+        section += `[오류 로그]\n`;
+        server.errors.forEach((error, index) => {
+            section += `${index + 1}. ${error}\n`;
+        });
+    }
+    return section;
+}
+
+/**
+ * 서버 한 대의 문제에 대한 장애 보고서
+ * @param {Object} problem AIProcessor.detectProblems() 항목
+ * @param {ServerRecord} server 문제가 발생한 서버
+ * @param {Function} [getStatus] 서버 상태 판단 함수 (기본: evaluateServerStatus)
+ * @returns {string}
+ */
+export function buildProblemReport(problem, server, getStatus = evaluateServerStatus) {
+    let report = REPORT_RULE;
+    report += `    OpenManager AI 자동 장애 보고서\n`;
+    report += REPORT_RULE + '\n';
+    report += `[생성 일시]: ${new Date().toLocaleString()}\n\n`;
+    report += buildProblemSection(problem, server, getStatus(server));
+    report += `\n${REPORT_RULE}`;
+    report += `이 보고서는 OpenManager AI에 의해 자동 생성되었습니다.\n`;
+    report += `문의: support@openmanager.ai\n`;
+    return report;
+}
+
+/**
+ * 감지된 모든 문제를 묶은 장애 보고서 (서버를 찾을 수 없는 문제는 제외)
+ * @param {Array<Object>} problems AIProcessor.detectProblems() 결과
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {Function} [getStatus] 서버 상태 판단 함수 (기본: evaluateServerStatus)
+ * @returns {string}
+ */
+export function buildAllProblemsReport(problems, servers, getStatus = evaluateServerStatus) {
+    let report = REPORT_RULE;
+    report += `    OpenManager AI 자동 장애 보고서 (전체)\n`;
+    report += REPORT_RULE + '\n';
+    report += `[생성 일시]: ${new Date().toLocaleString()}\n`;
+    report += `[총 문제 수]: ${problems.length}개\n\n`;
+
+    problems.forEach((problem, index) => {
+        const server = servers.find(s => s.hostname === problem.serverHostname);
+        if (!server) return;
+
+        report += `\n${REPORT_RULE}`;
+        report += `문제 #${index + 1}: ${getStatusLabel(problem.severity)} - ${server.hostname}\n`;
+        report += REPORT_RULE + '\n';
+        report += buildProblemSection(problem, server, getStatus(server));
+        if (server.errors && server.errors.length) {
+            report += `\n`;
+        }
+    });
+
+    report += `\n${REPORT_RULE}`;
+    report += `이 보고서는 OpenManager AI에 의해 자동 생성되었습니다.\n`;
+    report += `생성 일시: ${new Date().toLocaleString()}\n`;
+    report += `문의: support@openmanager.ai\n`;
+    return report;
+}
+
+/**
+ * 상태별 서버 수와 심각/오류/경고/알 수 없음 서버의 리소스 현황을 정리한 상태 보고서 (마크다운)
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {Function} [getStatus] 서버 상태 판단 함수 (기본: evaluateServerStatus)
+ * @returns {string}
+ */
+export function buildStatusSummaryReport(servers, getStatus = evaluateServerStatus) {
+    const counts = countServersByStatus(servers, getStatus);
+
+    let report = '# 서버 상태 보고서\n\n';
+    report += `생성 시간: ${new Date().toLocaleString()}\n\n`;
+
+    report += `## 서버 상태 요약\n\n`;
+    report += `- 총 서버 수: ${servers.length}\n`;
+    [...SERVER_STATUSES].reverse().forEach(status => {
+        report += `- ${getStatusLabel(status)}: ${counts[status]}\n`;
+    });
+    report += `\n`;
+
+    const appendServers = (title, list) => {
+        if (list.length === 0) return;
+        report += `## ${title}\n\n`;
+        list.forEach(server => {
+            report += `### ${server.hostname}\n`;
+            report += `- CPU: ${server.cpu_usage}%\n`;
+            report += `- 메모리: ${server.memory_usage_percent}%\n`;
+            report += `- 디스크: ${formatDiskUsage(server)}\n`;
+            if (server.errors && server.errors.length > 0) {
+                report += `- 오류: ${server.errors.join(', ')}\n`;
+            }
+            report += `\n`;
+        });
+    };
+    appendServers('심각한 상태의 서버', servers.filter(s => getStatus(s) === 'critical'));
+    appendServers('오류 상태의 서버', servers.filter(s => getStatus(s) === 'error'));
+    appendServers('경고 상태의 서버', servers.filter(s => getStatus(s) === 'warning'));
+    appendServers('상태를 알 수 없는 서버 (메트릭 없음)', servers.filter(s => getStatus(s) === 'unknown'));
+    return report;
+}
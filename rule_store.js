@@ -0,0 +1,214 @@
+/**
+ * OpenManager AI - 규칙 저장소
+ * 대시보드 규칙 편집기에서 만든 규칙을 브라우저(localStorage)에 저장하고,
+ * JSON으로 내보내고 가져오며, 편집 중인 규칙이 현재 서버 중 어디에 일치하는지 미리 봅니다.
+ * DOM을 사용하지 않으므로 Node에서도 JSON 변환과 미리보기를 그대로 쓸 수 있습니다.
+ *
+ * 내보내기 형식:
+ *   { "version": 1, "exportedAt": "2025-01-01T00:00:00.000Z", "rules": [ ...rules_engine.js 규칙 형식 ] }
+ * 가져오기는 위 형식과 규칙 배열만 있는 JSON을 모두 받습니다.
+ */
+
+import { RULE_METRICS, RulesEngine, validateRule } from './rules_engine.js';
+
+export const RULE_STORAGE_KEY = 'openmanager.rules';
+export const RULE_EXPORT_VERSION = 1;
+
+// 저장소를 지정하지 않으면 브라우저의 localStorage (Node나 차단된 환경에서는 null)
+function getDefaultStorage() {
+    try {
+        return typeof localStorage !== 'undefined' ? localStorage : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * JSON 텍스트에서 규칙 목록을 읽고 검증합니다.
+ * @param {string} text 내보내기 형식 또는 규칙 배열 JSON
+ * @returns {{rules: Array<Object>, errors: string[]}} 오류가 하나라도 있으면 rules는 빈 배열
+ */
+export function parseRulesJson(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (error) {
+        return { rules: [], errors: [`JSON 형식이 올바르지 않습니다: ${error.message}`] };
+    }
+    const rules = Array.isArray(data) ? data : data && data.rules;
+    if (!Array.isArray(rules)) {
+        return { rules: [], errors: ['규칙 배열(rules)을 찾을 수 없습니다.'] };
+    }
+
+    const errors = [];
+    rules.forEach((rule, index) => {
+        const result = validateRule(rule);
+        if (!result.valid) {
+            errors.push(`${index + 1}번째 규칙${rule && rule.id ? ` (${rule.id})` : ''}: ${result.errors.join(', ')}`);
+        }
+    });
+    const ids = rules.map(rule => rule && rule.id).filter(Boolean);
+    [...new Set(ids.filter((id, index) => ids.indexOf(id) !== index))]
+        .forEach(id => errors.push(`규칙 ID가 중복됩니다: ${id}`));
+    return { rules: errors.length === 0 ? rules : [], errors };
+}
+
+/**
+ * 규칙 목록을 내보내기 형식의 JSON 텍스트로 만듭니다.
+ * @param {Array<Object>} rules 규칙 목록
+ * @returns {string}
+ */
+export function serializeRules(rules) {
+    return JSON.stringify({ version: RULE_EXPORT_VERSION, exportedAt: new Date().toISOString(), rules }, null, 2);
+}
+
+/**
+ * 저장된 규칙을 불러옵니다.
+ * @param {Storage} [storage] 기본: localStorage
+ * @returns {Array<Object>|null} 저장된 규칙이 없거나 읽을 수 없으면 null
+ */
+export function loadStoredRules(storage = getDefaultStorage()) {
+    if (!storage) return null;
+    try {
+        const text = storage.getItem(RULE_STORAGE_KEY);
+        if (!text) return null;
+        const { rules, errors } = parseRulesJson(text);
+        if (errors.length > 0) {
+            console.warn('[RuleStore] 저장된 규칙을 사용할 수 없습니다:', errors);
+            return null;
+        }
+        return rules;
+    } catch (error) {
+        console.warn('[RuleStore] 저장된 규칙을 읽지 못했습니다:', error);
+        return null;
+    }
+}
+
+/**
+ * 규칙을 저장합니다.
+ * @param {Array<Object>} rules 규칙 목록
+ * @param {Storage} [storage] 기본: localStorage
+ * @returns {boolean} 저장 성공 여부
+ */
+export function saveStoredRules(rules, storage = getDefaultStorage()) {
+    if (!storage) return false;
+    try {
+        storage.setItem(RULE_STORAGE_KEY, serializeRules(rules));
+        return true;
+    } catch (error) {
+        console.warn('[RuleStore] 규칙을 저장하지 못했습니다:', error);
+        return false;
+    }
+}
+
+// 저장된 규칙 삭제 (기본 규칙으로 복원할 때)
+export function clearStoredRules(storage = getDefaultStorage()) {
+    if (!storage) return;
+    try {
+        storage.removeItem(RULE_STORAGE_KEY);
+    } catch (error) {
+        console.warn('[RuleStore] 저장된 규칙을 삭제하지 못했습니다:', error);
+    }
+}
+
+// 여러 줄 입력을 목록으로 (빈 줄 제외)
+function splitLines(text) {
+    return String(text || '').split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+// 선택 숫자 입력 (비어 있으면 undefined, 숫자가 아니면 원래 문자열을 넘겨 validateRule이 오류를 보고)
+function parseOptionalNumber(text) {
+    const value = String(text === undefined || text === null ? '' : text).trim();
+    if (value === '') return undefined;
+    return Number.isNaN(Number(value)) ? value : Number(value);
+}
+
+/**
+ * 규칙 편집 양식의 입력값으로 규칙 객체를 만듭니다.
+ * 숫자 지표(단위가 있는 지표)의 임계치는 숫자로, contains 연산자의 임계치는 쉼표로 구분한 키워드 목록으로 변환합니다.
+ * @param {Object} values 양식 입력값 (id, name, topic, description, severity, metric, operator, threshold,
+ *   consecutive, window, aggregate, recovery, causes, solutions, commands는 문자열, enabled는 boolean)
+ * @returns {Object} 규칙 (비어 있는 선택 항목은 생략)
+ */
+export function buildRuleFromForm(values) {
+    const metric = RULE_METRICS[values.metric];
+    const thresholdText = String(values.threshold || '').trim();
+    let threshold = thresholdText;
+    if (values.operator === 'contains') {
+        const keywords = thresholdText.split(',').map(keyword => keyword.trim()).filter(Boolean);
+        threshold = keywords.length > 1 ? keywords : keywords[0] || '';
+    } else if (metric && metric.unit && thresholdText !== '') {
+        threshold = parseOptionalNumber(thresholdText);
+    }
+
+    const rule = {
+        id: String(values.id || '').trim(),
+        name: String(values.name || '').trim() || undefined,
+        topic: String(values.topic || '').trim() || undefined,
+        metric: values.metric,
+        operator: values.operator,
+        threshold,
+        severity: values.severity,
+        description: String(values.description || '').trim() || undefined,
+        causes: splitLines(values.causes),
+        solutions: splitLines(values.solutions),
+        commands: splitLines(values.commands),
+        consecutive: parseOptionalNumber(values.consecutive),
+        window: parseOptionalNumber(values.window),
+        aggregate: parseOptionalNumber(values.window) !== undefined ? (values.aggregate || 'avg') : undefined,
+        recovery: parseOptionalNumber(values.recovery),
+        enabled: values.enabled === false ? false : undefined
+    };
+    Object.keys(rule).forEach(key => rule[key] === undefined && delete rule[key]);
+    return rule;
+}
+
+/**
+ * 규칙을 편집 양식 입력값으로 바꿉니다 (buildRuleFromForm의 반대).
+ * @param {Object} rule 규칙
+ * @returns {Object}
+ */
+export function ruleToFormValues(rule) {
+    const text = value => (value === undefined || value === null ? '' : String(value));
+    return {
+        id: text(rule.id),
+        name: text(rule.name),
+        topic: text(rule.topic),
+        description: text(rule.description),
+        severity: rule.severity || 'warning',
+        metric: rule.metric || 'cpu_usage',
+        operator: rule.operator || '>=',
+        threshold: [].concat(rule.threshold === undefined ? [] : rule.threshold).join(', '),
+        consecutive: text(rule.consecutive),
+        window: text(rule.window),
+        aggregate: rule.aggregate || 'avg',
+        recovery: text(rule.recovery),
+        causes: (rule.causes || []).join('\n'),
+        solutions: (rule.solutions || []).join('\n'),
+        commands: (rule.commands || []).join('\n'),
+        enabled: rule.enabled !== false
+    };
+}
+
+/**
+ * 편집 중인 규칙 하나를 현재 서버에 평가해 일치하는 서버를 미리 봅니다.
+ * 다른 규칙과의 심각도 중복 제거 없이 이 규칙만 평가하며, 서버별 임계치 프로필은 적용합니다.
+ * @param {Object} rule 규칙
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {Object} [options]
+ * @param {Object} [options.profiles] THRESHOLD_PROFILES 형식의 임계치 프로필 (기본: config.js)
+ * @param {Function} [options.getHistory] 서버의 과거 샘플을 돌려주는 함수 (AIProcessor.getRuleHistory)
+ * @returns {{errors: string[], findings: Array<Object>, serverCount: number}} serverCount는 일치한 서버 수
+ */
+export function previewRuleMatches(rule, servers, options = {}) {
+    const { valid, errors } = validateRule(rule);
+    if (!valid) return { errors, findings: [], serverCount: 0 };
+
+    // 비활성 규칙도 조건이 어디에 일치하는지는 보여 줌
+    const engine = new RulesEngine([{ ...rule, enabled: true }], { profiles: options.profiles });
+    const findings = servers.flatMap(server => engine.evaluate(server, {
+        history: options.getHistory ? options.getHistory(server) : []
+    }));
+    return { errors: [], findings, serverCount: new Set(findings.map(finding => finding.hostname)).size };
+}
+
@@ -0,0 +1,585 @@
+/**
+ * OpenManager AI - 규칙 엔진
+ * 서버 상태 판단 규칙을 선언적으로 정의하고 하나의 평가기로 실행합니다.
+ * 상태 배지(DataProcessor), 문제 목록과 질의 응답(AIProcessor), 장애 감지(Agent), 보고서가
+ * 모두 같은 규칙 평가 결과를 사용하므로 화면마다 상태가 다르게 나오지 않습니다.
+ *
+ * 규칙 형식 (JSON으로 저장할 수 있도록 함수 없이 정의):
+ *   {
+ *     id: 'critical_cpu',              // 규칙 ID
+ *     name: 'CPU 과부하',               // 문제 유형 이름 (문제 분석, Agent 장애 조건에 표시)
+ *     topic: 'cpu_high',               // 자연어 질의의 해결 방법 주제 (AIProcessor.analyzeQuery의 target)
+ *     metric: 'cpu_usage',             // RULE_METRICS의 키
+ *     operator: '>=',                  // RULE_OPERATORS의 키
+ *     threshold: 90,                   // 비교 값 (contains는 문자열 또는 문자열 배열)
+ *     severity: 'critical',            // 'critical' | 'error' | 'warning'
+ *     description: 'CPU 과부하 ({value}%)',  // 문제 설명 ({value}, {target}, {threshold}, {command} 치환)
+ *     causes: [...], solutions: [...], commands: [...]  // 추정 원인, 해결 방법, 확인 명령어 (명령어도 치환)
+ *
+ *     // 선택: 지속 시간/복구 조건 (AIProcessor의 이력 데이터로 평가, 이력이 없으면 현재 값만 사용)
+ *     consecutive: 3,                  // 최근 N개 샘플 연속으로 조건을 만족해야 일치 (이력이 N개보다 적으면 있는 샘플 모두)
+ *     window: 30, aggregate: 'avg',    // 현재 값 대신 최근 30분 집계값(avg | max | min)으로 비교
+ *     recovery: 85                     // 한 번 일치하면 값이 복구 임계치 조건(같은 연산자)을 벗어날 때까지 유지
+ *   }
+ *
+ * 서버 유형/환경/호스트별 임계치는 threshold_profiles.js의 프로필로 덮어씁니다.
+ */
+
+import { CONFIG } from './config.js';
+import { getDisks, getDiskThreshold, getNetInterfaces } from './server_schema.js';
+import { resolveThresholdProfile, applyThresholdProfile, getProfileKey, isUpperBoundRule } from './threshold_profiles.js';
+
+// 심각도 우선순위 (높을수록 심각)
+const SEVERITY_RANK = { normal: 0, warning: 1, error: 2, critical: 3 };
+
+// 규칙에 지정할 수 있는 심각도 (심각한 순)
+export const RULE_SEVERITIES = ['critical', 'error', 'warning'];
+
+/**
+ * 규칙에서 사용할 수 있는 지표. collect는 서버에서 평가 대상 값을 모읍니다
+ * (마운트/인터페이스/서비스/오류 메시지처럼 여러 개인 지표는 대상마다 하나씩).
+ */
+export const RULE_METRICS = {
+    cpu_usage: {
+        label: 'CPU 사용률',
+        unit: '%',
+        collect: server => [{ target: null, value: server.cpu_usage }]
+    },
+    memory_usage_percent: {
+        label: '메모리 사용률',
+        unit: '%',
+        collect: server => [{ target: null, value: server.memory_usage_percent }]
+    },
+    disk_usage_percent: {
+        label: '디스크 사용률 (마운트별)',
+        unit: '%',
+        collect: server => getDisks(server).map(disk => ({ target: disk.mount, value: disk.disk_usage_percent })),
+        // 마운트별 임계치(config.js의 DISK_MOUNT_THRESHOLDS)가 있으면 규칙 임계치 대신 사용
+        resolveThreshold: (target, severity, threshold) => getDiskThreshold(target, severity, threshold)
+    },
+    net_errors: {
+        label: '네트워크 오류 수 (인터페이스별)',
+        unit: '개',
+        collect: server => getNetInterfaces(server).map(item => ({
+            target: item.interface,
+            value: (item.rx_errors || 0) + (item.tx_errors || 0)
+        }))
+    },
+    zombie_count: {
+        label: '좀비 프로세스 수',
+        unit: '개',
+        collect: server => [{ target: null, value: server.zombie_count }]
+    },
+    service_state: {
+        label: '서비스 상태',
+        unit: '',
+        collect: server => Object.entries(server.services || {}).map(([name, state]) => ({ target: name, value: state }))
+    },
+    error_message: {
+        label: '오류 메시지',
+        unit: '',
+        // 메시지 끝 괄호 속 명령어는 설명에서 빼고 {command}로 제공 (예: 'Disk full (df -h)')
+        collect: server => (server.errors || [])
+            .filter(error => typeof error === 'string')
+            .map(error => {
+                const commandMatch = error.match(/\(([^)]+)\)$/);
+                return {
+                    target: error.replace(/\s*\([^)]*\)$/, ''),
+                    value: error,
+                    command: commandMatch ? commandMatch[1] : 'journalctl -f'
+                };
+            })
+    }
+};
+
+// 비교 연산자 (contains는 대소문자 무시, 배열이면 하나라도 포함되면 일치)
+export const RULE_OPERATORS = {
+    '>=': (value, threshold) => value >= threshold,
+    '>': (value, threshold) => value > threshold,
+    '<=': (value, threshold) => value <= threshold,
+    '<': (value, threshold) => value < threshold,
+    '==': (value, threshold) => value === threshold,
+    '!=': (value, threshold) => value !== threshold,
+    'contains': (value, threshold) => typeof value === 'string' &&
+        [].concat(threshold).some(keyword => value.toLowerCase().includes(String(keyword).toLowerCase()))
+};
+
+// 기본 규칙 (같은 지표/대상에 여러 규칙이 일치하면 가장 심각한 규칙만 문제로 보고)
+// CPU/메모리는 샘플 하나의 순간 급증으로 상태가 오르내리지 않도록 연속 조건과 복구 임계치를 둠
+export const DEFAULT_RULES = [
+    // --- CRITICAL ---
+    {
+        id: 'critical_cpu',
+        name: 'CPU 과부하',
+        topic: 'cpu_high',
+        metric: 'cpu_usage',
+        operator: '>=',
+        threshold: 90,
+        severity: 'critical',
+        consecutive: 2,
+        recovery: 85,
+        description: 'CPU 과부하 ({value}%)',
+        causes: ['과도한 부하를 일으키는 프로세스 실행 중', '시스템 자원 부족으로 인한 경합 상태', 'CPU 바운드 작업(인코딩, 계산) 과다 실행', '악성 프로세스'],
+        solutions: ['불필요한 프로세스를 종료하거나 자원을 확장하세요.', '애플리케이션 최적화', '서버 스케일업', '로드 밸런싱'],
+        commands: ['top -c -b -n 1 | head -20', 'ps aux --sort=-%cpu | head -10', 'mpstat -P ALL', 'vmstat 1 5']
+    },
+    {
+        id: 'critical_memory',
+        name: '메모리 부족',
+        topic: 'memory_high',
+        metric: 'memory_usage_percent',
+        operator: '>=',
+        threshold: 90,
+        severity: 'critical',
+        consecutive: 2,
+        recovery: 85,
+        description: '메모리 부족 ({value}%)',
+        causes: ['메모리 누수가 발생하는 프로세스', '스왑 공간 부족', '메모리 캐시 설정 오류', '불필요한 서비스 과다 실행'],
+        solutions: ['메모리 누수 확인 또는 자원을 확장하세요.', 'OOM 로그 분석 (dmesg)', '애플리케이션 재시작/디버깅', 'swap 공간 확인/추가'],
+        commands: ['free -m', 'ps aux --sort=-%mem | head -10', 'vmstat -s', 'cat /proc/meminfo', 'dmesg | grep -i memory']
+    },
+    {
+        id: 'critical_disk',
+        name: '디스크 공간 부족',
+        topic: 'disk_full',
+        metric: 'disk_usage_percent',
+        operator: '>=',
+        threshold: 90,
+        severity: 'critical',
+        description: '디스크 공간 부족 ({target} {value}%)',
+        causes: ['로그 파일 과다 누적', '임시 파일 미정리', '대용량 데이터 파일 증가', '백업 파일 과다'],
+        solutions: ['불필요한 파일을 제거하거나 디스크 공간을 확장하세요.', '오래된 로그/임시파일 삭제', '로그 로테이션 설정', '디스크 확장/정리'],
+        commands: ['df -h {target}', 'du -xsh {target}/* | sort -hr | head -10', 'find {target} -xdev -type f -size +100M -exec ls -lh {} \\;', 'find /var/log -name "*.log" -size +50M']
+    },
+    {
+        id: 'service_down',
+        name: '서비스 중단',
+        topic: 'service_down',
+        metric: 'service_state',
+        operator: '==',
+        threshold: 'stopped',
+        severity: 'critical',
+        description: '{target} 서비스 중단',
+        causes: ['서비스 충돌 발생', '의존성 서비스 장애', '리소스 부족으로 인한 중단', '설정 파일 오류'],
+        solutions: ['{target} 서비스를 재시작하고 로그를 확인하세요.', '의존성 패키지 확인/설치', '서비스 설정 파일 검토'],
+        commands: ['systemctl status {target}', 'journalctl -u {target} -n 50', 'systemctl restart {target}', 'ps aux | grep {target}']
+    },
+    {
+        id: 'critical_error_message',
+        name: 'Critical 오류 메시지',
+        topic: 'general_error',
+        metric: 'error_message',
+        operator: 'contains',
+        threshold: 'critical',
+        severity: 'critical',
+        description: '오류 감지: {target}',
+        causes: ['하드웨어 장애 임박', '커널 패닉', '중요 시스템 설정 오류'],
+        solutions: ['즉시 시스템 로그를 상세 분석하세요.', '하드웨어 진단', '전문가 지원 요청'],
+        commands: ['{command}', 'dmesg | tail -50']
+    },
+    // --- ERROR ---
+    {
+        id: 'error_message',
+        name: 'Error 오류 메시지',
+        topic: 'general_error',
+        metric: 'error_message',
+        operator: 'contains',
+        threshold: 'error',
+        severity: 'error',
+        description: '오류 감지: {target}',
+        causes: ['시스템 또는 애플리케이션 오류 발생', '의존 서비스 연결 실패', '리소스 부족으로 인한 오류'],
+        solutions: ['로그 파일을 확인하고 근본 원인을 분석하세요.', '오류가 난 서비스와 의존 서비스 상태를 확인하세요.', '애플리케이션/시스템 설정 검토'],
+        commands: ['{command}', 'grep -i error /var/log/syslog | tail -20']
+    },
+    // --- WARNING ---
+    {
+        id: 'warning_cpu',
+        name: 'CPU 사용량 높음',
+        topic: 'cpu_high',
+        metric: 'cpu_usage',
+        operator: '>=',
+        threshold: 70,
+        severity: 'warning',
+        consecutive: 2,
+        recovery: 65,
+        description: 'CPU 사용량 높음 ({value}%)',
+        causes: ['일시적인 부하 증가', '백그라운드 작업 증가', '최적화되지 않은 쿼리/작업'],
+        solutions: ['CPU 사용량을 모니터링하고 추세를 확인하세요.', '최근 배포/변경 사항 확인', '자원 사용량 많은 프로세스 분석'],
+        commands: ['top -c -b -n 1 | head -20', 'ps aux --sort=-%cpu | head -10', 'uptime']
+    },
+    {
+        id: 'warning_memory',
+        name: '메모리 사용량 높음',
+        topic: 'memory_high',
+        metric: 'memory_usage_percent',
+        operator: '>=',
+        threshold: 70,
+        severity: 'warning',
+        recovery: 65,
+        description: '메모리 사용량 높음 ({value}%)',
+        causes: ['일시적인 메모리 사용 증가', '캐시 증가', '장시간 실행된 애플리케이션'],
+        solutions: ['메모리 사용량을 모니터링하고 추세를 확인하세요.', '캐시 정책 검토', '불필요한 프로세스 정리 주기적 실행 고려'],
+        commands: ['free -m', 'ps aux --sort=-%mem | head -10', 'vmstat 1 5']
+    },
+    {
+        id: 'warning_disk',
+        name: '디스크 공간 부족 임박',
+        topic: 'disk_full',
+        metric: 'disk_usage_percent',
+        operator: '>=',
+        threshold: 70,
+        severity: 'warning',
+        description: '디스크 공간 부족 임박 ({target} {value}%)',
+        causes: ['로그 파일 증가 중', '사용자 데이터 증가', '백업 파일 공간 증가'],
+        solutions: ['디스크 공간을 모니터링하고 정리 계획을 수립하세요.', '정기적인 디스크 정리 스크립트 실행', '사용량 알림 설정 강화'],
+        commands: ['df -h {target}', 'du -xsh {target}/* | sort -hr | head -10', 'find /var/log -name "*.log" -size +20M']
+    },
+    {
+        id: 'warning_error_message',
+        name: 'Warning 오류 메시지',
+        topic: 'general_error',
+        metric: 'error_message',
+        operator: 'contains',
+        threshold: 'warning',
+        severity: 'warning',
+        description: '오류 감지: {target}',
+        causes: ['경미한 설정 오류', '리소스 부족 징후', '일시적인 연결 지연'],
+        solutions: ['로그 파일을 확인하고 근본 원인을 분석하세요.', '애플리케이션/시스템 설정 검토', '주기적인 시스템 상태 점검'],
+        commands: ['{command}', 'grep -i warn /var/log/syslog | tail -20']
+    },
+    {
+        id: 'network_errors',
+        name: '네트워크 오류 다수',
+        topic: 'network_issue',
+        metric: 'net_errors',
+        operator: '>',
+        threshold: 50,
+        severity: 'warning',
+        description: '네트워크 오류 다수 발생 ({target} {value}개)',
+        causes: ['네트워크 인터페이스 문제', '케이블/스위치 불량', '드라이버 이슈', '네트워크 혼잡'],
+        solutions: ['네트워크 인터페이스 상태를 확인하세요.', '케이블 및 연결 점검', '네트워크 드라이버 업데이트/재설치', '네트워크 트래픽 분석'],
+        commands: ['ip -s link show {target}', 'ethtool -S {target}', 'dmesg | grep -i {target}']
+    },
+    {
+        id: 'zombie_processes',
+        name: '좀비 프로세스 발생',
+        topic: 'zombie_process',
+        metric: 'zombie_count',
+        operator: '>',
+        threshold: 0,
+        severity: 'warning',
+        description: '좀비 프로세스 발생 ({value}개)',
+        causes: ['부모 프로세스가 자식 프로세스 종료를 처리하지 않음', '애플리케이션 버그'],
+        solutions: ['좀비 프로세스의 부모 프로세스를 확인하고 재시작하세요.', '애플리케이션의 자식 프로세스 처리 로직 점검'],
+        commands: ['ps -eo pid,ppid,stat,cmd | awk \'$3 ~ /Z/\'', 'pstree -p']
+    }
+];
+
+// 집계 방법 (window 조건)
+export const RULE_AGGREGATES = {
+    avg: values => values.reduce((sum, value) => sum + value, 0) / values.length,
+    max: values => Math.max(...values),
+    min: values => Math.min(...values)
+};
+
+// 지속 시간/복구 조건이 있는 규칙인지 (이력 평가가 필요한지)
+function isTemporalRule(rule) {
+    return (rule.consecutive || 1) > 1 || Boolean(rule.window) || typeof rule.recovery === 'number';
+}
+
+/**
+ * 시계열(오래된 순, 마지막이 현재 샘플)에 지속 시간/복구 조건을 적용합니다.
+ * @param {Object} rule 규칙
+ * @param {Array<{time: number, value: *}>} series 대상 하나의 샘플 값
+ * @param {*} threshold 마운트별 임계치 등을 반영한 임계치
+ * @returns {{matched: boolean, value: *}} value는 현재 관측 값 (window 조건이면 집계값)
+ */
+function evaluateSeries(rule, series, threshold) {
+    const compare = RULE_OPERATORS[rule.operator];
+    const isPresent = value => value !== undefined && value !== null;
+
+    // 샘플별 관측 값 (window 조건이면 해당 시점까지 window분 동안의 숫자 값 집계)
+    const observed = series.map((sample, index) => {
+        if (!rule.window) return sample.value;
+        const since = sample.time - rule.window * 60 * 1000;
+        const values = series.slice(0, index + 1)
+            .filter(item => item.time >= since && typeof item.value === 'number')
+            .map(item => item.value);
+        if (values.length === 0) return undefined;
+        const aggregated = (RULE_AGGREGATES[rule.aggregate] || RULE_AGGREGATES.avg)(values);
+        return Math.round(aggregated * 10) / 10;
+    });
+    const met = observed.map(value => isPresent(value) && compare(value, threshold));
+
+    // 해당 시점까지 최근 consecutive개 샘플이 모두 조건 만족 (샘플이 부족하면 있는 샘플 모두)
+    const consecutive = Math.max(1, rule.consecutive || 1);
+    const triggered = index => met.slice(Math.max(0, index - consecutive + 1), index + 1).every(Boolean);
+
+    const last = series.length - 1;
+    if (typeof rule.recovery !== 'number') {
+        return { matched: triggered(last), value: observed[last] };
+    }
+
+    // 복구 임계치: 한 번 일치하면 복구 조건을 벗어날 때까지(예: >= 90으로 시작해 85 미만이 될 때까지) 유지
+    let active = false;
+    observed.forEach((value, index) => {
+        active = triggered(index) || (active && isPresent(value) && compare(value, rule.recovery));
+    });
+    return { matched: active, value: observed[last] };
+}
+
+// 샘플의 시각 (밀리초, 시각이 없으면 현재)
+function sampleTime(sample) {
+    const time = sample && sample.timestamp ? new Date(sample.timestamp).getTime() : NaN;
+    return Number.isNaN(time) ? Date.now() : time;
+}
+
+// 설명/명령어 템플릿의 {이름}을 값으로 치환 (값이 없는 자리표시자는 그대로 둠)
+function fillTemplate(template, vars) {
+    return String(template).replace(/\{(\w+)\}/g, (match, name) =>
+        (vars[name] !== undefined && vars[name] !== null ? String(vars[name]) : match));
+}
+
+/**
+ * 규칙 조건을 사람이 읽을 수 있는 문장으로 만듭니다 (예: 'CPU 사용률 >= 90%').
+ * @param {Object} rule 규칙
+ * @returns {string}
+ */
+export function describeRuleCondition(rule) {
+    const metric = RULE_METRICS[rule.metric];
+    const unit = metric ? metric.unit : '';
+    const threshold = [].concat(rule.threshold).join(' | ');
+    let text = `${metric ? metric.label : rule.metric}${rule.window ? ` ${rule.window}분 ${rule.aggregate || 'avg'}` : ''} ${rule.operator} ${threshold}${unit}`;
+    if ((rule.consecutive || 1) > 1) text += `, ${rule.consecutive}회 연속`;
+    if (typeof rule.recovery === 'number') text += `, 복구 기준 ${rule.recovery}${unit}`;
+    return text;
+}
+
+/**
+ * 규칙 하나가 올바른지 검사합니다.
+ * @param {Object} rule 규칙
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateRule(rule) {
+    const errors = [];
+    if (!rule || typeof rule !== 'object') {
+        return { valid: false, errors: ['규칙이 객체가 아닙니다.'] };
+    }
+    if (!rule.id) errors.push('id가 없습니다.');
+    if (!RULE_METRICS[rule.metric]) errors.push(`알 수 없는 지표입니다: ${rule.metric}`);
+    if (!RULE_OPERATORS[rule.operator]) errors.push(`알 수 없는 연산자입니다: ${rule.operator}`);
+    if (rule.threshold === undefined || rule.threshold === null || rule.threshold === '') {
+        errors.push('threshold가 없습니다.');
+    } else if (['>=', '>', '<=', '<'].includes(rule.operator) && typeof rule.threshold !== 'number') {
+        errors.push(`${rule.operator} 연산자의 threshold는 숫자여야 합니다.`);
+    }
+    if (!RULE_SEVERITIES.includes(rule.severity)) errors.push(`severity 값이 올바르지 않습니다: ${rule.severity}`);
+    if (rule.consecutive !== undefined && !(Number.isInteger(rule.consecutive) && rule.consecutive >= 1)) errors.push('consecutive는 1 이상의 정수여야 합니다.');
+    if (rule.window !== undefined && !(typeof rule.window === 'number' && rule.window > 0)) errors.push('window는 0보다 큰 분 단위 숫자여야 합니다.');
+    if (rule.aggregate !== undefined && !RULE_AGGREGATES[rule.aggregate]) errors.push(`알 수 없는 집계 방법입니다: ${rule.aggregate}`);
+    if (rule.recovery !== undefined && typeof rule.recovery !== 'number') errors.push('recovery는 숫자여야 합니다.');
+    return { valid: errors.length === 0, errors };
+}
+
+export class RulesEngine {
+    /**
+     * @param {Array<Object>} [rules] 규칙 목록 (기본: DEFAULT_RULES)
+     * @param {Object} [options]
+     * @param {Object} [options.profiles] THRESHOLD_PROFILES 형식의 임계치 프로필 (기본: config.js)
+     */
+    constructor(rules = DEFAULT_RULES, options = {}) {
+        this.profiles = options.profiles || CONFIG.THRESHOLD_PROFILES || {};
+        this.profiledRules = new Map(); // 프로필 키별로 임계치를 덮어쓴 규칙 캐시
+        this.setRules(rules);
+    }
+
+    /**
+     * 임계치 프로필을 교체합니다.
+     * @param {Object} profiles THRESHOLD_PROFILES 형식의 설정
+     */
+    setProfiles(profiles) {
+        this.profiles = profiles || {};
+        this.profiledRules.clear();
+    }
+
+    // 서버에 적용되는 프로필 (적용된 프로필 목록은 sources)
+    getProfile(server) {
+        return resolveThresholdProfile(server, this.profiles);
+    }
+
+    /**
+     * 서버의 유형/환경/호스트 프로필을 적용한 규칙 목록 (server가 없으면 기본 규칙)
+     * @param {ServerRecord} [server] 표준 스키마 레코드
+     * @returns {Array<Object>}
+     */
+    getRulesFor(server) {
+        if (!server) return this.rules;
+        const key = getProfileKey(server, this.profiles);
+        if (!this.profiledRules.has(key)) {
+            this.profiledRules.set(key, applyThresholdProfile(this.rules, this.getProfile(server)));
+        }
+        return this.profiledRules.get(key);
+    }
+
+    /**
+     * 규칙 목록을 교체합니다. 잘못된 규칙이 있으면 예외를 던집니다.
+     * @param {Array<Object>} rules 규칙 목록
+     */
+    setRules(rules) {
+        rules.forEach(rule => {
+            const { valid, errors } = validateRule(rule);
+            if (!valid) {
+                throw new Error(`규칙 ${rule && rule.id ? rule.id : ''} 오류: ${errors.join(', ')}`);
+            }
+        });
+        this.rules = rules.map(rule => ({ ...rule }));
+        this.profiledRules.clear();
+    }
+
+    getRules() {
+        return this.rules;
+    }
+
+    /**
+     * ID 또는 해결 방법 주제(topic)로 규칙을 찾습니다. 주제가 같은 규칙이 여럿이면 더 심각한 규칙을 반환합니다.
+     * @param {string} idOrTopic 규칙 ID 또는 topic
+     * @returns {Object|undefined}
+     */
+    findRule(idOrTopic) {
+        return this.rules.find(rule => rule.id === idOrTopic) ||
+            this.rules
+                .filter(rule => rule.topic === idOrTopic)
+                .sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity])[0];
+    }
+
+    /**
+     * 지표의 심각도별 임계치 (여러 규칙이 있으면 가장 낮은 값, 없으면 undefined)
+     * 게이지와 상태 색에 쓰는 '이 값 이상이면' 임계치이므로 상한 규칙(>=, >)만 봅니다 (유휴 CPU 같은 하한 규칙 제외).
+     * @param {string} metric RULE_METRICS의 키
+     * @param {string} severity 'critical' | 'warning'
+     * @param {ServerRecord} [server] 주면 해당 서버의 프로필 임계치
+     * @returns {number|undefined}
+     */
+    getThreshold(metric, severity, server) {
+        const thresholds = this.getRulesFor(server)
+            .filter(rule => rule.enabled !== false && rule.metric === metric && rule.severity === severity && isUpperBoundRule(rule))
+            .map(rule => rule.threshold);
+        return thresholds.length > 0 ? Math.min(...thresholds) : undefined;
+    }
+
+    /**
+     * 서버 한 대에 모든 규칙을 평가합니다 (서버의 임계치 프로필 적용).
+     * 같은 지표/대상(예: 같은 마운트)에 여러 규칙이 일치하면 가장 심각한 규칙만 남깁니다.
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @param {Object} [options]
+     * @param {Array<Object>} [options.history] 현재 샘플 이전의 과거 샘플 (오래된 순, AIProcessor.getRuleHistory) - 지속 시간/복구 조건에 사용
+     * @returns {Array<Object>} 일치 결과 { ruleId, rule, name, metric, severity, hostname, target, value, threshold, description, causes, solutions, commands }
+     */
+    evaluate(server, options = {}) {
+        if (!server) return [];
+        const samples = [...(options.history || []), server];
+
+        const findings = new Map();
+        this.getRulesFor(server).forEach(rule => {
+            if (rule.enabled === false) return;
+            const metric = RULE_METRICS[rule.metric];
+            const compare = RULE_OPERATORS[rule.operator];
+
+            // 지속 시간/복구 조건이 있으면 과거 샘플에서 대상별 값을 모아 시계열로 평가
+            const sampleItems = isTemporalRule(rule) ? samples.map(sample => metric.collect(sample)) : null;
+
+            metric.collect(server).forEach(item => {
+                if (item.value === undefined || item.value === null) return;
+                const threshold = metric.resolveThreshold
+                    ? metric.resolveThreshold(item.target, rule.severity, rule.threshold)
+                    : rule.threshold;
+                if (sampleItems) {
+                    const series = sampleItems.map((items, index) => {
+                        const sampleItem = items.find(candidate => candidate.target === item.target);
+                        return { time: sampleTime(samples[index]), value: sampleItem ? sampleItem.value : undefined };
+                    });
+                    const result = evaluateSeries(rule, series, threshold);
+                    if (!result.matched) return;
+                    item = { ...item, value: result.value };
+                } else if (!compare(item.value, threshold)) {
+                    return;
+                }
+
+                const key = `${rule.metric}|${item.target}`;
+                const existing = findings.get(key);
+                if (existing && SEVERITY_RANK[existing.severity] >= SEVERITY_RANK[rule.severity]) return;
+
+                const vars = { ...item, threshold, hostname: server.hostname };
+                findings.set(key, {
+                    ruleId: rule.id,
+                    rule,
+                    name: rule.name || rule.id,
+                    metric: rule.metric,
+                    severity: rule.severity,
+                    hostname: server.hostname,
+                    target: item.target,
+                    value: item.value,
+                    threshold,
+                    description: fillTemplate(rule.description || rule.name || rule.id, vars),
+                    causes: (rule.causes || []).map(text => fillTemplate(text, vars)),
+                    solutions: (rule.solutions || []).map(text => fillTemplate(text, vars)),
+                    commands: (rule.commands || []).map(text => fillTemplate(text, vars))
+                });
+            });
+        });
+        return [...findings.values()];
+    }
+
+    /**
+     * 규칙 평가 결과로 서버 상태를 판단합니다 (가장 심각한 일치 규칙의 심각도).
+     * @param {ServerRecord} server 표준 스키마 레코드
+     * @param {Object} [options] evaluate()의 옵션 (history)
+     * @returns {'critical'|'error'|'warning'|'normal'}
+     */
+    getStatus(server, options = {}) {
+        return this.evaluate(server, options).reduce((status, finding) =>
+            (SEVERITY_RANK[finding.severity] > SEVERITY_RANK[status] ? finding.severity : status), 'normal');
+    }
+}
+
+/**
+ * 일치 결과의 관측 값을 표시용 문자열로 만듭니다 (예: '/data 95.2%', 'nginx').
+ * @param {Object} finding RulesEngine.evaluate() 결과 항목
+ * @returns {string}
+ */
+export function formatFindingValue(finding) {
+    const metric = RULE_METRICS[finding.metric];
+    if (typeof finding.value !== 'number') {
+        return finding.target || String(finding.value);
+    }
+    const value = `${Number.isInteger(finding.value) ? finding.value : finding.value.toFixed(1)}${metric ? metric.unit : ''}`;
+    return finding.target ? `${finding.target} ${value}` : value;
+}
+
+let defaultRulesEngine = null;
+
+/**
+ * 앱 전체에서 공유하는 규칙 엔진 (DataProcessor, AIProcessor, Agent가 같은 규칙을 사용)
+ * @returns {RulesEngine}
+ */
+export function getDefaultRulesEngine() {
+    if (!defaultRulesEngine) {
+        defaultRulesEngine = new RulesEngine();
+    }
+    return defaultRulesEngine;
+}
+
+// 일반 스크립트(fixed_dummy_data.js)에서 사용할 수 있도록 전역으로 노출
+if (typeof window !== 'undefined') {
+    window.RulesEngine = {
+        RULE_METRICS,
+        RULE_OPERATORS,
+        RULE_AGGREGATES,
+        DEFAULT_RULES,
+        RulesEngine,
+        describeRuleCondition,
+        validateRule,
+        formatFindingValue,
+        getDefaultRulesEngine
+    };
+}
@@ -0,0 +1,244 @@
+/**
+ * OpenManager AI - 장애 시나리오 엔진
+ * scenarios/*.json 형식의 선언적 장애 시나리오를 해석하여 더미 데이터 생성기에 적용합니다.
+ * (dummy_data_generator.js, fixed_dummy_data.js에서 사용)
+ *
+ * 시나리오 형식:
+ * {
+ *   "name": "db-disk-full",
+ *   "description": "운영 DB 디스크 풀 훈련",
+ *   "disableRandomFaults": true,          // DummyDataGenerator의 확률 기반 장애 비활성화 (선택)
+ *   "faults": [{
+ *     "id": "prod-db-disk",
+ *     "select": {                         // 모든 조건을 만족하는 서버 (값은 문자열 또는 배열, 대소문자 무시)
+ *       "type": "DB", "env": "prod", "location": "Seoul-IDC",
+ *       "hostname": "prod-db-*",          // 글롭 패턴 (*, ?)
+ *       "count": 2                        // 최대 적용 서버 수 (선택, 먼저 매칭된 순서)
+ *     },
+ *     "window": { "startHourAgo": 6, "endHourAgo": 3 },   // 기준 시각 대비 상대 구간
+ *              // 또는 { "fromHour": 9, "toHour": 18 }     // 시각(0-23) 구간, 생략 시 항상 적용
+ *     "stats": { "cpu": [90, 99], "memory": 85, "disk": [92, 97], "networkIn": 300, "networkOut": 400, "processCount": 120 },
+ *              // 숫자 또는 [최소, 최대] 범위, 현재 값보다 높을 때만 적용
+ *     "alerts": [{ "type": "Disk", "severity": "critical", "message": "디스크 /data 사용률 98% 도달!" }],
+ *     "stoppedServices": ["mysql"],
+ *     "errors": ["CRITICAL: Kernel panic - not syncing"],
+ *     "status": "critical"                // 고정 데이터셋의 초기 상태 (선택, server_schema.js의 SERVER_STATUSES 값)
+ *   }]
+ * }
+ *
+ * 상대 구간의 기준 시각은 고정 데이터셋에서는 마지막 데이터 시각, DummyDataGenerator에서는 현재 시각입니다.
+ * 실시간 생성기의 현재 값에는 endHourAgo가 0인(지금 진행 중인) 장애만 적용되고,
+ * 지난 구간의 장애는 시작 시 합성하는 과거 24시간 이력에 반영됩니다.
+ * 실시간 서버에는 env 정보가 없으므로 env 선택자는 고정 데이터셋에서만 일치합니다.
+ */
+
+// 시나리오 stats 키
+const SCENARIO_STAT_KEYS = ['cpu', 'memory', 'disk', 'networkIn', 'networkOut', 'processCount'];
+const SCENARIO_SELECTOR_KEYS = ['type', 'env', 'location', 'hostname', 'count'];
+
+// 글롭 패턴(*, ?)을 정규식으로 변환
+function globToRegExp(pattern) {
+    const escaped = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`, 'i');
+}
+
+// 선택자 값(문자열 또는 배열)과 서버 속성 비교 (대소문자 무시)
+function matchesValue(expected, actual, useGlob = false) {
+    if (expected === undefined || expected === null) return true;
+    if (actual === undefined || actual === null) return false;
+    const candidates = Array.isArray(expected) ? expected : [expected];
+    return candidates.some(candidate => (useGlob
+        ? globToRegExp(candidate).test(actual)
+        : String(candidate).toLowerCase() === String(actual).toLowerCase()));
+}
+
+class ScenarioEngine {
+    /**
+     * @param {Object} scenario 시나리오 객체 (scenarios/*.json 형식)
+     * @param {Object} [options]
+     * @param {Function} [options.random] 난수 함수 (시드 모드에서는 생성기의 난수 함수 전달)
+     */
+    constructor(scenario, options = {}) {
+        const errors = ScenarioEngine.validate(scenario);
+        if (errors.length > 0) {
+            throw new Error(`시나리오 형식이 올바르지 않습니다: ${errors.join(' / ')}`);
+        }
+        this.scenario = scenario;
+        this.name = scenario.name || 'unnamed';
+        this.faults = scenario.faults;
+        this.random = options.random || Math.random;
+        this.targets = this.faults.map(() => new Set()); // 장애별 적용 대상 호스트
+    }
+
+    /**
+     * 시나리오 객체를 검증합니다.
+     * @param {Object} scenario 시나리오 객체
+     * @returns {string[]} 오류 목록 (비어 있으면 유효)
+     */
+    static validate(scenario) {
+        const errors = [];
+        if (!scenario || typeof scenario !== 'object') return ['시나리오가 객체가 아닙니다.'];
+        if (!Array.isArray(scenario.faults)) return ['faults 배열이 필요합니다.'];
+
+        scenario.faults.forEach((fault, index) => {
+            const label = `faults[${index}]${fault && fault.id ? `(${fault.id})` : ''}`;
+            if (!fault || typeof fault !== 'object') {
+                errors.push(`${label}: 객체가 아닙니다.`);
+                return;
+            }
+            if (!fault.select || typeof fault.select !== 'object') {
+                errors.push(`${label}: select가 필요합니다.`);
+            } else {
+                Object.keys(fault.select)
+                    .filter(key => !SCENARIO_SELECTOR_KEYS.includes(key))
+                    .forEach(key => errors.push(`${label}: 알 수 없는 선택자 ${key}`));
+            }
+            if (fault.window) {
+                const { startHourAgo, endHourAgo, fromHour, toHour } = fault.window;
+                const relative = startHourAgo !== undefined || endHourAgo !== undefined;
+                const hourly = fromHour !== undefined || toHour !== undefined;
+                if (relative === hourly) {
+                    errors.push(`${label}: window는 startHourAgo/endHourAgo 또는 fromHour/toHour 중 하나를 사용해야 합니다.`);
+                } else if (relative && !(Number(startHourAgo) > Number(endHourAgo || 0))) {
+                    errors.push(`${label}: startHourAgo는 endHourAgo보다 커야 합니다.`);
+                }
+            }
+            Object.entries(fault.stats || {}).forEach(([key, value]) => {
+                if (!SCENARIO_STAT_KEYS.includes(key)) {
+                    errors.push(`${label}: 알 수 없는 stats 항목 ${key}`);
+                } else if (!(typeof value === 'number' || (Array.isArray(value) && value.length === 2 && value[0] <= value[1]))) {
+                    errors.push(`${label}: stats.${key}는 숫자 또는 [최소, 최대] 범위여야 합니다.`);
+                }
+            });
+            (fault.alerts || []).forEach((alert, alertIndex) => {
+                if (!alert.severity || !alert.message) {
+                    errors.push(`${label}: alerts[${alertIndex}]에 severity와 message가 필요합니다.`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    /**
+     * URL에서 시나리오 JSON을 불러옵니다.
+     * @param {string} url 시나리오 파일 경로 (예: 'scenarios/db_disk_full.json')
+     * @param {Object} [options] 생성자 옵션
+     * @returns {Promise<ScenarioEngine>}
+     */
+    static async load(url, options = {}) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`시나리오 파일을 불러오지 못했습니다 (${response.status} ${url})`);
+        }
+        return new ScenarioEngine(await response.json(), options);
+    }
+
+    // 서버가 장애 대상인지 확인 (count 제한은 먼저 매칭된 서버 순서로 채움)
+    isTarget(faultIndex, server) {
+        const targets = this.targets[faultIndex];
+        if (targets.has(server.hostname)) return true;
+
+        const select = this.faults[faultIndex].select;
+        const matched = matchesValue(select.type, server.type) &&
+            matchesValue(select.env, server.env) &&
+            matchesValue(select.location, server.location) &&
+            matchesValue(select.hostname, server.hostname, true);
+        if (!matched || (select.count !== undefined && targets.size >= select.count)) return false;
+
+        targets.add(server.hostname);
+        return true;
+    }
+
+    // 시각이 장애 구간에 포함되는지 확인
+    isInWindow(timeWindow, time, referenceTime) {
+        if (!timeWindow) return true;
+        if (timeWindow.fromHour !== undefined || timeWindow.toHour !== undefined) {
+            const hour = time.getHours();
+            const from = timeWindow.fromHour || 0;
+            const to = timeWindow.toHour !== undefined ? timeWindow.toHour : 24;
+            return from <= to ? (hour >= from && hour < to) : (hour >= from || hour < to); // 자정을 넘는 구간 지원
+        }
+        const hoursAgo = (referenceTime.getTime() - time.getTime()) / (1000 * 60 * 60);
+        return hoursAgo >= (timeWindow.endHourAgo || 0) && hoursAgo < timeWindow.startHourAgo;
+    }
+
+    /**
+     * 특정 서버/시각에 적용되는 장애 목록을 반환합니다.
+     * @param {{hostname: string, type: string, env: string, location: string}} server 서버 식별 정보
+     * @param {Date} time 데이터 시각
+     * @param {Date} [referenceTime] 상대 구간(startHourAgo/endHourAgo)의 기준 시각 (기본: time)
+     * @returns {Array<Object>} 적용 장애 목록
+     */
+    getActiveFaults(server, time, referenceTime = time) {
+        return this.faults.filter((fault, index) =>
+            this.isTarget(index, server) && this.isInWindow(fault.window, time, referenceTime));
+    }
+
+    /**
+     * 장애의 stats를 현재 수치에 적용합니다 (현재 값보다 높을 때만 덮어씀).
+     * @param {Object} stats { cpu, memory, disk, networkIn, networkOut, processCount }
+     * @param {Array<Object>} faults getActiveFaults 결과
+     * @returns {Object} 적용된 새 stats
+     */
+    applyStats(stats, faults) {
+        const result = { ...stats };
+        faults.forEach(fault => {
+            Object.entries(fault.stats || {}).forEach(([key, value]) => {
+                if (result[key] === undefined) return;
+                const target = Array.isArray(value) ? value[0] + this.random() * (value[1] - value[0]) : value;
+                result[key] = Math.max(result[key], target);
+            });
+        });
+        return result;
+    }
+
+    // 장애들의 알림 목록 (같은 내용은 한 번만)
+    getAlerts(faults) {
+        const seen = new Set();
+        const alerts = [];
+        faults.forEach(fault => (fault.alerts || []).forEach(alert => {
+            const key = `${alert.type}-${alert.severity}-${alert.message}`;
+            if (seen.has(key)) return;
+            seen.add(key);
+            alerts.push({ type: alert.type || 'Scenario', keywords: [], ...alert });
+        }));
+        return alerts;
+    }
+
+    // 장애들의 오류 메시지 ('SEVERITY: 메시지' 형식, 알림 포함)
+    getErrorMessages(faults) {
+        const messages = [];
+        faults.forEach(fault => (fault.errors || []).forEach(error => messages.push(error)));
+        this.getAlerts(faults).forEach(alert => messages.push(`${String(alert.severity).toUpperCase()}: ${alert.message}`));
+        return [...new Set(messages)];
+    }
+
+    // 장애들로 중단되는 서비스 목록
+    getStoppedServices(faults) {
+        return [...new Set(faults.flatMap(fault => fault.stoppedServices || []))];
+    }
+
+    // 장애들이 지정한 상태 (여러 개면 마지막 장애 우선)
+    getStatus(faults) {
+        const withStatus = faults.filter(fault => fault.status);
+        return withStatus.length > 0 ? withStatus[withStatus.length - 1].status : null;
+    }
+}
+
+/**
+ * 페이지 URL의 ?scenario= 값을 시나리오 파일 경로로 변환합니다.
+ * 'db_disk_full'처럼 이름만 주면 scenarios/ 폴더의 JSON 파일을 가리킵니다.
+ * @returns {string|undefined}
+ */
+function getScenarioUrlFromPage() {
+    if (typeof window === 'undefined' || !window.location) return undefined;
+    const name = new URLSearchParams(window.location.search).get('scenario');
+    if (!name) return undefined;
+    return name.endsWith('.json') ? name : `scenarios/${name}.json`;
+}
+
+// 더미 데이터 생성기에서 사용할 수 있도록 전역으로 노출
+if (typeof window !== 'undefined') {
+    window.ScenarioEngine = ScenarioEngine;
+    window.getScenarioUrlFromPage = getScenarioUrlFromPage;
+}
@@ -0,0 +1,55 @@
+/**
+ * OpenManager AI - 시드 기반 난수 생성기
+ * 같은 시드를 주면 항상 같은 난수 수열을 반환하므로 더미 데이터를 재현할 수 있습니다.
+ * (데모, 스크린샷, Agent/AIProcessor 자동 테스트용)
+ *
+ * 사용 예:
+ *   const random = createSeededRandom('demo');
+ *   random(); // 0 이상 1 미만, Math.random()과 같은 범위
+ */
+
+// 문자열 시드를 32비트 정수로 변환 (FNV-1a 해시)
+function hashSeed(seed) {
+    if (typeof seed === 'number' && isFinite(seed)) {
+        return seed >>> 0;
+    }
+    const text = String(seed);
+    let hash = 2166136261;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 16777619);
+    }
+    return hash >>> 0;
+}
+
+/**
+ * 시드 기반 난수 함수를 생성합니다 (mulberry32 알고리즘).
+ * @param {number|string} seed 시드 값 (숫자 또는 문자열)
+ * @returns {Function} Math.random()을 대체하는 () => number 함수
+ */
+function createSeededRandom(seed) {
+    let state = hashSeed(seed);
+    return function random() {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * 페이지 URL의 ?seed= 값을 읽습니다. 없으면 undefined를 반환합니다.
+ * @returns {string|undefined}
+ */
+function getSeedFromUrl() {
+    if (typeof window === 'undefined' || !window.location) return undefined;
+    const seed = new URLSearchParams(window.location.search).get('seed');
+    return seed === null || seed === '' ? undefined : seed;
+}
+
+// 더미 데이터 생성기(dummy_data_generator.js, fixed_dummy_data.js)에서 사용할 수 있도록 전역으로 노출
+if (typeof window !== 'undefined') {
+    window.createSeededRandom = createSeededRandom;
+    window.getSeedFromUrl = getSeedFromUrl;
+}
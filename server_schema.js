@@ -0,0 +1,479 @@
+/**
+ * OpenManager AI - 서버 메트릭 표준 스키마
+ * 데이터셋마다 다른 서버 레코드 구조를 하나의 표준 모델(ServerRecord)로 변환합니다.
+ *
+ * 지원하는 입력 형태:
+ *  - standard: DummyDataGenerator, fake_server_data_100.json
+ *              { hostname, cpu_usage, memory_usage_percent, disk[], net, services, errors }
+ *  - fixed:    fixed_dummy_data.js
+ *              { serverHostname, serverType, location, stats: { cpuUsage, ... }, status, alerts[] }
+ *
+ * 상태 판단, 보고서, 차트 등 모든 모듈은 normalizeServerRecord()를 거친 레코드를 사용합니다.
+ * 디스크/네트워크 인터페이스는 여러 개일 수 있으므로 disk[0], net 대신 getDisks(), getNetInterfaces() 등
+ * 아래 도우미 함수로 모든 마운트/인터페이스를 평가합니다.
+ */
+
+import { CONFIG } from './config.js';
+
+/**
+ * 표준 서버 레코드
+ * @typedef {Object} ServerRecord
+ * @property {string} hostname 서버 호스트명 (고유 키)
+ * @property {string|null} ip IP 주소
+ * @property {string|null} os 운영체제
+ * @property {string|null} server_type 서버 유형 (소문자, 예: 'web', 'db', 'was')
+ * @property {string|null} environment 환경 ('prod' | 'stg' | 'dev', 알 수 없으면 null)
+ * @property {string|null} location 리전 또는 IDC (예: 'kr', 'Seoul-IDC')
+ * @property {string} timestamp 수집 시각 (ISO 8601)
+ * @property {number} cpu_usage CPU 사용률 (%)
+ * @property {number} memory_usage_percent 메모리 사용률 (%)
+ * @property {Array<{mount: string, disk_usage_percent: number, disk_total: (number|string|null), disk_used: (number|string|null)}>} disk 디스크 목록 (첫 번째가 대표 디스크)
+ * @property {{interface: string, rx_bytes: number, tx_bytes: number, rx_errors: number, tx_errors: number}} net 대표 네트워크 정보 (여러 인터페이스로 입력되면 합산값)
+ * @property {Array<{interface: string, rx_bytes: number, tx_bytes: number, rx_errors: number, tx_errors: number}>} net_interfaces 인터페이스별 네트워크 정보
+ * @property {number|null} load_avg_1m 1분 평균 부하
+ * @property {number|null} process_count 프로세스 수
+ * @property {number} zombie_count 좀비 프로세스 수
+ * @property {Object<string, string>} services 서비스별 상태 ('running' | 'stopped')
+ * @property {string[]} errors 오류 메시지 ('CRITICAL: ...', 'ERROR: ...', 'WARNING: ...' 형식)
+ * @property {Array<{type: string, severity: string, message: string, timestamp: string}>} alerts 알림 목록 (severity: 'critical' | 'error' | 'warning' | 'info')
+ * @property {string|null} status 원본 데이터가 제공한 상태 (SERVER_STATUSES 값, 최종 판단은 getServerStatus 사용)
+ * @property {boolean} maintenance 점검 중 표시 (원본의 maintenance: true 또는 status: 'maintenance')
+ * @property {boolean} no_data CPU/메모리 메트릭이 없는 레코드 (인벤토리만 있는 서버 등 - 상태는 'unknown')
+ * @property {Object|null} [stale] 데이터 수신 끊김 (AIProcessor.markStaleServers가 표시, staleness.js의 getStaleness 결과)
+ * @property {string} [import_batch] 파일에서 가져온 레코드의 가져오기 묶음 이름 (data_import.js의 tagImportBatch - 수신 끊김은 같은 묶음끼리 판단)
+ */
+
+// 입력 레코드 형태
+export const RECORD_SHAPES = {
+    STANDARD: 'standard',
+    FIXED: 'fixed'
+};
+
+const ALERT_SEVERITIES = ['critical', 'error', 'warning', 'info'];
+const ENVIRONMENTS = ['prod', 'stg', 'dev'];
+
+// 서버 상태 값 (심각한 순)
+export const SERVER_STATUSES = ['critical', 'error', 'warning', 'unknown', 'maintenance', 'normal'];
+
+// 원본 데이터의 다른 표기 (대소문자는 구분하지 않음)
+const STATUS_ALIASES = {
+    ok: 'normal',
+    healthy: 'normal',
+    up: 'normal',
+    warn: 'warning',
+    err: 'error',
+    failed: 'error',
+    fatal: 'critical',
+    down: 'critical',
+    'no-data': 'unknown',
+    no_data: 'unknown',
+    nodata: 'unknown',
+    maint: 'maintenance'
+};
+
+/**
+ * 원본 데이터의 상태/심각도 표기를 SERVER_STATUSES 값으로 바꿉니다 (예: 'Error' → 'error', 'OK' → 'normal').
+ * @param {string} value 상태 표기
+ * @returns {string|null} 알 수 없는 표기이면 null
+ */
+export function normalizeStatus(value) {
+    const text = String(value || '').trim().toLowerCase();
+    if (SERVER_STATUSES.includes(text)) return text;
+    return STATUS_ALIASES[text] || null;
+}
+
+/**
+ * 레코드가 어떤 입력 형태인지 판별합니다.
+ * @param {Object} record 원본 레코드
+ * @returns {string|null} RECORD_SHAPES 값 또는 알 수 없으면 null
+ */
+export function detectRecordShape(record) {
+    if (!record || typeof record !== 'object') return null;
+    if (record.serverHostname && record.stats) return RECORD_SHAPES.FIXED;
+    if (record.hostname) return RECORD_SHAPES.STANDARD;
+    return null;
+}
+
+// 숫자 변환 (문자열 숫자 허용, 변환 불가 시 기본값)
+function toNumber(value, defaultValue = 0) {
+    const number = typeof value === 'string' ? parseFloat(value) : value;
+    return typeof number === 'number' && isFinite(number) ? number : defaultValue;
+}
+
+// 메트릭 값이 있는지 (숫자 또는 숫자 문자열)
+function isMetricValue(value) {
+    return toNumber(value, null) !== null;
+}
+
+// 타임스탬프를 ISO 문자열로 변환 ('2025-05-17 10:10:00' 같은 형식 포함)
+function toIsoTimestamp(value) {
+    if (!value) return new Date().toISOString();
+    const date = new Date(typeof value === 'string' && value.includes(' ') && !value.includes('T') ? value.replace(' ', 'T') : value);
+    return isNaN(date.getTime()) ? new Date().toISOString() : date.toISOString();
+}
+
+// 호스트명 접두어(prod-, stg-, dev-)로 환경 추정
+function inferEnvironment(hostname) {
+    const prefix = String(hostname || '').split('-')[0].toLowerCase();
+    return ENVIRONMENTS.includes(prefix) ? prefix : null;
+}
+
+function normalizeSeverity(severity) {
+    const value = String(severity || '').toLowerCase();
+    return ALERT_SEVERITIES.includes(value) ? value : 'info';
+}
+
+// 'CRITICAL: 메시지' 형식의 오류 문자열을 알림 객체로 변환
+function errorToAlert(error, timestamp) {
+    const match = /^\s*(critical|error|warning|info)\s*:\s*(.*)$/i.exec(error);
+    return {
+        type: 'Log',
+        severity: match ? match[1].toLowerCase() : 'error',
+        message: match ? match[2] : error,
+        timestamp
+    };
+}
+
+function normalizeDisk(disk) {
+    const disks = Array.isArray(disk) ? disk : (disk ? [disk] : []);
+    return disks.map(item => ({
+        ...item,
+        mount: item.mount || item.mount_point || '/',
+        disk_usage_percent: toNumber(item.disk_usage_percent),
+        disk_total: item.disk_total !== undefined ? item.disk_total : (item.total !== undefined ? item.total : null),
+        disk_used: item.disk_used !== undefined ? item.disk_used : (item.used !== undefined ? item.used : null)
+    }));
+}
+
+function normalizeNet(net) {
+    const source = net || {};
+    return {
+        ...source,
+        interface: source.interface || 'eth0',
+        rx_bytes: toNumber(source.rx_bytes),
+        tx_bytes: toNumber(source.tx_bytes),
+        rx_errors: toNumber(source.rx_errors),
+        tx_errors: toNumber(source.tx_errors)
+    };
+}
+
+// 인터페이스별 네트워크 정보 정리 (net_interfaces 또는 배열 형태의 net 지원, 없으면 net 하나)
+function normalizeNetInterfaces(record) {
+    const interfaces = Array.isArray(record.net_interfaces) ? record.net_interfaces
+        : (Array.isArray(record.net) ? record.net : [record.net]);
+    return interfaces.map((item, index) => normalizeNet({ interface: `eth${index}`, ...item }));
+}
+
+// 인터페이스 목록의 합산값 (net이 배열로 들어온 경우의 대표 네트워크 정보)
+function sumNetInterfaces(interfaces) {
+    return interfaces.reduce((total, item) => ({
+        interface: total.interface ? `${total.interface}, ${item.interface}` : item.interface,
+        rx_bytes: total.rx_bytes + item.rx_bytes,
+        tx_bytes: total.tx_bytes + item.tx_bytes,
+        rx_errors: total.rx_errors + item.rx_errors,
+        tx_errors: total.tx_errors + item.tx_errors
+    }), { interface: '', rx_bytes: 0, tx_bytes: 0, rx_errors: 0, tx_errors: 0 });
+}
+
+/**
+ * standard 형태(hostname/cpu_usage) 레코드를 표준 모델로 변환합니다.
+ * 원본의 추가 필드(uptime, memory_total 등)는 그대로 유지됩니다.
+ * @param {Object} record 원본 레코드
+ * @returns {ServerRecord}
+ */
+export function normalizeStandardRecord(record) {
+    const timestamp = toIsoTimestamp(record.timestamp || record.last_updated);
+    const errors = Array.isArray(record.errors) ? record.errors.filter(err => typeof err === 'string') : [];
+    const loadAvg = record.load_avg_1m !== undefined ? record.load_avg_1m : (Array.isArray(record.load_avg) ? record.load_avg[0] : null);
+    const processCount = record.process_count !== undefined ? record.process_count : record.processes;
+    const netInterfaces = normalizeNetInterfaces(record);
+
+    return {
+        ...record,
+        hostname: String(record.hostname),
+        ip: record.ip || null,
+        os: record.os || null,
+        server_type: record.server_type ? String(record.server_type).toLowerCase() : null,
+        environment: record.environment || inferEnvironment(record.hostname),
+        location: record.location || record.region || null,
+        timestamp,
+        cpu_usage: toNumber(record.cpu_usage),
+        memory_usage_percent: toNumber(record.memory_usage_percent),
+        disk: normalizeDisk(record.disk),
+        net: Array.isArray(record.net) ? sumNetInterfaces(netInterfaces) : normalizeNet(record.net),
+        net_interfaces: netInterfaces,
+        load_avg_1m: loadAvg === null || loadAvg === undefined ? null : toNumber(loadAvg),
+        process_count: processCount === undefined ? null : toNumber(processCount),
+        zombie_count: toNumber(record.zombie_count),
+        services: record.services || {},
+        errors,
+        alerts: Array.isArray(record.alerts)
+            ? record.alerts.map(alert => ({ ...alert, severity: normalizeSeverity(alert.severity) }))
+            : errors.map(err => errorToAlert(err, timestamp)),
+        status: normalizeStatus(record.status),
+        maintenance: record.maintenance === true || normalizeStatus(record.status) === 'maintenance',
+        // 이미 변환한 레코드는 없는 메트릭이 0으로 채워져 있으므로 기존 표시를 유지
+        no_data: record.no_data === true || (!isMetricValue(record.cpu_usage) && !isMetricValue(record.memory_usage_percent))
+    };
+}
+
+/**
+ * fixed 형태(serverHostname/stats/alerts) 레코드를 표준 모델로 변환합니다.
+ * @param {Object} record fixed_dummy_data.js 레코드
+ * @returns {ServerRecord}
+ */
+export function normalizeFixedRecord(record) {
+    const stats = record.stats || {};
+    const timestamp = toIsoTimestamp(record.timestamp);
+    const alerts = (record.alerts || []).map(alert => ({
+        type: alert.type || 'Alert',
+        severity: normalizeSeverity(alert.severity),
+        message: alert.message || '',
+        timestamp: alert.timestamp || timestamp
+    }));
+
+    return {
+        hostname: String(record.serverHostname),
+        ip: record.ip || null,
+        os: record.os || null,
+        server_type: record.serverType ? String(record.serverType).toLowerCase() : null,
+        environment: inferEnvironment(record.serverHostname),
+        location: record.location || null,
+        timestamp,
+        cpu_usage: toNumber(stats.cpuUsage),
+        memory_usage_percent: toNumber(stats.memoryUsage),
+        disk: [{ mount: '/', disk_usage_percent: toNumber(stats.diskUsage), disk_total: null, disk_used: null }],
+        net: normalizeNet({ rx_errors: 0, tx_errors: 0 }),
+        net_interfaces: [normalizeNet({ rx_errors: 0, tx_errors: 0 })],
+        load_avg_1m: null,
+        process_count: stats.processCount === undefined ? null : toNumber(stats.processCount),
+        zombie_count: 0,
+        services: record.services || {},
+        // 기존 상태 판단 로직(오류 문자열 검사)과 호환되도록 알림을 오류 메시지로도 제공
+        errors: alerts
+            .filter(alert => alert.severity !== 'info')
+            .map(alert => `${alert.severity.toUpperCase()}: ${alert.message}`),
+        alerts,
+        status: normalizeStatus(record.status),
+        maintenance: record.maintenance === true || normalizeStatus(record.status) === 'maintenance',
+        no_data: !isMetricValue(stats.cpuUsage) && !isMetricValue(stats.memoryUsage)
+    };
+}
+
+/**
+ * 입력 형태를 자동으로 판별하여 표준 모델로 변환합니다.
+ * @param {Object} record 원본 레코드 (이미 표준 모델이어도 안전하게 재변환)
+ * @returns {ServerRecord|null} 알 수 없는 형태이면 null
+ */
+export function normalizeServerRecord(record) {
+    switch (detectRecordShape(record)) {
+        case RECORD_SHAPES.FIXED:
+            return normalizeFixedRecord(record);
+        case RECORD_SHAPES.STANDARD:
+            return normalizeStandardRecord(record);
+        default:
+            return null;
+    }
+}
+
+/**
+ * 레코드 배열을 표준 모델로 변환합니다. 변환할 수 없는 레코드는 경고 후 제외됩니다.
+ * @param {Array} records 원본 레코드 배열
+ * @returns {ServerRecord[]}
+ */
+export function normalizeServerRecords(records) {
+    if (!Array.isArray(records)) return [];
+
+    let skipped = 0;
+    const normalized = [];
+    records.forEach(record => {
+        const server = normalizeServerRecord(record);
+        if (server) {
+            normalized.push(server);
+        } else {
+            skipped++;
+        }
+    });
+
+    if (skipped > 0) {
+        console.warn(`[ServerSchema] 형식을 알 수 없는 레코드 ${skipped}개를 제외했습니다.`);
+    }
+    return normalized;
+}
+
+/**
+ * 시계열 레코드에서 호스트별 가장 최근 레코드만 남깁니다.
+ * @param {ServerRecord[]} records 표준 모델 레코드 배열
+ * @returns {ServerRecord[]}
+ */
+export function latestRecordsByHost(records) {
+    const latestByHost = {};
+    records.forEach(record => {
+        const current = latestByHost[record.hostname];
+        if (!current || new Date(record.timestamp) > new Date(current.timestamp)) {
+            latestByHost[record.hostname] = record;
+        }
+    });
+    return Object.values(latestByHost);
+}
+
+/**
+ * 표준 모델 레코드를 검증합니다.
+ * @param {ServerRecord} record 검증할 레코드
+ * @returns {{valid: boolean, errors: string[]}} 검증 결과와 오류 목록
+ */
+export function validateServerRecord(record) {
+    const errors = [];
+    if (!record || typeof record !== 'object') {
+        return { valid: false, errors: ['레코드가 객체가 아닙니다.'] };
+    }
+
+    if (typeof record.hostname !== 'string' || record.hostname.trim() === '') {
+        errors.push('hostname이 비어 있습니다.');
+    }
+    if (isNaN(new Date(record.timestamp).getTime())) {
+        errors.push(`timestamp 형식이 올바르지 않습니다: ${record.timestamp}`);
+    }
+
+    const checkPercent = (value, field) => {
+        if (typeof value !== 'number' || !isFinite(value) || value < 0 || value > 100) {
+            errors.push(`${field}는 0~100 사이의 숫자여야 합니다: ${value}`);
+        }
+    };
+    checkPercent(record.cpu_usage, 'cpu_usage');
+    checkPercent(record.memory_usage_percent, 'memory_usage_percent');
+
+    if (!Array.isArray(record.disk)) {
+        errors.push('disk는 배열이어야 합니다.');
+    } else {
+        record.disk.forEach((disk, index) => {
+            if (!disk.mount) errors.push(`disk[${index}].mount가 비어 있습니다.`);
+            checkPercent(disk.disk_usage_percent, `disk[${index}].disk_usage_percent`);
+        });
+    }
+
+    if (!record.net || typeof record.net !== 'object') {
+        errors.push('net 정보가 없습니다.');
+    }
+    if (!Array.isArray(record.net_interfaces)) {
+        errors.push('net_interfaces는 배열이어야 합니다.');
+    } else {
+        record.net_interfaces.forEach((item, index) => {
+            if (!item.interface) errors.push(`net_interfaces[${index}].interface가 비어 있습니다.`);
+        });
+    }
+    if (!record.services || typeof record.services !== 'object') {
+        errors.push('services는 객체여야 합니다.');
+    }
+    if (!Array.isArray(record.errors)) {
+        errors.push('errors는 배열이어야 합니다.');
+    }
+    if (!Array.isArray(record.alerts)) {
+        errors.push('alerts는 배열이어야 합니다.');
+    } else {
+        record.alerts.forEach((alert, index) => {
+            if (!ALERT_SEVERITIES.includes(alert.severity)) {
+                errors.push(`alerts[${index}].severity 값이 올바르지 않습니다: ${alert.severity}`);
+            }
+        });
+    }
+
+    return { valid: errors.length === 0, errors };
+}
+
+/**
+ * 서버의 디스크 목록을 반환합니다 (디스크 정보가 없으면 빈 배열).
+ * @param {ServerRecord} server 서버 레코드
+ * @returns {Array<Object>}
+ */
+export function getDisks(server) {
+    return server && Array.isArray(server.disk) ? server.disk : [];
+}
+
+/**
+ * 마운트 지점의 디스크 임계치를 반환합니다 (config.js의 DISK_MOUNT_THRESHOLDS 우선).
+ * @param {string} mount 마운트 지점 (예: '/var/log')
+ * @param {string} level 'warning' | 'critical'
+ * @param {number} defaultThreshold 마운트별 설정이 없을 때의 임계치
+ * @returns {number}
+ */
+export function getDiskThreshold(mount, level, defaultThreshold) {
+    const thresholds = (CONFIG.DISK_MOUNT_THRESHOLDS || {})[mount];
+    return thresholds && thresholds[level] !== undefined ? thresholds[level] : defaultThreshold;
+}
+
+/**
+ * 임계치(마운트별 설정 반영)를 넘은 디스크 목록을 사용률 높은 순으로 반환합니다.
+ * @param {ServerRecord} server 서버 레코드
+ * @param {string} level 'warning' | 'critical'
+ * @param {number} defaultThreshold 마운트별 설정이 없을 때의 임계치
+ * @returns {Array<Object>}
+ */
+export function getDisksOverThreshold(server, level, defaultThreshold) {
+    return getDisks(server)
+        .filter(disk => disk.disk_usage_percent >= getDiskThreshold(disk.mount, level, defaultThreshold))
+        .sort((a, b) => b.disk_usage_percent - a.disk_usage_percent);
+}
+
+/**
+ * 사용률이 가장 높은 디스크를 반환합니다.
+ * @param {ServerRecord} server 서버 레코드
+ * @returns {Object|null}
+ */
+export function getFullestDisk(server) {
+    return getDisks(server).reduce((fullest, disk) =>
+        (!fullest || disk.disk_usage_percent > fullest.disk_usage_percent ? disk : fullest), null);
+}
+
+/**
+ * 모든 마운트 중 가장 높은 디스크 사용률 (%)을 반환합니다 (정렬, 요약 지표용).
+ * @param {ServerRecord} server 서버 레코드
+ * @returns {number}
+ */
+export function getMaxDiskUsage(server) {
+    const disk = getFullestDisk(server);
+    return disk ? disk.disk_usage_percent : 0;
+}
+
+/**
+ * 서버의 네트워크 인터페이스 목록을 반환합니다 (정규화 전 레코드면 net 하나).
+ * @param {ServerRecord} server 서버 레코드
+ * @returns {Array<Object>}
+ */
+export function getNetInterfaces(server) {
+    if (!server) return [];
+    if (Array.isArray(server.net_interfaces)) return server.net_interfaces;
+    return server.net ? [server.net] : [];
+}
+
+/**
+ * 모든 인터페이스의 수신/송신 오류 합계를 반환합니다.
+ * @param {ServerRecord} server 서버 레코드
+ * @returns {number}
+ */
+export function getNetErrorCount(server) {
+    return getNetInterfaces(server).reduce((sum, item) => sum + (item.rx_errors || 0) + (item.tx_errors || 0), 0);
+}
+
+// 일반 스크립트(fixed_dummy_data.js, summary.js)에서 사용할 수 있도록 전역으로 노출
+if (typeof window !== 'undefined') {
+    window.ServerSchema = {
+        RECORD_SHAPES,
+        SERVER_STATUSES,
+        normalizeStatus,
+        detectRecordShape,
+        normalizeServerRecord,
+        normalizeServerRecords,
+        normalizeStandardRecord,
+        normalizeFixedRecord,
+        latestRecordsByHost,
+        validateServerRecord,
+        getDisks,
+        getDiskThreshold,
+        getDisksOverThreshold,
+        getFullestDisk,
+        getMaxDiskUsage,
+        getNetInterfaces,
+        getNetErrorCount
+    };
+}
@@ -0,0 +1,177 @@
+/**
+ * OpenManager AI - 서버 상태 평가
+ * 규칙 엔진 기반 상태 판단과 보고서용 포맷 함수를 DOM 없이 제공합니다.
+ * (DataProcessor, 보고서 생성기(report_builder.js), Node에서 실행하는 headless.js에서 사용)
+ *
+ * 서버 상태는 SERVER_STATUSES의 소문자 값 하나입니다 (심각한 순):
+ *   critical(심각) > error(오류) > warning(경고) > unknown(알 수 없음) > maintenance(점검 중) > normal(정상)
+ * critical/error/warning은 규칙 엔진 판단, unknown은 데이터 수신이 끊기거나(staleness.js) 메트릭이 없는 서버,
+ * maintenance는 점검 중으로 표시한 서버입니다.
+ */
+
+import { CONFIG } from './config.js';
+import { SERVER_STATUSES, getDisks, getDiskThreshold, getNetInterfaces } from './server_schema.js';
+import { getDefaultRulesEngine } from './rules_engine.js';
+
+// 상태 값과 표기 정규화는 표준 스키마(server_schema.js)에 정의 - 상태를 다루는 모듈이 한 곳에서 가져가도록 다시 내보냄
+export { SERVER_STATUSES, normalizeStatus } from './server_schema.js';
+
+// 상태별 표시 정보 (label: 한글 라벨, color: 부트스트랩 색상 이름 - error는 대시보드 CSS의 bg-error/text-error, chart: 차트 색상, emoji)
+export const STATUS_INFO = {
+    critical: { label: '심각', color: 'danger', chart: 'rgba(220, 53, 69, 0.7)', emoji: '🔴' },
+    error: { label: '오류', color: 'error', chart: 'rgba(232, 89, 12, 0.7)', emoji: '🟠' },
+    warning: { label: '경고', color: 'warning', chart: 'rgba(253, 154, 20, 0.7)', emoji: '⚠️' },
+    unknown: { label: '알 수 없음', color: 'secondary', chart: 'rgba(108, 117, 125, 0.7)', emoji: '❔' },
+    maintenance: { label: '점검 중', color: 'info', chart: 'rgba(13, 202, 240, 0.7)', emoji: '🔧' },
+    normal: { label: '정상', color: 'success', chart: 'rgba(40, 167, 69, 0.7)', emoji: '✅' }
+};
+
+/**
+ * 정렬용 상태 가중치 (심각할수록 큼, 알 수 없는 값은 0)
+ * @param {string} status 서버 상태
+ * @returns {number}
+ */
+export function getStatusWeight(status) {
+    const index = SERVER_STATUSES.indexOf(status);
+    return index === -1 ? 0 : SERVER_STATUSES.length - index;
+}
+
+/**
+ * 상태별 서버 수 (모든 상태를 0부터 셈)
+ * @param {ServerRecord[]} servers 서버 목록
+ * @param {Function} [getStatus] 서버 상태 판단 함수 (기본: evaluateServerStatus)
+ * @returns {{critical: number, error: number, warning: number, unknown: number, maintenance: number, normal: number}}
+ */
+export function countServersByStatus(servers, getStatus = evaluateServerStatus) {
+    const counts = Object.fromEntries(SERVER_STATUSES.map(status => [status, 0]));
+    (servers || []).forEach(server => {
+        const status = getStatus(server);
+        counts[status in counts ? status : 'unknown']++;
+    });
+    return counts;
+}
+
+/**
+ * 점검 중 여부 (원본 데이터의 maintenance 표시 또는 config.js의 MAINTENANCE.hosts)
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @returns {boolean}
+ */
+export function isInMaintenance(server) {
+    const hosts = (CONFIG.MAINTENANCE && CONFIG.MAINTENANCE.hosts) || [];
+    return Boolean(server && (server.maintenance || hosts.includes(server.hostname)));
+}
+
+/**
+ * 규칙 평가보다 먼저 정해지는 상태: 점검 중이면 'maintenance', 데이터 수신이 끊겼거나 메트릭이 없으면 'unknown'
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {Object} [options]
+ * @param {Object|null} [options.stale] 수신 끊김 판단 결과 (staleness.js의 getStaleness, 생략하면 레코드의 stale 표시)
+ * @returns {'maintenance'|'unknown'|null} 규칙 엔진으로 판단해야 하면 null
+ */
+export function getStatusOverride(server, options = {}) {
+    if (isInMaintenance(server)) return 'maintenance';
+    const stale = options.stale !== undefined ? options.stale : server && server.stale;
+    if (stale || (server && server.no_data)) return 'unknown';
+    return null;
+}
+
+/**
+ * 규칙 엔진의 CPU/메모리/디스크 임계치를 리소스별 임계치 표로 정리합니다 (질의 응답, 게이지 색상용).
+ * @param {RulesEngine} [rulesEngine] 규칙 엔진 (기본: 공유 규칙 엔진)
+ * @param {ServerRecord} [server] 주면 서버 유형/환경/호스트 프로필을 적용한 임계치
+ * @returns {{critical: {cpu: number, memory: number, disk: number}, warning: {cpu: number, memory: number, disk: number}}}
+ */
+export function getStatusThresholds(rulesEngine = getDefaultRulesEngine(), server) {
+    const thresholdsFor = severity => ({
+        cpu: rulesEngine.getThreshold('cpu_usage', severity, server),
+        memory: rulesEngine.getThreshold('memory_usage_percent', severity, server),
+        disk: rulesEngine.getThreshold('disk_usage_percent', severity, server)
+    });
+    return { critical: thresholdsFor('critical'), warning: thresholdsFor('warning') };
+}
+
+/**
+ * 서버 상태를 판단합니다. 점검 중/메트릭 없음이 아니면 규칙 엔진(rules_engine.js)의 가장 높은 심각도입니다.
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {RulesEngine} [rulesEngine] 규칙 엔진 (기본: 공유 규칙 엔진)
+ * @returns {string} SERVER_STATUSES 값
+ */
+export function evaluateServerStatus(server, rulesEngine = getDefaultRulesEngine()) {
+    return getStatusOverride(server) || rulesEngine.getStatus(server);
+}
+
+/**
+ * 리소스 사용률의 상태를 판단합니다. 임계치에 없는 유형은 CPU 임계치를 사용합니다.
+ * @param {number} value 사용률 (%)
+ * @param {string} [type] 'cpu' | 'memory' | 'disk' | 'generic'
+ * @param {Object} [thresholds] getStatusThresholds() 형식의 임계치
+ * @returns {'critical'|'warning'|'normal'}
+ */
+export function getResourceStatus(value, type = 'generic', thresholds = getStatusThresholds()) {
+    const criticalThreshold = type in thresholds.critical ? thresholds.critical[type] : thresholds.critical.cpu;
+    const warningThreshold = type in thresholds.warning ? thresholds.warning[type] : thresholds.warning.cpu;
+
+    if (value >= criticalThreshold) return 'critical';
+    if (value >= warningThreshold) return 'warning';
+    return 'normal';
+}
+
+/**
+ * 마운트별 임계치(config.js의 DISK_MOUNT_THRESHOLDS)를 반영한 디스크 상태
+ * @param {{mount: string, disk_usage_percent: number}} disk 디스크 정보
+ * @param {Object} [thresholds] getStatusThresholds() 형식의 임계치
+ * @returns {'critical'|'warning'|'normal'}
+ */
+export function getDiskStatus(disk, thresholds = getStatusThresholds()) {
+    if (disk.disk_usage_percent >= getDiskThreshold(disk.mount, 'critical', thresholds.critical.disk)) return 'critical';
+    if (disk.disk_usage_percent >= getDiskThreshold(disk.mount, 'warning', thresholds.warning.disk)) return 'warning';
+    return 'normal';
+}
+
+// 상태의 한글 라벨
+export function getStatusLabel(status) {
+    return (STATUS_INFO[status] || STATUS_INFO.unknown).label;
+}
+
+// 상태의 부트스트랩 색상 이름 (bg-*, text-* 클래스에 사용)
+export function getStatusColor(status) {
+    return (STATUS_INFO[status] || STATUS_INFO.unknown).color;
+}
+
+// 상태의 차트 색상
+export function getStatusChartColor(status) {
+    return (STATUS_INFO[status] || STATUS_INFO.unknown).chart;
+}
+
+// innerHTML 템플릿에 넣을 문자열의 HTML 특수 문자 이스케이프
+// (호스트명, 서비스명, 오류 메시지 등은 가져온 파일이나 스트림에서 온 값이므로 그대로 넣지 않음)
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[char]);
+}
+
+// 바이트 수를 읽기 쉬운 단위로 변환 (예: 1536 → '1.5 KB')
+export function formatBytes(bytes, decimals = 2) {
+    if (bytes === 0) return '0 Bytes';
+
+    const k = 1024;
+    const dm = decimals < 0 ? 0 : decimals;
+    const sizes = ['Bytes', 'KB', 'MB', 'GB', 'TB', 'PB', 'EB', 'ZB', 'YB'];
+    const i = Math.floor(Math.log(bytes) / Math.log(k));
+
+    return parseFloat((bytes / Math.pow(k, i)).toFixed(dm)) + ' ' + sizes[i];
+}
+
+// 보고서용 마운트별 디스크 사용률 (예: '/data 97.5%, / 30.2%')
+export function formatDiskUsage(server) {
+    const disks = getDisks(server);
+    return disks.length > 0 ? disks.map(disk => `${disk.mount} ${disk.disk_usage_percent}%`).join(', ') : 'N/A';
+}
+
+// 보고서용 인터페이스별 네트워크 정보 (인터페이스마다 한 줄)
+export function formatNetworkReport(server) {
+    return getNetInterfaces(server).map(item =>
+        `네트워크 ${item.interface}: 수신 ${formatBytes(item.rx_bytes)}, 송신 ${formatBytes(item.tx_bytes)}, 오류 (RX/TX) ${item.rx_errors}/${item.tx_errors}\n`
+    ).join('');
+}
@@ -0,0 +1,160 @@
+/**
+ * OpenManager AI - 데이터 수신 끊김 감지
+ * 서버마다 마지막 레코드 시각을 예상 수집 간격과 비교해, 간격을 여러 번 놓친 서버를 수신 지연(stale)이나
+ * 연결 끊김(unreachable)으로 표시합니다. 데이터가 끊긴 서버의 마지막 레코드가 계속 정상으로 보이지 않도록
+ * 서버 상태는 'unknown'이 되고(server_status.js), Agent는 '데이터 수신 없음' 장애로 보고합니다.
+ *
+ * 경과 시간의 기준 시각은 config.js의 STALE_DETECTION.reference입니다:
+ *   - latest: 전체 서버 중 가장 최근 레코드 시각 (파일 분석/재생처럼 데이터 시각이 현재와 다를 때, 다른 서버 대비 끊긴 서버 감지)
+ *   - now: 현재 시각 (실시간 소스에서 모든 서버의 수신이 한꺼번에 끊긴 경우까지 감지)
+ * 예상 수집 간격은 intervalSeconds, 없으면 서버 이력의 레코드 간격(중앙값), 그것도 없으면 defaultIntervalSeconds입니다.
+ *
+ * 파일에서 가져온 레코드(import_batch, data_import.js의 tagImportBatch)는 수집 시각이 실시간 데이터보다 과거이므로
+ * 같은 가져오기 묶음 안에서만, reference 설정과 관계없이 'latest' 기준으로 비교합니다 (getBatchReferenceTime).
+ */
+
+import { CONFIG } from './config.js';
+import { formatDuration } from './forecast.js';
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// 수신 끊김 단계
+export const STALE_STATES = {
+    STALE: 'stale',
+    UNREACHABLE: 'unreachable'
+};
+
+// 단계별 표시 이름
+export const STALE_LABELS = {
+    stale: '수신 지연',
+    unreachable: '연결 끊김'
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    reference: 'latest',
+    intervalSeconds: null,
+    defaultIntervalSeconds: 60,
+    staleAfter: 3,
+    unreachableAfter: 10,
+    severity: 'error'
+};
+
+const toTime = value => (value ? new Date(value).getTime() : NaN);
+
+/**
+ * 레코드 시각 목록으로 수집 간격을 추정합니다 (연속한 레코드 간격의 중앙값).
+ * @param {Array<string|number|Date>} timestamps 레코드 시각 (순서 무관)
+ * @returns {number|null} 간격 (밀리초), 간격이 두 개보다 적으면 null
+ */
+export function estimateInterval(timestamps) {
+    const times = [...new Set((timestamps || []).map(toTime).filter(time => !Number.isNaN(time)))].sort((a, b) => a - b);
+    const gaps = times.slice(1).map((time, index) => time - times[index]);
+    if (gaps.length < 2) return null;
+    gaps.sort((a, b) => a - b);
+    return gaps[Math.floor(gaps.length / 2)];
+}
+
+/**
+ * 경과 시간의 기준 시각
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {Object} [options] STALE_DETECTION 형식의 설정
+ * @param {number} [now] 현재 시각 (밀리초, reference가 'now'일 때)
+ * @returns {number|null} 기준 시각 (밀리초), 레코드 시각이 하나도 없으면 null
+ */
+export function getReferenceTime(servers, options = CONFIG.STALE_DETECTION, now = Date.now()) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    if (settings.reference === 'now') return now;
+    const times = (servers || []).map(server => toTime(server && server.timestamp)).filter(time => !Number.isNaN(time));
+    return times.length > 0 ? Math.max(...times) : null;
+}
+
+/**
+ * 서버와 같은 묶음(실시간 데이터 또는 같은 가져오기 파일)의 서버만으로 구한 기준 시각
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {ServerRecord} server 판단할 서버
+ * @param {Object} [options] STALE_DETECTION 형식의 설정
+ * @param {number} [now] 현재 시각 (밀리초, 실시간 데이터의 reference가 'now'일 때)
+ * @returns {number|null}
+ */
+export function getBatchReferenceTime(servers, server, options = CONFIG.STALE_DETECTION, now = Date.now()) {
+    const batch = (server && server.import_batch) || null;
+    const peers = (servers || []).filter(item => ((item && item.import_batch) || null) === batch);
+    return getReferenceTime(peers, batch ? { ...options, reference: 'latest' } : options, now);
+}
+
+/**
+ * 서버 한 대의 수신 끊김 여부
+ * @param {ServerRecord} server 표준 스키마 레코드 (마지막 레코드)
+ * @param {Object} context
+ * @param {number|null} context.referenceTime 기준 시각 (getReferenceTime)
+ * @param {number|null} [context.intervalMs] 서버 이력으로 추정한 수집 간격 (estimateInterval, 설정의 intervalSeconds가 우선)
+ * @param {Object} [context.options] STALE_DETECTION 형식의 설정 (기본: config.js)
+ * @returns {{state: string, lastSeen: string, ageMs: number, intervalMs: number, missedIntervals: number}|null}
+ *   수신 중이거나 판단할 수 없으면 null
+ */
+export function getStaleness(server, { referenceTime, intervalMs = null, options = CONFIG.STALE_DETECTION } = {}) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    const lastSeen = toTime(server && server.timestamp);
+    if (!settings.enabled || referenceTime === null || referenceTime === undefined || Number.isNaN(lastSeen)) return null;
+
+    const interval = settings.intervalSeconds ? settings.intervalSeconds * 1000 : (intervalMs || settings.defaultIntervalSeconds * 1000);
+    const ageMs = Math.max(0, referenceTime - lastSeen);
+    const missedIntervals = Math.floor(ageMs / interval);
+    if (missedIntervals < settings.staleAfter) return null;
+    return {
+        state: missedIntervals >= settings.unreachableAfter ? STALE_STATES.UNREACHABLE : STALE_STATES.STALE,
+        lastSeen: new Date(lastSeen).toISOString(),
+        ageMs,
+        intervalMs: interval,
+        missedIntervals
+    };
+}
+
+/**
+ * 수신 끊김 설명 (예: '연결 끊김 - 마지막 수신 ~3시간 전 (수집 간격 10분, 18회 누락)')
+ * @param {Object} stale getStaleness() 결과
+ * @returns {string}
+ */
+export function formatStaleness(stale) {
+    return `${STALE_LABELS[stale.state]} - 마지막 수신 ${formatDuration(stale.ageMs / HOUR_MS)} 전 ` +
+        `(수집 간격 ${formatDuration(stale.intervalMs / HOUR_MS).replace('~', '')}, ${stale.missedIntervals}회 누락)`;
+}
+
+/**
+ * 수신이 끊긴 서버의 문제 항목 (마지막 레코드의 지표는 현재 값이 아니므로 규칙 평가 대신 사용)
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {Object} stale getStaleness() 결과
+ * @param {Object} [options] STALE_DETECTION 형식의 설정 (기본: config.js)
+ * @returns {Object} { type: 'stale', ruleId: 'no_data', name, metric, severity, hostname, target, value, stale,
+ *   description, causes, solutions, commands } - 규칙 엔진 일치 결과와 같은 형태
+ */
+export function buildStaleFinding(server, stale, options = CONFIG.STALE_DETECTION) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    return {
+        type: 'stale',
+        ruleId: 'no_data',
+        name: '데이터 수신 없음',
+        metric: null,
+        severity: settings.severity,
+        hostname: server.hostname,
+        target: null,
+        value: stale.lastSeen,
+        stale,
+        description: `데이터 수신 없음: ${formatStaleness(stale)}`,
+        causes: stale.state === STALE_STATES.UNREACHABLE
+            ? ['서버 다운 또는 네트워크 단절', '수집 에이전트 중지', '방화벽/라우팅 변경']
+            : ['수집 에이전트 지연 또는 재시작', '서버 과부하로 수집 지연', '일시적인 네트워크 문제'],
+        solutions: [
+            '서버에 ping/SSH로 접속되는지 확인하세요.',
+            '수집 에이전트(node_exporter 등)가 실행 중인지 확인하고 필요하면 재시작하세요.',
+            '같은 네트워크 구간의 다른 서버도 끊겼는지 확인하세요.'
+        ],
+        commands: [
+            `ping -c 3 ${server.ip || server.hostname}`,
+            'systemctl status node_exporter',
+            'journalctl -u node_exporter -n 50'
+        ]
+    };
+}
@@ -0,0 +1,422 @@
+/**
+ * OpenManager AI - 장애/이력 영구 저장소
+ * Agent 장애, AIProcessor 이력 포인트, 운영자의 장애 확인/해결 기록을 저장해 새로고침이나 재시작 뒤에도 이어서 사용합니다.
+ *
+ * 백엔드 (config.js STORAGE.backend):
+ *   - indexeddb: 브라우저 IndexedDB (대시보드)
+ *   - file: JSON 파일 (Node - 변경을 모아 writeDelayMs 뒤에 임시 파일로 쓰고 교체, 상대 경로는 실행 디렉터리가 아니라
+ *     이 모듈이 있는 디렉터리 기준이며 기본 위치인 data/는 .gitignore에 포함)
+ *   - memory: 메모리 (테스트용, 저장되지 않음)
+ *   - auto: 브라우저는 indexeddb, Node는 file
+ *
+ * 저장 단위 (레코드마다 key, hostname, time을 가지며 조회는 호스트, 시간 구간, 상태로 거름):
+ *   - incidents: 장애 (key = 장애 ID, time = 감지 시각)
+ *   - history: 이력 포인트 (key = '호스트명|시각', time = 수집 시각)
+ *   - acknowledgements: 장애 확인/해결 기록 (key = '장애 ID|동작|시각', time = 처리 시각)
+ *
+ * 보존 기간(retention)이 지난 레코드는 열 때와 retentionIntervalMinutes마다 정리합니다. 진행 중인 장애는 오래돼도 남깁니다.
+ */
+
+import { CONFIG } from './config.js';
+
+// 저장 단위 이름
+export const STORE_NAMES = {
+    INCIDENTS: 'incidents',
+    HISTORY: 'history',
+    ACKNOWLEDGEMENTS: 'acknowledgements'
+};
+
+// 설정이 없을 때의 기본값
+const DEFAULT_OPTIONS = {
+    enabled: true,
+    backend: 'auto',
+    databaseName: 'openmanager-ai',
+    filePath: 'data/openmanager-store.json',
+    writeDelayMs: 1000,
+    retentionIntervalMinutes: 60,
+    retention: { incidentDays: 30, historyHours: 168, acknowledgementDays: 90 }
+};
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const FILE_FORMAT_VERSION = 1;
+
+// 장애의 날짜 필드 (JSON으로 저장하면 문자열이 되므로 불러올 때 Date로 되돌림)
+const INCIDENT_DATE_FIELDS = ['timestamp', 'lastSeenAt', 'acknowledgedAt', 'resolvedAt', 'lastNotifiedAt', 'nextNotificationAt'];
+const CONDITION_DATE_FIELDS = ['firstSeenAt', 'lastSeenAt', 'clearedAt'];
+
+const toTime = value => (value === undefined || value === null ? NaN : new Date(value).getTime());
+const toDate = value => (value ? new Date(value) : null);
+
+/**
+ * 저장된 장애를 Agent 장애 객체로 되돌립니다 (날짜 필드를 Date로).
+ * @param {Object} data 저장된 장애 (JSON)
+ * @returns {Object}
+ */
+export function reviveIncident(data) {
+    const incident = { ...data };
+    INCIDENT_DATE_FIELDS.forEach(field => {
+        incident[field] = toDate(data[field]);
+    });
+    incident.conditionStates = (data.conditionStates || []).map(condition => {
+        const revived = { ...condition };
+        CONDITION_DATE_FIELDS.forEach(field => {
+            revived[field] = toDate(condition[field]);
+        });
+        return revived;
+    });
+    incident.timeline = (data.timeline || []).map(entry => ({ ...entry, at: toDate(entry.at) }));
+    incident.notifications = (data.notifications || []).map(entry => ({ ...entry, at: toDate(entry.at) }));
+    return incident;
+}
+
+// 조회 조건 { hostname, from, to } 에 맞는 레코드인지
+function matchesFilter(record, { hostname, from, to } = {}) {
+    if (hostname && record.hostname !== hostname) return false;
+    const time = toTime(record.time);
+    if (from !== undefined && from !== null && time < toTime(from)) return false;
+    if (to !== undefined && to !== null && time > toTime(to)) return false;
+    return true;
+}
+
+// 메모리 백엔드 (저장 단위 이름 → key → 레코드)
+export class MemoryStorageBackend {
+    constructor() {
+        this.stores = new Map(Object.values(STORE_NAMES).map(name => [name, new Map()]));
+    }
+
+    async open() {}
+
+    async put(storeName, records) {
+        const store = this.stores.get(storeName);
+        records.forEach(record => store.set(record.key, record));
+        this.changed();
+    }
+
+    // filter.hostname이 있으면 그 호스트의 레코드만
+    async getAll(storeName, filter = {}) {
+        const records = [...this.stores.get(storeName).values()];
+        return filter.hostname ? records.filter(record => record.hostname === filter.hostname) : records;
+    }
+
+    async remove(storeName, keys) {
+        const store = this.stores.get(storeName);
+        keys.forEach(key => store.delete(key));
+        if (keys.length > 0) this.changed();
+    }
+
+    // 레코드가 바뀌면 호출 (파일 백엔드가 저장 예약에 사용)
+    changed() {}
+
+    async close() {}
+}
+
+// JSON 파일 백엔드 (Node 전용) - 메모리에 두고 변경을 모아 파일에 씀
+export class FileStorageBackend extends MemoryStorageBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.filePath 저장 파일 경로 (상대 경로는 storage.js가 있는 디렉터리 기준)
+     * @param {number} [options.writeDelayMs] 변경 후 파일에 쓰기까지 기다리는 시간 (그사이 변경은 한 번에 씀)
+     */
+    constructor(options) {
+        super();
+        this.filePath = options.filePath;
+        this.writeDelayMs = options.writeDelayMs || 0;
+        this.writeTimer = null;
+        this.writing = Promise.resolve();
+        this.fs = null;
+        this.path = null;
+    }
+
+    async open() {
+        if (typeof process === 'undefined' || !process.versions || !process.versions.node) {
+            throw new Error('파일 저장소는 Node.js에서만 사용할 수 있습니다.');
+        }
+        this.fs = await import('node:fs/promises');
+        this.path = await import('node:path');
+        if (!this.path.isAbsolute(this.filePath)) {
+            // 실행 디렉터리에 따라 저장 위치가 바뀌지 않도록 모듈 위치 기준으로 고정
+            const { fileURLToPath } = await import('node:url');
+            this.filePath = this.path.resolve(this.path.dirname(fileURLToPath(import.meta.url)), this.filePath);
+        }
+        let text;
+        try {
+            text = await this.fs.readFile(this.filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return; // 처음 실행
+            throw error;
+        }
+        const data = JSON.parse(text);
+        Object.entries(data.stores || {}).forEach(([name, records]) => {
+            if (this.stores.has(name)) {
+                records.forEach(record => this.stores.get(name).set(record.key, record));
+            }
+        });
+    }
+
+    changed() {
+        if (this.writeTimer) return;
+        this.writeTimer = setTimeout(() => {
+            this.writeTimer = null;
+            this.flush().catch(error => console.error('[Storage] 저장 파일을 쓰지 못했습니다:', error));
+        }, this.writeDelayMs);
+    }
+
+    // 바뀐 내용을 바로 파일에 씀 (쓰는 중이면 끝난 뒤에 이어서)
+    flush() {
+        if (this.writeTimer) {
+            clearTimeout(this.writeTimer);
+            this.writeTimer = null;
+        }
+        this.writing = this.writing.then(async () => {
+            const stores = Object.fromEntries([...this.stores.entries()].map(([name, store]) => [name, [...store.values()]]));
+            const tempPath = `${this.filePath}.tmp`;
+            await this.fs.mkdir(this.path.dirname(this.filePath), { recursive: true });
+            await this.fs.writeFile(tempPath, JSON.stringify({ version: FILE_FORMAT_VERSION, savedAt: new Date().toISOString(), stores }));
+            await this.fs.rename(tempPath, this.filePath);
+        });
+        return this.writing;
+    }
+
+    async close() {
+        if (this.writeTimer) {
+            await this.flush();
+        }
+        await this.writing;
+    }
+}
+
+// IndexedDB 요청을 Promise로
+function requestToPromise(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// 브라우저 IndexedDB 백엔드 (저장 단위마다 object store, hostname/time 인덱스)
+export class IndexedDBStorageBackend {
+    /**
+     * @param {Object} options
+     * @param {string} options.databaseName IndexedDB 데이터베이스 이름
+     */
+    constructor(options) {
+        this.databaseName = options.databaseName;
+        this.db = null;
+    }
+
+    async open() {
+        if (typeof indexedDB === 'undefined') {
+            throw new Error('이 환경에서는 IndexedDB를 사용할 수 없습니다.');
+        }
+        const request = indexedDB.open(this.databaseName, 1);
+        request.onupgradeneeded = () => {
+            Object.values(STORE_NAMES).forEach(name => {
+                if (request.result.objectStoreNames.contains(name)) return;
+                const store = request.result.createObjectStore(name, { keyPath: 'key' });
+                store.createIndex('hostname', 'hostname');
+                store.createIndex('time', 'time');
+            });
+        };
+        this.db = await requestToPromise(request);
+    }
+
+    // 쓰기 트랜잭션 하나로 실행하고 완료될 때까지 기다림
+    write(storeName, action) {
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(storeName, 'readwrite');
+            action(transaction.objectStore(storeName));
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    put(storeName, records) {
+        return this.write(storeName, store => records.forEach(record => store.put(record)));
+    }
+
+    getAll(storeName, filter = {}) {
+        const store = this.db.transaction(storeName, 'readonly').objectStore(storeName);
+        return requestToPromise(filter.hostname ? store.index('hostname').getAll(filter.hostname) : store.getAll());
+    }
+
+    remove(storeName, keys) {
+        return this.write(storeName, store => keys.forEach(key => store.delete(key)));
+    }
+
+    async close() {
+        if (this.db) {
+            this.db.close();
+            this.db = null;
+        }
+    }
+}
+
+/**
+ * 설정에 맞는 저장소 백엔드를 만듭니다.
+ * @param {Object} [options] STORAGE 형식의 설정 (기본: config.js)
+ * @returns {MemoryStorageBackend|FileStorageBackend|IndexedDBStorageBackend}
+ */
+export function createStorageBackend(options = CONFIG.STORAGE) {
+    const settings = { ...DEFAULT_OPTIONS, ...options };
+    let backend = settings.backend;
+    if (backend === 'auto') {
+        backend = typeof indexedDB !== 'undefined' ? 'indexeddb' : (typeof process !== 'undefined' && process.versions && process.versions.node ? 'file' : 'memory');
+    }
+    switch (backend) {
+        case 'indexeddb':
+            return new IndexedDBStorageBackend(settings);
+        case 'file':
+            return new FileStorageBackend(settings);
+        case 'memory':
+            return new MemoryStorageBackend();
+        default:
+            throw new Error(`알 수 없는 저장소 백엔드입니다: ${backend}`);
+    }
+}
+
+export class PersistentStore {
+    /**
+     * @param {Object} [options] STORAGE 형식의 설정 (기본: config.js)
+     * @param {Object} [backend] 사용할 백엔드 (생략하면 createStorageBackend(options))
+     */
+    constructor(options = CONFIG.STORAGE, backend = null) {
+        this.options = { ...DEFAULT_OPTIONS, ...options, retention: { ...DEFAULT_OPTIONS.retention, ...(options && options.retention) } };
+        this.backend = backend || createStorageBackend(this.options);
+        this.lastRetentionAt = 0;
+    }
+
+    /**
+     * 백엔드를 열고 보존 기간이 지난 레코드를 정리합니다.
+     * @returns {Promise<PersistentStore>}
+     */
+    async open() {
+        await this.backend.open();
+        await this.applyRetention();
+        return this;
+    }
+
+    // 열 때 외에는 retentionIntervalMinutes마다 한 번만 정리
+    maybeApplyRetention() {
+        if (Date.now() - this.lastRetentionAt < this.options.retentionIntervalMinutes * 60 * 1000) return Promise.resolve(null);
+        return this.applyRetention();
+    }
+
+    /**
+     * 장애를 저장합니다 (같은 ID는 덮어씀).
+     * @param {Array<Object>} incidents Agent 장애
+     * @returns {Promise<void>}
+     */
+    async saveIncidents(incidents) {
+        const records = (incidents || []).filter(Boolean).map(incident => ({
+            key: incident.id,
+            hostname: incident.serverName,
+            time: new Date(incident.timestamp).toISOString(),
+            state: incident.state,
+            resolvedAt: incident.resolvedAt ? new Date(incident.resolvedAt).toISOString() : null,
+            incident: JSON.parse(JSON.stringify(incident))
+        }));
+        if (records.length === 0) return;
+        await this.backend.put(STORE_NAMES.INCIDENTS, records);
+        await this.maybeApplyRetention();
+    }
+
+    /**
+     * 저장된 장애를 조회합니다.
+     * @param {Object} [filter]
+     * @param {string} [filter.hostname] 서버 호스트명
+     * @param {Date|string|number} [filter.from] 감지 시각 하한
+     * @param {Date|string|number} [filter.to] 감지 시각 상한
+     * @param {string|string[]} [filter.state] 장애 상태 ('open' | 'acknowledged' | 'resolved')
+     * @param {number} [filter.limit] 최대 개수
+     * @returns {Promise<Array<Object>>} Agent 장애 객체 (reviveIncident, 최근에 감지된 순)
+     */
+    async queryIncidents(filter = {}) {
+        const states = filter.state ? [].concat(filter.state) : null;
+        const records = (await this.backend.getAll(STORE_NAMES.INCIDENTS, filter))
+            .filter(record => matchesFilter(record, filter) && (!states || states.includes(record.state)))
+            .sort((a, b) => toTime(b.time) - toTime(a.time));
+        return records.slice(0, filter.limit || records.length).map(record => reviveIncident(record.incident));
+    }
+
+    /**
+     * 이력 포인트를 저장합니다 (같은 서버의 같은 시각은 덮어씀).
+     * @param {Object<string, Array<Object>>} pointsByHost 호스트명 → 이력 포인트 (AIProcessor.historicalData 형식)
+     * @returns {Promise<void>}
+     */
+    async saveHistoryPoints(pointsByHost) {
+        const records = Object.entries(pointsByHost || {}).flatMap(([hostname, points]) => points
+            .filter(point => point && point.timestamp)
+            .map(point => ({ key: `${hostname}|${point.timestamp}`, hostname, time: point.timestamp, point })));
+        if (records.length === 0) return;
+        await this.backend.put(STORE_NAMES.HISTORY, records);
+        await this.maybeApplyRetention();
+    }
+
+    /**
+     * 저장된 이력 포인트를 조회합니다.
+     * @param {Object} [filter] { hostname, from, to } - 수집 시각 기준
+     * @returns {Promise<Object<string, Array<Object>>>} 호스트명 → 이력 포인트 (오래된 순, AIProcessor.historicalData 형식)
+     */
+    async queryHistory(filter = {}) {
+        const history = {};
+        (await this.backend.getAll(STORE_NAMES.HISTORY, filter))
+            .filter(record => matchesFilter(record, filter))
+            .sort((a, b) => toTime(a.time) - toTime(b.time))
+            .forEach(record => {
+                if (!history[record.hostname]) history[record.hostname] = [];
+                history[record.hostname].push(record.point);
+            });
+        return history;
+    }
+
+    /**
+     * 장애 확인/해결 기록을 저장합니다.
+     * @param {Object} entry { incidentId, hostname, action: 'acknowledged' | 'resolved', by, at }
+     * @returns {Promise<void>}
+     */
+    async recordAcknowledgement({ incidentId, hostname, action, by, at = new Date() }) {
+        const time = new Date(at).toISOString();
+        await this.backend.put(STORE_NAMES.ACKNOWLEDGEMENTS, [{ key: `${incidentId}|${action}|${time}`, incidentId, hostname, action, by, time }]);
+        await this.maybeApplyRetention();
+    }
+
+    /**
+     * 장애 확인/해결 기록을 조회합니다.
+     * @param {Object} [filter] { hostname, from, to, incidentId } - 처리 시각 기준
+     * @returns {Promise<Array<Object>>} { incidentId, hostname, action, by, at } (최근 순)
+     */
+    async queryAcknowledgements(filter = {}) {
+        return (await this.backend.getAll(STORE_NAMES.ACKNOWLEDGEMENTS, filter))
+            .filter(record => matchesFilter(record, filter) && (!filter.incidentId || record.incidentId === filter.incidentId))
+            .sort((a, b) => toTime(b.time) - toTime(a.time))
+            .map(({ incidentId, hostname, action, by, time }) => ({ incidentId, hostname, action, by, at: new Date(time) }));
+    }
+
+    /**
+     * 보존 기간이 지난 레코드를 지웁니다 (해결된 장애는 해결 시각 기준, 진행 중인 장애는 유지).
+     * @param {number} [now] 기준 시각 (밀리초)
+     * @returns {Promise<{incidents: number, history: number, acknowledgements: number}>} 지운 레코드 수
+     */
+    async applyRetention(now = Date.now()) {
+        this.lastRetentionAt = now;
+        const { incidentDays, historyHours, acknowledgementDays } = this.options.retention;
+        const expired = async (storeName, isExpired) => {
+            const keys = (await this.backend.getAll(storeName)).filter(isExpired).map(record => record.key);
+            await this.backend.remove(storeName, keys);
+            return keys.length;
+        };
+        return {
+            incidents: await expired(STORE_NAMES.INCIDENTS, record =>
+                record.state === 'resolved' && now - toTime(record.resolvedAt || record.time) > incidentDays * DAY_MS),
+            history: await expired(STORE_NAMES.HISTORY, record => now - toTime(record.time) > historyHours * HOUR_MS),
+            acknowledgements: await expired(STORE_NAMES.ACKNOWLEDGEMENTS, record => now - toTime(record.time) > acknowledgementDays * DAY_MS)
+        };
+    }
+
+    // 남은 변경을 쓰고 백엔드를 닫음
+    close() {
+        return this.backend.close();
+    }
+}
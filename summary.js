@@ -15,7 +15,13 @@ async function initDashboard() { // async 키워드는 이제 필수는 아님 (
             showError("필수 데이터 파일을 로드할 수 없습니다.");
             return;
         }
-        allServerDataForSummary = getFixedDummyData();
+        // 고정 데이터셋을 표준 스키마(server_schema.js)로 변환하여 사용
+        if (!window.ServerSchema) {
+            console.error("ServerSchema를 찾을 수 없습니다. server_schema.js가 로드되었는지 확인하세요.");
+            showError("필수 데이터 파일을 로드할 수 없습니다.");
+            return;
+        }
+        allServerDataForSummary = window.ServerSchema.normalizeServerRecords(getFixedDummyData());
         
         if (!allServerDataForSummary || allServerDataForSummary.length === 0) {
             showError("서버 데이터를 로드할 수 없습니다.");
@@ -43,12 +49,8 @@ async function initDashboard() { // async 키워드는 이제 필수는 아님 (
 // async function loadServerData(fileName) { ... } // 이 함수는 이제 사용되지 않습니다.
 
 // updateStatusSummary, updateServerList, initCharts, displayRecentAlerts 등
-// 내부에서 dataProcessor의 메소드를 호출할 때, 해당 메소드들이
-// 새로운 데이터 구조(serverHostname, stats, alerts 등)를 올바르게 처리하도록
-// data_processor.js 내부에서 수정되었다고 가정합니다.
-
-// 예시: updateServerList에서 server.serverName -> server.serverHostname
-// 예시: formatAlertCount에서 alerts 배열 구조 사용
+// 내부에서 사용하는 서버 객체는 모두 server_schema.js의 표준 모델(ServerRecord)입니다.
+// (hostname, server_type, cpu_usage, memory_usage_percent, alerts 등)
 
 function updateServerList() {
     if (!dataProcessor) return;
@@ -61,64 +63,61 @@ function updateServerList() {
     
     Object.values(currentStatus)
         .sort((a, b) => {
-            // 정렬 로직 (심각도 점수 계산을 위해 통합 함수에서 반환된 값 활용)
-            const aStatus = window.getServerStatus ? window.getServerStatus(a) : a.status;
-            const bStatus = window.getServerStatus ? window.getServerStatus(b) : b.status;
-            
-            const aSeverityScore = (aStatus === 'Critical' || aStatus === 'critical') ? 2 : ((aStatus === 'Warning' || aStatus === 'warning') ? 1 : 0);
-            const bSeverityScore = (bStatus === 'Critical' || bStatus === 'critical') ? 2 : ((bStatus === 'Warning' || bStatus === 'warning') ? 1 : 0);
+            // 정렬 로직 (심각한 상태 우선, SERVER_STATUSES 순서)
+            const statuses = window.ServerSchema.SERVER_STATUSES;
+            const aSeverityScore = statuses.indexOf(getServerStatusClass(a));
+            const bSeverityScore = statuses.indexOf(getServerStatusClass(b));
             
-            if (aSeverityScore !== bSeverityScore) return bSeverityScore - aSeverityScore;
-            return b.stats.cpuUsage - a.stats.cpuUsage; // CPU 높은 순
+            if (aSeverityScore !== bSeverityScore) return aSeverityScore - bSeverityScore;
+            return b.cpu_usage - a.cpu_usage; // CPU 높은 순
         })
         .slice(0, 10)
-        .forEach(server => { // server 객체는 이제 fixed_dummy_data의 구조를 따름
+        .forEach(server => { // server 객체는 표준 모델(ServerRecord)
             const row = document.createElement('tr');
             
             // 통합 서버 상태 판단 함수 사용
-            const serverStatus = window.getServerStatus ? window.getServerStatus(server) : server.status;
-            
-            let rowClass = '';
-            if (serverStatus === 'Critical' || serverStatus === 'critical') rowClass = 'critical';
-            else if (serverStatus === 'Warning' || serverStatus === 'warning') rowClass = 'warning';
-            row.className = rowClass;
+            const serverStatus = getServerStatusClass(server);
+            row.className = serverStatus === 'normal' ? '' : serverStatus;
             
             const timestamp = new Date(server.timestamp);
             const formattedTime = `${timestamp.getFullYear()}-${String(timestamp.getMonth() + 1).padStart(2, '0')}-${String(timestamp.getDate()).padStart(2, '0')} ${String(timestamp.getHours()).padStart(2, '0')}:${String(timestamp.getMinutes()).padStart(2, '0')}`;
             
             row.innerHTML = `
-                <td><span class="server-status ${serverStatus.toLowerCase()}"></span> ${server.serverHostname}</td>
-                <td>${server.serverType}</td>
-                <td>${server.stats.cpuUsage.toFixed(1)}%</td>
-                <td>${server.stats.memoryUsage.toFixed(1)}%</td>
+                <td><span class="server-status ${serverStatus}"></span> ${server.hostname}</td>
+                <td>${(server.server_type || '-').toUpperCase()}</td>
+                <td>${server.cpu_usage.toFixed(1)}%</td>
+                <td>${server.memory_usage_percent.toFixed(1)}%</td>
                 <td>${formattedTime}</td>
                 <td>${formatAlertCount(server.alerts)}</td> 
             `;
             // IP 주소, 디스크 사용량 등 추가 정보 표시 가능
             // <td>${server.ip}</td>
-            // <td>${server.stats.diskUsage.toFixed(1)}%</td>
+            // <td>${server.disk[0].disk_usage_percent.toFixed(1)}%</td>
             serverListElement.appendChild(row);
         });
 }
 
-// 서버 상태 클래스 (통합 함수 사용)
-function getServerStatusClass(server) { // server 객체는 fixed_dummy_data의 단일 항목
+// 서버 상태 클래스 (통합 함수 사용, 값은 SERVER_STATUSES 중 하나)
+function getServerStatusClass(server) { // server 객체는 표준 모델(ServerRecord)
     if (window.getServerStatus) {
-        return window.getServerStatus(server).toLowerCase();
+        return window.getServerStatus(server);
     }
-    return server.status.toLowerCase();
+    return window.ServerSchema.normalizeStatus(server.status) || 'normal';
 }
 
-// 알림 수 포맷팅 (alerts 배열 사용)
+// 알림 수 포맷팅 (alerts 배열 사용, severity는 표준 모델에서 소문자로 정규화됨)
 function formatAlertCount(alertsArray) { // alertsArray는 item.alerts
     if (!alertsArray || alertsArray.length === 0) return '-';
     
     const criticalCount = alertsArray.filter(alert => alert.severity === 'critical').length;
+    const errorCount = alertsArray.filter(alert => alert.severity === 'error').length;
     const warningCount = alertsArray.filter(alert => alert.severity === 'warning').length;
     // info 레벨도 있다면 추가
     
     if (criticalCount > 0) {
         return `<span class="badge critical">${criticalCount}</span>`;
+    } else if (errorCount > 0) {
+        return `<span class="badge error">${errorCount}</span>`;
     } else if (warningCount > 0) {
         return `<span class="badge warning">${warningCount}</span>`;
     } else {
@@ -130,7 +129,7 @@ function formatAlertCount(alertsArray) { // alertsArray는 item.alerts
 // 차트 초기화 및 업데이트 함수 (initStatusChart, initCpuTrendChart 등) 내부에서
 // dataProcessor.getServerCountByStatus(), dataProcessor.getHourlySystemStatus() 등을 호출할 때,
 // 해당 data_processor.js의 메소드들이 새 데이터 구조에 맞게 수정되어야 합니다.
-// 예를 들어, getHourlySystemStatus는 item.stats.cpuUsage 등을 사용해야 합니다.
+// 예를 들어, getHourlySystemStatus는 item.cpu_usage 등을 사용해야 합니다.
 
 function displayRecentAlerts() {
     if (!dataProcessor) return;
@@ -163,7 +162,7 @@ function displayRecentAlerts() {
                 <div class="alert-time">${timeString}</div>
                 <div class="alert-badge">${alert.severity.charAt(0).toUpperCase() + alert.severity.slice(1)}</div>
                 <div class="alert-content">
-                    <div class="alert-server">${record.serverHostname} (${record.serverType})</div>
+                    <div class="alert-server">${record.hostname} (${(record.server_type || '-').toUpperCase()})</div>
                     <div class="alert-message">${alert.message}</div>
                 </div>
             `;
@@ -180,7 +179,7 @@ function displayRecentAlerts() {
 
 // ... (나머지 함수들, 특히 차트 업데이트 시 data_processor.js의 변경된 메소드 결과 사용)
 // updateStatusChart, updateCpuTrendChart 등에서 사용하는 dataProcessor의 메소드들이
-// 새로운 데이터 구조(fixed_dummy_data)를 잘 처리하도록 수정되어야 합니다.
+// 표준 모델(ServerRecord)을 처리하도록 수정되어야 합니다.
 // (data_processor.js 내부에서 처리)
 
 document.addEventListener('DOMContentLoaded', initDashboard);
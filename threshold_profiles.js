@@ -0,0 +1,126 @@
+/**
+ * OpenManager AI - 임계치 프로필
+ * 서버 유형, 환경, 호스트별로 규칙 임계치를 덮어쓰는 프로필을 해석합니다.
+ * (예: 메모리를 80%대로 쓰도록 설계된 캐시 서버가 항상 경고로 표시되지 않도록)
+ *
+ * 프로필 형식 (config.js의 THRESHOLD_PROFILES):
+ *   {
+ *     extends: 'memory-heavy',                  // 상속할 이름 붙인 프로필 (문자열 또는 배열, 먼저 적용)
+ *     thresholds: {                             // 지표별 심각도 임계치 (rules_engine.js의 RULE_METRICS 키)
+ *       memory_usage_percent: { warning: 90, critical: 97 }
+ *     },
+ *     rules: {                                  // 규칙별 덮어쓰기 (threshold, recovery, consecutive, enabled 등)
+ *       zombie_processes: { enabled: false }
+ *     }
+ *   }
+ *
+ * 적용 순서 (뒤에 적용한 값이 우선): 서버 유형 → 환경 → 호스트
+ * 지표별 임계치(thresholds)는 '이 값 이상이면 경고/심각'인 상한 규칙(>=, >)에만 적용합니다.
+ * 하한 규칙(<=, < - 예: CPU가 5% 이하면 유휴 경고)의 임계치는 바꾸려면 rules로 규칙별로 덮어씁니다.
+ */
+
+import { CONFIG } from './config.js';
+
+// 프로필을 적용하는 서버 속성 (적용 순서대로)
+export const PROFILE_SCOPES = [
+    { key: 'serverType', label: '서버 유형', value: server => server.server_type },
+    { key: 'environment', label: '환경', value: server => server.environment },
+    { key: 'host', label: '호스트', value: server => server.hostname }
+];
+
+// 값이 커질수록 나빠지는 상한 규칙의 연산자 (프로필 임계치와 지표별 상태 임계치는 이 규칙만 사용)
+export const UPPER_BOUND_OPERATORS = ['>=', '>'];
+
+/**
+ * 숫자 임계치를 넘으면 일치하는 상한 규칙인지 (>=, >)
+ * @param {Object} rule 규칙
+ * @returns {boolean}
+ */
+export function isUpperBoundRule(rule) {
+    return UPPER_BOUND_OPERATORS.includes(rule.operator) && typeof rule.threshold === 'number';
+}
+
+// 프로필 설정 없이 사용할 때의 빈 설정
+const EMPTY_PROFILES = { profiles: {}, serverType: {}, environment: {}, host: {} };
+
+// 프로필 하나를 결과에 병합 (extends를 먼저 병합, 순환 상속은 한 번만 적용)
+function mergeProfile(result, profile, config, source, visited) {
+    if (!profile) return;
+    [].concat(profile.extends || []).forEach(name => {
+        if (visited.has(name)) return;
+        visited.add(name);
+        const parent = (config.profiles || {})[name];
+        if (!parent) {
+            console.warn(`[ThresholdProfiles] 상속할 프로필이 없습니다: ${name}`);
+            return;
+        }
+        mergeProfile(result, parent, config, `profile:${name}`, visited);
+    });
+
+    Object.entries(profile.thresholds || {}).forEach(([metric, levels]) => {
+        result.thresholds[metric] = { ...result.thresholds[metric], ...levels };
+    });
+    Object.entries(profile.rules || {}).forEach(([ruleId, override]) => {
+        result.rules[ruleId] = { ...result.rules[ruleId], ...override };
+    });
+    result.sources.push(source);
+}
+
+/**
+ * 서버에 적용되는 프로필을 상속과 덮어쓰기 순서대로 합칩니다.
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {Object} [config] THRESHOLD_PROFILES 형식의 설정 (기본: config.js)
+ * @returns {{thresholds: Object, rules: Object, sources: string[]}} sources는 적용된 프로필 (예: 'serverType:cache')
+ */
+export function resolveThresholdProfile(server, config = CONFIG.THRESHOLD_PROFILES || EMPTY_PROFILES) {
+    const result = { thresholds: {}, rules: {}, sources: [] };
+    if (!server) return result;
+
+    PROFILE_SCOPES.forEach(scope => {
+        const value = scope.value(server);
+        const profile = value ? (config[scope.key] || {})[value] : null;
+        if (profile) {
+            mergeProfile(result, profile, config, `${scope.key}:${value}`, new Set());
+        }
+    });
+    return result;
+}
+
+/**
+ * 규칙 목록에 프로필을 적용한 새 규칙 목록을 만듭니다 (원본 규칙은 바뀌지 않음).
+ * 상한 규칙(>=, >)은 지표/심각도가 같은 프로필 임계치로, 그다음 모든 규칙이 규칙별 덮어쓰기로 바뀝니다.
+ * 복구 임계치(recovery)가 있으면 임계치와의 간격을 유지하도록 함께 옮깁니다 (임계치가 그대로면 복구 임계치도 그대로).
+ * @param {Array<Object>} rules 규칙 목록
+ * @param {{thresholds: Object, rules: Object}} profile resolveThresholdProfile() 결과
+ * @returns {Array<Object>}
+ */
+export function applyThresholdProfile(rules, profile) {
+    if (!profile || profile.sources.length === 0) return rules;
+    return rules.map(rule => {
+        const levels = profile.thresholds[rule.metric];
+        const threshold = levels && isUpperBoundRule(rule) && typeof levels[rule.severity] === 'number'
+            ? levels[rule.severity]
+            : rule.threshold;
+        // 복구 임계치는 임계치가 바뀐 만큼 함께 옮겨 간격을 유지
+        const recovery = typeof rule.recovery === 'number' && threshold !== rule.threshold
+            ? rule.recovery + (threshold - rule.threshold)
+            : rule.recovery;
+        return { ...rule, threshold, recovery, ...profile.rules[rule.id] };
+    });
+}
+
+/**
+ * 프로필 설정에서 프로필이 있는 서버 유형/환경/호스트를 캐시 키로 만듭니다.
+ * 프로필이 없는 값은 키에서 빼서 같은 규칙을 쓰는 서버가 캐시를 공유하도록 합니다.
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {Object} [config] THRESHOLD_PROFILES 형식의 설정
+ * @returns {string}
+ */
+export function getProfileKey(server, config = CONFIG.THRESHOLD_PROFILES || EMPTY_PROFILES) {
+    return PROFILE_SCOPES
+        .map(scope => {
+            const value = server ? scope.value(server) : null;
+            return value && (config[scope.key] || {})[value] ? `${scope.key}:${value}` : '';
+        })
+        .join('|');
+}
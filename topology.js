@@ -0,0 +1,214 @@
+/**
+ * OpenManager AI - 서비스 의존 관계 토폴로지
+ * 서버 유형·호스트·서비스 사이의 의존 관계(web → api → db, app → cache 등)로 그래프를 만들고,
+ * 서비스가 멈추거나 서버가 심각 상태일 때 영향이 번지는 범위(blast radius)를 계산합니다.
+ * DOM을 사용하지 않으며, 대시보드의 토폴로지 그래프, 문제 분석, Agent 장애 보고서가 같은 결과를 사용합니다.
+ *
+ * 그래프 (from이 to에 의존):
+ *   - 노드: 서버(id = 호스트명)와 서버에서 실행되는 서비스(id = '호스트명/서비스')
+ *   - host 간선: 서버 유형 의존(config.js TOPOLOGY.serverTypes)과 호스트 의존(TOPOLOGY.hosts)
+ *   - service 간선: 서비스 의존(TOPOLOGY.services) - 같은 서버의 서비스나, 의존하는 서버의 서비스
+ *   - runs 간선: 서버는 자신이 실행하는 서비스에 의존 (서비스가 멈추면 그 서버에 의존하는 서버까지 영향)
+ *
+ * 서버 유형은 server_type, 없으면 호스트명 접두어(web-001 → web)가 TOPOLOGY.serverTypes에 있을 때 사용합니다.
+ */
+
+import { CONFIG } from './config.js';
+
+// 설정이 없을 때의 기본값 (의존 관계 없음)
+const DEFAULT_OPTIONS = { serverTypes: {}, services: {}, hosts: {} };
+
+// 간선 추가 (중복 제외)
+function addEdge(edges, keys, from, to, kind) {
+    const key = `${from}>${to}`;
+    if (from === to || keys.has(key)) return;
+    keys.add(key);
+    edges.push({ from, to, kind });
+}
+
+/**
+ * 토폴로지에서 사용하는 서버 유형
+ * @param {ServerRecord} server 표준 스키마 레코드
+ * @param {Object} [options] TOPOLOGY 형식의 설정
+ * @returns {string|null}
+ */
+export function getTopologyType(server, options = CONFIG.TOPOLOGY || DEFAULT_OPTIONS) {
+    if (server.server_type) return server.server_type;
+    const prefix = String(server.hostname || '').split('-')[0].toLowerCase();
+    const serverTypes = options.serverTypes || {};
+    const known = prefix in serverTypes || Object.values(serverTypes).some(types => types.includes(prefix));
+    return known ? prefix : null;
+}
+
+/**
+ * 서버 데이터로 의존 관계 그래프를 만듭니다.
+ * @param {ServerRecord[]} servers 현재 서버 데이터
+ * @param {Object} [options]
+ * @param {Object} [options.config] TOPOLOGY 형식의 설정 (기본: config.js)
+ * @param {Function} [options.getStatus] 서버 상태 판단 함수 (노드 색상과 장애 지점 판단, 예: DataProcessor.getServerStatus)
+ * @returns {{nodes: Array<Object>, edges: Array<Object>}} 노드 { id, kind: 'host'|'service', hostname, serverType,
+ *   status(서버) | service, state(서비스) }, 간선 { from, to, kind: 'host'|'service'|'runs' }
+ */
+export function buildTopology(servers, options = {}) {
+    const config = { ...DEFAULT_OPTIONS, ...(options.config || CONFIG.TOPOLOGY) };
+    const hosts = (servers || []).filter(server => server && server.hostname);
+    const nodes = [];
+    const edges = [];
+    const keys = new Set();
+
+    hosts.forEach(server => {
+        const serverType = getTopologyType(server, config);
+        nodes.push({
+            id: server.hostname,
+            kind: 'host',
+            hostname: server.hostname,
+            serverType,
+            status: options.getStatus ? options.getStatus(server) : 'normal'
+        });
+        Object.entries(server.services || {}).forEach(([service, state]) => {
+            const id = `${server.hostname}/${service}`;
+            nodes.push({ id, kind: 'service', hostname: server.hostname, serverType, service, state });
+            addEdge(edges, keys, server.hostname, id, 'runs');
+        });
+    });
+
+    // 서버 간 의존: 서버 유형 규칙 + 호스트별 지정
+    const hostNodes = nodes.filter(node => node.kind === 'host');
+    const hostDependencies = new Map(hostNodes.map(node => {
+        const byType = (config.serverTypes[node.serverType] || [])
+            .flatMap(type => hostNodes.filter(other => other.serverType === type));
+        const byHost = (config.hosts[node.hostname] || [])
+            .map(hostname => hostNodes.find(other => other.hostname === hostname))
+            .filter(Boolean);
+        return [node.hostname, [...new Set([...byType, ...byHost])].filter(other => other !== node)];
+    }));
+    hostDependencies.forEach((targets, hostname) => {
+        targets.forEach(target => addEdge(edges, keys, hostname, target.hostname, 'host'));
+    });
+
+    // 서비스 간 의존: 같은 서버의 서비스, 의존하는 서버에서 실행되는 서비스
+    const servicesByHost = new Map(hosts.map(server => [server.hostname, server.services || {}]));
+    hosts.forEach(server => {
+        Object.keys(server.services || {}).forEach(service => {
+            (config.services[service] || []).forEach(dependency => {
+                const candidates = [server.hostname, ...hostDependencies.get(server.hostname).map(target => target.hostname)];
+                candidates
+                    .filter(hostname => dependency in servicesByHost.get(hostname))
+                    .forEach(hostname => addEdge(edges, keys, `${server.hostname}/${service}`, `${hostname}/${dependency}`, 'service'));
+            });
+        });
+    });
+
+    return { nodes, edges };
+}
+
+/**
+ * 장애 지점: 중단된 서비스와 심각 상태의 서버
+ * @param {{nodes: Array<Object>}} topology buildTopology() 결과
+ * @returns {Array<Object>} 노드 목록
+ */
+export function findFailedNodes(topology) {
+    return topology.nodes.filter(node =>
+        (node.kind === 'service' && node.state === 'stopped') || (node.kind === 'host' && node.status === 'critical'));
+}
+
+/**
+ * 장애 지점에 (직간접적으로) 의존하는 구성 요소를 찾습니다.
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} topology buildTopology() 결과
+ * @param {string[]} sourceIds 장애 지점 노드 ID (호스트명 또는 '호스트명/서비스')
+ * @returns {{sources: Array<Object>, impacted: Array<Object>, hosts: string[]}} impacted는 { node, depth, via(의존하는 노드 ID) }
+ *   (가까운 순), hosts는 영향 받는 서버 (장애 지점 서버 제외)
+ */
+export function getBlastRadius(topology, sourceIds) {
+    const byId = new Map(topology.nodes.map(node => [node.id, node]));
+    const dependents = new Map();
+    topology.edges.forEach(edge => {
+        if (!dependents.has(edge.to)) dependents.set(edge.to, []);
+        dependents.get(edge.to).push(edge.from);
+    });
+
+    const sources = sourceIds.map(id => byId.get(id)).filter(Boolean);
+    const visited = new Set(sources.map(node => node.id));
+    const impacted = [];
+    let frontier = sources.map(node => node.id);
+    for (let depth = 1; frontier.length > 0; depth++) {
+        const next = [];
+        frontier.forEach(id => {
+            (dependents.get(id) || []).forEach(dependent => {
+                if (visited.has(dependent)) return;
+                visited.add(dependent);
+                impacted.push({ node: byId.get(dependent), depth, via: id });
+                next.push(dependent);
+            });
+        });
+        frontier = next;
+    }
+
+    const sourceHosts = new Set(sources.map(node => node.hostname));
+    const hosts = [...new Set(impacted.map(item => item.node.hostname))].filter(hostname => !sourceHosts.has(hostname));
+    return { sources, impacted, hosts };
+}
+
+/**
+ * 장애 지점마다의 영향 범위 (영향 받는 구성 요소가 많은 순)
+ * 서비스 중단 때문에 심각 상태가 된 서버처럼, 같은 서버의 중단된 서비스가 이미 영향 범위를 모두 설명하면 서버 항목은 생략합니다.
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} topology buildTopology() 결과
+ * @returns {Array<{source: Object, impacted: Array<Object>, hosts: string[]}>}
+ */
+export function analyzeBlastRadius(topology) {
+    const radii = findFailedNodes(topology).map(source => ({ source, ...getBlastRadius(topology, [source.id]) }));
+    return radii
+        .filter(({ source, hosts }) => source.kind === 'service' || !radii.some(other =>
+            other.source.kind === 'service' &&
+            other.source.hostname === source.hostname &&
+            hosts.every(hostname => other.hosts.includes(hostname))))
+        .map(({ source, impacted, hosts }) => ({ source, impacted, hosts }))
+        .sort((a, b) => b.impacted.length - a.impacted.length);
+}
+
+// 노드 표시 이름 (예: 'db-001의 mysql', 'db-001')
+export function describeNode(node) {
+    return node.kind === 'service' ? `${node.hostname}의 ${node.service}` : node.hostname;
+}
+
+/**
+ * 영향 받는 구성 요소를 서버별로 묶어 표시 (예: 'app-001(tomcat), web-001(nginx)')
+ * 장애 지점 서버는 영향 받는 서비스가 있을 때만 표시합니다.
+ * @param {Array<Object>} impacted getBlastRadius()의 impacted
+ * @param {string[]} [excludeHosts] 서비스 없이 서버만 영향 받으면 생략할 서버 (장애 지점 서버)
+ * @returns {string}
+ */
+export function formatImpact(impacted, excludeHosts = []) {
+    const byHost = new Map();
+    impacted.forEach(({ node }) => {
+        if (!byHost.has(node.hostname)) byHost.set(node.hostname, []);
+        if (node.kind === 'service') byHost.get(node.hostname).push(node.service);
+    });
+    return [...byHost.entries()]
+        .filter(([hostname, services]) => services.length > 0 || !excludeHosts.includes(hostname))
+        .map(([hostname, services]) => (services.length > 0 ? `${hostname}(${services.join(', ')})` : hostname))
+        .join(', ');
+}
+
+/**
+ * 서버의 계층 (의존하는 서버가 없는 최상위 서버가 0, 의존 관계를 따라 내려갈수록 커짐) - 그래프 배치용
+ * @param {{nodes: Array<Object>, edges: Array<Object>}} topology buildTopology() 결과
+ * @returns {Map<string, number>} 호스트명 → 계층
+ */
+export function getHostTiers(topology) {
+    const hostEdges = topology.edges.filter(edge => edge.kind === 'host');
+    const tiers = new Map(topology.nodes.filter(node => node.kind === 'host').map(node => [node.id, 0]));
+    // 순환 의존이 있어도 끝나도록 최대 서버 수만큼만 반복
+    for (let round = 0; round < tiers.size; round++) {
+        let changed = false;
+        hostEdges.forEach(edge => {
+            const tier = tiers.get(edge.from) + 1;
+            if (tier > tiers.get(edge.to)) {
+                tiers.set(edge.to, tier);
+                changed = true;
+            }
+        });
+        if (!changed) break;
+    }
+    return tiers;
+}